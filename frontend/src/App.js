@@ -1,16 +1,109 @@
 // src/App.js
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import RecordsTable from './components/RecordsTable';
 import UploadForm from './components/UploadForm';
+import SchedulerPanel from './components/SchedulerPanel';
+import CampaignPicker from './components/CampaignPicker';
+import PolicyPanel from './components/PolicyPanel';
+import BatchPreview from './components/BatchPreview';
+import LoginForm from './components/LoginForm';
+import StatsPanel from './components/StatsPanel';
+import CallTemplatePanel from './components/CallTemplatePanel';
+import DoNotCallPanel from './components/DoNotCallPanel';
+import ExportPanel from './components/ExportPanel';
 import './App.css';
 
+// Live updates (GET /api/events) are applied in batches, so a large upload
+// re-renders the table a few times instead of once per row
+const LIVE_FLUSH_MS = 250;
+// How long a row stays highlighted after its VRN was captured
+const CAPTURED_HIGHLIGHT_MS = 15000;
+
+// Applies record events from /api/events to the current rows
+function applyRecordEvents(rows, events) {
+  const next = [...rows];
+  events.forEach((event) => {
+    const idx = next.findIndex((r) => r.bookingId === event.bookingId);
+    if (event.action === 'remove') {
+      if (idx >= 0) next.splice(idx, 1);
+    } else if (event.action === 'upsert') {
+      if (idx >= 0) {
+        next[idx] = event.record;
+      } else {
+        next.push(event.record);
+      }
+    }
+  });
+  return next;
+}
+
 function App() {
+  // undefined while checking the session, null when signed out
+  const [user, setUser] = useState(undefined);
   const [records, setRecords] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
+  const [selectedCampaignId, setSelectedCampaignId] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  // bookingId → time its VRN arrived over the live stream
+  const [justCaptured, setJustCaptured] = useState({});
+  const canOperate = Boolean(user) && user.role === 'operator';
 
-  // 1) On mount, fetch all records from /api/allRecords
+  // 0) Who is signed in? (401 → show the login form)
   useEffect(() => {
-    fetch('/api/allRecords')
+    fetch('/api/auth/me')
+      .then((res) => {
+        if (res.status === 401) return { user: null };
+        if (!res.ok) throw new Error(`HTTP error ${res.status}`);
+        return res.json();
+      })
+      .then((data) => setUser(data.user))
+      .catch((err) => {
+        console.error('Error fetching /api/auth/me:', err);
+        setUser(null);
+      });
+  }, []);
+
+  const logout = () => {
+    fetch('/api/auth/logout', { method: 'POST' })
+      .catch((err) => {
+        console.error('Error calling /api/auth/logout:', err);
+      })
+      .finally(() => {
+        setUser(null);
+        setRecords([]);
+        setCampaigns([]);
+      });
+  };
+
+  // 1) Fetch the campaign list (used by the picker and the upload form)
+  const loadCampaigns = useCallback(() => {
+    if (!user) return;
+    fetch(`/api/campaigns?includeArchived=${showArchived}`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP error ${res.status}`);
+        return res.json();
+      })
+      .then((data) => {
+        setCampaigns(data);
+      })
+      .catch((err) => {
+        console.error('Error fetching /api/campaigns:', err);
+      });
+  }, [showArchived, user]);
+
+  useEffect(() => {
+    loadCampaigns();
+  }, [loadCampaigns]);
+
+  // On mount and whenever the picked campaign changes, fetch its records
+  const campaignQuery = selectedCampaignId
+    ? `?campaignId=${encodeURIComponent(selectedCampaignId)}`
+    : '';
+
+  useEffect(() => {
+    if (!user) return;
+    fetch(`/api/allRecords${campaignQuery}`)
       .then((res) => {
         if (!res.ok) throw new Error(`HTTP error ${res.status}`);
         return res.json();
@@ -21,39 +114,145 @@ function App() {
       .catch((err) => {
         console.error('Error fetching /api/allRecords:', err);
       });
-  }, []);
+  }, [campaignQuery, user]);
+
+  // Latest loadCampaigns for the live stream, so it isn't reopened when the
+  // “Show archived” box changes
+  const loadCampaignsRef = useRef(loadCampaigns);
+  loadCampaignsRef.current = loadCampaigns;
+
+  // 1b) Live updates: the server pushes every record change (status callbacks,
+  // captured VRNs, edits from other tabs…) over Server-Sent Events
+  useEffect(() => {
+    if (!user) return undefined;
+    const source = new EventSource(`/api/events${campaignQuery}`);
+    let pending = [];
+    let timer = null;
+    let connectedBefore = false;
+
+    const resync = () => {
+      fetch(`/api/allRecords${campaignQuery}`)
+        .then((res) => {
+          if (!res.ok) throw new Error(`HTTP error ${res.status}`);
+          return res.json();
+        })
+        .then((data) => setRecords(data))
+        .catch((err) => {
+          console.error('Error reloading /api/allRecords:', err);
+        });
+    };
+
+    const flush = () => {
+      timer = null;
+      const events = pending;
+      pending = [];
+      if (events.some((e) => e.action === 'reload')) {
+        resync();
+        return;
+      }
+      setRecords((prev) => applyRecordEvents(prev, events));
+      const captured = events.filter(
+        (e) =>
+          e.action === 'upsert' &&
+          e.changed &&
+          e.changed.includes('vRegCaptured') &&
+          e.record.vRegCaptured
+      );
+      if (captured.length) {
+        const now = Date.now();
+        setJustCaptured((prev) => {
+          const next = { ...prev };
+          captured.forEach((e) => {
+            next[e.bookingId] = now;
+          });
+          return next;
+        });
+      }
+      // Capture stats in the campaign picker
+      loadCampaignsRef.current();
+    };
+
+    source.addEventListener('record', (e) => {
+      pending.push(JSON.parse(e.data));
+      if (!timer) timer = setTimeout(flush, LIVE_FLUSH_MS);
+    });
+    // Changes made while the stream was down are not replayed → reload
+    source.onopen = () => {
+      if (connectedBefore) resync();
+      connectedBefore = true;
+    };
+    source.onerror = () => {
+      // EventSource reconnects by itself; this just notes the drop
+      console.warn('Live updates disconnected, retrying…');
+    };
+
+    return () => {
+      clearTimeout(timer);
+      source.close();
+    };
+  }, [campaignQuery, user]);
+
+  // Drop “just captured” highlights once they have expired
+  useEffect(() => {
+    const ids = Object.keys(justCaptured);
+    if (ids.length === 0) return undefined;
+    const timer = setTimeout(() => {
+      const cutoff = Date.now() - CAPTURED_HIGHLIGHT_MS;
+      setJustCaptured((prev) => {
+        const next = {};
+        Object.keys(prev).forEach((id) => {
+          if (prev[id] > cutoff) next[id] = prev[id];
+        });
+        return next;
+      });
+    }, CAPTURED_HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [justCaptured]);
 
-  // 2) Called when a cell in the table is edited
+  // 2) Called when an edited cell in the table is saved
   const onCellChange = (rowIndex, columnKey, newValue) => {
+    const previous = records[rowIndex];
+    const bookingId = previous.bookingId;
+    const replaceRow = (row) =>
+      setRecords((prev) =>
+        prev.map((r) => (r.bookingId === bookingId ? row : r))
+      );
+
     // Update React state immediately
-    setRecords((prev) => {
-      const copy = [...prev];
-      copy[rowIndex] = { ...copy[rowIndex], [columnKey]: newValue };
-      return copy;
-    });
+    replaceRow({ ...previous, [columnKey]: newValue });
 
-    // Then send a PATCH to /api/updateRecord/:bookingId
-    const bookingId = records[rowIndex].bookingId;
+    // Then send a PATCH to /api/updateRecord/:bookingId; the saved row comes
+    // back (e.g. with a normalised VRN), a rejected edit is undone
     fetch(`/api/updateRecord/${bookingId}`, {
       method: 'PATCH',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ [columnKey]: newValue }),
     })
-      .then((res) => {
-        if (!res.ok) throw new Error(`Patch failed ${res.status}`);
-        return res.json();
-      })
+      .then((res) =>
+        res
+          .json()
+          .catch(() => ({}))
+          .then((body) => {
+            if (!res.ok) {
+              throw new Error(body.message || `Patch failed ${res.status}`);
+            }
+            return body;
+          })
+      )
       .then((resp) => {
-        // Optionally you can console.log(resp.updated)
+        replaceRow(resp.updated);
       })
       .catch((err) => {
         console.error('Error patching /api/updateRecord:', err);
+        replaceRow(previous);
+        alert(`Saving ${columnKey} failed: ${err.message}`);
       });
   };
 
-  // 3) Reload the data from /api/allRecords
+  // 3) Reload the data from /api/allRecords (and the campaign stats)
   const reloadData = () => {
-    fetch('/api/allRecords')
+    loadCampaigns();
+    fetch(`/api/allRecords${campaignQuery}`)
       .then((res) => {
         if (!res.ok) throw new Error(`HTTP error ${res.status}`);
         return res.json();
@@ -66,52 +265,89 @@ function App() {
       });
   };
 
+  if (user === undefined) {
+    return null;
+  }
+
+  const selectedCampaign =
+    campaigns.find((c) => c.id === selectedCampaignId) || null;
+
+  if (!user) {
+    return (
+      <div
+        className="App"
+        style={{ padding: '1rem', fontFamily: 'Arial, sans-serif' }}
+      >
+        <h1>Holiday Extras – AI Assistant VRN Collector</h1>
+        <LoginForm onLogin={setUser} />
+      </div>
+    );
+  }
+
   return (
     <div
       className="App"
       style={{ padding: '1rem', fontFamily: 'Arial, sans-serif' }}
     >
+      <div className="signed-in">
+        Signed in as <strong>{user.username}</strong> ({user.role})
+        <button onClick={logout}>Log out</button>
+      </div>
       <h1>Holiday Extras – AI Assistant VRN Collector</h1>
 
-      <section style={{ marginBottom: '2rem' }}>
-        <h2>1. Upload Spreadsheet</h2>
-        <UploadForm onUploadSuccess={reloadData} />
-      </section>
+      {canOperate && (
+        <section style={{ marginBottom: '2rem' }}>
+          <h2>1. Upload Spreadsheet</h2>
+          <UploadForm
+            campaigns={campaigns.filter((c) => !c.archived)}
+            selectedCampaignId={selectedCampaignId}
+            onUploadSuccess={(campaignId) => {
+              if (campaignId && campaignId !== selectedCampaignId) {
+                // Switching campaign triggers the records fetch above
+                setSelectedCampaignId(campaignId);
+                loadCampaigns();
+              } else {
+                reloadData();
+              }
+            }}
+          />
+        </section>
+      )}
 
       <section style={{ marginBottom: '2rem' }}>
-        <h2>2. Process &amp; Make Calls</h2>
-        <button
-          onClick={() => {
-            fetch('/api/process', { method: 'POST' })
-              .then((res) => {
-                if (!res.ok) throw new Error(`HTTP error ${res.status}`);
-                return res.json();
-              })
-              .then((result) => {
-                console.log('Calls queued:', result.callsQueued);
-                reloadData();
-              })
-              .catch(console.error);
-          }}
-        >
-          Process &amp; Call
-        </button>
-        {/* Download CSV: the browser will navigate to /api/download and download the file */}
-        {/* instead, use a simple anchor tag that opens in a new tab */}
-        {/* after: point directly to port 4000 */}
-        <a
-          href="http://localhost:4000/api/download"
-          target="_blank"
-          rel="noopener noreferrer"
-          style={{ marginLeft: '1rem', textDecoration: 'none' }}
-        >
-          <button>Download CSV</button>
-        </a>
+        <h2>2. Schedule Calls</h2>
+        <SchedulerPanel onRunComplete={reloadData} readOnly={!canOperate} />
+        {canOperate && <BatchPreview campaignId={selectedCampaignId} />}
+        {canOperate && <ExportPanel campaignId={selectedCampaignId} />}
+        <PolicyPanel readOnly={!canOperate} />
+        <DoNotCallPanel readOnly={!canOperate} />
       </section>
 
       <section>
         <h2>3. Live Call Status &amp; Data</h2>
-        <RecordsTable records={records} onCellChange={onCellChange} />
+        <CampaignPicker
+          campaigns={campaigns}
+          selectedCampaignId={selectedCampaignId}
+          onSelect={setSelectedCampaignId}
+          showArchived={showArchived}
+          onShowArchivedChange={setShowArchived}
+          onCampaignsChanged={loadCampaigns}
+          readOnly={!canOperate}
+        />
+        {selectedCampaign && (
+          <CallTemplatePanel
+            campaign={selectedCampaign}
+            onSaved={loadCampaigns}
+            readOnly={!canOperate}
+          />
+        )}
+        <StatsPanel campaignId={selectedCampaignId} />
+        <RecordsTable
+          records={records}
+          justCaptured={justCaptured}
+          onCellChange={onCellChange}
+          readOnly={!canOperate}
+        />
       </section>
     </div>
   );
@@ -0,0 +1,112 @@
+// src/components/BatchPreview.js
+import React, { useState } from 'react';
+
+// “Preview batch”: runs POST /api/process with dryRun and lists who would be
+// called and why everyone else would be skipped. Nothing is called or saved.
+export default function BatchPreview({ campaignId }) {
+  const [result, setResult] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [loading, setLoading] = useState(false);
+
+  const runPreview = () => {
+    setLoading(true);
+    fetch('/api/process', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        campaignId: campaignId || undefined,
+        dryRun: true,
+      }),
+    })
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP error ${res.status}`);
+        return res.json();
+      })
+      .then((data) => {
+        if (!data.success) throw new Error(data.message);
+        setResult(data);
+      })
+      .catch((err) => {
+        console.error('Error previewing batch:', err);
+        alert(`Preview failed: ${err.message}`);
+      })
+      .finally(() => setLoading(false));
+  };
+
+  const decisions = result
+    ? result.decisions.filter((d) => filter === 'all' || d.decision === filter)
+    : [];
+
+  return (
+    <div className="batch-preview">
+      <button onClick={runPreview} disabled={loading}>
+        {loading ? 'Checking…' : 'Preview batch'}
+      </button>
+      {result && (
+        <button
+          onClick={() => setResult(null)}
+          style={{ marginLeft: '0.5rem' }}
+        >
+          Close preview
+        </button>
+      )}
+
+      {result && (
+        <>
+          <p>
+            {result.windowSkip
+              ? `No calls right now: ${result.windowSkip.message} `
+              : ''}
+            {result.callsPlanned} call(s) would be placed,{' '}
+            {result.messagesPlanned
+              ? `${result.messagesPlanned} fallback message(s) sent, `
+              : ''}
+            {result.decisions.filter((d) => d.decision === 'skip').length}{' '}
+            record(s) skipped.{' '}
+            <label>
+              Show{' '}
+              <select
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+              >
+                <option value="all">all</option>
+                <option value="call">calls</option>
+                <option value="skip">skips</option>
+              </select>
+            </label>
+          </p>
+          <table>
+            <thead>
+              <tr>
+                <th>Booking ID</th>
+                <th>Customer</th>
+                <th>Phone</th>
+                <th>Decision</th>
+                <th>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {decisions.map((d) => (
+                <tr key={d.bookingId} className={`decision-${d.decision}`}>
+                  <td>{d.bookingId}</td>
+                  <td>{d.customerName}</td>
+                  <td>{d.phoneNumber}</td>
+                  <td>{d.decision}</td>
+                  <td>
+                    {d.decision === 'call'
+                      ? d.callBookingIds.length > 1
+                        ? `One call for ${d.callBookingIds.join(', ')}`
+                        : ''
+                      : `${d.rule.replace(/_/g, ' ')} – ${d.reason}${
+                          d.fallback ? ` (texted by ${d.fallback})` : ''
+                        }`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+// src/components/CallHistory.js
+import React, { useState, useEffect } from 'react';
+
+// Recording and transcript of one call, for quality review. The audio comes
+// from GET /api/calls/:callSid/recording.
+function CallReview({ call }) {
+  const recording = call.recording;
+  const turns = call.transcript ? call.transcript.turns : [];
+  return (
+    <div className="call-review">
+      {recording && recording.deletedAt && (
+        <p>
+          Recording deleted on {new Date(recording.deletedAt).toLocaleString()}{' '}
+          (retention period).
+        </p>
+      )}
+      {recording &&
+        !recording.deletedAt &&
+        recording.status === 'completed' && (
+          <audio
+            controls
+            preload="none"
+            src={`/api/calls/${encodeURIComponent(call.callSid)}/recording`}
+          />
+        )}
+      {recording &&
+        !recording.deletedAt &&
+        recording.status !== 'completed' && (
+          <p>Recording {recording.status}.</p>
+        )}
+      {!recording && <p>This call wasn’t recorded.</p>}
+      {turns.length > 0 ? (
+        <dl className="call-transcript">
+          {turns.map((turn, i) => (
+            <React.Fragment key={i}>
+              <dt>{turn.role || '—'}</dt>
+              <dd>{turn.text}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      ) : (
+        <p>No transcript.</p>
+      )}
+    </div>
+  );
+}
+
+// Shows every logged call for one booking (GET /api/records/:bookingId/calls),
+// each with a Review button for its recording and transcript
+export default function CallHistory({ bookingId }) {
+  const [calls, setCalls] = useState(null);
+  // call ids whose review panel is open
+  const [reviewing, setReviewing] = useState({});
+
+  useEffect(() => {
+    fetch(`/api/records/${encodeURIComponent(bookingId)}/calls`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP error ${res.status}`);
+        return res.json();
+      })
+      .then((data) => {
+        setCalls(data);
+      })
+      .catch((err) => {
+        console.error('Error fetching call history:', err);
+        setCalls([]);
+      });
+  }, [bookingId]);
+
+  if (calls === null) {
+    return <div className="call-history">Loading call history…</div>;
+  }
+  if (calls.length === 0) {
+    return <div className="call-history">No calls placed yet.</div>;
+  }
+
+  return (
+    <div className="call-history">
+      <table>
+        <thead>
+          <tr>
+            <th>Placed</th>
+            <th>Call SID</th>
+            <th>Status transitions</th>
+            <th>Duration</th>
+            <th>Answered by</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {calls.map((call) => (
+            <React.Fragment key={call.id}>
+              <tr>
+                <td>{new Date(call.createdAt).toLocaleString()}</td>
+                <td>{call.callSid || '—'}</td>
+                <td>
+                  {(call.events || []).map((ev, i) => (
+                    <div key={i}>
+                      {new Date(ev.at).toLocaleTimeString()} – {ev.status}
+                    </div>
+                  ))}
+                  {call.error && (
+                    <div className="call-history-error">{call.error}</div>
+                  )}
+                </td>
+                <td>{call.duration !== null ? `${call.duration}s` : '—'}</td>
+                <td>{call.answeredBy || '—'}</td>
+                <td>
+                  {(call.recording || call.transcript) && (
+                    <button
+                      onClick={() =>
+                        setReviewing((prev) => ({
+                          ...prev,
+                          [call.id]: !prev[call.id],
+                        }))
+                      }
+                    >
+                      {reviewing[call.id] ? 'Close' : 'Review'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+              {reviewing[call.id] && (
+                <tr>
+                  <td colSpan={6}>
+                    <CallReview call={call} />
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+// src/components/CallTemplatePanel.js
+import React, { useState, useEffect } from 'react';
+
+// Wait this long after typing stops before refreshing the preview
+const PREVIEW_DELAY_MS = 400;
+
+// Greeting, voice, language and assistant SID of one campaign’s calls
+// (PUT /api/campaigns/:id/callTemplate), with the greeting previewed for one
+// of its records (POST …/callTemplate/preview).
+// readOnly → the template is shown but can’t be saved (viewers)
+export default function CallTemplatePanel({ campaign, onSaved, readOnly }) {
+  // { callTemplate, placeholders } from GET /api/callTemplates/defaults
+  const [defaults, setDefaults] = useState(null);
+  const [form, setForm] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    fetch('/api/callTemplates/defaults')
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP error ${res.status}`);
+        return res.json();
+      })
+      .then(setDefaults)
+      .catch((err) => {
+        console.error('Error fetching /api/callTemplates/defaults:', err);
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!defaults) return;
+    setForm({ ...defaults.callTemplate, ...(campaign.callTemplate || {}) });
+    setErrors([]);
+  }, [defaults, campaign.id, campaign.callTemplate]);
+
+  useEffect(() => {
+    if (!form) return undefined;
+    const timer = setTimeout(() => {
+      fetch(`/api/campaigns/${campaign.id}/callTemplate/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ callTemplate: form }),
+      })
+        .then((res) => res.json())
+        .then((data) => {
+          if (data.error) {
+            setErrors(data.details || [data.error]);
+            return;
+          }
+          setErrors([]);
+          setPreview(data);
+        })
+        .catch((err) => {
+          console.error('Error previewing the call template:', err);
+        });
+    }, PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [campaign.id, form]);
+
+  if (!form) {
+    return null;
+  }
+
+  const setField = (key, value) => setForm({ ...form, [key]: value });
+
+  const handleSave = () => {
+    fetch(`/api/campaigns/${campaign.id}/callTemplate`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.error) {
+          setErrors(data.details || [data.error]);
+          return;
+        }
+        setErrors([]);
+        if (typeof onSaved === 'function') onSaved();
+      })
+      .catch((err) => {
+        console.error('Error saving the call template:', err);
+        alert('Saving the call script failed. Check console for details.');
+      });
+  };
+
+  return (
+    <details className="call-template-panel">
+      <summary>Call script for “{campaign.name}”</summary>
+      <fieldset disabled={readOnly}>
+        <label>
+          Greeting
+          <textarea
+            rows={2}
+            cols={80}
+            value={form.greeting}
+            onChange={(e) => setField('greeting', e.target.value)}
+          />
+        </label>
+        <p className="call-template-placeholders">
+          Placeholders:{' '}
+          {Object.keys(defaults.placeholders).map((key) => (
+            <React.Fragment key={key}>
+              <code title={defaults.placeholders[key]}>{`{${key}}`}</code>{' '}
+            </React.Fragment>
+          ))}
+        </p>
+        <label>
+          Voice{' '}
+          <input
+            type="text"
+            value={form.voice}
+            onChange={(e) => setField('voice', e.target.value)}
+          />
+        </label>{' '}
+        <label>
+          Language{' '}
+          <input
+            type="text"
+            size={8}
+            value={form.language}
+            onChange={(e) => setField('language', e.target.value)}
+          />
+        </label>{' '}
+        <label>
+          Assistant SID{' '}
+          <input
+            type="text"
+            placeholder="TWILIO_ASSISTANT_SID"
+            value={form.assistantSid}
+            onChange={(e) => setField('assistantSid', e.target.value)}
+          />
+        </label>
+        {preview &&
+          (preview.sample ? (
+            <p className="call-template-preview">
+              Preview for {preview.sample.bookingId}: “{preview.greeting}”
+            </p>
+          ) : (
+            <p className="call-template-preview">
+              Upload records to this campaign to preview the greeting.
+            </p>
+          ))}
+        {errors.length > 0 && (
+          <ul className="policy-errors">
+            {errors.map((msg) => (
+              <li key={msg}>{msg}</li>
+            ))}
+          </ul>
+        )}
+        {!readOnly && <button onClick={handleSave}>Save call script</button>}
+      </fieldset>
+    </details>
+  );
+}
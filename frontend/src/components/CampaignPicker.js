@@ -0,0 +1,85 @@
+// src/components/CampaignPicker.js
+import React from 'react';
+
+export default function CampaignPicker({
+  campaigns,
+  selectedCampaignId,
+  onSelect,
+  showArchived,
+  onShowArchivedChange,
+  onCampaignsChanged,
+  readOnly,
+}) {
+  const selected = campaigns.find((c) => c.id === selectedCampaignId) || null;
+
+  const toggleArchived = () => {
+    const action = selected.archived ? 'unarchive' : 'archive';
+    if (
+      action === 'archive' &&
+      !window.confirm(
+        `Archive "${selected.name}"? Its records will no longer be called.`
+      )
+    ) {
+      return;
+    }
+    fetch(`/api/campaigns/${selected.id}/${action}`, { method: 'POST' })
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP error ${res.status}`);
+        return res.json();
+      })
+      .then(() => {
+        // An archived campaign disappears from the list unless archived ones are shown
+        if (action === 'archive' && !showArchived) {
+          onSelect('');
+        }
+        if (typeof onCampaignsChanged === 'function') {
+          onCampaignsChanged();
+        }
+      })
+      .catch((err) => {
+        console.error(`Error calling /api/campaigns/:id/${action}:`, err);
+      });
+  };
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <label>
+        Campaign:{' '}
+        <select
+          value={selectedCampaignId}
+          onChange={(e) => onSelect(e.target.value)}
+        >
+          <option value="">All active campaigns</option>
+          {campaigns.map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.name}
+              {c.archived ? ' (archived)' : ''}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label style={{ marginLeft: '1rem' }}>
+        <input
+          type="checkbox"
+          checked={showArchived}
+          onChange={(e) => onShowArchivedChange(e.target.checked)}
+        />{' '}
+        Show archived
+      </label>
+      {selected && (
+        <>
+          {!readOnly && (
+            <button style={{ marginLeft: '1rem' }} onClick={toggleArchived}>
+              {selected.archived ? 'Unarchive' : 'Archive'}
+            </button>
+          )}
+          <span style={{ marginLeft: '1rem' }}>
+            {selected.stats.captured} / {selected.stats.total} VRNs captured (
+            {Math.round(selected.stats.captureRate * 100)}%),{' '}
+            {selected.stats.pending} pending
+          </span>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+// src/components/CapturePage.js
+import React, { useState, useEffect } from 'react';
+
+// Customer-facing page at /capture/<token> (no login): shows the booking the
+// signed link was made for, then lets the customer type their registration,
+// check it (with the vehicle make/colour when we find one) and confirm it.
+// Talks to GET / POST /api/capture/:token and POST /api/capture/:token/check.
+export default function CapturePage({ token }) {
+  const [booking, setBooking] = useState(null);
+  const [linkError, setLinkError] = useState('');
+  const [vReg, setVReg] = useState('');
+  // Result of the check step: { vReg, vehicle } waiting to be confirmed
+  const [checked, setChecked] = useState(null);
+  const [saved, setSaved] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetch(`/api/capture/${encodeURIComponent(token)}`)
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.error) throw new Error(data.message || data.error);
+        setBooking(data);
+      })
+      .catch((err) => {
+        setLinkError(err.message);
+      });
+  }, [token]);
+
+  // POSTs { vReg } to the capture route (or its /check step)
+  const send = (path, plate) => {
+    setLoading(true);
+    return fetch(`/api/capture/${encodeURIComponent(token)}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ vReg: plate }),
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        setLoading(false);
+        if (data.error) throw new Error(data.message || data.error);
+        setError('');
+        return data;
+      })
+      .catch((err) => {
+        setLoading(false);
+        setError(err.message);
+        return null;
+      });
+  };
+
+  const handleCheck = (e) => {
+    e.preventDefault();
+    send('/check', vReg).then((data) => {
+      if (data) setChecked(data);
+    });
+  };
+
+  const handleConfirm = () => {
+    send('', checked.vReg).then((data) => {
+      if (data) setSaved(data);
+    });
+  };
+
+  if (linkError) {
+    return (
+      <div className="capture-page">
+        <h1>Vehicle registration</h1>
+        <p className="capture-error">{linkError}</p>
+        <p>Please contact us and we’ll send you a new link.</p>
+      </div>
+    );
+  }
+
+  if (!booking) {
+    return (
+      <div className="capture-page">
+        <p>Loading…</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="capture-page">
+      <h1>Vehicle registration</h1>
+      <div className="capture-booking">
+        {booking.customerName && <p>Hello {booking.customerName},</p>}
+        <p>
+          Booking <strong>{booking.bookingId}</strong>
+          {booking.bookingDetails && <> – {booking.bookingDetails}</>}
+        </p>
+      </div>
+
+      {saved ? (
+        <p className="capture-done">
+          Thank you – we’ve saved <strong>{saved.vReg}</strong> for this
+          booking.
+        </p>
+      ) : booking.vRegCaptured ? (
+        <p className="capture-done">
+          We already have <strong>{booking.vRegCaptured}</strong> for this
+          booking. If that’s wrong, please contact us.
+        </p>
+      ) : checked ? (
+        <div className="capture-confirm">
+          <p>
+            Is <strong>{checked.vReg}</strong> your registration
+            {checked.vehicle && checked.vehicle.found && (
+              <>
+                {' '}
+                (
+                {[checked.vehicle.colour, checked.vehicle.make]
+                  .filter(Boolean)
+                  .join(' ')}
+                )
+              </>
+            )}
+            ?
+          </p>
+          {error && <p className="capture-error">{error}</p>}
+          <button onClick={handleConfirm} disabled={loading}>
+            {loading ? 'Saving…' : 'Yes, save it'}
+          </button>
+          <button
+            className="capture-secondary"
+            onClick={() => setChecked(null)}
+            disabled={loading}
+          >
+            No, change it
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleCheck}>
+          <label htmlFor="capture-vreg">Registration number</label>
+          <input
+            id="capture-vreg"
+            type="text"
+            autoComplete="off"
+            autoCapitalize="characters"
+            spellCheck={false}
+            placeholder="e.g. AB12 CDE"
+            value={vReg}
+            onChange={(e) => setVReg(e.target.value)}
+          />
+          {error && <p className="capture-error">{error}</p>}
+          <button type="submit" disabled={loading || !vReg.trim()}>
+            {loading ? 'Checking…' : 'Continue'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+// src/components/DoNotCallPanel.js
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+
+const SOURCE_LABELS = {
+  manual: 'Added by hand',
+  import: 'Imported',
+  assistant: 'Opted out on a call',
+};
+
+// The do-not-call list (GET /api/suppressions): numbers that are never called
+// or texted. Operators can add a number, import a CSV/XLSX of numbers, or
+// remove one so calls resume.
+// readOnly → the list is shown but can’t be changed (viewers)
+export default function DoNotCallPanel({ readOnly }) {
+  const fileInputRef = useRef();
+  const [list, setList] = useState([]);
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [reason, setReason] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadList = useCallback(() => {
+    fetch('/api/suppressions')
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP error ${res.status}`);
+        return res.json();
+      })
+      .then(setList)
+      .catch((err) => {
+        console.error('Error fetching /api/suppressions:', err);
+      });
+  }, []);
+
+  useEffect(() => {
+    loadList();
+  }, [loadList]);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    fetch('/api/suppressions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ phoneNumber, reason }),
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.error) {
+          setMessage(data.error);
+          return;
+        }
+        setMessage(`${data.phoneNumber} won’t be called.`);
+        setPhoneNumber('');
+        setReason('');
+        loadList();
+      })
+      .catch((err) => {
+        console.error('Error adding to the do-not-call list:', err);
+      });
+  };
+
+  const handleImport = (e) => {
+    e.preventDefault();
+    const fileObj = fileInputRef.current.files[0];
+    if (!fileObj) {
+      alert('Please choose a file first.');
+      return;
+    }
+    const formData = new FormData();
+    formData.append('file', fileObj);
+    fetch('/api/suppressions/import', { method: 'POST', body: formData })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.error) {
+          setMessage(`Import failed: ${data.error}`);
+          return;
+        }
+        const invalid = data.invalid
+          .map((i) => `line ${i.row} (${i.value || 'empty'})`)
+          .join(', ');
+        setMessage(
+          `${data.added} number(s) added, ${data.alreadyListed} already listed` +
+            (invalid ? `; not phone numbers: ${invalid}` : '.')
+        );
+        fileInputRef.current.value = '';
+        loadList();
+      })
+      .catch((err) => {
+        console.error('Error importing the do-not-call list:', err);
+      });
+  };
+
+  const handleRemove = (entry) => {
+    if (
+      !window.confirm(
+        `Remove ${entry.phoneNumber} from the do-not-call list? It may be called again.`
+      )
+    ) {
+      return;
+    }
+    fetch(`/api/suppressions/${encodeURIComponent(entry.phoneNumber)}`, {
+      method: 'DELETE',
+    })
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP error ${res.status}`);
+        loadList();
+      })
+      .catch((err) => {
+        console.error('Error removing from the do-not-call list:', err);
+      });
+  };
+
+  return (
+    <details className="dnc-panel">
+      <summary>Do-not-call list ({list.length})</summary>
+      {!readOnly && (
+        <>
+          <form onSubmit={handleAdd}>
+            <input
+              type="text"
+              placeholder="Phone number"
+              value={phoneNumber}
+              onChange={(e) => setPhoneNumber(e.target.value)}
+            />{' '}
+            <input
+              type="text"
+              placeholder="Reason (optional)"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            />{' '}
+            <button type="submit" disabled={!phoneNumber.trim()}>
+              Add
+            </button>
+          </form>
+          <form onSubmit={handleImport}>
+            <input type="file" accept=".csv,.xlsx,.xls" ref={fileInputRef} />{' '}
+            <button type="submit">Import CSV / XLSX</button>
+          </form>
+        </>
+      )}
+      {message && <p className="dnc-message">{message}</p>}
+      {list.length > 0 && (
+        <table>
+          <thead>
+            <tr>
+              <th>Number</th>
+              <th>Reason</th>
+              <th>Source</th>
+              <th>Added</th>
+              {!readOnly && <th />}
+            </tr>
+          </thead>
+          <tbody>
+            {list.map((entry) => (
+              <tr key={entry.id}>
+                <td>{entry.phoneNumber}</td>
+                <td>{entry.reason}</td>
+                <td>{SOURCE_LABELS[entry.source] || entry.source}</td>
+                <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                {!readOnly && (
+                  <td>
+                    <button onClick={() => handleRemove(entry)}>Remove</button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </details>
+  );
+}
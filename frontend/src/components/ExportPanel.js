@@ -0,0 +1,86 @@
+// src/components/ExportPanel.js
+import React, { useState } from 'react';
+
+// Added columns offered by GET /api/download (see lib/export.js)
+const EXPORT_COLUMNS = [
+  { key: 'vrn', label: 'VRN' },
+  { key: 'capturedAt', label: 'Captured at' },
+  { key: 'channel', label: 'Channel' },
+  { key: 'lastOutcome', label: 'Last call outcome' },
+  { key: 'attempts', label: 'Call attempts' },
+];
+
+// Download the records as the spreadsheet they were uploaded in, with the
+// captured VRNs written back. The link opens GET /api/download on port 4000
+// directly, so the browser downloads the file instead of the dev server
+// answering with index.html.
+export default function ExportPanel({ campaignId }) {
+  const [format, setFormat] = useState('');
+  const [filter, setFilter] = useState('all');
+  const [columns, setColumns] = useState([
+    'vrn',
+    'capturedAt',
+    'channel',
+    'lastOutcome',
+  ]);
+
+  const toggleColumn = (key) => {
+    setColumns((prev) =>
+      prev.includes(key) ? prev.filter((c) => c !== key) : [...prev, key]
+    );
+  };
+
+  const params = new URLSearchParams();
+  if (campaignId) params.set('campaignId', campaignId);
+  if (format) params.set('format', format);
+  params.set('filter', filter);
+  // Keep the order of EXPORT_COLUMNS whatever order they were ticked in
+  params.set(
+    'columns',
+    EXPORT_COLUMNS.filter((c) => columns.includes(c.key))
+      .map((c) => c.key)
+      .join(',')
+  );
+
+  return (
+    <details className="export-panel">
+      <summary>Download spreadsheet</summary>
+      <label>
+        Format{' '}
+        <select value={format} onChange={(e) => setFormat(e.target.value)}>
+          <option value="">As uploaded</option>
+          <option value="xlsx">Excel (.xlsx)</option>
+          <option value="csv">CSV</option>
+        </select>
+      </label>{' '}
+      <label>
+        Rows{' '}
+        <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+          <option value="all">All bookings</option>
+          <option value="captured">VRN captured only</option>
+          <option value="pending">VRN still missing</option>
+        </select>
+      </label>
+      <div className="export-columns">
+        Add columns:
+        {EXPORT_COLUMNS.map((c) => (
+          <label key={c.key}>
+            <input
+              type="checkbox"
+              checked={columns.includes(c.key)}
+              onChange={() => toggleColumn(c.key)}
+            />{' '}
+            {c.label}
+          </label>
+        ))}
+      </div>
+      <a
+        href={`http://localhost:4000/api/download?${params}`}
+        target="_blank"
+        rel="noopener noreferrer"
+      >
+        <button>Download</button>
+      </a>
+    </details>
+  );
+}
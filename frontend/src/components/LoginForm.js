@@ -0,0 +1,59 @@
+// src/components/LoginForm.js
+import React, { useState } from 'react';
+
+// Sign-in form shown while nobody is signed in. Calls onLogin(user) with
+// { id, username, role } after POST /api/auth/login succeeds.
+export default function LoginForm({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setLoading(true);
+    fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.error) throw new Error(data.error);
+        setError('');
+        onLogin(data.user);
+      })
+      .catch((err) => {
+        setError(err.message);
+        setLoading(false);
+      });
+  };
+
+  return (
+    <form className="login-form" onSubmit={handleSubmit}>
+      <h2>Sign in</h2>
+      <label>
+        Username{' '}
+        <input
+          type="text"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+        />
+      </label>
+      <label>
+        Password{' '}
+        <input
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+      </label>
+      {error && <p className="login-error">{error}</p>}
+      <button type="submit" disabled={loading || !username || !password}>
+        {loading ? 'Signing in…' : 'Sign in'}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,342 @@
+// src/components/PolicyPanel.js
+import React, { useState, useEffect } from 'react';
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const OUTCOMES = ['default', 'busy', 'no-answer', 'failed', 'machine'];
+
+// Policy (GET /api/policy) → the strings shown in the form
+function toForm(policy) {
+  const windows = {};
+  WEEKDAYS.forEach((day) => {
+    windows[day] = (policy.callingWindows[day] || [])
+      .map((r) => `${r.start}-${r.end}`)
+      .join(', ');
+  });
+  const backoff = {};
+  [...new Set([...OUTCOMES, ...Object.keys(policy.backoffMinutes)])].forEach(
+    (outcome) => {
+      backoff[outcome] = (policy.backoffMinutes[outcome] || []).join(', ');
+    }
+  );
+  return {
+    timezone: policy.timezone,
+    windows,
+    skipBankHolidays: policy.skipBankHolidays,
+    bankHolidays: policy.bankHolidays.join('\n'),
+    maxAttemptsPerDay: String(policy.maxAttemptsPerDay),
+    maxAttemptsPerCampaign: String(policy.maxAttemptsPerCampaign),
+    backoff,
+    messageFallback: {
+      ...policy.messageFallback,
+      outcomes: policy.messageFallback.outcomes.join(', '),
+    },
+    answeringMachine: { ...policy.answeringMachine },
+    recording: {
+      ...policy.recording,
+      retentionDays: String(policy.recording.retentionDays),
+    },
+  };
+}
+
+// Form strings → the body for PUT /api/policy (the server validates it)
+function fromForm(form) {
+  const splitList = (text) =>
+    text
+      .split(/[,\n]/)
+      .map((s) => s.trim())
+      .filter(Boolean);
+  const callingWindows = {};
+  WEEKDAYS.forEach((day) => {
+    callingWindows[day] = splitList(form.windows[day]).map((range) => {
+      const [start, end] = range.split('-').map((s) => s.trim());
+      return { start, end };
+    });
+  });
+  const backoffMinutes = {};
+  Object.keys(form.backoff).forEach((outcome) => {
+    const steps = splitList(form.backoff[outcome]);
+    if (steps.length) backoffMinutes[outcome] = steps.map(Number);
+  });
+  return {
+    timezone: form.timezone.trim(),
+    callingWindows,
+    skipBankHolidays: form.skipBankHolidays,
+    bankHolidays: splitList(form.bankHolidays),
+    maxAttemptsPerDay: Number(form.maxAttemptsPerDay),
+    maxAttemptsPerCampaign: Number(form.maxAttemptsPerCampaign),
+    backoffMinutes,
+    messageFallback: {
+      ...form.messageFallback,
+      outcomes: splitList(form.messageFallback.outcomes),
+    },
+    answeringMachine: form.answeringMachine,
+    recording: {
+      ...form.recording,
+      retentionDays: Number(form.recording.retentionDays),
+    },
+  };
+}
+
+// readOnly → the policy is shown but can’t be saved (viewers)
+export default function PolicyPanel({ readOnly }) {
+  const [form, setForm] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    fetch('/api/policy')
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP error ${res.status}`);
+        return res.json();
+      })
+      .then((policy) => setForm(toForm(policy)))
+      .catch((err) => {
+        console.error('Error fetching /api/policy:', err);
+      });
+  }, []);
+
+  if (!form) {
+    return null;
+  }
+
+  const setField = (key, value) => setForm({ ...form, [key]: value });
+  const setNested = (group, key, value) =>
+    setForm({ ...form, [group]: { ...form[group], [key]: value } });
+
+  const handleSave = () => {
+    fetch('/api/policy', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(fromForm(form)),
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.error) {
+          setErrors(data.details || [data.error]);
+          return;
+        }
+        setErrors([]);
+        setForm(toForm(data));
+      })
+      .catch((err) => {
+        console.error('Error saving /api/policy:', err);
+        alert('Saving the calling policy failed. Check console for details.');
+      });
+  };
+
+  return (
+    <details className="policy-panel">
+      <summary>Calling policy</summary>
+      <fieldset disabled={readOnly}>
+        <label>
+          Timezone{' '}
+          <input
+            type="text"
+            value={form.timezone}
+            onChange={(e) => setField('timezone', e.target.value)}
+          />
+        </label>
+        <h4>
+          Calling hours (e.g. 08:00-12:00, 13:00-18:00 – empty = no calls)
+        </h4>
+        <table>
+          <tbody>
+            {WEEKDAYS.map((day) => (
+              <tr key={day}>
+                <td>{day}</td>
+                <td>
+                  <input
+                    type="text"
+                    value={form.windows[day]}
+                    onChange={(e) => setNested('windows', day, e.target.value)}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <h4>Bank holidays</h4>
+        <label>
+          <input
+            type="checkbox"
+            checked={form.skipBankHolidays}
+            onChange={(e) => setField('skipBankHolidays', e.target.checked)}
+          />{' '}
+          Don’t call on these dates (yyyy-mm-dd, one per line)
+        </label>
+        <br />
+        <textarea
+          rows={6}
+          value={form.bankHolidays}
+          onChange={(e) => setField('bankHolidays', e.target.value)}
+        />
+        <h4>Attempts per booking</h4>
+        <label>
+          Per day{' '}
+          <input
+            type="number"
+            min="1"
+            value={form.maxAttemptsPerDay}
+            onChange={(e) => setField('maxAttemptsPerDay', e.target.value)}
+          />
+        </label>{' '}
+        <label>
+          Per campaign (0 = no limit){' '}
+          <input
+            type="number"
+            min="0"
+            value={form.maxAttemptsPerCampaign}
+            onChange={(e) => setField('maxAttemptsPerCampaign', e.target.value)}
+          />
+        </label>
+        <h4>
+          Backoff in minutes after the 1st, 2nd, … attempt, by outcome of the
+          last call
+        </h4>
+        <table>
+          <tbody>
+            {Object.keys(form.backoff).map((outcome) => (
+              <tr key={outcome}>
+                <td>{outcome}</td>
+                <td>
+                  <input
+                    type="text"
+                    value={form.backoff[outcome]}
+                    onChange={(e) =>
+                      setNested('backoff', outcome, e.target.value)
+                    }
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <h4>Text message fallback</h4>
+        <label>
+          <input
+            type="checkbox"
+            checked={form.messageFallback.enabled}
+            onChange={(e) =>
+              setNested('messageFallback', 'enabled', e.target.checked)
+            }
+          />{' '}
+          After the last call of the day, text customers whose last call was
+        </label>{' '}
+        <input
+          type="text"
+          value={form.messageFallback.outcomes}
+          onChange={(e) =>
+            setNested('messageFallback', 'outcomes', e.target.value)
+          }
+        />{' '}
+        <label>
+          by{' '}
+          <select
+            value={form.messageFallback.channel}
+            onChange={(e) =>
+              setNested('messageFallback', 'channel', e.target.value)
+            }
+          >
+            <option value="sms">SMS</option>
+            <option value="whatsapp">WhatsApp</option>
+          </select>
+        </label>
+        <p>
+          Message ({'{customerName}'}, {'{bookingId}'}, {'{bookingDetails}'} and{' '}
+          {'{captureLink}'} – a self-service link – are filled in; the customer
+          replies with their registration or uses the link):
+        </p>
+        <textarea
+          rows={3}
+          cols={80}
+          value={form.messageFallback.template}
+          onChange={(e) =>
+            setNested('messageFallback', 'template', e.target.value)
+          }
+        />
+        <h4>Answering machines</h4>
+        <label>
+          <input
+            type="checkbox"
+            checked={form.answeringMachine.enabled}
+            onChange={(e) =>
+              setNested('answeringMachine', 'enabled', e.target.checked)
+            }
+          />{' '}
+          Detect answering machines and
+        </label>{' '}
+        <select
+          value={form.answeringMachine.action}
+          onChange={(e) =>
+            setNested('answeringMachine', 'action', e.target.value)
+          }
+        >
+          <option value="hangup">hang up</option>
+          <option value="voicemail">leave a voicemail</option>
+        </select>{' '}
+        (the call counts as outcome “machine”)
+        {form.answeringMachine.action === 'voicemail' && (
+          <>
+            <p>
+              Voicemail read out ({'{customerName}'}, {'{bookingId}'},{' '}
+              {'{bookingDetails}'} are filled in):
+            </p>
+            <textarea
+              rows={3}
+              cols={80}
+              value={form.answeringMachine.message}
+              onChange={(e) =>
+                setNested('answeringMachine', 'message', e.target.value)
+              }
+            />
+            <p>
+              <label>
+                …or play this recording instead (URL of an MP3 / WAV){' '}
+                <input
+                  type="text"
+                  size={50}
+                  value={form.answeringMachine.audioUrl}
+                  onChange={(e) =>
+                    setNested('answeringMachine', 'audioUrl', e.target.value)
+                  }
+                />
+              </label>
+            </p>
+          </>
+        )}
+        <h4>Call recording</h4>
+        <label>
+          <input
+            type="checkbox"
+            checked={form.recording.enabled}
+            onChange={(e) =>
+              setNested('recording', 'enabled', e.target.checked)
+            }
+          />{' '}
+          Record calls for quality review
+        </label>
+        <p>
+          <label>
+            Delete recordings after{' '}
+            <input
+              type="number"
+              min="0"
+              value={form.recording.retentionDays}
+              onChange={(e) =>
+                setNested('recording', 'retentionDays', e.target.value)
+              }
+            />{' '}
+            days (0 = keep them)
+          </label>
+        </p>
+        {errors.length > 0 && (
+          <ul className="policy-errors">
+            {errors.map((msg) => (
+              <li key={msg}>{msg}</li>
+            ))}
+          </ul>
+        )}
+        {!readOnly && <button onClick={handleSave}>Save policy</button>}
+      </fieldset>
+    </details>
+  );
+}
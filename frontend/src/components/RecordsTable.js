@@ -1,13 +1,47 @@
 import React, { useState, useEffect } from 'react';
+import CallHistory from './CallHistory';
 import './RecordsTable.css';
 
-export default function RecordsTable({ records, onCellChange }) {
+// Call statuses that mean the customer is being called right now
+const CALL_IN_PROGRESS = ['queued', 'initiated', 'ringing', 'in-progress'];
+
+// Record fields that aren’t table columns (sheetRow: the uploaded row, for exports)
+const HIDDEN_COLUMNS = ['sheetRow'];
+
+// Columns shown but never editable (bookingId is the record’s key)
+const READ_ONLY_COLUMNS = ['bookingId'];
+
+// Row classes: uncallable number, retired, call in progress, VRN just captured
+function rowClassName(row, justCaptured) {
+  const classes = [];
+  if (row.phoneUncallableReason) classes.push('row-uncallable');
+  if (row.retiredAt) classes.push('row-retired');
+  if (CALL_IN_PROGRESS.includes(row.lastCallStatus))
+    classes.push('row-calling');
+  if (justCaptured && justCaptured[row.bookingId]) {
+    classes.push('row-captured');
+  }
+  return classes.join(' ');
+}
+
+// readOnly     → cells can’t be edited (viewers)
+// onCellChange → (rowIndex, columnKey, newValue) when an edited cell is saved
+// justCaptured → { bookingId: timestamp } of VRNs that just came in (highlighted)
+export default function RecordsTable({
+  records,
+  justCaptured,
+  onCellChange,
+  readOnly,
+}) {
   const [localRows, setLocalRows] = useState([]);
+  // bookingIds whose call history is expanded
+  const [expanded, setExpanded] = useState({});
 
   useEffect(() => {
     setLocalRows(records || []);
   }, [records]);
 
+  // Typing only changes the table; the edit is saved by saveCell()
   const handleInputChange = (rowIndex, columnKey, event) => {
     const newValue = event.target.value;
     setLocalRows((prev) => {
@@ -15,22 +49,65 @@ export default function RecordsTable({ records, onCellChange }) {
       updated[rowIndex] = { ...updated[rowIndex], [columnKey]: newValue };
       return updated;
     });
+  };
+
+  // Saves a cell once when it is left (or Enter is pressed), if it changed
+  const saveCell = (rowIndex, columnKey, event) => {
+    const newValue = event.target.value;
+    const saved = (records[rowIndex] || {})[columnKey];
+    if (newValue === (saved || '')) return;
     if (typeof onCellChange === 'function') {
       onCellChange(rowIndex, columnKey, newValue);
     }
   };
 
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.target.blur();
+    }
+  };
+
+  const toggleHistory = (bookingId) => {
+    setExpanded((prev) => ({ ...prev, [bookingId]: !prev[bookingId] }));
+  };
+
+  // Creates a self-service link for the customer and shows it to copy
+  const showCaptureLink = (bookingId) => {
+    fetch(`/api/records/${encodeURIComponent(bookingId)}/captureLink`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP error ${res.status}`);
+        return res.json();
+      })
+      .then((link) => {
+        const url = link.url.startsWith('/')
+          ? window.location.origin + link.url
+          : link.url;
+        window.prompt(
+          `Self-service link for ${bookingId} (valid until ${new Date(
+            link.expiresAt
+          ).toLocaleString()}):`,
+          url
+        );
+      })
+      .catch((err) => {
+        console.error('Error creating capture link:', err);
+      });
+  };
+
   if (!Array.isArray(localRows) || localRows.length === 0) {
     return <div className="no-records">No records to display.</div>;
   }
 
-  const columnKeys = Object.keys(localRows[0]);
+  const columnKeys = Object.keys(localRows[0]).filter(
+    (key) => !HIDDEN_COLUMNS.includes(key)
+  );
 
   return (
     <div className="table‐wrapper">
       <table className="records‐table">
         <thead>
           <tr>
+            <th />
             {columnKeys.map((key) => (
               <th key={key}>{toHeaderLabel(key)}</th>
             ))}
@@ -38,17 +115,56 @@ export default function RecordsTable({ records, onCellChange }) {
         </thead>
         <tbody>
           {localRows.map((row, rowIndex) => (
-            <tr key={rowIndex}>
-              {columnKeys.map((colKey) => (
-                <td key={colKey}>
-                  <input
-                    type="text"
-                    value={row[colKey] || ''}
-                    onChange={(e) => handleInputChange(rowIndex, colKey, e)}
-                  />
+            <React.Fragment key={rowIndex}>
+              <tr
+                className={rowClassName(row, justCaptured)}
+                title={
+                  row.phoneUncallableReason
+                    ? `Not called: ${row.phoneUncallableReason}`
+                    : row.retiredAt
+                    ? 'Not called: missing from the latest upload'
+                    : undefined
+                }
+              >
+                <td>
+                  <button
+                    className="history-toggle"
+                    title="Call history"
+                    onClick={() => toggleHistory(row.bookingId)}
+                  >
+                    {expanded[row.bookingId] ? '▾' : '▸'}
+                  </button>
+                  {!readOnly && (
+                    <button
+                      className="history-toggle"
+                      title="Self-service link for the customer"
+                      onClick={() => showCaptureLink(row.bookingId)}
+                    >
+                      🔗
+                    </button>
+                  )}
                 </td>
-              ))}
-            </tr>
+                {columnKeys.map((colKey) => (
+                  <td key={colKey}>
+                    <input
+                      type="text"
+                      value={row[colKey] || ''}
+                      readOnly={readOnly || READ_ONLY_COLUMNS.includes(colKey)}
+                      onChange={(e) => handleInputChange(rowIndex, colKey, e)}
+                      onBlur={(e) => saveCell(rowIndex, colKey, e)}
+                      onKeyDown={handleKeyDown}
+                    />
+                  </td>
+                ))}
+              </tr>
+              {expanded[row.bookingId] && (
+                <tr>
+                  <td colSpan={columnKeys.length + 1}>
+                    <CallHistory bookingId={row.bookingId} />
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
           ))}
         </tbody>
       </table>
@@ -0,0 +1,146 @@
+// src/components/SchedulerPanel.js
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+
+const POLL_INTERVAL_MS = 10000;
+
+// readOnly → status only, no start/pause/resume (viewers)
+export default function SchedulerPanel({ onRunComplete, readOnly }) {
+  const [status, setStatus] = useState(null);
+  const [intervalSeconds, setIntervalSeconds] = useState('60');
+  const lastRunRef = useRef(null);
+  // Keep the latest callback in a ref so polling isn't restarted on every render
+  const onRunCompleteRef = useRef(onRunComplete);
+  onRunCompleteRef.current = onRunComplete;
+
+  const applyStatus = useCallback((data) => {
+    setStatus(data);
+    // A new run finished since we last looked → let the parent reload the table
+    if (data.lastRunAt && data.lastRunAt !== lastRunRef.current) {
+      if (
+        lastRunRef.current &&
+        typeof onRunCompleteRef.current === 'function'
+      ) {
+        onRunCompleteRef.current();
+      }
+      lastRunRef.current = data.lastRunAt;
+    }
+  }, []);
+
+  const fetchStatus = useCallback(() => {
+    fetch('/api/scheduler/status')
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP error ${res.status}`);
+        return res.json();
+      })
+      .then(applyStatus)
+      .catch((err) => {
+        console.error('Error fetching /api/scheduler/status:', err);
+      });
+  }, [applyStatus]);
+
+  // Poll the scheduler status while the panel is mounted
+  useEffect(() => {
+    fetchStatus();
+    const id = setInterval(fetchStatus, POLL_INTERVAL_MS);
+    return () => clearInterval(id);
+  }, [fetchStatus]);
+
+  const sendAction = (action, body) => {
+    fetch(`/api/scheduler/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body || {}),
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.error) throw new Error(data.error);
+        applyStatus(data);
+      })
+      .catch((err) => {
+        console.error(`Error calling /api/scheduler/${action}:`, err);
+        alert(`Scheduler ${action} failed: ${err.message}`);
+      });
+  };
+
+  const state = status ? status.state : 'stopped';
+
+  // { backoff: 2, max_attempts_per_day: 1 } → ", skipped: 2 backoff, 1 max attempts per day"
+  const formatSkipped = (skipped) => {
+    const parts = Object.keys(skipped || {}).map(
+      (rule) => `${skipped[rule]} ${rule.replace(/_/g, ' ')}`
+    );
+    return parts.length ? `, skipped: ${parts.join(', ')}` : '';
+  };
+
+  return (
+    <div>
+      {!readOnly && state === 'stopped' && (
+        <>
+          <label style={{ marginRight: '0.5rem' }}>
+            Run every{' '}
+            <input
+              type="number"
+              min="10"
+              value={intervalSeconds}
+              onChange={(e) => setIntervalSeconds(e.target.value)}
+              style={{ width: '5rem' }}
+            />{' '}
+            seconds
+          </label>
+          <button
+            onClick={() =>
+              sendAction('start', { intervalSeconds: Number(intervalSeconds) })
+            }
+          >
+            Start Calling
+          </button>
+        </>
+      )}
+      {!readOnly && state === 'running' && (
+        <button onClick={() => sendAction('pause')}>Pause</button>
+      )}
+      {!readOnly && state === 'paused' && (
+        <button onClick={() => sendAction('resume')}>Resume</button>
+      )}
+
+      {status && (
+        <ul style={{ marginTop: '0.75rem', paddingLeft: '1.25rem' }}>
+          <li>
+            State: <strong>{status.state}</strong>
+            {status.inProgress ? ' (placing calls…)' : ''}
+            {!status.withinCallingWindow ? ' – outside calling window' : ''}
+          </li>
+          <li>Every {status.intervalSeconds}s</li>
+          <li>
+            Next run:{' '}
+            {status.nextRunAt
+              ? new Date(status.nextRunAt).toLocaleTimeString()
+              : '—'}
+          </li>
+          <li>Queue depth: {status.queueDepth} record(s) ready to call</li>
+          {status.dispatch && (
+            <li>
+              Dispatch: {status.dispatch.waiting} call(s) waiting
+              {status.dispatch.retrying
+                ? ` (${status.dispatch.retrying} retrying)`
+                : ''}
+              , {status.dispatch.inProgress} of {status.dispatch.concurrency} in
+              progress, up to {status.dispatch.callsPerSecond} per second
+            </li>
+          )}
+          {status.lastResult && (
+            <li>
+              Last run: {new Date(status.lastRunAt).toLocaleTimeString()} –{' '}
+              {status.lastResult.message ||
+                `${status.lastResult.callsQueued} call(s) queued`}
+              {status.lastResult.messagesPlanned
+                ? `, ${status.lastResult.messagesPlanned} message(s) to send`
+                : ''}
+              {formatSkipped(status.lastResult.skipped)}
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
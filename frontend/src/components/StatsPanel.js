@@ -0,0 +1,192 @@
+// src/components/StatsPanel.js
+import React, { useState, useEffect, useCallback } from 'react';
+
+const OUTCOME_LABELS = {
+  completed: 'Completed',
+  busy: 'Busy',
+  'no-answer': 'No answer',
+  failed: 'Failed',
+  machine: 'Answering machine',
+  rejected: 'Number rejected',
+  other: 'Other / in progress',
+};
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+// Horizontal bar chart: rows of { label, value }
+function BarChart({ rows }) {
+  const max = Math.max(1, ...rows.map((r) => r.value));
+  return (
+    <table className="bar-chart">
+      <tbody>
+        {rows.map((r) => (
+          <tr key={r.label}>
+            <th>{r.label}</th>
+            <td>
+              <div
+                className="bar"
+                style={{ width: `${(r.value / max) * 100}%` }}
+              />
+            </td>
+            <td className="bar-value">{r.value}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Column chart of successful calls per hour of the day
+function HourlyChart({ hourly }) {
+  const max = Math.max(1, ...hourly.map((h) => h.successful));
+  return (
+    <div className="hourly-chart">
+      {hourly.map((h) => (
+        <div
+          key={h.hour}
+          className="hourly-column"
+          title={`${String(h.hour).padStart(2, '0')}:00 – ${
+            h.successful
+          } successful call(s)`}
+        >
+          <div
+            className="bar"
+            style={{ height: `${(h.successful / max) * 100}%` }}
+          />
+          <span>{h.hour}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Campaign statistics (GET /api/stats) for the picked campaign, or every
+// active campaign, with an optional date range for calls and captures.
+export default function StatsPanel({ campaignId }) {
+  const [stats, setStats] = useState(null);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [error, setError] = useState('');
+
+  const loadStats = useCallback(() => {
+    const params = new URLSearchParams();
+    if (campaignId) params.set('campaignId', campaignId);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    fetch(`/api/stats?${params}`)
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.error) {
+          setError((data.details || [data.error]).join(', '));
+          return;
+        }
+        setError('');
+        setStats(data);
+      })
+      .catch((err) => {
+        console.error('Error fetching /api/stats:', err);
+      });
+  }, [campaignId, from, to]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  return (
+    <details className="stats-panel" open>
+      <summary>Statistics</summary>
+      <div className="stats-filter">
+        <label>
+          From{' '}
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+          />
+        </label>{' '}
+        <label>
+          To{' '}
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+          />
+        </label>{' '}
+        {(from || to) && (
+          <button
+            onClick={() => {
+              setFrom('');
+              setTo('');
+            }}
+          >
+            All time
+          </button>
+        )}{' '}
+        <button onClick={loadStats}>Refresh</button>
+        {error && <span className="stats-error"> {error}</span>}
+      </div>
+
+      {stats && (
+        <>
+          <div className="stats-summary">
+            <div>
+              <strong>{stats.records.total}</strong>
+              records
+            </div>
+            <div>
+              <strong>{stats.records.captured}</strong>
+              VRNs captured ({percent(stats.records.captureRate)})
+            </div>
+            <div>
+              <strong>{stats.calls.placed}</strong>
+              calls placed
+            </div>
+            <div>
+              <strong>{percent(stats.calls.answerRate)}</strong>
+              answered ({stats.calls.answered})
+            </div>
+            <div>
+              <strong>
+                {stats.captures.inRange
+                  ? stats.captures.attemptsPerCapture.toFixed(1)
+                  : '—'}
+              </strong>
+              attempts per capture
+            </div>
+          </div>
+
+          <div className="stats-charts">
+            <div>
+              <h4>Call outcomes</h4>
+              <BarChart
+                rows={Object.keys(OUTCOME_LABELS).map((key) => ({
+                  label: OUTCOME_LABELS[key],
+                  value: stats.calls.outcomes[key] || 0,
+                }))}
+              />
+            </div>
+            <div>
+              <h4>Attempts needed per capture</h4>
+              {stats.captures.inRange ? (
+                <BarChart
+                  rows={Object.keys(stats.captures.byAttempts)
+                    .sort((a, b) => a - b)
+                    .map((n) => ({
+                      label: `${n} attempt${n === '1' ? '' : 's'}`,
+                      value: stats.captures.byAttempts[n],
+                    }))}
+                />
+              ) : (
+                <p>No VRNs captured by phone yet.</p>
+              )}
+            </div>
+            <div>
+              <h4>Successful calls by hour ({stats.timezone})</h4>
+              <HourlyChart hourly={stats.hourly} />
+            </div>
+          </div>
+        </>
+      )}
+    </details>
+  );
+}
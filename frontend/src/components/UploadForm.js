@@ -1,9 +1,49 @@
 // src/components/UploadForm.js
-import React, { useRef } from 'react';
+import React, { useRef, useState } from 'react';
+import UploadPreview from './UploadPreview';
 // import './UploadForm.css';  ← remove or comment out this line
 
-export default function UploadForm({ onUploadSuccess }) {
+const NEW_CAMPAIGN = '__new__';
+
+// Two-step upload: the file is previewed first (POST /api/upload/preview) so the
+// column mapping can be checked, then confirmed into a campaign. Uploading into
+// an existing campaign can merge the file into its bookings (mode 'merge'), and
+// the result is shown as a diff summary.
+export default function UploadForm({
+  campaigns = [],
+  selectedCampaignId,
+  onUploadSuccess,
+}) {
   const fileInputRef = useRef();
+  // Which campaign to upload into: an existing id, or NEW_CAMPAIGN + a name
+  const [target, setTarget] = useState('');
+  const [newCampaignName, setNewCampaignName] = useState('');
+  const [merge, setMerge] = useState(false);
+  const [retireMissing, setRetireMissing] = useState(false);
+  // Response of the last confirmed upload (diff summary)
+  const [summary, setSummary] = useState(null);
+  // Wizard state (preview === null → step 1)
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null);
+  const [templates, setTemplates] = useState([]);
+
+  const targetId =
+    target ||
+    (campaigns.some((c) => c.id === selectedCampaignId)
+      ? selectedCampaignId
+      : NEW_CAMPAIGN);
+  const mode = merge && targetId !== NEW_CAMPAIGN ? 'merge' : 'add';
+  // Tells the validation report which bookings would be merged
+  const reportTarget =
+    targetId === NEW_CAMPAIGN ? { mode } : { mode, campaignId: targetId };
+
+  const resetWizard = () => {
+    setPreview(null);
+    setMapping({});
+    setReport(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -12,18 +52,85 @@ export default function UploadForm({ onUploadSuccess }) {
       alert('Please choose a file first.');
       return;
     }
+    if (targetId === NEW_CAMPAIGN && !newCampaignName.trim()) {
+      alert('Please enter a name for the new campaign.');
+      return;
+    }
     const formData = new FormData();
     formData.append('file', fileObj);
+    Object.keys(reportTarget).forEach((key) =>
+      formData.append(key, reportTarget[key])
+    );
+    setSummary(null);
 
     try {
-      const resp = await fetch('/api/upload', {
+      const [resp, tplResp] = await Promise.all([
+        fetch('/api/upload/preview', { method: 'POST', body: formData }),
+        fetch('/api/mappingTemplates'),
+      ]);
+      const result = await resp.json();
+      if (!resp.ok) {
+        alert(`Upload failed: ${result.error}`);
+        return;
+      }
+      setTemplates(tplResp.ok ? await tplResp.json() : []);
+      setPreview(result);
+      setMapping(result.proposedMapping);
+      setReport(result.report);
+    } catch (err) {
+      console.error('Upload error:', err);
+      alert('Upload failed. Check console for details.');
+    }
+  };
+
+  // Re-validate whenever the user changes the mapping
+  const handleMappingChange = (nextMapping) => {
+    setMapping(nextMapping);
+    fetch(`/api/upload/${preview.uploadId}/validate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mapping: nextMapping, ...reportTarget }),
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        // A missing required column comes back as { error } – keep the old report
+        if (data.report) setReport(data.report);
+      })
+      .catch((err) => {
+        console.error('Error validating mapping:', err);
+      });
+  };
+
+  const handleConfirm = async (saveTemplateAs) => {
+    const body = {
+      mapping,
+      saveTemplateAs,
+      mode,
+      retireMissing: mode === 'merge' && retireMissing,
+    };
+    if (targetId === NEW_CAMPAIGN) {
+      body.campaignName = newCampaignName.trim();
+    } else {
+      body.campaignId = targetId;
+    }
+
+    try {
+      const resp = await fetch(`/api/upload/${preview.uploadId}/confirm`, {
         method: 'POST',
-        body: formData,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
       });
       const result = await resp.json();
-      alert(`Upload complete: ${result.count} records.`);
+      if (!resp.ok) {
+        alert(`Upload failed: ${result.error}`);
+        return;
+      }
+      setSummary(result);
+      resetWizard();
+      setNewCampaignName('');
+      setTarget('');
       if (typeof onUploadSuccess === 'function') {
-        onUploadSuccess();
+        onUploadSuccess(result.campaignId);
       }
     } catch (err) {
       console.error('Upload error:', err);
@@ -34,14 +141,90 @@ export default function UploadForm({ onUploadSuccess }) {
   return (
     <div style={{ marginBottom: '1rem' }}>
       <form onSubmit={handleSubmit}>
+        <select
+          value={targetId}
+          onChange={(e) => setTarget(e.target.value)}
+          style={{ marginRight: '0.5rem' }}
+        >
+          {campaigns.map((c) => (
+            <option key={c.id} value={c.id}>
+              Add to: {c.name}
+            </option>
+          ))}
+          <option value={NEW_CAMPAIGN}>New campaign…</option>
+        </select>
+        {targetId === NEW_CAMPAIGN && (
+          <input
+            type="text"
+            placeholder="Campaign name"
+            value={newCampaignName}
+            onChange={(e) => setNewCampaignName(e.target.value)}
+            style={{ marginRight: '0.5rem' }}
+          />
+        )}
         <input
           type="file"
           accept=".csv,.xlsx"
           ref={fileInputRef}
           style={{ marginRight: '0.5rem' }}
         />
-        <button type="submit">Upload</button>
+        <button type="submit">Preview</button>
+        {targetId !== NEW_CAMPAIGN && (
+          <div className="upload-merge-options">
+            <label>
+              <input
+                type="checkbox"
+                checked={merge}
+                onChange={(e) => setMerge(e.target.checked)}
+              />{' '}
+              Merge with the campaign’s bookings (update contact details, keep
+              VRNs and attempts)
+            </label>
+            {merge && (
+              <label>
+                <input
+                  type="checkbox"
+                  checked={retireMissing}
+                  onChange={(e) => setRetireMissing(e.target.checked)}
+                />{' '}
+                Stop calling bookings that aren’t in this file
+              </label>
+            )}
+          </div>
+        )}
       </form>
+
+      {summary && (
+        <div className="upload-summary">
+          <strong>Upload into “{summary.campaignName}” complete:</strong>{' '}
+          {summary.diff.added} added
+          {summary.mode === 'merge' &&
+            `, ${summary.diff.updated} updated, ${summary.diff.unchanged} unchanged, ${summary.diff.removed} retired`}
+          {summary.skipped ? `, ${summary.skipped} skipped` : ''}.
+          {summary.changes.length > 0 && (
+            <ul>
+              {summary.changes.map((c) => (
+                <li key={c.bookingId}>
+                  {c.bookingId}: {c.fields.join(', ')}
+                </li>
+              ))}
+            </ul>
+          )}
+          <button onClick={() => setSummary(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {preview && report && (
+        <UploadPreview
+          preview={preview}
+          mapping={mapping}
+          report={report}
+          templates={templates}
+          onMappingChange={handleMappingChange}
+          onConfirm={handleConfirm}
+          onCancel={resetWizard}
+        />
+      )}
     </div>
   );
 }
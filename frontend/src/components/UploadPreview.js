@@ -0,0 +1,163 @@
+// src/components/UploadPreview.js
+import React, { useState } from 'react';
+
+// Step 2 of the upload wizard: confirm/adjust the column mapping, see a
+// preview of the mapped rows and the validation report, then import.
+export default function UploadPreview({
+  preview,
+  mapping,
+  report,
+  templates,
+  onMappingChange,
+  onConfirm,
+  onCancel,
+}) {
+  const [templateName, setTemplateName] = useState('');
+  const { fields, headers, sampleRows } = preview;
+
+  const applyTemplate = (templateId) => {
+    const tpl = templates.find((t) => t.id === templateId);
+    if (!tpl) return;
+    // Only keep headers that exist in this file
+    const next = {};
+    fields.forEach(({ field }) => {
+      const header = tpl.mapping[field];
+      next[field] = header && headers.includes(header) ? header : '';
+    });
+    onMappingChange(next);
+  };
+
+  return (
+    <div className="upload-preview">
+      <p>
+        <strong>{preview.fileName}</strong> – {report.totalRows} row(s),{' '}
+        {report.importableRows} will be imported.
+      </p>
+
+      {templates.length > 0 && (
+        <label>
+          Apply saved mapping:{' '}
+          <select
+            defaultValue={preview.templateId || ''}
+            onChange={(e) => applyTemplate(e.target.value)}
+          >
+            <option value="">—</option>
+            {templates.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <table>
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Spreadsheet column</th>
+            {sampleRows.map((_, i) => (
+              <th key={i}>Row {i + 2}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {fields.map(({ field, label, required }) => (
+            <tr key={field}>
+              <td>
+                {label}
+                {required ? ' *' : ''}
+              </td>
+              <td>
+                <select
+                  value={mapping[field] || ''}
+                  onChange={(e) =>
+                    onMappingChange({ ...mapping, [field]: e.target.value })
+                  }
+                >
+                  <option value="">— not in file —</option>
+                  {headers.map((h) => (
+                    <option key={h} value={h}>
+                      {h}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              {sampleRows.map((row, i) => (
+                <td key={i}>
+                  {mapping[field] ? String(row[mapping[field]]) : ''}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3>Validation report</h3>
+      <ul>
+        <li>
+          Phone numbers: {report.counts.mobile} mobile, {report.counts.landline}{' '}
+          landline, {report.counts.invalidPhone} uncallable (imported but won’t
+          be called)
+        </li>
+        <li>
+          Duplicate booking IDs (skipped): {report.counts.duplicateBookingId}
+        </li>
+        <li>Already imported (skipped): {report.counts.alreadyImported}</li>
+        {report.counts.merged > 0 && (
+          <li>Already in this campaign (updated): {report.counts.merged}</li>
+        )}
+        <li>
+          Missing booking IDs (generated): {report.counts.missingBookingId}
+        </li>
+        <li>Already have a VRN (won’t be called): {report.counts.hasVrn}</li>
+        {report.counts.invalidVrn > 0 && (
+          <li>
+            VRN column not a registration (imported without a VRN):{' '}
+            {report.counts.invalidVrn}
+          </li>
+        )}
+      </ul>
+      {report.rows.length > 0 && (
+        <div className="upload-report">
+          <table>
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Booking ID</th>
+                <th>Issues</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((r) => (
+                <tr key={r.row} className={r.skipped ? 'row-skipped' : ''}>
+                  <td>{r.row}</td>
+                  <td>{r.bookingId || '—'}</td>
+                  <td>
+                    {r.issues.map((issue) => (
+                      <div key={issue.code}>{issue.message}</div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ marginTop: '1rem' }}>
+        <input
+          type="text"
+          placeholder="Save mapping as… (optional)"
+          value={templateName}
+          onChange={(e) => setTemplateName(e.target.value)}
+          style={{ marginRight: '0.5rem' }}
+        />
+        <button onClick={() => onConfirm(templateName.trim())}>
+          Import {report.importableRows} row(s)
+        </button>
+        <button onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
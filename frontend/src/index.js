@@ -4,10 +4,19 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css'; // import the global styles
 import App from './App'; // import the main App component
+import CapturePage from './components/CapturePage';
+
+// Customers open /capture/<token> from a link we sent them: that page needs no
+// login, so it is rendered instead of the dashboard
+const captureMatch = window.location.pathname.match(/^\/capture\/([^/]+)/);
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {captureMatch ? (
+      <CapturePage token={decodeURIComponent(captureMatch[1])} />
+    ) : (
+      <App />
+    )}
   </React.StrictMode>
 );
@@ -0,0 +1,55 @@
+// lib/auth/index.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Dashboard login. Operators sign in with a username and password
+// (POST /api/auth/login) and get a session cookie; the routes in server.js then
+// declare who may use them:
+//
+//   requireRole('viewer')   → any signed-in user (viewers and operators)
+//   requireRole('operator') → operators only
+//
+// Both set req.user = { id, username, role }. Unauthenticated requests get 401,
+// viewers calling an operator route 403. The user is re-read on every request,
+// so deleting an account or changing its role takes effect immediately.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const session = require('express-session');
+const { StorageSessionStore } = require('./sessionStore');
+const { ROLES, publicUser } = require('./users');
+
+const SESSION_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+function createSessionMiddleware({ storage, secret, secure }) {
+  return session({
+    name: 'vrn.sid',
+    secret: secret,
+    store: new StorageSessionStore(storage),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: Boolean(secure),
+      maxAge: SESSION_MAX_AGE_MS,
+    },
+  });
+}
+
+function createRequireRole(storage) {
+  return function requireRole(role) {
+    const minLevel = ROLES.indexOf(role);
+    return (req, res, next) => {
+      const userId = req.session && req.session.userId;
+      const user = userId ? storage.get('users', userId) : null;
+      if (!user) {
+        return res.status(401).json({ error: 'Not signed in' });
+      }
+      if (ROLES.indexOf(user.role) < minLevel) {
+        return res.status(403).json({ error: `Only ${role}s can do this` });
+      }
+      req.user = publicUser(user);
+      return next();
+    };
+  };
+}
+
+module.exports = { createSessionMiddleware, createRequireRole };
@@ -0,0 +1,45 @@
+// lib/auth/sessionStore.js
+// ─────────────────────────────────────────────────────────────────────────────
+// express-session store on top of our storage layer (“sessions” collection),
+// so logins survive a restart with either the JSON or the SQLite driver.
+// Sessions are only written on login/logout (no touch), and expired ones are
+// dropped when read.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const session = require('express-session');
+
+class StorageSessionStore extends session.Store {
+  constructor(storage) {
+    super();
+    this.storage = storage;
+  }
+
+  get(sid, callback) {
+    const doc = this.storage.get('sessions', sid);
+    if (!doc) {
+      return callback(null, null);
+    }
+    if (doc.expiresAt && new Date(doc.expiresAt) < new Date()) {
+      this.storage.remove('sessions', sid);
+      return callback(null, null);
+    }
+    return callback(null, doc.session);
+  }
+
+  set(sid, sess, callback) {
+    const expires = sess.cookie && sess.cookie.expires;
+    this.storage.put('sessions', {
+      id: sid,
+      session: sess,
+      expiresAt: expires ? new Date(expires).toISOString() : null,
+    });
+    callback(null);
+  }
+
+  destroy(sid, callback) {
+    this.storage.remove('sessions', sid);
+    callback(null);
+  }
+}
+
+module.exports = { StorageSessionStore };
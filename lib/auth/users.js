@@ -0,0 +1,82 @@
+// lib/auth/users.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Operator accounts, stored in the “users” collection:
+//   { id, username, passwordHash, role: 'viewer' | 'operator', createdAt }
+// Passwords are hashed with scrypt ("scrypt$<salt>$<hash>", both hex).
+//
+// Roles: viewers can see records, campaigns and status; operators can also
+// upload, edit, start calls, change the policy and export.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator'];
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function findUserByUsername(storage, username) {
+  const wanted = String(username || '')
+    .trim()
+    .toLowerCase();
+  return (
+    storage.list('users').find((u) => u.username.toLowerCase() === wanted) ||
+    null
+  );
+}
+
+// Throws if the username is taken or the details are invalid.
+function createUser(storage, { username, password, role = 'viewer' }) {
+  const name = String(username || '').trim();
+  if (!name) {
+    throw new Error('Username is required');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    throw new Error(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+  if (findUserByUsername(storage, name)) {
+    throw new Error(`User "${name}" already exists`);
+  }
+  const user = {
+    id: crypto.randomUUID(),
+    username: name,
+    passwordHash: hashPassword(password),
+    role: role,
+    createdAt: new Date().toISOString(),
+  };
+  storage.put('users', user);
+  return user;
+}
+
+// What the API returns about a user (never the hash)
+function publicUser(user) {
+  return { id: user.id, username: user.username, role: user.role };
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  findUserByUsername,
+  createUser,
+  publicUser,
+};
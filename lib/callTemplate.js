@@ -0,0 +1,163 @@
+// lib/callTemplate.js
+// ─────────────────────────────────────────────────────────────────────────────
+// What the assistant says and sounds like on a campaign’s calls. Each campaign
+// may carry a callTemplate (missing keys fall back to DEFAULT_CALL_TEMPLATE):
+//
+//   {
+//     greeting:     'Hi {customerName}, I’m calling about {about}',
+//     voice:        'en-GB-KateNeural',
+//     language:     'en-GB',
+//     assistantSid: ''          // '' = TWILIO_ASSISTANT_SID
+//   }
+//
+// The greeting’s {placeholders} come from the bookings on the call (see
+// PLACEHOLDERS); a call covering several bookings lists their ids and
+// details. buildAssistantTwiml() XML-escapes every value it inserts, so names
+// like “O’Brien & Sons” can’t break the TwiML.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_CALL_TEMPLATE = {
+  greeting: 'Hi {customerName}, I’m calling about {about}',
+  voice: 'en-GB-KateNeural',
+  language: 'en-GB',
+  assistantSid: '',
+};
+
+// Placeholder → what it is filled with (shown in the UI)
+const PLACEHOLDERS = {
+  customerName: 'Customer name',
+  bookingId: 'Booking ID(s)',
+  bookingDetails: 'Booking details',
+  bookingDate: 'Booking date',
+  airport: 'Airport',
+  bookingCount: 'Number of bookings on the call',
+  about:
+    '“your booking. I just need your car registration number.” (or the several-bookings version)',
+};
+
+const PLACEHOLDER_RE = /\{(\w+)\}/g;
+const LANGUAGE_RE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Distinct non-empty values of one field across the bookings on a call
+function joined(rows, field, separator) {
+  return [...new Set(rows.map((r) => r[field]).filter(Boolean))].join(
+    separator
+  );
+}
+
+// Placeholder values for the bookings (records) of one phone number
+function templateValues(rows) {
+  return {
+    customerName: (rows[0] && rows[0].customerName) || '',
+    bookingId: joined(rows, 'bookingId', ', '),
+    bookingDetails: joined(rows, 'bookingDetails', '; '),
+    bookingDate: joined(rows, 'bookingDate', ', '),
+    airport: joined(rows, 'airport', ', '),
+    bookingCount: String(rows.length),
+    about:
+      rows.length > 1
+        ? `your ${rows.length} bookings. I just need the car registration number for each of them.`
+        : 'your booking. I just need your car registration number.',
+  };
+}
+
+// Replaces {placeholders} with values[key]; unknown ones are left as they are
+function fillTemplate(text, values) {
+  return String(text).replace(PLACEHOLDER_RE, (match, key) =>
+    key in values ? values[key] : match
+  );
+}
+
+// Checks a template sent by the API/UI. Missing keys fall back to the defaults.
+// Returns { valid: true, callTemplate } or { valid: false, errors: [...] }.
+function validateCallTemplate(input) {
+  const src = input && typeof input === 'object' ? input : {};
+  const callTemplate = {};
+  Object.keys(DEFAULT_CALL_TEMPLATE).forEach((key) => {
+    const value =
+      src[key] !== undefined ? src[key] : DEFAULT_CALL_TEMPLATE[key];
+    callTemplate[key] = String(value === null ? '' : value).trim();
+  });
+  const errors = [];
+
+  if (!callTemplate.greeting) {
+    errors.push('greeting is required');
+  }
+  const unknown = [...callTemplate.greeting.matchAll(PLACEHOLDER_RE)]
+    .map((m) => m[1])
+    .filter((key) => !(key in PLACEHOLDERS));
+  [...new Set(unknown)].forEach((key) =>
+    errors.push(
+      `Unknown placeholder {${key}} (use ${Object.keys(PLACEHOLDERS)
+        .map((k) => `{${k}}`)
+        .join(', ')})`
+    )
+  );
+  if (!callTemplate.voice) {
+    errors.push('voice is required');
+  }
+  if (!LANGUAGE_RE.test(callTemplate.language)) {
+    errors.push(
+      `language must be a code like en-GB, not "${callTemplate.language}"`
+    );
+  }
+  if (/\s/.test(callTemplate.assistantSid)) {
+    errors.push('assistantSid must not contain spaces');
+  }
+
+  return errors.length
+    ? { valid: false, errors }
+    : { valid: true, callTemplate };
+}
+
+// The campaign’s template with defaults for anything it doesn’t set
+function resolveCallTemplate(campaign) {
+  return {
+    ...DEFAULT_CALL_TEMPLATE,
+    ...((campaign && campaign.callTemplate) || {}),
+  };
+}
+
+// The greeting for the bookings on one call
+function renderGreeting(callTemplate, rows) {
+  return fillTemplate(callTemplate.greeting, templateValues(rows));
+}
+
+// Inline TwiML connecting the call to the AI Assistant. The identity parameter
+// reaches the AI tools as “X-Identity: booking:B1,B2”.
+function buildAssistantTwiml(callTemplate, rows, { assistantSid }) {
+  const bookingIds = rows.map((r) => r.bookingId).join(',');
+  return `<Response>
+  <Connect>
+    <Assistant
+      id="${escapeXml(assistantSid)}"
+      welcomeGreeting="${escapeXml(renderGreeting(callTemplate, rows))}"
+      voice="${escapeXml(callTemplate.voice)}"
+      language="${escapeXml(callTemplate.language)}"
+    >
+      <Parameter name="identity" value="booking:${escapeXml(bookingIds)}" />
+    </Assistant>
+  </Connect>
+</Response>`;
+}
+
+module.exports = {
+  DEFAULT_CALL_TEMPLATE,
+  PLACEHOLDERS,
+  escapeXml,
+  templateValues,
+  fillTemplate,
+  validateCallTemplate,
+  resolveCallTemplate,
+  renderGreeting,
+  buildAssistantTwiml,
+};
@@ -0,0 +1,74 @@
+// lib/captureLinks.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Signed, expiring links to the self-service VRN page (/capture/<token>), one
+// per booking. A token is "<payload>.<signature>", both base64url:
+//
+//   payload   = JSON { b: bookingId, exp: expiry in ms since epoch }
+//   signature = HMAC-SHA256(payload, secret)
+//
+// Nothing is stored: anyone holding an unexpired token can see that booking’s
+// summary and submit its VRN, so tokens only go to the customer.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const crypto = require('crypto');
+
+function toBase64Url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+// secret → HMAC key; ttlMs → how long a new link stays valid
+function createCaptureLinks({ secret, ttlMs }) {
+  function signature(payload) {
+    return toBase64Url(
+      crypto.createHmac('sha256', secret).update(payload).digest()
+    );
+  }
+
+  // Returns { token, expiresAt } for one booking
+  function sign(bookingId, now = Date.now()) {
+    const exp = now + ttlMs;
+    const payload = toBase64Url(JSON.stringify({ b: String(bookingId), exp }));
+    return {
+      token: `${payload}.${signature(payload)}`,
+      expiresAt: new Date(exp).toISOString(),
+    };
+  }
+
+  // Returns { valid: true, bookingId, expiresAt } or
+  // { valid: false, reason: 'invalid' | 'expired' }
+  function verify(token, now = Date.now()) {
+    const [payload, sig, extra] = String(token || '').split('.');
+    if (!payload || !sig || extra !== undefined) {
+      return { valid: false, reason: 'invalid' };
+    }
+    const expected = Buffer.from(signature(payload));
+    const given = Buffer.from(sig);
+    if (
+      expected.length !== given.length ||
+      !crypto.timingSafeEqual(expected, given)
+    ) {
+      return { valid: false, reason: 'invalid' };
+    }
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+      return { valid: false, reason: 'invalid' };
+    }
+    if (!data || !data.b || !Number.isFinite(data.exp)) {
+      return { valid: false, reason: 'invalid' };
+    }
+    if (now >= data.exp) {
+      return { valid: false, reason: 'expired' };
+    }
+    return {
+      valid: true,
+      bookingId: data.b,
+      expiresAt: new Date(data.exp).toISOString(),
+    };
+  }
+
+  return { sign, verify };
+}
+
+module.exports = { createCaptureLinks };
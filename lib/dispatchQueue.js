@@ -0,0 +1,160 @@
+// lib/dispatchQueue.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Places calls in the background, within what the telephony account allows,
+// so a batch never waits for the provider inside an HTTP request:
+//
+//   • concurrency    – calls in progress at once. A slot is taken while a call
+//                      is being placed and kept until release(callSid) says the
+//                      call ended (or slotTimeoutMs passed, in case its last
+//                      status callback never arrives);
+//   • callsPerSecond – calls started per second (Twilio allows 1 by default);
+//   • retries        – errors classifyError() calls 'transient' (rate limits,
+//                      provider outages, network errors) are retried up to
+//                      maxRetries times, after retryDelayMs, then twice that, …
+//
+// enqueue({ key, place }) queues one call; place() makes it and resolves to
+// { callSid }, or to { suppressed: { rule, message } } when it finds the call
+// is no longer wanted (e.g. the number went on the do-not-call list while it
+// waited). The returned promise resolves to the outcome:
+//
+//   { status: 'placed',   callSid, attempts }
+//   { status: 'rejected', error, attempts }   // classifyError() → 'permanent':
+//                                              // the number itself can’t be called
+//   { status: 'failed',   error, attempts }   // anything else, including
+//                                              // transient errors after the retries
+//   { status: 'suppressed', rule, message, attempts }   // no call was made
+//
+// key (the phone number) is what has(key) looks for until the outcome is known.
+// ─────────────────────────────────────────────────────────────────────────────
+
+function unrefTimer(timer) {
+  // Don’t keep the process alive just for the queue
+  if (typeof timer.unref === 'function') timer.unref();
+  return timer;
+}
+
+function createDispatchQueue({
+  concurrency,
+  callsPerSecond,
+  maxRetries,
+  retryDelayMs,
+  slotTimeoutMs,
+  classifyError,
+}) {
+  const minGapMs = 1000 / callsPerSecond;
+  const waiting = []; // tasks ready to be placed, oldest first
+  const retrying = new Set(); // tasks sitting out a retry delay
+  const pending = new Set(); // every task without an outcome yet
+  const slots = new Map(); // callSid → slot timeout
+  let placing = 0; // place() calls in flight
+  let lastStartAt = 0;
+  let rateTimer = null;
+
+  function inProgress() {
+    return slots.size + placing;
+  }
+
+  function finish(task, outcome) {
+    pending.delete(task);
+    task.resolve({ ...outcome, attempts: task.attempts });
+  }
+
+  function pump() {
+    if (rateTimer) return; // already waiting for the rate limit
+    while (waiting.length && inProgress() < concurrency) {
+      const waitMs = lastStartAt + minGapMs - Date.now();
+      if (waitMs > 0) {
+        rateTimer = unrefTimer(
+          setTimeout(() => {
+            rateTimer = null;
+            pump();
+          }, waitMs)
+        );
+        return;
+      }
+      lastStartAt = Date.now();
+      place(waiting.shift());
+    }
+  }
+
+  async function place(task) {
+    task.attempts++;
+    placing++;
+    let result;
+    try {
+      result = await task.place();
+    } catch (err) {
+      placing--;
+      const kind = classifyError(err);
+      if (kind === 'transient' && task.attempts <= maxRetries) {
+        const delayMs = retryDelayMs * 2 ** (task.attempts - 1);
+        console.warn(
+          `Call to ${task.key} failed (${err.message}), retrying in ${delayMs}ms`
+        );
+        retrying.add(task);
+        unrefTimer(
+          setTimeout(() => {
+            retrying.delete(task);
+            waiting.unshift(task);
+            pump();
+          }, delayMs)
+        );
+      } else {
+        finish(task, {
+          status: kind === 'permanent' ? 'rejected' : 'failed',
+          error: err.message,
+        });
+      }
+      pump();
+      return;
+    }
+    placing--;
+    if (result.suppressed) {
+      finish(task, { status: 'suppressed', ...result.suppressed });
+      pump();
+      return;
+    }
+    slots.set(
+      result.callSid,
+      unrefTimer(setTimeout(() => release(result.callSid), slotTimeoutMs))
+    );
+    finish(task, { status: 'placed', callSid: result.callSid });
+  }
+
+  function enqueue({ key, place: placeFn }) {
+    return new Promise((resolve) => {
+      const task = { key, place: placeFn, attempts: 0, resolve };
+      pending.add(task);
+      waiting.push(task);
+      pump();
+    });
+  }
+
+  // The call ended: its slot is free. Returns false for calls without a slot.
+  function release(callSid) {
+    const timer = slots.get(callSid);
+    if (!timer) return false;
+    clearTimeout(timer);
+    slots.delete(callSid);
+    pump();
+    return true;
+  }
+
+  function has(key) {
+    return [...pending].some((task) => task.key === key);
+  }
+
+  function status() {
+    return {
+      concurrency,
+      callsPerSecond,
+      waiting: waiting.length,
+      retrying: retrying.size,
+      inProgress: inProgress(),
+    };
+  }
+
+  return { enqueue, release, has, status };
+}
+
+module.exports = { createDispatchQueue };
@@ -0,0 +1,147 @@
+// lib/export.js
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/download gives downstream teams their own spreadsheet back: every
+// record keeps the row it was uploaded with (record.sheetRow) and each
+// campaign the columns of its files, in order (campaign.sheetHeaders, plus
+// campaign.sheetVrnHeader when the file had a VRN column).
+//
+// An export is those original columns followed by the added columns picked
+// from EXPORT_COLUMNS. The captured VRN goes into the file’s own VRN column
+// when it had one, instead of a new column. Campaigns uploaded before the
+// columns were kept export their internal record fields. Date cells of an .xlsx
+// are kept as the text the sheet showed (see parseSpreadsheet), so they come
+// back as “2026-11-02” or “02/11/2026”, not as Excel serial numbers.
+//
+// Options (query string): format csv | xlsx (by default the format the
+// campaign was last uploaded in, campaign.sheetFormat), columns=vrn,… and
+// filter all | captured | pending. layout=records exports the internal record
+// fields instead, as the download always used to.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_FILTERS = ['all', 'captured', 'pending'];
+const EXPORT_LAYOUTS = ['original', 'records'];
+
+// Added column key → header and value
+const EXPORT_COLUMNS = {
+  vrn: { label: 'VRN', value: (r) => r.vRegCaptured },
+  capturedAt: { label: 'VRN captured at', value: (r) => r.vRegCapturedAt },
+  channel: { label: 'VRN channel', value: (r) => r.vRegSource },
+  lastOutcome: { label: 'Last call outcome', value: (r) => r.lastCallStatus },
+  attempts: { label: 'Call attempts', value: (r) => r.attemptCountTotal },
+};
+const DEFAULT_COLUMNS = ['vrn', 'capturedAt', 'channel', 'lastOutcome'];
+
+function isCaptured(record) {
+  return Boolean(record.vRegCaptured && record.vRegCaptured.trim() !== '');
+}
+
+// Checks the query of GET /api/download. Returns { valid: true, options } or
+// { valid: false, errors }.
+function validateExportOptions(query, defaultFormat = 'csv') {
+  const q = query || {};
+  const options = {
+    format: String(q.format || defaultFormat).toLowerCase(),
+    filter: String(q.filter || 'all'),
+    layout: String(q.layout || 'original'),
+    columns:
+      q.columns === undefined
+        ? DEFAULT_COLUMNS
+        : String(q.columns)
+            .split(',')
+            .map((c) => c.trim())
+            .filter(Boolean),
+  };
+  const errors = [];
+  if (!EXPORT_FORMATS.includes(options.format)) {
+    errors.push(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!EXPORT_FILTERS.includes(options.filter)) {
+    errors.push(`filter must be one of: ${EXPORT_FILTERS.join(', ')}`);
+  }
+  if (!EXPORT_LAYOUTS.includes(options.layout)) {
+    errors.push(`layout must be one of: ${EXPORT_LAYOUTS.join(', ')}`);
+  }
+  options.columns
+    .filter((c) => !EXPORT_COLUMNS[c])
+    .forEach((c) =>
+      errors.push(
+        `Unknown column "${c}" (use ${Object.keys(EXPORT_COLUMNS).join(', ')})`
+      )
+    );
+  return errors.length ? { valid: false, errors } : { valid: true, options };
+}
+
+function filterRecords(records, filter) {
+  if (filter === 'captured') return records.filter(isCaptured);
+  if (filter === 'pending') return records.filter((r) => !isCaptured(r));
+  return records;
+}
+
+function cellValue(value) {
+  return value === null || value === undefined ? '' : value;
+}
+
+// The internal record fields, keyed by the first record’s fields
+function recordsTable(records) {
+  const headers = records.length
+    ? Object.keys(records[0]).filter((key) => key !== 'sheetRow')
+    : [];
+  return {
+    headers,
+    rows: records.map((r) => headers.map((h) => cellValue(r[h]))),
+  };
+}
+
+// campaigns: the campaigns of the records, in order. Returns { headers, rows }
+// with rows as arrays of cells, ready for a CSV or XLSX sheet.
+function buildExportTable(records, campaigns, options) {
+  const selected = filterRecords(records, options.filter);
+  const hasSheetColumns = campaigns.some(
+    (c) => c.sheetHeaders && c.sheetHeaders.length
+  );
+  if (options.layout === 'records' || !hasSheetColumns) {
+    return recordsTable(selected);
+  }
+
+  // Original columns of every campaign in the export, first seen first
+  const sheetHeaders = [];
+  const vrnHeaders = new Map(); // campaignId → the file’s VRN column
+  campaigns.forEach((c) => {
+    (c.sheetHeaders || []).forEach((h) => {
+      if (!sheetHeaders.includes(h)) sheetHeaders.push(h);
+    });
+    if (c.sheetVrnHeader) vrnHeaders.set(c.id, c.sheetVrnHeader);
+  });
+
+  // A file’s VRN column takes the captured VRN, unless some campaign has none
+  const vrnInPlace =
+    campaigns.length > 0 && campaigns.every((c) => vrnHeaders.has(c.id));
+  const added = options.columns.filter((c) => !(c === 'vrn' && vrnInPlace));
+  const addedHeaders = added.map((key) => {
+    const label = EXPORT_COLUMNS[key].label;
+    return sheetHeaders.includes(label) ? `${label} (export)` : label;
+  });
+
+  const rows = selected.map((record) => {
+    const sheetRow = { ...(record.sheetRow || {}) };
+    const vrnHeader = vrnHeaders.get(record.campaignId);
+    if (vrnHeader && isCaptured(record)) {
+      sheetRow[vrnHeader] = record.vRegCaptured;
+    }
+    return [
+      ...sheetHeaders.map((h) => cellValue(sheetRow[h])),
+      ...added.map((key) => cellValue(EXPORT_COLUMNS[key].value(record))),
+    ];
+  });
+
+  return { headers: [...sheetHeaders, ...addedHeaders], rows };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  validateExportOptions,
+  buildExportTable,
+};
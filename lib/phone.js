@@ -0,0 +1,106 @@
+// lib/phone.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Phone number parsing for uploads. Spreadsheets contain all sorts:
+// "07911 123456", "0044 7911 123456", "+44 (0)7911 123456", "7911123456" (Excel
+// dropped the leading 0)… parsePhone() turns them into E.164 ("+447911123456")
+// using libphonenumber, with numbers that have no country code read as UK
+// numbers by default (PHONE_DEFAULT_COUNTRY in .env, e.g. "IE").
+//
+// Every parsed number also gets a line type (mobile / landline / …) and, if we
+// shouldn’t dial it, a human-readable reason that is stored on the record and
+// shown in the dashboard.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+
+const DEFAULT_COUNTRY = (process.env.PHONE_DEFAULT_COUNTRY || 'GB')
+  .trim()
+  .toUpperCase();
+
+// libphonenumber type → our phoneType
+const LINE_TYPES = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'landline',
+  FIXED_LINE_OR_MOBILE: 'mobile_or_landline',
+  VOIP: 'voip',
+  TOLL_FREE: 'toll_free',
+  PREMIUM_RATE: 'premium_rate',
+  SHARED_COST: 'shared_cost',
+  PERSONAL_NUMBER: 'personal_number',
+  UAN: 'uan',
+  PAGER: 'pager',
+  VOICEMAIL: 'voicemail',
+};
+
+// Valid numbers we still never dial
+const UNCALLABLE_TYPES = {
+  premium_rate: 'Premium-rate number',
+  shared_cost: 'Shared-cost number',
+  pager: 'Pager number',
+  voicemail: 'Voicemail access number',
+};
+
+// Returns { raw, e164, country, phoneType, callable, reason }.
+//   e164      → "+447911123456", or '' if the number couldn’t be parsed
+//   phoneType → one of LINE_TYPES' values, or 'unknown'
+//   reason    → '' when callable, otherwise why the number won’t be called
+function parsePhone(raw, defaultCountry = DEFAULT_COUNTRY) {
+  const input = String(raw === undefined || raw === null ? '' : raw).trim();
+  const result = {
+    raw: input,
+    e164: '',
+    country: '',
+    phoneType: 'unknown',
+    callable: false,
+    reason: '',
+  };
+
+  if (!input) {
+    result.reason = 'No phone number';
+    return result;
+  }
+
+  // "+0…" is what the old upload normaliser made of national numbers
+  // ("07911 123456" → "+07911123456"); read those as national again.
+  const cleaned = input.replace(/^\+\s*0/, '0');
+
+  const parsed = parsePhoneNumberFromString(cleaned, defaultCountry);
+  if (!parsed) {
+    result.reason = 'Not a phone number';
+    return result;
+  }
+
+  result.e164 = parsed.number;
+  result.country = parsed.country || '';
+  if (!parsed.isValid()) {
+    result.reason = `Not a valid ${
+      parsed.country || defaultCountry
+    } phone number`;
+    return result;
+  }
+
+  result.phoneType = LINE_TYPES[parsed.getType()] || 'unknown';
+  if (UNCALLABLE_TYPES[result.phoneType]) {
+    result.reason = UNCALLABLE_TYPES[result.phoneType];
+    return result;
+  }
+
+  result.callable = true;
+  return result;
+}
+
+// The phone fields stored on a record, e.g.
+//   { phoneNumber: '+447911123456', phoneRaw: '07911 123456',
+//     phoneType: 'mobile', phoneUncallableReason: '' }
+// Rows with a phoneUncallableReason are never called, even if phoneNumber is set.
+function phoneFields(raw, defaultCountry) {
+  const parsed = parsePhone(raw, defaultCountry);
+  return {
+    phoneNumber: parsed.e164,
+    phoneRaw: parsed.raw,
+    phoneType: parsed.phoneType,
+    phoneUncallableReason: parsed.reason,
+  };
+}
+
+module.exports = { DEFAULT_COUNTRY, parsePhone, phoneFields };
@@ -0,0 +1,430 @@
+// lib/policy.js
+// ─────────────────────────────────────────────────────────────────────────────
+// The calling policy: when we may call, how often, and how long to wait after
+// each outcome. It is stored in the “settings” collection (id "callingPolicy")
+// and edited via GET/PUT /api/policy and the Calling Policy panel.
+//
+//   {
+//     timezone: 'Europe/London',
+//     callingWindows: { mon: [{ start: '08:00', end: '18:00' }], …, sun: [] },
+//     skipBankHolidays: true,
+//     bankHolidays: ['2026-12-25', …],            // yyyy-mm-dd in `timezone`
+//     maxAttemptsPerDay: 3,                       // per booking
+//     maxAttemptsPerCampaign: 10,                 // per booking, 0 = no limit
+//     backoffMinutes: { default: [1], busy: [5, 15, 30], … },
+//     messageFallback: { enabled: false, channel: 'sms', outcomes: ['busy', 'no-answer', 'machine'],
+//                        template: 'Hi {customerName}, …' },
+//     answeringMachine: { enabled: false, action: 'hangup', message: '', audioUrl: '' },
+//     recording: { enabled: false, retentionDays: 30 }
+//   }
+//
+// backoffMinutes is keyed by the Twilio status of the last call, or 'machine'
+// when an answering machine picked up. The n-th entry is the wait after the
+// booking’s n-th attempt; the last entry repeats.
+//
+// messageFallback: once a booking has used all of today’s call attempts and the
+// last call ended in one of `outcomes`, send it one SMS (or WhatsApp) message
+// that day asking for the registration by reply (see checkMessageFallback).
+//
+// answeringMachine: detect voicemail when a call is answered, then either hang
+// up (action 'hangup') or leave a message once the greeting ends (action
+// 'voicemail': the audio at audioUrl, else `message` read out by text-to-speech).
+//
+// recording: record the calls a batch places, for quality review, and delete
+// each recording retentionDays after the call (0 = keep them).
+//
+// Every “don’t call” decision comes back as { rule, message } so the batch can
+// record why a booking (or the whole run) was skipped.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// England & Wales bank holidays (gov.uk). Edit the list from the UI for other
+// nations or later years.
+const ENGLAND_AND_WALES_BANK_HOLIDAYS = [
+  '2026-01-01',
+  '2026-04-03',
+  '2026-04-06',
+  '2026-05-04',
+  '2026-05-25',
+  '2026-08-31',
+  '2026-12-25',
+  '2026-12-28',
+  '2027-01-01',
+  '2027-03-26',
+  '2027-03-29',
+  '2027-05-03',
+  '2027-05-31',
+  '2027-08-30',
+  '2027-12-27',
+  '2027-12-28',
+];
+
+const DEFAULT_POLICY = {
+  timezone: 'Europe/London',
+  callingWindows: {
+    mon: [{ start: '08:00', end: '18:00' }],
+    tue: [{ start: '08:00', end: '18:00' }],
+    wed: [{ start: '08:00', end: '18:00' }],
+    thu: [{ start: '08:00', end: '18:00' }],
+    fri: [{ start: '08:00', end: '18:00' }],
+    sat: [{ start: '08:00', end: '18:00' }],
+    sun: [{ start: '08:00', end: '18:00' }],
+  },
+  skipBankHolidays: true,
+  bankHolidays: ENGLAND_AND_WALES_BANK_HOLIDAYS,
+  maxAttemptsPerDay: 3,
+  maxAttemptsPerCampaign: 10,
+  backoffMinutes: {
+    default: [1],
+    busy: [5, 15, 30],
+    'no-answer': [30, 60, 120],
+    failed: [60],
+    machine: [60, 120, 240],
+  },
+  messageFallback: {
+    enabled: false,
+    channel: 'sms',
+    outcomes: ['busy', 'no-answer', 'machine'],
+    template:
+      'Hi {customerName}, we tried to call you about your booking {bookingId} ({bookingDetails}). Please reply to this message with your vehicle registration number.',
+  },
+  answeringMachine: {
+    enabled: false,
+    action: 'hangup',
+    message:
+      'Hello {customerName}, this is a message about your parking booking {bookingId}. We need your vehicle registration number and will call you again later.',
+    audioUrl: '',
+  },
+  recording: {
+    enabled: false,
+    retentionDays: 30,
+  },
+};
+
+const MESSAGE_CHANNELS = ['sms', 'whatsapp'];
+const MACHINE_ACTIONS = ['hangup', 'voicemail'];
+
+// Statuses that mean the last call is still going (or about to)
+const CALL_PENDING = ['queued', 'initiated', 'ringing', 'in-progress'];
+
+// A call still pending this long after its last status is taken to have ended
+// without a final status callback (same default as the dispatch slot timeout)
+const CALL_PENDING_TIMEOUT_MS = 15 * 60 * 1000;
+
+const TIME_RE = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Checks a policy sent by the API/UI. Missing keys fall back to DEFAULT_POLICY.
+// Returns { valid: true, policy } or { valid: false, errors: [...] }.
+function validatePolicy(input) {
+  const src = input && typeof input === 'object' ? input : {};
+  const policy = JSON.parse(JSON.stringify({ ...DEFAULT_POLICY, ...src }));
+  const errors = [];
+
+  if (
+    typeof policy.timezone !== 'string' ||
+    !isValidTimezone(policy.timezone)
+  ) {
+    errors.push(`Unknown timezone "${policy.timezone}"`);
+  }
+
+  const windows = policy.callingWindows || {};
+  policy.callingWindows = {};
+  WEEKDAYS.forEach((day) => {
+    const ranges = windows[day] || [];
+    if (!Array.isArray(ranges)) {
+      errors.push(`callingWindows.${day} must be a list of { start, end }`);
+      return;
+    }
+    policy.callingWindows[day] = ranges.map((range) => {
+      const start = String((range && range.start) || '');
+      const end = String((range && range.end) || '');
+      if (!TIME_RE.test(start) || !TIME_RE.test(end)) {
+        errors.push(`callingWindows.${day}: times must be HH:MM`);
+      } else if (toMinutes(start) >= toMinutes(end)) {
+        errors.push(
+          `callingWindows.${day}: ${start}–${end} ends before it starts`
+        );
+      }
+      return { start, end };
+    });
+  });
+
+  policy.skipBankHolidays = Boolean(policy.skipBankHolidays);
+  if (!Array.isArray(policy.bankHolidays)) {
+    errors.push('bankHolidays must be a list of yyyy-mm-dd dates');
+    policy.bankHolidays = [];
+  }
+  policy.bankHolidays = policy.bankHolidays.map((d) => String(d).trim());
+  policy.bankHolidays
+    .filter((d) => !DATE_RE.test(d))
+    .forEach((d) => errors.push(`Bank holiday "${d}" is not yyyy-mm-dd`));
+  policy.bankHolidays = [...new Set(policy.bankHolidays)].sort();
+
+  ['maxAttemptsPerDay', 'maxAttemptsPerCampaign'].forEach((key) => {
+    const value = Number(policy[key]);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push(`${key} must be a whole number ≥ 0`);
+    }
+    policy[key] = value;
+  });
+  if (policy.maxAttemptsPerDay < 1) {
+    errors.push('maxAttemptsPerDay must be at least 1');
+  }
+
+  const backoff = policy.backoffMinutes || {};
+  policy.backoffMinutes = {};
+  Object.keys(backoff).forEach((outcome) => {
+    const steps = Array.isArray(backoff[outcome])
+      ? backoff[outcome].map(Number)
+      : [Number(backoff[outcome])];
+    if (steps.length === 0 || steps.some((m) => !(m >= 0))) {
+      errors.push(`backoffMinutes.${outcome} must be a list of minutes ≥ 0`);
+    }
+    policy.backoffMinutes[outcome] = steps;
+  });
+  if (!policy.backoffMinutes.default) {
+    errors.push('backoffMinutes.default is required');
+  }
+
+  const fallback = {
+    ...DEFAULT_POLICY.messageFallback,
+    ...(policy.messageFallback || {}),
+  };
+  fallback.enabled = Boolean(fallback.enabled);
+  if (!MESSAGE_CHANNELS.includes(fallback.channel)) {
+    errors.push(
+      `messageFallback.channel must be one of ${MESSAGE_CHANNELS.join(', ')}`
+    );
+  }
+  if (!Array.isArray(fallback.outcomes)) {
+    errors.push('messageFallback.outcomes must be a list of call statuses');
+    fallback.outcomes = [];
+  }
+  fallback.outcomes = fallback.outcomes.map((s) => String(s).trim());
+  fallback.template = String(fallback.template || '').trim();
+  if (fallback.enabled && !fallback.template) {
+    errors.push('messageFallback.template is required');
+  }
+  policy.messageFallback = fallback;
+
+  const machine = {
+    ...DEFAULT_POLICY.answeringMachine,
+    ...(policy.answeringMachine || {}),
+  };
+  machine.enabled = Boolean(machine.enabled);
+  if (!MACHINE_ACTIONS.includes(machine.action)) {
+    errors.push(
+      `answeringMachine.action must be one of ${MACHINE_ACTIONS.join(', ')}`
+    );
+  }
+  machine.message = String(machine.message || '').trim();
+  machine.audioUrl = String(machine.audioUrl || '').trim();
+  if (machine.audioUrl && !/^https?:\/\/\S+$/.test(machine.audioUrl)) {
+    errors.push('answeringMachine.audioUrl must be an http(s) URL');
+  }
+  if (
+    machine.enabled &&
+    machine.action === 'voicemail' &&
+    !machine.message &&
+    !machine.audioUrl
+  ) {
+    errors.push('answeringMachine needs a message or an audioUrl to leave');
+  }
+  policy.answeringMachine = machine;
+
+  const recording = {
+    ...DEFAULT_POLICY.recording,
+    ...(policy.recording || {}),
+  };
+  recording.enabled = Boolean(recording.enabled);
+  recording.retentionDays = Number(recording.retentionDays);
+  if (
+    !Number.isInteger(recording.retentionDays) ||
+    recording.retentionDays < 0
+  ) {
+    errors.push('recording.retentionDays must be a whole number of days ≥ 0');
+  }
+  policy.recording = recording;
+
+  return errors.length ? { valid: false, errors } : { valid: true, policy };
+}
+
+// Current date/time in the policy timezone:
+//   { now, todayStr: 'yyyy-mm-dd', weekday: 'mon', minutes: minutes since midnight }
+function getPolicyClock(policy, now = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: policy.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23',
+  })
+    .formatToParts(now)
+    .forEach((p) => {
+      parts[p.type] = p.value;
+    });
+  return {
+    now,
+    todayStr: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.slice(0, 3).toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// Is calling allowed at all right now? Returns null if so, else { rule, message }.
+function checkCallingWindow(policy, clock) {
+  if (policy.skipBankHolidays && policy.bankHolidays.includes(clock.todayStr)) {
+    return {
+      rule: 'bank_holiday',
+      message: `${clock.todayStr} is a bank holiday.`,
+    };
+  }
+  const ranges = policy.callingWindows[clock.weekday] || [];
+  const open = ranges.some(
+    (r) =>
+      clock.minutes >= toMinutes(r.start) && clock.minutes < toMinutes(r.end)
+  );
+  if (!open) {
+    const hours = ranges.map((r) => `${r.start}–${r.end}`).join(', ');
+    return {
+      rule: 'calling_window',
+      message: hours
+        ? `Outside calling hours (${hours} ${policy.timezone}).`
+        : `No calling on ${clock.weekday} (${policy.timezone}).`,
+    };
+  }
+  return null;
+}
+
+function attemptsToday(row, clock) {
+  return row.lastAttemptDate === clock.todayStr
+    ? row.attemptCountToday || 0
+    : 0;
+}
+
+// Should this booking be called now (the calling window is checked separately)?
+// Returns null if so, else { rule, message }. While the last call is still
+// pending the booking isn’t called again, until pendingTimeoutMs has passed
+// without a final status.
+function checkRow(
+  policy,
+  row,
+  clock,
+  pendingTimeoutMs = CALL_PENDING_TIMEOUT_MS
+) {
+  if (row.vRegCaptured && row.vRegCaptured.trim() !== '') {
+    return { rule: 'vrn_captured', message: 'VRN already captured.' };
+  }
+
+  if (row.retiredAt) {
+    return {
+      rule: 'retired',
+      message: 'Booking was missing from the latest upload.',
+    };
+  }
+
+  if (
+    row.phoneUncallableReason ||
+    !row.phoneNumber ||
+    !/^\+\d{5,}$/.test(row.phoneNumber)
+  ) {
+    return {
+      rule: 'uncallable_phone',
+      message: row.phoneUncallableReason || 'No callable phone number.',
+    };
+  }
+
+  if (attemptsToday(row, clock) >= policy.maxAttemptsPerDay) {
+    return {
+      rule: 'max_attempts_per_day',
+      message: `Already called ${policy.maxAttemptsPerDay} time(s) today.`,
+    };
+  }
+
+  const total = row.attemptCountTotal || 0;
+  if (policy.maxAttemptsPerCampaign && total >= policy.maxAttemptsPerCampaign) {
+    return {
+      rule: 'max_attempts_per_campaign',
+      message: `Already called ${total} time(s) in this campaign.`,
+    };
+  }
+
+  if (row.lastCallTime) {
+    const outcome = row.lastCallStatus || '';
+    const lastCallAt = new Date(row.lastCallTime).getTime();
+    if (CALL_PENDING.includes(outcome)) {
+      if (clock.now.getTime() < lastCallAt + pendingTimeoutMs) {
+        return {
+          rule: 'call_pending',
+          message: `Last call still ${outcome} – waiting for it to end.`,
+        };
+      }
+    } else {
+      const steps =
+        policy.backoffMinutes[outcome] || policy.backoffMinutes.default;
+      const step = steps[Math.min(Math.max(total - 1, 0), steps.length - 1)];
+      const retryAt = lastCallAt + step * 60 * 1000;
+      if (clock.now.getTime() < retryAt) {
+        return {
+          rule: 'backoff',
+          message: `Last call ${outcome || 'placed'} – retry after ${new Date(
+            retryAt
+          ).toISOString()}.`,
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Should this booking get today’s fallback message instead of another call?
+// Call after checkRow() said max_attempts_per_day. Returns true or false.
+function checkMessageFallback(policy, row, clock) {
+  const fallback = policy.messageFallback;
+  return Boolean(
+    fallback &&
+      fallback.enabled &&
+      !(row.vRegCaptured && row.vRegCaptured.trim() !== '') &&
+      !row.phoneUncallableReason &&
+      row.phoneNumber &&
+      attemptsToday(row, clock) >= policy.maxAttemptsPerDay &&
+      fallback.outcomes.includes(row.lastCallStatus) &&
+      row.lastMessageDate !== clock.todayStr
+  );
+}
+
+module.exports = {
+  WEEKDAYS,
+  CALL_PENDING,
+  CALL_PENDING_TIMEOUT_MS,
+  MESSAGE_CHANNELS,
+  MACHINE_ACTIONS,
+  DEFAULT_POLICY,
+  validatePolicy,
+  getPolicyClock,
+  checkCallingWindow,
+  checkRow,
+  attemptsToday,
+  checkMessageFallback,
+};
@@ -0,0 +1,126 @@
+// lib/recordEvents.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Change feed for the “records” collection, pushed to the dashboard over
+// Server-Sent Events (GET /api/events).
+//
+// watch(storage) wraps a storage adapter so every write to “records” –
+// whichever route made it (upload, status callback, saveVReg, inline edit…) –
+// is announced to subscribers as one event:
+//
+//   { id, action: 'upsert', bookingId, campaignId, record, changed }
+//   { id, action: 'remove', bookingId, campaignId }
+//   { id, action: 'reload' }        // the whole collection was replaced
+//
+// `changed` lists the fields an update touched (null for a put, which may be a
+// new record). Events carry an increasing id, sent as the SSE “id:” line.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const EventEmitter = require('events');
+
+const COLLECTION = 'records';
+
+// Fields whose value differs between two versions of a record
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(
+    (key) => JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+}
+
+function createRecordEvents() {
+  const emitter = new EventEmitter();
+  // One listener per open dashboard tab
+  emitter.setMaxListeners(0);
+  let lastId = 0;
+
+  function emit(event) {
+    lastId += 1;
+    emitter.emit('change', { id: lastId, ...event });
+  }
+
+  function emitUpsert(record, changed) {
+    if (changed && changed.length === 0) {
+      return;
+    }
+    emit({
+      action: 'upsert',
+      bookingId: record.bookingId,
+      campaignId: record.campaignId || '',
+      record: record,
+      changed: changed,
+    });
+  }
+
+  // Returns a storage object with the same interface that also emits events
+  function watch(storage) {
+    return {
+      ...storage,
+
+      put(collection, doc) {
+        const saved = storage.put(collection, doc);
+        if (collection === COLLECTION) {
+          emitUpsert(saved, null);
+        }
+        return saved;
+      },
+
+      putMany(collection, docs) {
+        const saved = storage.putMany(collection, docs);
+        if (collection === COLLECTION) {
+          saved.forEach((doc) => emitUpsert(doc, null));
+        }
+        return saved;
+      },
+
+      update(collection, id, mutator) {
+        if (collection !== COLLECTION) {
+          return storage.update(collection, id, mutator);
+        }
+        let before = null;
+        const saved = storage.update(collection, id, (draft) => {
+          before = { ...draft };
+          return mutator(draft);
+        });
+        if (saved) {
+          emitUpsert(saved, changedFields(before, saved));
+        }
+        return saved;
+      },
+
+      remove(collection, id) {
+        const doc =
+          collection === COLLECTION ? storage.get(collection, id) : null;
+        const removed = storage.remove(collection, id);
+        if (removed && doc) {
+          emit({
+            action: 'remove',
+            bookingId: doc.bookingId,
+            campaignId: doc.campaignId || '',
+          });
+        }
+        return removed;
+      },
+
+      replaceAll(collection, docs) {
+        storage.replaceAll(collection, docs);
+        if (collection === COLLECTION) {
+          emit({ action: 'reload' });
+        }
+      },
+    };
+  }
+
+  // listener(event) is called for every change; returns an unsubscribe function
+  function subscribe(listener) {
+    emitter.on('change', listener);
+    return () => emitter.off('change', listener);
+  }
+
+  return {
+    watch,
+    subscribe,
+    subscriberCount: () => emitter.listenerCount('change'),
+  };
+}
+
+module.exports = { createRecordEvents };
@@ -0,0 +1,117 @@
+// lib/scheduler.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Background call scheduler. Runs the same batch as POST /api/process on a fixed
+// interval so retries, backoff and the daily cap keep working without anyone
+// clicking “Process & Call”. Ticks outside the calling window are skipped.
+//
+// getWindowSkip() → null while calls are allowed, otherwise { rule, message }
+// (see lib/policy.js); the skip is kept as lastResult.
+// getBusySkip()   → null unless an earlier batch (scheduled or started by hand)
+// is still placing its calls, then { rule, message }: the tick is skipped the
+// same way, so two batches never dial the same bookings side by side.
+//
+// State machine:  stopped ──start──▶ running ──pause──▶ paused ──resume──▶ running
+// ─────────────────────────────────────────────────────────────────────────────
+
+function createScheduler({
+  intervalMs,
+  runBatch,
+  getWindowSkip,
+  getBusySkip = () => null,
+  getQueueDepth,
+}) {
+  let state = 'stopped';
+  let currentIntervalMs = intervalMs;
+  let timer = null;
+  let nextRunAt = null;
+  let lastRunAt = null;
+  let lastResult = null;
+  let inProgress = false;
+
+  function clearTimer() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    nextRunAt = null;
+  }
+
+  function scheduleNext(delayMs) {
+    clearTimer();
+    nextRunAt = new Date(Date.now() + delayMs);
+    timer = setTimeout(tick, delayMs);
+    // Don’t keep the process alive just for the scheduler
+    if (typeof timer.unref === 'function') timer.unref();
+  }
+
+  async function tick() {
+    timer = null;
+    nextRunAt = null;
+    if (state !== 'running') return;
+
+    lastRunAt = new Date();
+    const skip = getWindowSkip() || getBusySkip();
+    if (skip) {
+      lastResult = { success: false, ...skip };
+    } else {
+      inProgress = true;
+      try {
+        lastResult = await runBatch();
+      } catch (err) {
+        console.error('Scheduled run failed:', err);
+        lastResult = { success: false, message: err.message };
+      } finally {
+        inProgress = false;
+      }
+    }
+
+    // We might have been paused while the batch was running
+    if (state === 'running') {
+      scheduleNext(currentIntervalMs);
+    }
+  }
+
+  function start(options = {}) {
+    if (state !== 'stopped') {
+      throw new Error(`Scheduler is already ${state}`);
+    }
+    if (options.intervalMs) {
+      currentIntervalMs = options.intervalMs;
+    }
+    state = 'running';
+    scheduleNext(0);
+  }
+
+  function pause() {
+    if (state !== 'running') {
+      throw new Error(`Cannot pause a ${state} scheduler`);
+    }
+    state = 'paused';
+    clearTimer();
+  }
+
+  function resume() {
+    if (state !== 'paused') {
+      throw new Error(`Cannot resume a ${state} scheduler`);
+    }
+    state = 'running';
+    scheduleNext(0);
+  }
+
+  function status() {
+    return {
+      state,
+      intervalSeconds: Math.round(currentIntervalMs / 1000),
+      nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+      lastRunAt: lastRunAt ? lastRunAt.toISOString() : null,
+      lastResult,
+      inProgress,
+      withinCallingWindow: !getWindowSkip(),
+      queueDepth: getQueueDepth(),
+    };
+  }
+
+  return { start, pause, resume, status };
+}
+
+module.exports = { createScheduler };
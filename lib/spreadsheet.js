@@ -0,0 +1,288 @@
+// lib/spreadsheet.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Spreadsheet parsing and column mapping for uploads.
+//
+// A “mapping” says which spreadsheet header feeds which record field, e.g.
+//   { bookingId: 'Booking Ref', phoneNumber: 'Mobile', customerName: 'Lead Name',
+//     bookingDetails: '', bookingDate: 'Arrival Date', airport: '',
+//     vRegCaptured: 'Vehicle Reg' }
+// ('' = not in this file). proposeMapping() guesses one from the headers, the
+// upload wizard lets the user fix it, and validateRows() reports what will
+// happen to every row before anything is saved.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const XLSX = require('xlsx');
+
+// Record fields a spreadsheet column can be mapped to. Patterns are tried in
+// order, strongest first, so “Booking Ref” beats a loose “…ref…” match.
+const UPLOAD_FIELDS = [
+  {
+    field: 'bookingId',
+    label: 'Booking ID',
+    required: true,
+    patterns: [
+      /^booking\s*(id|ref(erence)?|no|number)$/i,
+      /booking\s*(id|ref)/i,
+      /^(id|ref|reference)$/i,
+    ],
+  },
+  {
+    field: 'phoneNumber',
+    label: 'Phone number',
+    required: true,
+    patterns: [
+      /^(phone|mobile|tel(ephone)?|contact)(\s*(number|no))?$/i,
+      /phone|mobile|tel/i,
+    ],
+  },
+  {
+    field: 'customerName',
+    label: 'Customer name',
+    required: false,
+    patterns: [
+      /^(customer|lead|full)?\s*name$/i,
+      /customer\s*name|full\s*name|lead\s*name/i,
+      /name/i,
+    ],
+  },
+  {
+    field: 'bookingDetails',
+    label: 'Booking details',
+    required: false,
+    patterns: [/^booking\s*details$/i, /details|description|product/i],
+  },
+  {
+    field: 'bookingDate',
+    label: 'Booking date',
+    required: false,
+    patterns: [
+      /^(booking|travel|arrival|departure|start|drop[\s-]*off)?\s*date$/i,
+      /date/i,
+    ],
+  },
+  {
+    field: 'airport',
+    label: 'Airport',
+    required: false,
+    patterns: [/^airport$/i, /airport|terminal|location/i],
+  },
+  {
+    field: 'vRegCaptured',
+    label: 'Existing VRN',
+    required: false,
+    patterns: [
+      /^(vrn|reg|registration|vehicle\s*reg(istration)?|car\s*reg)(\s*(no|number))?$/i,
+      /\bvrn\b|registration|number\s*plate/i,
+    ],
+  },
+];
+
+// Format for date cells shown in Excel’s default short date (number format 14);
+// cells with their own date format keep it
+const DEFAULT_DATE_FORMAT = 'yyyy-mm-dd';
+
+// Reads the first sheet of an .xlsx/.csv buffer. Returns { headers, rows } where
+// rows are objects keyed by header. Throws if the file can’t be parsed.
+function parseSpreadsheet(buffer, fileName) {
+  // Let XLSX infer CSV vs XLSX based on file extension. CSV cells are kept as
+  // text (raw) so “07911 123456” doesn’t turn into the number 7911123456.
+  const workbook = /\.csv$/i.test(fileName || '')
+    ? XLSX.read(buffer, { type: 'buffer', raw: true })
+    : XLSX.read(buffer, {
+        type: 'buffer',
+        cellDates: true,
+        dateNF: DEFAULT_DATE_FORMAT,
+      });
+
+  // Assume the first sheet contains data
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  // Date cells become the text Excel shows (“2026-11-02”, “02/11/2026”) rather
+  // than a serial number like 46328; other numbers stay numbers, as their
+  // shown text can be rounded (“4.47911E+11” for a phone number)
+  Object.keys(worksheet)
+    .filter((address) => !address.startsWith('!'))
+    .forEach((address) => {
+      const cell = worksheet[address];
+      if (cell.t === 'd') {
+        worksheet[address] = { t: 's', v: cell.w };
+      }
+    });
+  const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+  // rows is an array of JS objects, e.g. [ { "Phone": "4475...", "Booking ID": "123", "Name": "Alice", ... }, ... ]
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  return { headers, rows };
+}
+
+// Best guess at a mapping; each header is used for at most one field.
+function proposeMapping(headers) {
+  const used = new Set();
+  const mapping = {};
+  UPLOAD_FIELDS.forEach(({ field, patterns }) => {
+    mapping[field] = '';
+    for (const regex of patterns) {
+      const header = headers.find((h) => !used.has(h) && regex.test(h.trim()));
+      if (header) {
+        mapping[field] = header;
+        used.add(header);
+        break;
+      }
+    }
+  });
+  return mapping;
+}
+
+// Keeps only known fields whose header exists in this file.
+function sanitiseMapping(mapping, headers) {
+  const clean = {};
+  UPLOAD_FIELDS.forEach(({ field }) => {
+    const header = (mapping || {})[field];
+    clean[field] = header && headers.includes(header) ? header : '';
+  });
+  return clean;
+}
+
+// The mapped values of one raw row, as trimmed strings.
+function applyMapping(row, mapping) {
+  const values = {};
+  UPLOAD_FIELDS.forEach(({ field }) => {
+    const header = mapping[field];
+    values[field] = header ? String(row[header]).trim() : '';
+  });
+  return values;
+}
+
+// Per-row validation report for the upload wizard.
+//   existingIds   → Set of bookingIds already stored (those rows are skipped)
+//   mergeIds      → Set of the existing bookingIds a merge upload updates instead
+//   parsePhone(raw) → { callable, reason, phoneType, … } (lib/phone.js)
+//   validateVrn(raw) → { valid, vrn, reason } (lib/vrn.js); a VRN column value
+//                      that isn’t a registration (“TBC”, “N/A”…) counts as empty
+// Row numbers are spreadsheet line numbers (header = line 1).
+function validateRows(
+  rows,
+  mapping,
+  { existingIds, mergeIds = new Set(), parsePhone, validateVrn }
+) {
+  const counts = {
+    missingBookingId: 0,
+    duplicateBookingId: 0,
+    alreadyImported: 0,
+    merged: 0,
+    invalidPhone: 0,
+    mobile: 0,
+    landline: 0,
+    hasVrn: 0,
+    invalidVrn: 0,
+  };
+  const problems = [];
+  const seen = new Set();
+  let importable = 0;
+
+  rows.forEach((row, idx) => {
+    const values = applyMapping(row, mapping);
+    const issues = [];
+    let skipped = false;
+
+    if (!values.bookingId) {
+      counts.missingBookingId++;
+      issues.push({
+        code: 'missing_booking_id',
+        message: 'No booking ID – one will be generated',
+      });
+    } else if (seen.has(values.bookingId)) {
+      counts.duplicateBookingId++;
+      skipped = true;
+      issues.push({
+        code: 'duplicate_booking_id',
+        message: 'Booking ID appears earlier in this file – row skipped',
+      });
+    } else if (mergeIds.has(values.bookingId)) {
+      counts.merged++;
+      issues.push({
+        code: 'merged',
+        message: 'Booking already exists – its details will be updated',
+      });
+    } else if (existingIds.has(values.bookingId)) {
+      counts.alreadyImported++;
+      skipped = true;
+      issues.push({
+        code: 'already_imported',
+        message: 'Booking already exists – row skipped',
+      });
+    }
+    if (values.bookingId) seen.add(values.bookingId);
+
+    const phone = parsePhone(values.phoneNumber);
+    if (!phone.callable) {
+      counts.invalidPhone++;
+      issues.push({
+        code: 'invalid_phone',
+        message: values.phoneNumber
+          ? `${phone.reason} (“${values.phoneNumber}”) – won’t be called`
+          : `${phone.reason} – won’t be called`,
+      });
+    } else if (phone.phoneType === 'mobile') {
+      counts.mobile++;
+    } else if (phone.phoneType === 'landline') {
+      counts.landline++;
+    }
+
+    const vrn = values.vRegCaptured ? validateVrn(values.vRegCaptured) : null;
+    if (vrn && vrn.valid) {
+      counts.hasVrn++;
+      issues.push({
+        code: 'has_vrn',
+        message: `Already has VRN ${vrn.vrn} – won’t be called`,
+      });
+    } else if (vrn) {
+      counts.invalidVrn++;
+      issues.push({
+        code: 'invalid_vrn',
+        message: `“${values.vRegCaptured}” isn’t a UK registration – imported without a VRN`,
+      });
+    }
+
+    if (!skipped) importable++;
+    if (issues.length) {
+      problems.push({
+        row: idx + 2,
+        bookingId: values.bookingId,
+        skipped: skipped,
+        issues: issues,
+      });
+    }
+  });
+
+  return {
+    totalRows: rows.length,
+    importableRows: importable,
+    counts: counts,
+    rows: problems,
+  };
+}
+
+// The opposite of parseSpreadsheet: a one-sheet file of `headers` and `rows`
+// (arrays of cells), as a CSV string or an .xlsx Buffer.
+function writeSpreadsheet(headers, rows, format) {
+  const worksheet = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+  if (format === 'csv') {
+    return XLSX.utils.sheet_to_csv(worksheet);
+  }
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Export');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  UPLOAD_FIELDS: UPLOAD_FIELDS.map(({ field, label, required }) => ({
+    field,
+    label,
+    required,
+  })),
+  parseSpreadsheet,
+  writeSpreadsheet,
+  proposeMapping,
+  sanitiseMapping,
+  applyMapping,
+  validateRows,
+};
@@ -0,0 +1,171 @@
+// lib/stats.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Campaign reporting for GET /api/stats, computed from the records and the call
+// log (“calls” collection). Pure functions: server.js passes the documents in.
+//
+//   computeStats({ records, calls, timezone, from, to }) →
+//   {
+//     records:  { total, captured, pending, captureRate },
+//     captures: { inRange, attemptsPerCapture, byAttempts: { '1': n, … } },
+//     calls:    { placed, answered, answerRate,
+//                 outcomes: { completed, busy, 'no-answer', failed, machine,
+//                             rejected, other } },
+//     hourly:   [24 × { hour, successful }]    // in `timezone`
+//   }
+//
+// from / to are yyyy-mm-dd dates in `timezone` (both inclusive, either may be
+// empty). They limit the calls and captures counted; record totals always
+// cover the whole campaign. A call is successful when a VRN was saved during
+// it (call.capturedBookingIds, set by /api/saveVReg). Calls an answering
+// machine picked up (status 'machine') don’t count as answered. 'failed' and
+// 'rejected' calls never rang (the provider refused or couldn’t dial them), so
+// they are in the outcomes but not in placed or the answer rate.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Final call statuses shown in the outcome breakdown; the rest count as other
+const OUTCOMES = [
+  'completed',
+  'busy',
+  'no-answer',
+  'failed',
+  'machine',
+  'rejected',
+];
+// Outcomes of calls that were never actually placed
+const NOT_PLACED = ['failed', 'rejected'];
+// Statuses that mean the customer picked up
+const ANSWERED = ['in-progress', 'completed'];
+
+// Checks ?from= / ?to=. Returns { valid: true } or { valid: false, errors }.
+function validateDateRange({ from, to }) {
+  const errors = [];
+  if (from && !DATE_RE.test(from)) errors.push('from must be yyyy-mm-dd');
+  if (to && !DATE_RE.test(to)) errors.push('to must be yyyy-mm-dd');
+  if (!errors.length && from && to && from > to) {
+    errors.push('from must not be after to');
+  }
+  return errors.length ? { valid: false, errors } : { valid: true };
+}
+
+// { date: 'yyyy-mm-dd', hour: 0–23 } of an ISO timestamp in `timezone`
+function localParts(iso, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+  })
+    .formatToParts(new Date(iso))
+    .forEach((p) => {
+      parts[p.type] = p.value;
+    });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+  };
+}
+
+function ratio(part, whole) {
+  return whole ? part / whole : 0;
+}
+
+function wasAnswered(call) {
+  if (call.status === 'machine') {
+    return false;
+  }
+  return (
+    ANSWERED.includes(call.status) ||
+    Boolean(call.answeredBy) ||
+    (call.events || []).some((e) => ANSWERED.includes(e.status))
+  );
+}
+
+function computeStats({ records, calls, timezone, from = '', to = '' }) {
+  const inRange = (iso) => {
+    if (!iso) return false;
+    if (!from && !to) return true;
+    const { date } = localParts(iso, timezone);
+    return (!from || date >= from) && (!to || date <= to);
+  };
+  const filtered = Boolean(from || to);
+
+  // Records (whole campaign)
+  const capturedRecords = records.filter(
+    (r) => r.vRegCaptured && r.vRegCaptured.trim() !== ''
+  );
+
+  // Captures in range. Without a range, VRNs captured before vRegCapturedAt
+  // existed still count; VRNs that came with the sheet (0 attempts) never do.
+  const captures = capturedRecords.filter(
+    (r) =>
+      (r.attemptCountTotal || 0) > 0 &&
+      (r.vRegCapturedAt ? inRange(r.vRegCapturedAt) : !filtered)
+  );
+  const byAttempts = {};
+  captures.forEach((r) => {
+    const key = String(r.attemptCountTotal);
+    byAttempts[key] = (byAttempts[key] || 0) + 1;
+  });
+  const totalAttempts = captures.reduce(
+    (sum, r) => sum + r.attemptCountTotal,
+    0
+  );
+
+  // Calls
+  const rangeCalls = calls.filter((c) => inRange(c.createdAt));
+  const outcomes = {};
+  OUTCOMES.forEach((status) => {
+    outcomes[status] = 0;
+  });
+  outcomes.other = 0;
+  rangeCalls.forEach((c) => {
+    if (OUTCOMES.includes(c.status)) {
+      outcomes[c.status] += 1;
+    } else {
+      outcomes.other += 1;
+    }
+  });
+  const placed = rangeCalls.filter((c) => !NOT_PLACED.includes(c.status));
+  const answered = placed.filter(wasAnswered).length;
+
+  const hourly = Array.from({ length: 24 }, (_, hour) => ({
+    hour,
+    successful: 0,
+  }));
+  rangeCalls
+    .filter((c) => (c.capturedBookingIds || []).length > 0)
+    .forEach((c) => {
+      hourly[localParts(c.createdAt, timezone).hour].successful += 1;
+    });
+
+  return {
+    from: from,
+    to: to,
+    timezone: timezone,
+    records: {
+      total: records.length,
+      captured: capturedRecords.length,
+      pending: records.length - capturedRecords.length,
+      captureRate: ratio(capturedRecords.length, records.length),
+    },
+    captures: {
+      inRange: captures.length,
+      attemptsPerCapture: ratio(totalAttempts, captures.length),
+      byAttempts: byAttempts,
+    },
+    calls: {
+      placed: placed.length,
+      answered: answered,
+      answerRate: ratio(answered, placed.length),
+      outcomes: outcomes,
+    },
+    hourly: hourly,
+  };
+}
+
+module.exports = { validateDateRange, computeStats };
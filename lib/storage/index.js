@@ -0,0 +1,54 @@
+// lib/storage/index.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Storage layer used by every route in server.js. Pick the backend with
+// STORAGE_DRIVER in .env:
+//
+//   STORAGE_DRIVER=json    (default) → data.json + data.<collection>.json files
+//   STORAGE_DRIVER=sqlite            → SQLITE_FILE (default data.sqlite)
+//
+// Both adapters expose the same synchronous interface:
+//
+//   list(collection)                 → all documents, in insertion order
+//   get(collection, id)              → one document or null
+//   put(collection, doc)             → insert or overwrite one document
+//   putMany(collection, docs)        → put() for many documents, in one write
+//   update(collection, id, mutator)  → atomic read-modify-write of one document
+//                                      (throws if the mutator changes its key)
+//   remove(collection, id)           → true if something was deleted
+//   replaceAll(collection, docs)     → swap the whole collection
+//
+// Documents are identified by their key field: bookingId for “records”, id for
+// everything else.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+
+const KEY_FIELDS = {
+  records: 'bookingId',
+};
+
+function keyOf(collection) {
+  return KEY_FIELDS[collection] || 'id';
+}
+
+function createStorage({
+  driver = process.env.STORAGE_DRIVER || 'json',
+  dataDir = process.env.DATA_DIR || path.join(__dirname, '..', '..'),
+  sqliteFile = process.env.SQLITE_FILE,
+} = {}) {
+  if (driver === 'sqlite') {
+    // Required lazily so the JSON driver works without the native module
+    const { createSqliteStore } = require('./sqliteStore');
+    return createSqliteStore({
+      filename: sqliteFile || path.join(dataDir, 'data.sqlite'),
+      keyOf,
+    });
+  }
+  if (driver === 'json') {
+    return createJsonStore({ dataDir, keyOf });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (use json or sqlite)`);
+}
+
+module.exports = { createStorage, keyOf };
@@ -0,0 +1,150 @@
+// lib/storage/jsonStore.js
+// ─────────────────────────────────────────────────────────────────────────────
+// JSON-file storage adapter (the original data.json behaviour).
+//
+// • The “records” collection lives in data.json, exactly as before.
+// • Every other collection lives next to it in data.<collection>.json.
+// • Every operation is synchronous (read → change → write in one tick), so two
+//   requests handled by this process can never interleave inside one update.
+// • Writes go to a temp file first and are then renamed over the original, so
+//   a crash mid-write never leaves a half-written JSON file behind.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs = require('fs');
+const path = require('path');
+
+function createJsonStore({ dataDir, keyOf }) {
+  function fileFor(collection) {
+    return collection === 'records'
+      ? path.join(dataDir, 'data.json')
+      : path.join(dataDir, `data.${collection}.json`);
+  }
+
+  function readCollection(collection) {
+    const file = fileFor(collection);
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    try {
+      const raw = fs.readFileSync(file, 'utf8');
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      console.error(`Failed to read ${path.basename(file)}, resetting:`, e);
+      return [];
+    }
+  }
+
+  function writeCollection(collection, docs) {
+    const file = fileFor(collection);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(docs, null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+  }
+
+  function indexOf(docs, collection, id) {
+    const key = keyOf(collection);
+    return docs.findIndex((d) => String(d[key]) === String(id));
+  }
+
+  return {
+    driver: 'json',
+
+    list(collection) {
+      return readCollection(collection);
+    },
+
+    get(collection, id) {
+      const docs = readCollection(collection);
+      const idx = indexOf(docs, collection, id);
+      return idx >= 0 ? docs[idx] : null;
+    },
+
+    // Insert or overwrite a single document (matched on its key field)
+    put(collection, doc) {
+      const docs = readCollection(collection);
+      const idx = indexOf(docs, collection, doc[keyOf(collection)]);
+      if (idx >= 0) {
+        docs[idx] = doc;
+      } else {
+        docs.push(doc);
+      }
+      writeCollection(collection, docs);
+      return doc;
+    },
+
+    // put() for many documents with a single read and write of the file, for
+    // uploads and migrations that touch a whole collection
+    putMany(collection, newDocs) {
+      const docs = readCollection(collection);
+      const key = keyOf(collection);
+      const indexById = new Map(docs.map((d, idx) => [String(d[key]), idx]));
+      newDocs.forEach((doc) => {
+        const id = String(doc[key]);
+        if (indexById.has(id)) {
+          docs[indexById.get(id)] = doc;
+        } else {
+          indexById.set(id, docs.length);
+          docs.push(doc);
+        }
+      });
+      if (newDocs.length) {
+        writeCollection(collection, docs);
+      }
+      return newDocs;
+    },
+
+    // Apply mutator(doc) to one document and save it. The mutator may change the
+    // doc in place or return a replacement, but not its key field (that throws
+    // and nothing is saved). Returns the saved doc, or null.
+    update(collection, id, mutator) {
+      const docs = readCollection(collection);
+      const idx = indexOf(docs, collection, id);
+      if (idx < 0) {
+        return null;
+      }
+      const draft = { ...docs[idx] };
+      const result = mutator(draft) || draft;
+      const key = keyOf(collection);
+      if (String(result[key]) !== String(id)) {
+        throw new Error(
+          `Cannot change ${key} of ${collection} "${id}" in an update`
+        );
+      }
+      docs[idx] = result;
+      writeCollection(collection, docs);
+      return result;
+    },
+
+    remove(collection, id) {
+      const docs = readCollection(collection);
+      const idx = indexOf(docs, collection, id);
+      if (idx < 0) {
+        return false;
+      }
+      docs.splice(idx, 1);
+      writeCollection(collection, docs);
+      return true;
+    },
+
+    replaceAll(collection, docs) {
+      writeCollection(collection, docs);
+    },
+
+    // Names of the collections that currently exist on disk
+    collections() {
+      return fs
+        .readdirSync(dataDir)
+        .map((name) => {
+          if (name === 'data.json') return 'records';
+          const m = name.match(/^data\.([A-Za-z_]+)\.json$/);
+          return m ? m[1] : null;
+        })
+        .filter(Boolean);
+    },
+
+    close() {},
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,140 @@
+// lib/storage/sqliteStore.js
+// ─────────────────────────────────────────────────────────────────────────────
+// SQLite storage adapter (better-sqlite3).
+//
+// Each collection is one table of JSON documents:
+//     <collection> (id TEXT PRIMARY KEY, data TEXT NOT NULL)
+// so new record fields never need a schema migration. Updates run inside a
+// transaction, which makes every read-modify-write atomic per document even
+// when Twilio callbacks and AI tool calls arrive at the same time.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const Database = require('better-sqlite3');
+
+function createSqliteStore({ filename, keyOf }) {
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  // Prepared statements per collection, created on first use
+  const statements = {};
+
+  function stmts(collection) {
+    if (statements[collection]) {
+      return statements[collection];
+    }
+    if (!/^[A-Za-z_]+$/.test(collection)) {
+      throw new Error(`Invalid collection name: ${collection}`);
+    }
+    db.exec(
+      `CREATE TABLE IF NOT EXISTS "${collection}" (id TEXT PRIMARY KEY, data TEXT NOT NULL)`
+    );
+    statements[collection] = {
+      all: db.prepare(`SELECT data FROM "${collection}" ORDER BY rowid`),
+      get: db.prepare(`SELECT data FROM "${collection}" WHERE id = ?`),
+      upsert: db.prepare(
+        `INSERT INTO "${collection}" (id, data) VALUES (?, ?)
+         ON CONFLICT(id) DO UPDATE SET data = excluded.data`
+      ),
+      remove: db.prepare(`DELETE FROM "${collection}" WHERE id = ?`),
+      clear: db.prepare(`DELETE FROM "${collection}"`),
+    };
+    return statements[collection];
+  }
+
+  function idOf(collection, doc) {
+    return String(doc[keyOf(collection)]);
+  }
+
+  // update() saves under the id it was given, so a changed key field would
+  // leave the row’s id and its data disagreeing
+  function checkKeyUnchanged(collection, id, doc) {
+    const key = keyOf(collection);
+    if (String(doc[key]) !== String(id)) {
+      throw new Error(
+        `Cannot change ${key} of ${collection} "${id}" in an update`
+      );
+    }
+  }
+
+  const updateTx = db.transaction((collection, id, mutator) => {
+    const s = stmts(collection);
+    const row = s.get.get(String(id));
+    if (!row) {
+      return null;
+    }
+    const draft = JSON.parse(row.data);
+    const result = mutator(draft) || draft;
+    // Throwing rolls the transaction back, so the row keeps its old data
+    checkKeyUnchanged(collection, id, result);
+    s.upsert.run(String(id), JSON.stringify(result));
+    return result;
+  });
+
+  const putManyTx = db.transaction((collection, docs) => {
+    const s = stmts(collection);
+    docs.forEach((doc) => {
+      s.upsert.run(idOf(collection, doc), JSON.stringify(doc));
+    });
+  });
+
+  const replaceAllTx = db.transaction((collection, docs) => {
+    const s = stmts(collection);
+    s.clear.run();
+    docs.forEach((doc) => {
+      s.upsert.run(idOf(collection, doc), JSON.stringify(doc));
+    });
+  });
+
+  return {
+    driver: 'sqlite',
+
+    list(collection) {
+      return stmts(collection)
+        .all.all()
+        .map((row) => JSON.parse(row.data));
+    },
+
+    get(collection, id) {
+      const row = stmts(collection).get.get(String(id));
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    put(collection, doc) {
+      stmts(collection).upsert.run(idOf(collection, doc), JSON.stringify(doc));
+      return doc;
+    },
+
+    putMany(collection, docs) {
+      putManyTx(collection, docs);
+      return docs;
+    },
+
+    update(collection, id, mutator) {
+      return updateTx(collection, id, mutator);
+    },
+
+    remove(collection, id) {
+      return stmts(collection).remove.run(String(id)).changes > 0;
+    },
+
+    replaceAll(collection, docs) {
+      replaceAllTx(collection, docs);
+    },
+
+    collections() {
+      return db
+        .prepare(
+          "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+        )
+        .all()
+        .map((row) => row.name);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteStore };
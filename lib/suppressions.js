@@ -0,0 +1,85 @@
+// lib/suppressions.js
+// ─────────────────────────────────────────────────────────────────────────────
+// The do-not-call list: numbers we must never call (or text) again, stored in
+// the “suppressions” collection keyed by E.164 number:
+//
+//   { id: '+447911123456', phoneNumber, reason, source, bookingIds,
+//     createdAt, createdBy }
+//
+// source is 'manual' (added in the UI/API), 'import' (CSV/XLSX upload) or
+// 'assistant' (the customer opted out on a call, via /api/optOut).
+//
+// readSuppressionSheet() turns an uploaded sheet into entries: the phone column
+// is found like an upload’s (lib/spreadsheet.js), else the first column is
+// used; an optional “Reason” / “Notes” column is kept as the reason. A plain
+// list of numbers without a header row works too.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { proposeMapping } = require('./spreadsheet');
+
+const REASON_RE = /reason|note|comment/i;
+
+// sheet is parseSpreadsheet()’s { headers, rows }; parsePhone is lib/phone.js.
+// Returns { phoneHeader, entries: [{ row, phoneNumber, reason }],
+//           invalid: [{ row, value, reason }] }. Row numbers are spreadsheet
+// line numbers (header = line 1); numbers repeated in the file are listed once.
+function readSuppressionSheet(sheet, parsePhone) {
+  const namedHeader = proposeMapping(sheet.headers).phoneNumber;
+  const phoneHeader = namedHeader || sheet.headers[0] || '';
+  // No header row: the first “header” is already a number
+  const headerIsNumber =
+    !namedHeader && phoneHeader !== '' && Boolean(parsePhone(phoneHeader).e164);
+  const reasonHeader =
+    sheet.headers.find(
+      (h) => h !== phoneHeader && REASON_RE.test(String(h).trim())
+    ) || '';
+  const entries = [];
+  const invalid = [];
+  const seen = new Set();
+  const rows = headerIsNumber
+    ? [{ [phoneHeader]: phoneHeader }, ...sheet.rows]
+    : sheet.rows;
+
+  rows.forEach((raw, idx) => {
+    const value = String(
+      raw[phoneHeader] === undefined ? '' : raw[phoneHeader]
+    ).trim();
+    const phone = parsePhone(value);
+    if (!phone.e164) {
+      invalid.push({
+        row: idx + (headerIsNumber ? 1 : 2),
+        value,
+        reason: phone.reason,
+      });
+      return;
+    }
+    if (seen.has(phone.e164)) {
+      return;
+    }
+    seen.add(phone.e164);
+    entries.push({
+      row: idx + (headerIsNumber ? 1 : 2),
+      phoneNumber: phone.e164,
+      reason: reasonHeader ? String(raw[reasonHeader]).trim() : '',
+    });
+  });
+
+  return { phoneHeader, entries, invalid };
+}
+
+// Rule for a record whose number is on the list (suppressed: Set of E.164
+// numbers), else null. Same { rule, message } shape as lib/policy.js checkRow.
+function checkSuppression(row, suppressed) {
+  if (row.phoneNumber && suppressed.has(row.phoneNumber)) {
+    return {
+      rule: 'do_not_call',
+      message: 'Number is on the do-not-call list.',
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  readSuppressionSheet,
+  checkSuppression,
+};
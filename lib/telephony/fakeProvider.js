@@ -0,0 +1,398 @@
+// lib/telephony/fakeProvider.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Local stand-in for Twilio, used by the test suite (and for demos without a
+// Twilio account). Nothing is dialled: every placed call is recorded in
+// `calls`, and a script queued for the number plays back what the phone
+// network and the AI Assistant would do, over HTTP against the server itself:
+//
+//   fake.script('+447911123456', [
+//     'ringing',                                   // status callback
+//     { status: 'in-progress' },
+//     { saveVReg: 'ab12 cde' },                    // AI tool call
+//     { status: 'completed', duration: 42, answeredBy: 'human' },
+//   ]);
+//   fake.script('+447911123456', [                 // voicemail picks up
+//     'ringing', 'in-progress',
+//     { machine: 'machine_end_beep' },             // machine detection result
+//     { status: 'completed', answeredBy: 'machine_end_beep' },
+//   ]);
+//   fake.script('+447911123456', [                 // a recorded call
+//     'ringing', 'in-progress',
+//     { transcript: [{ role: 'assistant', text: 'Hello…' }] }, // transcript tool
+//     { status: 'completed', duration: 42 },
+//     { recording: 'completed', duration: 40 },    // recording status callback
+//   ]);
+//   fake.failNext('+447911123456', 'Invalid number'); // next placeCall throws
+//   fake.failNext('+447911123456', 'Busy API', 'transient'); // … retryably
+//   await fake.settled();                          // all scripts have finished
+//
+// Status callbacks are POSTed as JSON { callSid, status, to, duration,
+// answeredBy } to the call’s statusCallbackUrl, machine detection results as
+// { callSid, answeredBy } to machineDetection.callbackUrl (only when the call
+// asked for detection), recording callbacks as { callSid, recordingSid, status,
+// duration } to recording.callbackUrl (only for recorded calls; a completed
+// recording’s fake audio is kept in `recordings` until deleteRecording()); tool
+// calls (and transcripts, to /api/callTranscript) go to /api/<tool> on the same
+// origin with the X-Identity / X-Session-Id headers the Assistant
+// would send (plus “Authorization: Bearer <toolToken>” when one is given).
+// Callbacks carry an X-Fake-Signature that verifyCallback() checks, so the
+// webhook authentication can be tested too. Each step’s HTTP response is kept
+// in call.events; TwiML the server swaps in with updateCall() in call.updates.
+//
+// Sent SMS / WhatsApp messages are kept in `messages`; fake.reply(number, text)
+// posts the customer’s answer to /api/inboundMessage as JSON { messageSid,
+// from, body, channel } and resolves to the server’s response.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const crypto = require('crypto');
+
+function createFakeProvider({ toolToken } = {}) {
+  const callbackSecret = crypto.randomBytes(16).toString('hex');
+  const calls = [];
+  const messages = [];
+  const scripts = new Map(); // number → queue of step lists
+  const failures = new Map(); // number → queue of { message, kind }
+  const running = new Set();
+  const recordings = new Map(); // recordingSid → { callSid, audio }
+
+  function enqueue(map, to, item) {
+    if (!map.has(to)) map.set(to, []);
+    map.get(to).push(item);
+  }
+
+  // Throws the next queued failure for `to`, if there is one
+  function throwIfFailing(to) {
+    const failQueue = failures.get(to);
+    if (failQueue && failQueue.length) {
+      const { message, kind } = failQueue.shift();
+      const err = new Error(message);
+      err.kind = kind;
+      throw err;
+    }
+  }
+
+  function findCall(callSid) {
+    const call = calls.find((c) => c.callSid === callSid);
+    if (!call) {
+      throw new Error(`Fake provider: unknown call ${callSid}`);
+    }
+    return call;
+  }
+
+  async function post(url, body, headers = {}) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+    const text = await res.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      // plain-text responses (e.g. “OK”) are kept as they are
+    }
+    return { status: res.status, body: data };
+  }
+
+  // Sends a status callback for one of our calls, like Twilio would.
+  async function emitStatus(callSid, status, extra = {}) {
+    const call = findCall(callSid);
+    const response = await post(
+      call.statusCallbackUrl,
+      {
+        callSid: callSid,
+        status: status,
+        to: call.to,
+        duration: extra.duration,
+        answeredBy: extra.answeredBy,
+      },
+      { 'X-Fake-Signature': callbackSecret }
+    );
+    call.events.push({ status, ...extra, response });
+    return response;
+  }
+
+  // Calls one of the AI Assistant tools (e.g. 'saveVReg') during a call.
+  async function toolCall(callSid, tool, body = {}) {
+    const call = findCall(callSid);
+    const origin = new URL(call.statusCallbackUrl).origin;
+    const headers = {
+      'X-Identity': call.identity,
+      'X-Session-Id': `voice:${callSid}`,
+    };
+    if (toolToken) {
+      headers.Authorization = `Bearer ${toolToken}`;
+    }
+    const response = await post(`${origin}/api/${tool}`, body, headers);
+    call.events.push({ tool, ...body, response });
+    return response;
+  }
+
+  // Reports what answered the call, like Twilio’s async AMD callback.
+  async function emitMachineDetection(callSid, answeredBy) {
+    const call = findCall(callSid);
+    if (!call.machineDetection) {
+      throw new Error(
+        `Fake provider: call ${callSid} has no machine detection`
+      );
+    }
+    const response = await post(
+      call.machineDetection.callbackUrl,
+      { callSid: callSid, answeredBy: answeredBy },
+      { 'X-Fake-Signature': callbackSecret }
+    );
+    call.events.push({ machine: answeredBy, response });
+    return response;
+  }
+
+  // Reports a recording status change, like Twilio’s recordingStatusCallback.
+  // Every call gets one recording, so its sid stays the same.
+  async function emitRecording(callSid, status, extra = {}) {
+    const call = findCall(callSid);
+    if (!call.recording) {
+      throw new Error(`Fake provider: call ${callSid} isn’t recorded`);
+    }
+    call.recordingSid =
+      call.recordingSid || 'RE' + crypto.randomBytes(16).toString('hex');
+    if (status === 'completed') {
+      recordings.set(call.recordingSid, {
+        callSid,
+        audio: Buffer.from(`fake audio of ${callSid}`),
+      });
+    }
+    const response = await post(
+      call.recording.callbackUrl,
+      {
+        callSid: callSid,
+        recordingSid: call.recordingSid,
+        status: status,
+        duration: extra.duration,
+      },
+      { 'X-Fake-Signature': callbackSecret }
+    );
+    call.events.push({ recording: status, ...extra, response });
+    return response;
+  }
+
+  function saveVReg(callSid, vReg, extra = {}) {
+    return toolCall(callSid, 'saveVReg', { vReg, ...extra });
+  }
+
+  // The customer answers the last message we sent to `from`.
+  async function reply(from, text) {
+    const sent = [...messages].reverse().find((m) => m.to === from);
+    if (!sent) {
+      throw new Error(`Fake provider: no message was sent to ${from}`);
+    }
+    const origin = new URL(sent.statusCallbackUrl).origin;
+    const response = await post(
+      `${origin}/api/inboundMessage`,
+      {
+        messageSid: 'SM' + crypto.randomBytes(16).toString('hex'),
+        from: from,
+        body: text,
+        channel: sent.channel,
+      },
+      { 'X-Fake-Signature': callbackSecret }
+    );
+    sent.replies.push({ body: text, response });
+    return response;
+  }
+
+  async function runScript(call, steps) {
+    for (const step of steps) {
+      const {
+        status,
+        saveVReg: vReg,
+        machine,
+        recording,
+        transcript,
+        ...extra
+      } = typeof step === 'string' ? { status: step } : step;
+      if (vReg !== undefined) {
+        await saveVReg(call.callSid, vReg, extra);
+      } else if (transcript !== undefined) {
+        await toolCall(call.callSid, 'callTranscript', { transcript });
+      } else if (recording !== undefined) {
+        await emitRecording(call.callSid, recording, extra);
+      } else if (machine !== undefined) {
+        await emitMachineDetection(call.callSid, machine);
+      } else {
+        await emitStatus(call.callSid, status, extra);
+      }
+    }
+  }
+
+  return {
+    name: 'fake',
+    calls,
+    messages,
+    recordings,
+
+    async placeCall({
+      to,
+      from,
+      twiml,
+      statusCallbackUrl,
+      machineDetection,
+      recording,
+    }) {
+      throwIfFailing(to);
+
+      const identity = (twiml.match(
+        /<Parameter name="identity" value="([^"]*)"/
+      ) || [])[1];
+      const call = {
+        callSid: 'CA' + crypto.randomBytes(16).toString('hex'),
+        to,
+        from,
+        twiml,
+        statusCallbackUrl,
+        machineDetection: machineDetection || null,
+        recording: recording || null,
+        identity: identity || '',
+        placedAt: new Date().toISOString(),
+        events: [],
+        updates: [],
+      };
+      calls.push(call);
+
+      const stepQueue = scripts.get(to);
+      if (stepQueue && stepQueue.length) {
+        // Played after placeCall returns, as the real callbacks would be
+        const run = new Promise((resolve) => setImmediate(resolve))
+          .then(() => runScript(call, stepQueue.shift()))
+          .catch((err) => {
+            call.error = err.message;
+          })
+          .finally(() => running.delete(run));
+        running.add(run);
+      }
+      return { callSid: call.callSid };
+    },
+
+    async updateCall(callSid, { twiml }) {
+      findCall(callSid).updates.push({ twiml, at: new Date().toISOString() });
+    },
+
+    classifyError(err) {
+      return err.kind || 'error';
+    },
+
+    async sendMessage({ to, from, body, channel, statusCallbackUrl }) {
+      throwIfFailing(to);
+      const message = {
+        messageSid: 'SM' + crypto.randomBytes(16).toString('hex'),
+        to,
+        from,
+        body,
+        channel,
+        statusCallbackUrl,
+        sentAt: new Date().toISOString(),
+        replies: [],
+      };
+      messages.push(message);
+      return { messageSid: message.messageSid };
+    },
+
+    verifyCallback(req) {
+      return req.headers['x-fake-signature'] === callbackSecret;
+    },
+
+    parseStatusCallback(body) {
+      return {
+        callSid: body.callSid || '',
+        status: body.status || '',
+        to: body.to || '',
+        duration:
+          body.duration !== undefined ? Number(body.duration) : undefined,
+        answeredBy: body.answeredBy,
+      };
+    },
+
+    parseMachineDetection(body) {
+      return {
+        callSid: body.callSid || '',
+        answeredBy: body.answeredBy || '',
+      };
+    },
+
+    parseRecordingCallback(body) {
+      return {
+        callSid: body.callSid || '',
+        recordingSid: body.recordingSid || '',
+        status: body.status || '',
+        duration:
+          body.duration !== undefined ? Number(body.duration) : undefined,
+      };
+    },
+
+    async fetchRecording(recordingSid) {
+      const recording = recordings.get(recordingSid);
+      if (!recording) {
+        const err = new Error(
+          `Fake provider: unknown recording ${recordingSid}`
+        );
+        err.status = 404;
+        throw err;
+      }
+      return { contentType: 'audio/mpeg', body: recording.audio };
+    },
+
+    async deleteRecording(recordingSid) {
+      recordings.delete(recordingSid);
+    },
+
+    parseInboundMessage(body) {
+      return {
+        messageSid: body.messageSid || '',
+        from: body.from || '',
+        body: body.body || '',
+        channel: body.channel || 'sms',
+      };
+    },
+
+    parseMessageStatus(body) {
+      return {
+        messageSid: body.messageSid || '',
+        status: body.status || '',
+        error: body.error || '',
+      };
+    },
+
+    // Steps for the next call placed to `to` (one script per call, in order)
+    script(to, steps) {
+      enqueue(scripts, to, steps);
+    },
+
+    // Also makes the next sendMessage() to `to` throw. kind is what
+    // classifyError() says about it: 'error', 'transient' or 'permanent'.
+    failNext(to, message = 'Fake provider: call rejected', kind = 'error') {
+      enqueue(failures, to, { message, kind });
+    },
+
+    emitStatus,
+    emitMachineDetection,
+    emitRecording,
+    toolCall,
+    saveVReg,
+    reply,
+
+    async settled() {
+      while (running.size) {
+        await Promise.all([...running]);
+      }
+    },
+
+    reset() {
+      calls.length = 0;
+      messages.length = 0;
+      recordings.clear();
+      scripts.clear();
+      failures.clear();
+    },
+  };
+}
+
+module.exports = { createFakeProvider };
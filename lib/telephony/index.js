@@ -0,0 +1,60 @@
+// lib/telephony/index.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Telephony used to place the outbound calls and to read their status
+// callbacks. Pick the provider with TELEPHONY_PROVIDER in .env:
+//
+//   TELEPHONY_PROVIDER=twilio  (default) → Twilio Voice API (TWILIO_ACCOUNT_SID,
+//                                          TWILIO_AUTH_TOKEN)
+//   TELEPHONY_PROVIDER=fake              → local fake for tests and demos: records
+//                                          calls and plays scripted callbacks
+//
+// Every provider implements:
+//   async placeCall({ to, from, twiml, statusCallbackUrl, machineDetection, recording })
+//       → { callSid }
+//       (machineDetection, optional: { action: 'hangup' | 'voicemail', callbackUrl }
+//        → detect answering machines without holding up the call, and POST the
+//        result to callbackUrl; 'voicemail' waits for the greeting to end)
+//       (recording, optional: { callbackUrl } → record the call and POST the
+//        recording’s status changes to callbackUrl)
+//   async updateCall(callSid, { twiml }) → replaces the TwiML of a live call
+//   classifyError(err) → what a placeCall() error means (see lib/dispatchQueue.js):
+//       'transient' (try again later), 'permanent' (the number can’t be called)
+//       or 'error' (anything else, not retried)
+//   parseStatusCallback(body) → { callSid, status, to, duration, answeredBy }
+//       (duration is a number of seconds or undefined; the rest are strings)
+//   parseMachineDetection(body) → { callSid, answeredBy }
+//       (answeredBy: 'human', 'machine_start', 'machine_end_beep', 'fax', 'unknown', …)
+//   parseRecordingCallback(body) → { callSid, recordingSid, status, duration }
+//       (status: 'in-progress', 'completed', 'absent' or 'failed')
+//   async fetchRecording(recordingSid) → { contentType, body } (body is a Buffer)
+//   async deleteRecording(recordingSid) → deletes it (an unknown one is no error)
+//   verifyCallback(req, url) → true if the callback really came from the provider
+//   async sendMessage({ to, from, body, channel, statusCallbackUrl }) → { messageSid }
+//       (channel is 'sms' or 'whatsapp'; numbers are plain E.164)
+//   parseInboundMessage(body) → { messageSid, from, body, channel }
+//   parseMessageStatus(body) → { messageSid, status, error }
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { createTwilioProvider } = require('./twilioProvider');
+const { createFakeProvider } = require('./fakeProvider');
+
+function createTelephony({
+  provider = process.env.TELEPHONY_PROVIDER || 'twilio',
+} = {}) {
+  if (provider === 'twilio') {
+    return createTwilioProvider({
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+    });
+  }
+  if (provider === 'fake') {
+    return createFakeProvider({
+      toolToken: process.env.ASSISTANT_TOOL_TOKEN,
+    });
+  }
+  throw new Error(
+    `Unknown TELEPHONY_PROVIDER "${provider}" (use twilio or fake)`
+  );
+}
+
+module.exports = { createTelephony };
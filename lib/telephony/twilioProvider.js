@@ -0,0 +1,203 @@
+// lib/telephony/twilioProvider.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Twilio Voice API. Calls carry inline TwiML and report back to
+// statusCallbackUrl on every transition (initiated, ringing, answered,
+// completed); the callback body is Twilio’s form-encoded CallSid/CallStatus/…
+// signed with the auth token in X-Twilio-Signature.
+//
+// Answering machine detection runs asynchronously (AsyncAmd), so the assistant
+// is connected straight away and the result arrives on its own callback
+// (CallSid/AnsweredBy); the server then replaces the call’s TwiML if a machine
+// picked up. DetectMessageEnd waits for the beep, to leave a voicemail.
+//
+// Recorded calls are recorded in two channels (customer / assistant) and report
+// to their own recordingStatusCallback. The audio is fetched (as MP3) and
+// deleted through the REST API with the account credentials.
+//
+// Messages go through the Twilio Messaging API. WhatsApp numbers are the same
+// E.164 numbers with a “whatsapp:” prefix, which is added and stripped here.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const Twilio = require('twilio');
+
+const STATUS_EVENTS = ['initiated', 'ringing', 'answered', 'completed'];
+// Twilio error codes meaning the number itself can’t be called (invalid,
+// unreachable, blocked, not a valid phone number)
+const REJECTED_NUMBER_CODES = [13223, 13224, 21211, 21214, 21216, 21217];
+const RECORDING_EVENTS = ['in-progress', 'completed', 'absent'];
+const API_BASE = 'https://api.twilio.com/2010-04-01';
+const WHATSAPP_PREFIX = 'whatsapp:';
+
+function withChannel(number, channel) {
+  return channel === 'whatsapp' ? `${WHATSAPP_PREFIX}${number}` : number;
+}
+
+function createTwilioProvider({ accountSid, authToken }) {
+  const client = Twilio(accountSid, authToken);
+
+  return {
+    name: 'twilio',
+
+    async placeCall({
+      to,
+      from,
+      twiml,
+      statusCallbackUrl,
+      machineDetection,
+      recording,
+    }) {
+      const options = {
+        to: to,
+        from: from,
+        twiml: twiml,
+        statusCallback: statusCallbackUrl,
+        statusCallbackMethod: 'POST',
+        statusCallbackEvent: STATUS_EVENTS,
+      };
+      if (machineDetection) {
+        Object.assign(options, {
+          machineDetection:
+            machineDetection.action === 'voicemail'
+              ? 'DetectMessageEnd'
+              : 'Enable',
+          asyncAmd: 'true',
+          asyncAmdStatusCallback: machineDetection.callbackUrl,
+          asyncAmdStatusCallbackMethod: 'POST',
+        });
+      }
+      if (recording) {
+        Object.assign(options, {
+          record: true,
+          recordingChannels: 'dual',
+          recordingStatusCallback: recording.callbackUrl,
+          recordingStatusCallbackMethod: 'POST',
+          recordingStatusCallbackEvent: RECORDING_EVENTS,
+        });
+      }
+      const call = await client.calls.create(options);
+      return { callSid: call.sid };
+    },
+
+    async updateCall(callSid, { twiml }) {
+      await client.calls(callSid).update({ twiml: twiml });
+    },
+
+    // RestException carries the HTTP status and Twilio’s error code; network
+    // errors have neither
+    classifyError(err) {
+      if (REJECTED_NUMBER_CODES.includes(err.code)) return 'permanent';
+      if (!err.status || err.status === 429 || err.status >= 500) {
+        return 'transient';
+      }
+      return 'error';
+    },
+
+    async sendMessage({ to, from, body, channel, statusCallbackUrl }) {
+      const message = await client.messages.create({
+        to: withChannel(to, channel),
+        from: withChannel(from, channel),
+        body: body,
+        statusCallback: statusCallbackUrl,
+      });
+      return { messageSid: message.sid };
+    },
+
+    // url is the full public URL Twilio posted to (see lib/webhookAuth.js)
+    verifyCallback(req, url) {
+      const signature = req.headers['x-twilio-signature'];
+      return (
+        Boolean(signature) &&
+        Twilio.validateRequest(authToken, signature, url, req.body || {})
+      );
+    },
+
+    parseStatusCallback(body) {
+      return {
+        callSid: body.CallSid || '',
+        status: body.CallStatus || '',
+        to: body.To || '',
+        duration:
+          body.CallDuration !== undefined
+            ? Number(body.CallDuration)
+            : undefined,
+        answeredBy: body.AnsweredBy,
+      };
+    },
+
+    // Async AMD callback (form-encoded CallSid/AnsweredBy)
+    parseMachineDetection(body) {
+      return {
+        callSid: body.CallSid || '',
+        answeredBy: body.AnsweredBy || '',
+      };
+    },
+
+    // Recording status callback (form-encoded CallSid/RecordingSid/…)
+    parseRecordingCallback(body) {
+      return {
+        callSid: body.CallSid || '',
+        recordingSid: body.RecordingSid || '',
+        status: body.RecordingStatus || '',
+        duration:
+          body.RecordingDuration !== undefined
+            ? Number(body.RecordingDuration)
+            : undefined,
+      };
+    },
+
+    async fetchRecording(recordingSid) {
+      const resp = await fetch(
+        `${API_BASE}/Accounts/${accountSid}/Recordings/${recordingSid}.mp3`,
+        {
+          headers: {
+            Authorization: `Basic ${Buffer.from(
+              `${accountSid}:${authToken}`
+            ).toString('base64')}`,
+          },
+        }
+      );
+      if (!resp.ok) {
+        const err = new Error(
+          `Recording download failed with HTTP ${resp.status}`
+        );
+        err.status = resp.status;
+        throw err;
+      }
+      return {
+        contentType: resp.headers.get('content-type') || 'audio/mpeg',
+        body: Buffer.from(await resp.arrayBuffer()),
+      };
+    },
+
+    async deleteRecording(recordingSid) {
+      try {
+        await client.recordings(recordingSid).remove();
+      } catch (err) {
+        // Already gone
+        if (err.status !== 404) throw err;
+      }
+    },
+
+    // Inbound SMS / WhatsApp webhook (form-encoded From/Body/MessageSid)
+    parseInboundMessage(body) {
+      const from = String(body.From || '');
+      const channel = from.startsWith(WHATSAPP_PREFIX) ? 'whatsapp' : 'sms';
+      return {
+        messageSid: body.MessageSid || '',
+        from: from.replace(WHATSAPP_PREFIX, ''),
+        body: body.Body || '',
+        channel: channel,
+      };
+    },
+
+    parseMessageStatus(body) {
+      return {
+        messageSid: body.MessageSid || '',
+        status: body.MessageStatus || '',
+        error: body.ErrorCode ? `Twilio error ${body.ErrorCode}` : '',
+      };
+    },
+  };
+}
+
+module.exports = { createTwilioProvider };
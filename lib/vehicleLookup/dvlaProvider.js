@@ -0,0 +1,39 @@
+// lib/vehicleLookup/dvlaProvider.js
+// ─────────────────────────────────────────────────────────────────────────────
+// DVLA Vehicle Enquiry Service (VES) provider. Needs DVLA_API_KEY in .env.
+// A 404 from DVLA means the plate is unknown; anything else non-2xx throws.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DVLA_URL =
+  'https://driver-vehicle-licensing.api.gov.uk/vehicle-enquiry/v1/vehicles';
+
+function createDvlaProvider({ apiKey }) {
+  if (!apiKey) {
+    throw new Error('VEHICLE_LOOKUP_PROVIDER=dvla requires DVLA_API_KEY');
+  }
+  return {
+    name: 'dvla',
+    async lookup(vrn) {
+      const resp = await fetch(DVLA_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey },
+        body: JSON.stringify({ registrationNumber: vrn }),
+      });
+      if (resp.status === 404) {
+        return { found: false };
+      }
+      if (!resp.ok) {
+        throw new Error(`DVLA lookup failed with HTTP ${resp.status}`);
+      }
+      const data = await resp.json();
+      return {
+        found: true,
+        make: data.make || '',
+        colour: data.colour || '',
+        yearOfManufacture: data.yearOfManufacture || null,
+      };
+    },
+  };
+}
+
+module.exports = { createDvlaProvider };
@@ -0,0 +1,36 @@
+// lib/vehicleLookup/index.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Vehicle lookup used to read the make/colour back to the caller once a VRN
+// has been captured (“Is that a red Ford?”). Pick the provider with
+// VEHICLE_LOOKUP_PROVIDER in .env:
+//
+//   VEHICLE_LOOKUP_PROVIDER=mock  (default) → local fake data, no network
+//   VEHICLE_LOOKUP_PROVIDER=dvla            → DVLA Vehicle Enquiry Service (DVLA_API_KEY)
+//   VEHICLE_LOOKUP_PROVIDER=none            → lookups always return found: false
+//
+// Every provider implements:
+//   async lookup(vrn) → { found: true, make, colour, yearOfManufacture }
+//                     | { found: false }
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { createMockProvider } = require('./mockProvider');
+const { createDvlaProvider } = require('./dvlaProvider');
+
+function createVehicleLookup({
+  provider = process.env.VEHICLE_LOOKUP_PROVIDER || 'mock',
+} = {}) {
+  if (provider === 'mock') {
+    return createMockProvider();
+  }
+  if (provider === 'dvla') {
+    return createDvlaProvider({ apiKey: process.env.DVLA_API_KEY });
+  }
+  if (provider === 'none') {
+    return { name: 'none', lookup: async () => ({ found: false }) };
+  }
+  throw new Error(
+    `Unknown VEHICLE_LOOKUP_PROVIDER "${provider}" (use mock, dvla or none)`
+  );
+}
+
+module.exports = { createVehicleLookup };
@@ -0,0 +1,38 @@
+// lib/vehicleLookup/mockProvider.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Local stand-in for a DVLA-style lookup. A few fixed plates are useful for
+// demos; any other valid plate gets a make/colour derived from its characters,
+// so the same VRN always returns the same vehicle. Plates ending in “X” are
+// treated as unknown, to exercise the not-found path.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const KNOWN_VEHICLES = {
+  AB12CDE: { make: 'FORD', colour: 'BLUE', yearOfManufacture: 2012 },
+  XY21ZZZ: { make: 'TESLA', colour: 'WHITE', yearOfManufacture: 2021 },
+};
+
+const MAKES = ['FORD', 'VAUXHALL', 'VOLKSWAGEN', 'BMW', 'TOYOTA', 'NISSAN'];
+const COLOURS = ['BLACK', 'SILVER', 'WHITE', 'BLUE', 'RED', 'GREY'];
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    async lookup(vrn) {
+      if (KNOWN_VEHICLES[vrn]) {
+        return { found: true, ...KNOWN_VEHICLES[vrn] };
+      }
+      if (vrn.endsWith('X')) {
+        return { found: false };
+      }
+      const sum = [...vrn].reduce((acc, ch) => acc + ch.charCodeAt(0), 0);
+      return {
+        found: true,
+        make: MAKES[sum % MAKES.length],
+        colour: COLOURS[Math.floor(sum / MAKES.length) % COLOURS.length],
+        yearOfManufacture: 2000 + (sum % 24),
+      };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
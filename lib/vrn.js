@@ -0,0 +1,264 @@
+// lib/vrn.js
+// ─────────────────────────────────────────────────────────────────────────────
+// UK vehicle registration (VRN) normalisation and validation.
+//
+// The AI assistant passes on whatever it heard, e.g. "a b one two x y z" or
+// "AB12 xyz". normaliseVrn() turns that into "AB12XYZ": spoken digits and
+// letters (“one”, “zed”, “bravo”, “double x”…) become characters, everything is
+// uppercased and spaces/punctuation are removed. validateVrn() then checks the
+// result against the UK plate formats below. Words that sound like a digit but
+// may be meant otherwise (“oh”, “to”, “for”…) are read both ways, and
+// validateVrn() keeps the reading that is a plate: "a b one oh c d e" →
+// "AB10CDE", "oh bee one two…" → "OB12…". findVrnInText() picks a plate out
+// of a free-text message (“my reg is AB12 CDE, thanks”); it only takes what is
+// written as a plate, never spoken words.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SPOKEN_DIGITS = {
+  zero: '0',
+  nought: '0',
+  nil: '0',
+  one: '1',
+  two: '2',
+  three: '3',
+  four: '4',
+  five: '5',
+  six: '6',
+  seven: '7',
+  eight: '8',
+  nine: '9',
+};
+
+// Letter names and the NATO alphabet
+const SPOKEN_LETTERS = {
+  alpha: 'A',
+  alfa: 'A',
+  bee: 'B',
+  bravo: 'B',
+  see: 'C',
+  cee: 'C',
+  charlie: 'C',
+  dee: 'D',
+  delta: 'D',
+  echo: 'E',
+  eff: 'F',
+  foxtrot: 'F',
+  gee: 'G',
+  golf: 'G',
+  aitch: 'H',
+  haitch: 'H',
+  hotel: 'H',
+  india: 'I',
+  jay: 'J',
+  juliet: 'J',
+  juliett: 'J',
+  kay: 'K',
+  kilo: 'K',
+  el: 'L',
+  lima: 'L',
+  em: 'M',
+  mike: 'M',
+  en: 'N',
+  november: 'N',
+  oscar: 'O',
+  pee: 'P',
+  papa: 'P',
+  cue: 'Q',
+  queue: 'Q',
+  quebec: 'Q',
+  ar: 'R',
+  romeo: 'R',
+  ess: 'S',
+  sierra: 'S',
+  tee: 'T',
+  tango: 'T',
+  you: 'U',
+  uniform: 'U',
+  vee: 'V',
+  victor: 'V',
+  whiskey: 'W',
+  whisky: 'W',
+  ex: 'X',
+  xray: 'X',
+  why: 'Y',
+  yankee: 'Y',
+  zed: 'Z',
+  zee: 'Z',
+  zulu: 'Z',
+};
+
+// Heard as a digit where the plate has one, otherwise as letters (“oh” → O)
+const DIGIT_HOMOPHONES = {
+  oh: '0',
+  won: '1',
+  to: '2',
+  too: '2',
+  for: '4',
+  fore: '4',
+  ate: '8',
+};
+
+const REPEATERS = { double: 2, triple: 3 };
+
+// Most readings validateVrn() tries for one input (2 per homophone)
+const MAX_READINGS = 64;
+
+// Ordered: the first matching format wins
+const VRN_FORMATS = [
+  // AB12 CDE – since 2001
+  { format: 'current', regex: /^[A-Z]{2}[0-9]{2}[A-Z]{3}$/ },
+  // A123 BCD – 1983 to 2001
+  { format: 'prefix', regex: /^[A-Z][0-9]{1,3}[A-Z]{3}$/ },
+  // ABC 123D – 1963 to 1983
+  { format: 'suffix', regex: /^[A-Z]{3}[0-9]{1,3}[A-Z]$/ },
+  // ABZ 1234 – Northern Ireland (letters include I or Z)
+  {
+    format: 'northern_ireland',
+    regex: /^(?=[A-Z]*[IZ])[A-Z]{2,3}[0-9]{1,4}$/,
+  },
+  // ABC 123 / 1234 AB – dateless
+  {
+    format: 'dateless',
+    regex: /^([A-Z]{1,3}[0-9]{1,4}|[0-9]{1,4}[A-Z]{1,3})$/,
+  },
+];
+
+// The characters one spoken or typed word can stand for, digit reading first
+function tokenReadings(token) {
+  const letters = token === 'oh' ? 'O' : token.toUpperCase();
+  if (DIGIT_HOMOPHONES[token]) {
+    return [DIGIT_HOMOPHONES[token], letters];
+  }
+  return [SPOKEN_DIGITS[token] || SPOKEN_LETTERS[token] || letters];
+}
+
+// Every way of reading the input as characters, the all-digit reading first
+function vrnReadings(input) {
+  const tokens = String(input || '')
+    .toLowerCase()
+    .replace(/x-ray/g, 'xray')
+    .replace(/double\s+you/g, 'w')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  let readings = [''];
+  let repeat = 1;
+  tokens.forEach((token) => {
+    if (REPEATERS[token]) {
+      repeat = REPEATERS[token];
+      return;
+    }
+    // "double x" → "XX"; a repeater only applies to a single character
+    const chars = tokenReadings(token).map((char) =>
+      char.length === 1 ? char.repeat(repeat) : char
+    );
+    readings = readings
+      .flatMap((reading) => chars.map((char) => reading + char))
+      .slice(0, MAX_READINGS);
+    repeat = 1;
+  });
+  return readings;
+}
+
+function normaliseVrn(input) {
+  return vrnReadings(input)[0];
+}
+
+function checkVrn(vrn) {
+  if (!vrn) {
+    return { valid: false, vrn, reason: 'No registration was given.' };
+  }
+  if (vrn.length > 7) {
+    return {
+      valid: false,
+      vrn,
+      reason: 'UK registrations are at most 7 characters long.',
+    };
+  }
+  const match = VRN_FORMATS.find((f) => f.regex.test(vrn));
+  if (!match) {
+    return {
+      valid: false,
+      vrn,
+      reason: 'That does not match any UK registration format.',
+    };
+  }
+  return { valid: true, vrn, format: match.format };
+}
+
+// Returns { valid: true, vrn, format } or { valid: false, vrn, reason }. Of
+// several readings the valid one in the earliest format wins (digits before
+// letters on a tie); an invalid result describes the all-digit reading.
+function validateVrn(input) {
+  const checks = vrnReadings(input).map(checkVrn);
+  const rank = (check) =>
+    VRN_FORMATS.findIndex((f) => f.format === check.format);
+  const valid = checks
+    .filter((check) => check.valid)
+    .sort((a, b) => rank(a) - rank(b));
+  return valid[0] || checks[0];
+}
+
+// Formats findVrnInText() accepts anywhere in a message. The looser Northern
+// Ireland and dateless ones also match times, years and “at 5”, so those only
+// count when the plate is the whole message.
+const TEXT_FORMATS = ['current', 'prefix', 'suffix'];
+const MAX_TEXT_WORDS = 40;
+
+// Uppercase letters and digits only – no spoken words (“see”, “you”…)
+function compactVrn(input) {
+  return String(input || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+function matchFormat(vrn, formats) {
+  const match = VRN_FORMATS.find(
+    (f) => formats.includes(f.format) && f.regex.test(vrn)
+  );
+  return match ? { valid: true, vrn, format: match.format } : null;
+}
+
+// The registration written in a text message, e.g.
+// "It's ab12 cde thanks" → { valid: true, vrn: 'AB12CDE', format: 'current' }.
+// A plate may be one word or two (“AB12 CDE”); the first one found wins.
+// Returns { valid: false, vrn: '', reason } when there is none.
+function findVrnInText(text) {
+  const whole = compactVrn(text);
+  const alone =
+    whole.length <= 7 &&
+    matchFormat(
+      whole,
+      VRN_FORMATS.map((f) => f.format)
+    );
+  if (alone) {
+    return alone;
+  }
+  const words = String(text || '')
+    .split(/[\s,.;:!?]+/)
+    .map(compactVrn)
+    .filter(Boolean)
+    .slice(0, MAX_TEXT_WORDS);
+  for (let i = 0; i < words.length; i++) {
+    const candidates = [words[i] + (words[i + 1] || ''), words[i]];
+    for (const candidate of candidates) {
+      const match =
+        candidate.length <= 7 && matchFormat(candidate, TEXT_FORMATS);
+      if (match) {
+        return match;
+      }
+    }
+  }
+  return {
+    valid: false,
+    vrn: '',
+    reason: 'No UK registration was found in the message.',
+  };
+}
+
+module.exports = {
+  normaliseVrn,
+  validateVrn,
+  findVrnInText,
+  VRN_FORMATS: VRN_FORMATS.map((f) => f.format),
+};
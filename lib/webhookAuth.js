@@ -0,0 +1,92 @@
+// lib/webhookAuth.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Authentication for the routes the outside world calls:
+//
+//   • telephony callbacks (/api/callStatus, /api/machineDetection,
+//     /api/recordingStatus, /api/inboundMessage, /api/messageStatus) must
+//     carry the provider’s request signature (X-Twilio-Signature for Twilio),
+//     checked against the public URL the callback was sent to (NGROK_URL + path);
+//   • AI Assistant tools (/api/getBooking, /api/saveVReg, /api/checkVReg,
+//     /api/optOut) and transcripts (/api/callTranscript) must send
+//     ASSISTANT_TOOL_TOKEN, as “Authorization: Bearer <token>” or as an
+//     “X-Tool-Secret: <token>” header.
+//
+// Checks are off by default for local development; WEBHOOK_AUTH=true turns
+// them on and NODE_ENV=production always does. Every rejected request is
+// logged with its route, IP and the reason.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const crypto = require('crypto');
+
+function isWebhookAuthEnabled(env = process.env) {
+  return env.NODE_ENV === 'production' || env.WEBHOOK_AUTH === 'true';
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// The URL the provider signed: our public base URL plus the path and query
+function publicUrl(baseUrl, req) {
+  const base = /^https?:\/\//.test(baseUrl) ? baseUrl : `https://${baseUrl}`;
+  return base.replace(/\/$/, '') + req.originalUrl;
+}
+
+//   enabled          → whether to check anything at all
+//   telephony        → provider with verifyCallback(req, url)
+//   toolToken        → the shared secret for the assistant tools
+//   getPublicBaseUrl → () => NGROK_URL (read per request)
+function createWebhookAuth({
+  enabled,
+  telephony,
+  toolToken,
+  getPublicBaseUrl,
+  log = console,
+}) {
+  function reject(req, res, status, reason) {
+    log.warn(
+      `[auth] Rejected ${req.method} ${req.path} from ${req.ip}: ${reason}`
+    );
+    return res.status(status).json({ error: reason });
+  }
+
+  // Middleware for status callbacks
+  function verifyCallback(req, res, next) {
+    if (!enabled) {
+      return next();
+    }
+    const url = publicUrl(getPublicBaseUrl() || '', req);
+    if (!telephony.verifyCallback(req, url)) {
+      return reject(req, res, 403, 'Invalid or missing request signature');
+    }
+    return next();
+  }
+
+  // Middleware for the AI Assistant tool routes
+  function requireToolToken(req, res, next) {
+    if (!enabled) {
+      return next();
+    }
+    if (!toolToken) {
+      return reject(req, res, 503, 'ASSISTANT_TOOL_TOKEN is not configured');
+    }
+    const header = req.headers.authorization || '';
+    const sent = header.startsWith('Bearer ')
+      ? header.slice('Bearer '.length).trim()
+      : req.headers['x-tool-secret'] || '';
+    if (!sent) {
+      return reject(req, res, 401, 'Missing tool token');
+    }
+    if (!safeEqual(sent, toolToken)) {
+      return reject(req, res, 401, 'Invalid tool token');
+    }
+    return next();
+  }
+
+  return { enabled, verifyCallback, requireToolToken };
+}
+
+module.exports = { isWebhookAuthEnabled, createWebhookAuth };
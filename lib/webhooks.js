@@ -0,0 +1,312 @@
+// lib/webhooks.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Outbound webhooks: tells other systems (e.g. the booking system) what
+// happened, as a signed JSON POST per event.
+//
+// Subscriptions live in the “webhooks” collection:
+//   { id, url, events: ['vrn.captured', …], description, secret, enabled,
+//     createdAt, updatedAt }
+//
+// Every event becomes one delivery per enabled subscription, logged in the
+// “webhookDeliveries” collection:
+//   { id, eventId, event, webhookId, url, payload, status: 'pending' |
+//     'delivered' | 'failed', attempts, nextAttemptAt, deliveredAt, createdAt,
+//     responses: [{ at, statusCode, error, durationMs }] }
+//
+// The body is JSON { id: eventId, event, createdAt, data } with headers
+//   X-Webhook-Event, X-Webhook-Id (the event id, the same on every retry, for
+//   de-duplication), X-Webhook-Delivery, X-Webhook-Timestamp (unix seconds) and
+//   X-Webhook-Signature: sha256=HMAC-SHA256(secret, "<timestamp>.<body>") in hex.
+//
+// Anything but a 2xx (or no answer within timeoutMs) is retried up to
+// maxAttempts in total, after retryDelayMs, then twice that, … . Deliveries
+// still pending when the server stops are picked up by resumePending().
+// ─────────────────────────────────────────────────────────────────────────────
+
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = [
+  'vrn.captured',
+  'call.completed',
+  'record.exhausted',
+  'campaign.finished',
+];
+
+const COLLECTION = 'webhooks';
+const DELIVERIES = 'webhookDeliveries';
+
+// Signature of one attempt, as sent in X-Webhook-Signature (without "sha256=")
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Checks a subscription from POST/PUT /api/webhooks, on top of `existing` for
+// an update. Returns { valid: true, webhook } (fields to save) or
+// { valid: false, errors }.
+function validateWebhook(input, existing = null) {
+  const body = input || {};
+  const errors = [];
+  const webhook = {};
+
+  if (body.url !== undefined || !existing) {
+    let url = null;
+    try {
+      url = new URL(String(body.url || ''));
+    } catch (err) {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('url must be an http(s) URL');
+    } else {
+      webhook.url = url.toString();
+    }
+  }
+
+  if (body.events !== undefined || !existing) {
+    const events = Array.isArray(body.events) ? body.events : [];
+    if (events.length === 0) {
+      errors.push(
+        `events must list at least one of: ${WEBHOOK_EVENTS.join(', ')}`
+      );
+    }
+    events
+      .filter((e) => !WEBHOOK_EVENTS.includes(e))
+      .forEach((e) => errors.push(`Unknown event "${e}"`));
+    webhook.events = [...new Set(events)];
+  }
+
+  if (body.description !== undefined) {
+    webhook.description = String(body.description).trim();
+  }
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      errors.push('enabled must be true or false');
+    }
+    webhook.enabled = body.enabled;
+  }
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== 'string' || body.secret.length < 16) {
+      errors.push('secret must be a string of at least 16 characters');
+    }
+    webhook.secret = body.secret;
+  }
+
+  return errors.length ? { valid: false, errors } : { valid: true, webhook };
+}
+
+// A subscription as the API shows it: the secret is only returned when the
+// subscription is created (or the secret changed)
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, secretHint: secret ? `…${secret.slice(-4)}` : '' };
+}
+
+function unrefTimer(timer) {
+  // Don’t keep the process alive for a retry
+  if (typeof timer.unref === 'function') timer.unref();
+  return timer;
+}
+
+// storage      → where subscriptions and deliveries live
+// maxAttempts  → attempts per delivery, the first included
+// retryDelayMs → wait before the first retry, doubled each time
+// timeoutMs    → how long one attempt may take
+// maxLog       → finished deliveries kept in the log (oldest dropped first)
+function createWebhookDispatcher({
+  storage,
+  maxAttempts,
+  retryDelayMs,
+  timeoutMs,
+  maxLog = 1000,
+}) {
+  const timers = new Map(); // deliveryId → retry timer
+
+  function schedule(deliveryId, delayMs) {
+    clearTimeout(timers.get(deliveryId));
+    timers.set(
+      deliveryId,
+      unrefTimer(
+        setTimeout(() => {
+          timers.delete(deliveryId);
+          attempt(deliveryId);
+        }, Math.max(delayMs, 0))
+      )
+    );
+  }
+
+  async function post(delivery, webhook) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    try {
+      const res = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'vrn-caller-webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(
+            webhook.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body: body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      return {
+        ok: res.ok,
+        statusCode: res.status,
+        error: res.ok ? '' : `HTTP ${res.status}`,
+        durationMs: Date.now() - startedAt,
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        statusCode: null,
+        error: err.name === 'TimeoutError' ? 'Timed out' : err.message,
+        durationMs: Date.now() - startedAt,
+      };
+    }
+  }
+
+  async function attempt(deliveryId) {
+    const delivery = storage.get(DELIVERIES, deliveryId);
+    if (!delivery || delivery.status !== 'pending') return;
+    const webhook = storage.get(COLLECTION, delivery.webhookId);
+    if (!webhook) {
+      storage.update(DELIVERIES, deliveryId, (d) => {
+        d.status = 'failed';
+        d.nextAttemptAt = '';
+        d.responses = [
+          ...d.responses,
+          { at: new Date().toISOString(), error: 'Webhook was deleted' },
+        ];
+      });
+      return;
+    }
+
+    const result = await post(delivery, webhook);
+    const saved = storage.update(DELIVERIES, deliveryId, (d) => {
+      const at = new Date().toISOString();
+      d.attempts += 1;
+      d.responses = [
+        ...d.responses,
+        {
+          at: at,
+          statusCode: result.statusCode,
+          error: result.error,
+          durationMs: result.durationMs,
+        },
+      ];
+      if (result.ok) {
+        d.status = 'delivered';
+        d.deliveredAt = at;
+        d.nextAttemptAt = '';
+      } else if (d.attempts >= maxAttempts) {
+        d.status = 'failed';
+        d.nextAttemptAt = '';
+      } else {
+        const delayMs = retryDelayMs * 2 ** (d.attempts - 1);
+        d.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+      }
+    });
+    if (!saved) return;
+    if (saved.status === 'pending') {
+      console.warn(
+        `Webhook ${saved.event} to ${saved.url} failed (${result.error}), retrying at ${saved.nextAttemptAt}`
+      );
+      schedule(deliveryId, Date.parse(saved.nextAttemptAt) - Date.now());
+    } else if (saved.status === 'failed') {
+      console.error(
+        `Webhook ${saved.event} to ${saved.url} failed ${saved.attempts} time(s), giving up: ${result.error}`
+      );
+    }
+  }
+
+  // Drops the oldest finished deliveries beyond maxLog
+  function pruneLog() {
+    const finished = storage
+      .list(DELIVERIES)
+      .filter((d) => d.status !== 'pending')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    finished
+      .slice(0, Math.max(finished.length - maxLog, 0))
+      .forEach((d) => storage.remove(DELIVERIES, d.id));
+  }
+
+  // Queues `event` with `data` for every enabled subscription to it. Returns
+  // the new deliveries; they are sent in the background.
+  function emit(event, data) {
+    const webhooks = storage
+      .list(COLLECTION)
+      .filter((w) => w.enabled && w.events.includes(event));
+    if (webhooks.length === 0) return [];
+
+    const createdAt = new Date().toISOString();
+    const payload = { id: crypto.randomUUID(), event, createdAt, data };
+    const deliveries = webhooks.map((webhook) =>
+      storage.put(DELIVERIES, {
+        id: crypto.randomUUID(),
+        eventId: payload.id,
+        event: event,
+        webhookId: webhook.id,
+        url: webhook.url,
+        payload: payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: createdAt,
+        deliveredAt: '',
+        createdAt: createdAt,
+        responses: [],
+      })
+    );
+    deliveries.forEach((d) => schedule(d.id, 0));
+    pruneLog();
+    return deliveries;
+  }
+
+  // Sends a delivery again now, with a fresh set of attempts. Returns the
+  // delivery, or null if there is no such delivery.
+  function redeliver(deliveryId) {
+    const saved = storage.update(DELIVERIES, deliveryId, (d) => {
+      d.status = 'pending';
+      d.attempts = 0;
+      d.nextAttemptAt = new Date().toISOString();
+    });
+    if (saved) schedule(deliveryId, 0);
+    return saved;
+  }
+
+  // Schedules the deliveries a previous run left pending
+  function resumePending() {
+    const pending = storage
+      .list(DELIVERIES)
+      .filter((d) => d.status === 'pending');
+    pending.forEach((d) =>
+      schedule(d.id, Date.parse(d.nextAttemptAt || d.createdAt) - Date.now())
+    );
+    return pending.length;
+  }
+
+  return { emit, redeliver, resumePending };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  generateSecret,
+  validateWebhook,
+  publicWebhook,
+  createWebhookDispatcher,
+};
@@ -0,0 +1,31 @@
+// scripts/create-user.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Adds a dashboard user (stored in the “users” collection).
+//
+//   npm run user:add -- <username> <password> [viewer|operator]
+//
+// The role defaults to viewer. Operators can upload, edit records, start calls
+// and export; viewers can only look.
+// ─────────────────────────────────────────────────────────────────────────────
+
+require('dotenv').config();
+const { createStorage } = require('../lib/storage');
+const { ROLES, createUser } = require('../lib/auth/users');
+
+const [username, password, role = 'viewer'] = process.argv.slice(2);
+if (!username || !password) {
+  console.error(
+    `Usage: npm run user:add -- <username> <password> [${ROLES.join('|')}]`
+  );
+  process.exit(1);
+}
+
+const storage = createStorage();
+try {
+  const user = createUser(storage, { username, password, role });
+  console.log(`Created ${user.role} "${user.username}".`);
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
+storage.close();
@@ -0,0 +1,29 @@
+// scripts/migrate-json-to-sqlite.js
+// ─────────────────────────────────────────────────────────────────────────────
+// One-off import of the JSON files (data.json + data.<collection>.json) into
+// the SQLite database used by STORAGE_DRIVER=sqlite.
+//
+//   npm run migrate:sqlite
+//
+// Documents are upserted by key, so running it twice is harmless. Existing
+// SQLite rows that are not in the JSON files are left alone.
+// ─────────────────────────────────────────────────────────────────────────────
+
+require('dotenv').config();
+const { createStorage } = require('../lib/storage');
+
+const source = createStorage({ driver: 'json' });
+const target = createStorage({ driver: 'sqlite' });
+
+const collections = source.collections();
+if (collections.length === 0) {
+  console.log('No JSON data files found, nothing to migrate.');
+}
+
+collections.forEach((collection) => {
+  const docs = source.list(collection);
+  docs.forEach((doc) => target.put(collection, doc));
+  console.log(`Imported ${docs.length} document(s) into "${collection}".`);
+});
+
+target.close();
@@ -1,21 +1,103 @@
 // server.js
 // ─────────────────────────────────────────────────────────────────────────────
-// • Parses/upload spreadsheet (XLSX or CSV) → writes normalized rows into data.json
+// • Parses/upload spreadsheet (XLSX or CSV) → writes normalized rows into storage (data.json or SQLite)
+//   either in one step or via a preview → mapping → confirm wizard (/api/upload/*)
+// • Parses phone numbers to E.164 (UK by default) and flags numbers that can’t be called
+// • Groups records into named campaigns (/api/campaigns) that can be archived, each with
+//   its own greeting / voice / language / assistant template for the calls
 // • Exposes endpoints for React UI, for AI Assistant tools, and for Twilio status callbacks
-// • Implements “08–18 UK” + “no-vReg” + “<3/day” + “1-min backoff” logic in /api/process
-// • Adds PATCH /api/updateRecord/:bookingId so that inline edits from React update data.json
-// • Adds GET   /api/download         so user can download the latest data.json as CSV
+// • Places calls through a telephony provider (Twilio, or a scriptable fake for tests)
+// • Decides who to call from an editable calling policy (/api/policy): calling windows per
+//   weekday, bank holidays, timezone, attempt caps and per-outcome backoff
+// • Runs the same logic unattended via a background scheduler (/api/scheduler/*)
+// • Places calls from a dispatch queue with concurrency / calls-per-second limits and
+//   retries, so a batch returns at once with a job to poll (/api/process/jobs/:jobId)
+// • Never calls or texts numbers on the do-not-call list (/api/suppressions, /api/optOut)
+// • Detects answering machines and hangs up or leaves a voicemail (outcome 'machine')
+// • Texts (SMS or WhatsApp) customers who didn’t answer today and reads their VRN from the reply
+// • Notifies other systems of captured VRNs, finished calls, exhausted bookings and
+//   finished campaigns through HMAC-signed outbound webhooks (/api/webhooks)
+// • Serves signed, expiring self-service links where customers type their VRN (/capture/<token>)
+// • Keeps an append-only call log per CallSid (GET /api/records/:bookingId/calls)
+// • Optionally records calls and stores the assistant’s transcripts for review, deleting
+//   recordings after the retention period (/api/recordingStatus, /api/callTranscript)
+// • Reports capture, answer and outcome statistics per campaign (GET /api/stats)
+// • Pushes every record change to the dashboard as Server-Sent Events (GET /api/events)
+// • Requires an operator login (viewer / operator roles) for the dashboard APIs and audits changes
+// • Adds PATCH /api/updateRecord/:bookingId so that inline edits from React update that record
+// • Adds GET   /api/download         so user can download the records in the columns of
+//   their own spreadsheet (CSV or XLSX) with the captured VRNs written back
 // ─────────────────────────────────────────────────────────────────────────────
 
 require('dotenv').config();
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
 const multer = require('multer');
-const XLSX = require('xlsx');
 const bodyParser = require('body-parser');
-const Twilio = require('twilio');
+const { createScheduler } = require('./lib/scheduler');
+const { createDispatchQueue } = require('./lib/dispatchQueue');
+const { createStorage } = require('./lib/storage');
+const { validateVrn, findVrnInText, VRN_FORMATS } = require('./lib/vrn');
+const {
+  UPLOAD_FIELDS,
+  parseSpreadsheet,
+  writeSpreadsheet,
+  proposeMapping,
+  sanitiseMapping,
+  applyMapping,
+  validateRows,
+} = require('./lib/spreadsheet');
+const { createVehicleLookup } = require('./lib/vehicleLookup');
+const { createTelephony } = require('./lib/telephony');
+const {
+  isWebhookAuthEnabled,
+  createWebhookAuth,
+} = require('./lib/webhookAuth');
+const { parsePhone, phoneFields } = require('./lib/phone');
+const { createRecordEvents } = require('./lib/recordEvents');
+const { validateDateRange, computeStats } = require('./lib/stats');
+const { createCaptureLinks } = require('./lib/captureLinks');
+const {
+  generateSecret,
+  validateWebhook,
+  publicWebhook,
+  createWebhookDispatcher,
+} = require('./lib/webhooks');
+const { validateExportOptions, buildExportTable } = require('./lib/export');
+const {
+  readSuppressionSheet,
+  checkSuppression,
+} = require('./lib/suppressions');
+const {
+  DEFAULT_CALL_TEMPLATE,
+  PLACEHOLDERS,
+  escapeXml,
+  templateValues,
+  fillTemplate,
+  validateCallTemplate,
+  resolveCallTemplate,
+  renderGreeting,
+  buildAssistantTwiml,
+} = require('./lib/callTemplate');
+const { createSessionMiddleware, createRequireRole } = require('./lib/auth');
+const {
+  createUser,
+  findUserByUsername,
+  verifyPassword,
+  publicUser,
+} = require('./lib/auth/users');
+const {
+  CALL_PENDING,
+  DEFAULT_POLICY,
+  validatePolicy,
+  getPolicyClock,
+  checkCallingWindow,
+  checkRow,
+  attemptsToday,
+  checkMessageFallback,
+} = require('./lib/policy');
 
 const app = express();
 app.use(cors());
@@ -25,443 +107,3232 @@ app.use(bodyParser.urlencoded({ extended: false }));
 // ─── Multer setup (for handling file uploads) ─────────────────────────────────
 const upload = multer({ storage: multer.memoryStorage() });
 
-// ─── Twilio Client ───────────────────────────────────────────────────────────
-const twilioClient = Twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
+// ─── Telephony (places calls + parses status callbacks, see lib/telephony) ────
+const telephony = createTelephony();
+
+// ─── Webhook authentication (status callbacks + AI tools, see lib/webhookAuth)
+// Off for local dev unless WEBHOOK_AUTH=true; always on with NODE_ENV=production.
+const webhookAuth = createWebhookAuth({
+  enabled: isWebhookAuthEnabled(),
+  telephony: telephony,
+  toolToken: process.env.ASSISTANT_TOOL_TOKEN,
+  getPublicBaseUrl: () => process.env.NGROK_URL,
+});
+if (webhookAuth.enabled && !process.env.ASSISTANT_TOOL_TOKEN) {
+  console.error(
+    'Webhook auth is on but ASSISTANT_TOOL_TOKEN is not set: every AI tool call will be rejected.'
+  );
+}
+
+// ─── Vehicle lookup (make/colour for a VRN, see lib/vehicleLookup) ───────────
+const vehicleLookup = createVehicleLookup();
+
+// ─── STORAGE SETUP ────────────────────────────────────────────────────────────
+// All routes go through the storage layer in lib/storage. By default records
+// still live in data.json; set STORAGE_DRIVER=sqlite to use data.sqlite instead
+// (run `npm run migrate:sqlite` once to import an existing data.json).
+// Writes to “records” are also announced on recordEvents (see GET /api/events).
+
+const recordEvents = createRecordEvents();
+const storage = recordEvents.watch(createStorage());
+
+// ─── OPERATOR LOGIN & AUDIT LOG ───────────────────────────────────────────────
+// The dashboard APIs need a signed-in user (see lib/auth):
+//   POST /api/auth/login  body { username, password } → { user }
+//   POST /api/auth/logout
+//   GET  /api/auth/me     → { user } (401 when signed out)
+// Viewers can read records, campaigns, call logs, the policy and the scheduler
+// status. Operators can also upload, edit records, run batches, control the
+// scheduler, change the policy and export. Twilio callbacks and the AI tools
+// don’t use sessions (see lib/webhookAuth.js).
+//
+// The first operator is created on boot from ADMIN_USERNAME / ADMIN_PASSWORD
+// while there are no users; add more with `npm run user:add`.
+//
+// Every change made through the dashboard (and every export) is appended to the
+// “audit” collection: { id, at, userId, username, action, details }.
+//   GET /api/audit?limit=100 → newest first (operators only)
+
+const isProduction = process.env.NODE_ENV === 'production';
+if (isProduction) {
+  // Behind ngrok / a load balancer: needed for secure cookies and req.ip
+  app.set('trust proxy', 1);
+}
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+  console.warn(
+    'SESSION_SECRET is not set: everyone is signed out when the server restarts.'
+  );
+}
+app.use(
+  createSessionMiddleware({
+    storage: storage,
+    secret: sessionSecret,
+    secure: isProduction,
+  })
+);
+
+const requireRole = createRequireRole(storage);
+const requireViewer = requireRole('viewer');
+const requireOperator = requireRole('operator');
+
+function createAdminFromEnv() {
+  if (storage.list('users').length > 0) {
+    return;
+  }
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn(
+      'No users yet: set ADMIN_USERNAME and ADMIN_PASSWORD (or run `npm run user:add`) to sign in.'
+    );
+    return;
+  }
+  try {
+    createUser(storage, {
+      username: ADMIN_USERNAME,
+      password: ADMIN_PASSWORD,
+      role: 'operator',
+    });
+    console.log(`Created operator "${ADMIN_USERNAME}".`);
+  } catch (err) {
+    console.error(
+      `Could not create operator from ADMIN_USERNAME: ${err.message}`
+    );
+  }
+}
+createAdminFromEnv();
+
+// Appends one entry to the audit log for the signed-in user.
+function recordAudit(req, action, details = {}) {
+  storage.put('audit', {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    userId: req.user ? req.user.id : '',
+    username: req.user ? req.user.username : '',
+    action: action,
+    details: details,
+  });
+}
+
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const user = findUserByUsername(storage, username);
+  if (!user || !verifyPassword(password || '', user.passwordHash)) {
+    console.warn(`[auth] Failed login for "${username || ''}" from ${req.ip}`);
+    return res.status(401).json({ error: 'Wrong username or password' });
+  }
+  // New session id on login, so a planted cookie can’t be reused
+  req.session.regenerate((err) => {
+    if (err) {
+      console.error('Session error:', err);
+      return res.status(500).json({ error: 'Could not sign in' });
+    }
+    req.session.userId = user.id;
+    req.user = publicUser(user);
+    recordAudit(req, 'auth.login');
+    return res.json({ user: req.user });
+  });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  if (!req.session) {
+    return res.json({ ok: true });
+  }
+  req.session.destroy(() => {
+    res.clearCookie('vrn.sid');
+    return res.json({ ok: true });
+  });
+});
+
+app.get('/api/auth/me', requireViewer, (req, res) => {
+  return res.json({ user: req.user });
+});
+
+app.get('/api/audit', requireOperator, (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const entries = storage
+    .list('audit')
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+  return res.json(entries);
+});
+
+// ─── CAMPAIGNS ────────────────────────────────────────────────────────────────
+// Every record belongs to a campaign (record.campaignId). Uploads create or append
+// to a named campaign instead of wiping everything, and archived campaigns are
+// never called again. Campaign docs look like:
+//   { id, name, createdAt, archived, archivedAt, finishedAt, callTemplate,
+//     sheetHeaders, sheetVrnHeader, sheetFormat }
+// callTemplate (greeting, voice, language, assistantSid) shapes the calls, see
+// CALL TEMPLATES below and lib/callTemplate.js. The sheet* fields remember the
+// uploaded files’ columns for GET /api/download; finishedAt is set once nothing
+// is left to call (see OUTBOUND WEBHOOKS).
+
+function createCampaign(name) {
+  const campaign = {
+    id: crypto.randomUUID(),
+    name: name,
+    createdAt: new Date().toISOString(),
+    archived: false,
+    archivedAt: '',
+  };
+  return storage.put('campaigns', campaign);
+}
+
+function findCampaignByName(name) {
+  const wanted = name.trim().toLowerCase();
+  return (
+    storage
+      .list('campaigns')
+      .find((c) => !c.archived && c.name.trim().toLowerCase() === wanted) ||
+    null
+  );
+}
+
+// Records from before campaigns existed get moved into a “Default” campaign.
+function assignLegacyRecordsToDefaultCampaign() {
+  const orphans = storage.list('records').filter((r) => !r.campaignId);
+  if (orphans.length === 0) {
+    return;
+  }
+  const campaign = findCampaignByName('Default') || createCampaign('Default');
+  storage.putMany(
+    'records',
+    orphans.map((r) => ({ ...r, campaignId: campaign.id }))
+  );
+  console.log(
+    `Moved ${orphans.length} record(s) into campaign "${campaign.name}".`
+  );
+}
+assignLegacyRecordsToDefaultCampaign();
+
+// Records of one campaign, or of every non-archived campaign if no id is given.
+function listCampaignRecords(campaignId) {
+  const records = storage.list('records');
+  if (campaignId) {
+    return records.filter((r) => r.campaignId === campaignId);
+  }
+  const activeIds = new Set(
+    storage
+      .list('campaigns')
+      .filter((c) => !c.archived)
+      .map((c) => c.id)
+  );
+  return records.filter((r) => activeIds.has(r.campaignId));
+}
+
+function getCampaignStats(campaignId) {
+  const records = storage
+    .list('records')
+    .filter((r) => r.campaignId === campaignId);
+  const captured = records.filter(
+    (r) => r.vRegCaptured && r.vRegCaptured.trim() !== ''
+  ).length;
+  return {
+    total: records.length,
+    captured: captured,
+    pending: records.length - captured,
+    captureRate: records.length ? captured / records.length : 0,
+  };
+}
+
+// ─── GET /api/campaigns ───────────────────────────────────────────────────────
+// Lists campaigns (newest first) with their stats. Archived campaigns are only
+// included with ?includeArchived=true.
+
+app.get('/api/campaigns', requireViewer, (req, res) => {
+  const includeArchived = req.query.includeArchived === 'true';
+  const campaigns = storage
+    .list('campaigns')
+    .filter((c) => includeArchived || !c.archived)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map((c) => ({ ...c, stats: getCampaignStats(c.id) }));
+  return res.json(campaigns);
+});
+
+// ─── POST /api/campaigns ──────────────────────────────────────────────────────
+// Creates an empty campaign: body { name }.
+
+app.post('/api/campaigns', requireOperator, (req, res) => {
+  const name = String((req.body || {}).name || '').trim();
+  if (!name) {
+    return res.status(400).json({ error: 'Campaign name is required' });
+  }
+  if (findCampaignByName(name)) {
+    return res.status(409).json({ error: `Campaign "${name}" already exists` });
+  }
+  const campaign = createCampaign(name);
+  recordAudit(req, 'campaign.create', { campaignId: campaign.id, name });
+  return res.json(campaign);
+});
+
+// ─── POST /api/campaigns/:id/archive  |  /unarchive ──────────────────────────
+// Archived campaigns keep their records and export, but are skipped by
+// /api/process and the scheduler.
+
+function setCampaignArchived(archived) {
+  return (req, res) => {
+    const updated = storage.update('campaigns', req.params.id, (c) => {
+      c.archived = archived;
+      c.archivedAt = archived ? new Date().toISOString() : '';
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    recordAudit(req, archived ? 'campaign.archive' : 'campaign.unarchive', {
+      campaignId: updated.id,
+    });
+    return res.json(updated);
+  };
+}
+
+app.post(
+  '/api/campaigns/:id/archive',
+  requireOperator,
+  setCampaignArchived(true)
+);
+app.post(
+  '/api/campaigns/:id/unarchive',
+  requireOperator,
+  setCampaignArchived(false)
+);
+
+// ─── CALL TEMPLATES ───────────────────────────────────────────────────────────
+// Per-campaign greeting, voice, language and AI Assistant SID. The greeting
+// takes placeholders from the bookings on the call ({customerName},
+// {bookingDate}, {airport}, … see lib/callTemplate.js PLACEHOLDERS).
+//
+//   GET  /api/callTemplates/defaults → { callTemplate: the defaults,
+//        placeholders: { name: description } }
+//   PUT  /api/campaigns/:id/callTemplate body { greeting, voice, language,
+//        assistantSid } → the campaign; 400 { error, details } if invalid
+//   POST /api/campaigns/:id/callTemplate/preview body { callTemplate, bookingId? }
+//        → { greeting, twiml, sample } for one of the campaign’s records (the
+//          given booking, else the first), without saving anything
+//
+// An empty assistantSid uses TWILIO_ASSISTANT_SID.
+
+function getAssistantSid(callTemplate) {
+  return callTemplate.assistantSid || process.env.TWILIO_ASSISTANT_SID || '';
+}
+
+app.get('/api/callTemplates/defaults', requireViewer, (req, res) => {
+  return res.json({
+    callTemplate: DEFAULT_CALL_TEMPLATE,
+    placeholders: PLACEHOLDERS,
+  });
+});
+
+app.put('/api/campaigns/:id/callTemplate', requireOperator, (req, res) => {
+  if (!storage.get('campaigns', req.params.id)) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  const check = validateCallTemplate(req.body);
+  if (!check.valid) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid call template', details: check.errors });
+  }
+  const updated = storage.update('campaigns', req.params.id, (c) => {
+    c.callTemplate = check.callTemplate;
+  });
+  recordAudit(req, 'campaign.callTemplate', {
+    campaignId: updated.id,
+    callTemplate: check.callTemplate,
+  });
+  return res.json(updated);
+});
+
+app.post(
+  '/api/campaigns/:id/callTemplate/preview',
+  requireViewer,
+  (req, res) => {
+    const campaign = storage.get('campaigns', req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const body = req.body || {};
+    const check = validateCallTemplate(
+      body.callTemplate || resolveCallTemplate(campaign)
+    );
+    if (!check.valid) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid call template', details: check.errors });
+    }
+    const records = listCampaignRecords(campaign.id);
+    const sample =
+      records.find((r) => r.bookingId === body.bookingId) || records[0];
+    if (!sample) {
+      return res.json({ greeting: '', twiml: '', sample: null });
+    }
+    return res.json({
+      greeting: renderGreeting(check.callTemplate, [sample]),
+      twiml: buildAssistantTwiml(check.callTemplate, [sample], {
+        assistantSid: getAssistantSid(check.callTemplate),
+      }),
+      sample: toBookingSummary(sample),
+    });
+  }
+);
+
+// ─── UPLOAD HELPERS ───────────────────────────────────────────────────────────
+// Shared by the one-step POST /api/upload and the two-step mapping wizard.
+
+// Get current date in yyyy-mm-dd for “lastAttemptDate” initial value
+function getTodayString() {
+  const now = new Date();
+  const yyyy = now.getFullYear();
+  const mm = String(now.getMonth() + 1).padStart(2, '0');
+  const dd = String(now.getDate()).padStart(2, '0');
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+// Resolves the target campaign from { campaignId } or { campaignName }.
+// Returns { campaign, newCampaignName } or { status, error }. A new campaign is
+// not created here, only once the rows are actually imported.
+function resolveUploadCampaign(body) {
+  const newCampaignName = (body.campaignName || '').trim();
+  let campaign = null;
+  if (body.campaignId) {
+    campaign = storage.get('campaigns', body.campaignId);
+    if (!campaign) {
+      return { status: 404, error: 'Campaign not found' };
+    }
+  } else if (newCampaignName) {
+    campaign = findCampaignByName(newCampaignName);
+  } else {
+    return { status: 400, error: 'Missing campaignId or campaignName' };
+  }
+  if (campaign && campaign.archived) {
+    return { status: 409, error: `Campaign "${campaign.name}" is archived` };
+  }
+  return { campaign, newCampaignName };
+}
+
+// Records uploaded before phone parsing only have the old “digits with a +”
+// phoneNumber (e.g. "+07911123456"). Parse those once so they get a proper
+// E.164 number, a phoneType and an uncallable reason where needed.
+function parseLegacyPhoneNumbers() {
+  const legacy = storage.list('records').filter((r) => !('phoneRaw' in r));
+  storage.putMany(
+    'records',
+    legacy.map((r) => ({ ...r, ...phoneFields(r.phoneNumber) }))
+  );
+  if (legacy.length) {
+    console.log(`Parsed phone numbers of ${legacy.length} older record(s).`);
+  }
+}
+parseLegacyPhoneNumbers();
+
+// Uploads used to keep whatever was in the sheet’s VRN column, so “TBC” or
+// “N/A” counted as captured and those bookings were never called. Clear them.
+function clearInvalidSheetVrns() {
+  const invalid = storage
+    .list('records')
+    .filter(
+      (r) =>
+        r.vRegSource === 'sheet' &&
+        r.vRegCaptured &&
+        !validateVrn(r.vRegCaptured).valid
+    );
+  storage.putMany(
+    'records',
+    invalid.map((r) => ({ ...r, vRegCaptured: '', vRegSource: '' }))
+  );
+  if (invalid.length) {
+    console.log(`Cleared ${invalid.length} sheet VRN(s) that aren’t plates.`);
+  }
+}
+clearInvalidSheetVrns();
+
+function existingBookingIds() {
+  return new Set(storage.list('records').map((r) => String(r.bookingId)));
+}
+
+// ─── UPLOAD MERGE ─────────────────────────────────────────────────────────────
+// Ops send an updated sheet during the day, so an upload into an existing
+// campaign can merge instead of only adding (upload option mode: 'merge'):
+//   • bookings new to the campaign are added;
+//   • bookings already in it get the file’s contact and booking details
+//     (MERGED_FIELDS, only for columns the file maps) – a changed phone number
+//     is parsed again. Their VRN, attempts, call status and history are kept; a
+//     VRN from the sheet only fills an empty one;
+//   • with retireMissing, the campaign’s bookings that aren’t in the file get
+//     retiredAt and are never called again (rule retired) unless a later file
+//     brings them back.
+// Bookings that belong to another campaign are skipped, as in mode 'add' (the
+// default), which never changes an existing booking.
+//
+// The upload response adds
+//   { mode, diff: { added, updated, unchanged, removed },
+//     changes: [{ bookingId, fields: ['customerName', 'phoneNumber', …] }] }
+
+const UPLOAD_MODES = ['add', 'merge'];
+const MERGED_FIELDS = [
+  'customerName',
+  'phoneNumber',
+  'bookingDetails',
+  'bookingDate',
+  'airport',
+];
+
+// Reads { mode, retireMissing } from an upload’s form fields or JSON body.
+// Returns { mode, retireMissing } or { error }.
+function readUploadOptions(body) {
+  const mode = String(body.mode || 'add');
+  if (!UPLOAD_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${UPLOAD_MODES.join(', ')}` };
+  }
+  const retireMissing =
+    body.retireMissing === true || body.retireMissing === 'true';
+  if (retireMissing && mode !== 'merge') {
+    return { error: 'retireMissing needs mode "merge"' };
+  }
+  return { mode, retireMissing };
+}
+
+// bookingIds a merge into `campaign` updates instead of skipping
+function mergeableBookingIds(campaign, mode) {
+  if (mode !== 'merge' || !campaign) {
+    return new Set();
+  }
+  return new Set(
+    storage
+      .list('records')
+      .filter((r) => r.campaignId === campaign.id)
+      .map((r) => String(r.bookingId))
+  );
+}
+
+// The MERGED_FIELDS (plus VRN / retirement) in which `record`, freshly built
+// from the file, differs from the stored `existing` one. Unmapped columns
+// don’t count.
+function mergeChanges(existing, record, mapping) {
+  const fields = MERGED_FIELDS.filter((field) => {
+    if (!mapping[field]) return false;
+    if (field === 'phoneNumber') {
+      return record.phoneRaw !== (existing.phoneRaw || '');
+    }
+    return record[field] !== (existing[field] || '');
+  });
+  if (record.vRegCaptured && !existing.vRegCaptured) {
+    fields.push('vRegCaptured');
+  }
+  if (existing.retiredAt) {
+    fields.push('retiredAt');
+  }
+  return fields;
+}
+
+// Adds the columns of an uploaded file to the campaign’s sheet columns (first
+// seen first), so exports can give the file back in its own layout.
+function rememberSheetColumns(campaign, sheet, mapping) {
+  storage.update('campaigns', campaign.id, (c) => {
+    const headers = c.sheetHeaders || [];
+    sheet.headers.forEach((h) => {
+      if (!headers.includes(h)) headers.push(h);
+    });
+    c.sheetHeaders = headers;
+    c.sheetVrnHeader = mapping.vRegCaptured || c.sheetVrnHeader || '';
+    c.sheetFormat = /\.xlsx?$/i.test(sheet.fileName || '') ? 'xlsx' : 'csv';
+  });
+}
+
+// Normalizes each raw row of `sheet` ({ fileName, headers, rows }) into our
+// schema and adds the new bookings to the campaign (creating it if needed). In
+// mode 'add' existing bookings are never overwritten; see UPLOAD MERGE for
+// mode 'merge'.
+// Record schema:
+// { bookingId, campaignId, customerName, phoneNumber, phoneRaw, phoneType, phoneUncallableReason,
+//   bookingDetails, bookingDate, airport, vRegCaptured, vRegCapturedAt, vRegSource, vRegPending,
+//   vRegPendingAt, attemptCountToday, attemptCountTotal, lastAttemptDate, lastCallTime,
+//   lastCallStatus, skipRule, skipReason, lastMessageAt, lastMessageDate, optedOut, optedOutAt, retiredAt, sheetRow }
+// vRegSource says where the VRN came from: sheet, voice, sms, whatsapp, web (the
+// self-service page) or manual.
+// vRegPending is a VRN read from a text reply that the customer hasn’t confirmed yet.
+// phoneNumber is E.164 (see lib/phone.js); phoneRaw is the value as it was in the sheet.
+// sheetRow is the row as uploaded, every column included, for exports.
+function importRows(sheet, mapping, target, options = { mode: 'add' }) {
+  const campaign = target.campaign || createCampaign(target.newCampaignName);
+  rememberSheetColumns(campaign, sheet, mapping);
+  const todayStr = getTodayString();
+  const merge = options.mode === 'merge';
+  // Everything is worked out in memory and saved with one write at the end
+  const records = new Map(
+    storage.list('records').map((r) => [String(r.bookingId), r])
+  );
+  const toSave = new Map();
+
+  let skipped = 0;
+  const diff = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+  const changes = [];
+  const inFile = new Set();
+  sheet.rows.forEach((row, idx) => {
+    const values = applyMapping(row, mapping);
+    // “TBC”, “N/A”… in the VRN column count as no VRN
+    const sheetVrn = values.vRegCaptured
+      ? validateVrn(values.vRegCaptured)
+      : null;
+    const vrnFromSheet = sheetVrn && sheetVrn.valid ? sheetVrn.vrn : '';
+    const record = {
+      bookingId: values.bookingId || `${campaign.id.slice(0, 8)}-${idx + 1}`,
+      campaignId: campaign.id,
+      customerName: values.customerName,
+      ...phoneFields(values.phoneNumber),
+      bookingDetails: values.bookingDetails,
+      bookingDate: values.bookingDate,
+      airport: values.airport,
+      // normally empty; filled if the sheet already had a VRN column
+      vRegCaptured: vrnFromSheet,
+      vRegCapturedAt: '', // set when a VRN is captured (see captureVrn)
+      vRegSource: vrnFromSheet ? 'sheet' : '',
+      vRegPending: '', // read from a text reply, until confirmed (see MESSAGE FALLBACK)
+      vRegPendingAt: '',
+      attemptCountToday: 0, // reset on upload
+      attemptCountTotal: 0, // every attempt in this campaign
+      lastAttemptDate: todayStr, // set to today so we don’t reset mid-day
+      lastCallTime: '', // blank until we place a call
+      lastCallStatus: '', // blank until Twilio callback
+      skipRule: '', // why the last batch didn’t call it (see CALLING POLICY)
+      skipReason: '',
+      lastMessageAt: '', // last fallback SMS/WhatsApp (see MESSAGE FALLBACK)
+      lastMessageDate: '',
+      optedOut: false, // the customer asked not to be called (see /api/optOut)
+      optedOutAt: '',
+      retiredAt: '', // missing from a merge upload (see UPLOAD MERGE)
+      sheetRow: row,
+    };
+    const existing = records.get(String(record.bookingId));
+    if (!existing) {
+      records.set(String(record.bookingId), record);
+      toSave.set(String(record.bookingId), record);
+      inFile.add(String(record.bookingId));
+      diff.added++;
+      return;
+    }
+    // Rows repeating a booking earlier in the file are skipped too
+    if (
+      !merge ||
+      existing.campaignId !== campaign.id ||
+      inFile.has(String(record.bookingId))
+    ) {
+      skipped++;
+      return;
+    }
+    inFile.add(String(record.bookingId));
+
+    // The latest row is kept even when only unmapped columns changed
+    const fields = mergeChanges(existing, record, mapping);
+    const merged = { ...existing, sheetRow: row };
+    fields.forEach((field) => {
+      if (field === 'phoneNumber') {
+        Object.assign(merged, phoneFields(record.phoneRaw));
+      } else if (field === 'vRegCaptured') {
+        merged.vRegCaptured = record.vRegCaptured;
+        merged.vRegSource = 'sheet';
+      } else if (field === 'retiredAt') {
+        merged.retiredAt = '';
+      } else {
+        merged[field] = record[field];
+      }
+    });
+    toSave.set(String(record.bookingId), merged);
+    if (!fields.length) {
+      diff.unchanged++;
+      return;
+    }
+    diff.updated++;
+    changes.push({ bookingId: record.bookingId, fields });
+  });
+
+  if (merge && options.retireMissing) {
+    const retiredAt = new Date().toISOString();
+    [...records.values()]
+      .filter(
+        (r) =>
+          r.campaignId === campaign.id &&
+          !r.retiredAt &&
+          !inFile.has(String(r.bookingId))
+      )
+      .forEach((r) => {
+        toSave.set(String(r.bookingId), { ...r, retiredAt });
+        diff.removed++;
+      });
+  }
+
+  storage.putMany('records', [...toSave.values()]);
+
+  return {
+    success: true,
+    campaignId: campaign.id,
+    campaignName: campaign.name,
+    count: diff.added,
+    skipped: skipped,
+    mode: options.mode,
+    diff: diff,
+    changes: changes,
+  };
+}
+
+// ─── POST /api/upload ─────────────────────────────────────────────────────────
+// One-step upload of a spreadsheet (.xlsx or .csv). We parse it in-memory,
+// auto-detect columns (proposeMapping), and add the rows to a campaign. Form fields:
+//   • campaignId   → append to that existing campaign
+//   • campaignName → append to the active campaign with that name, or create it
+//   • mode         → 'add' (default) or 'merge', retireMissing → 'true' (see UPLOAD MERGE)
+// In mode 'add', bookings that already exist (in any campaign) are left untouched
+// and reported back as skipped. The React UI uses the two-step wizard below instead.
+
+// Summary of an import for the audit log
+function uploadAuditDetails(fileName, result) {
+  return {
+    fileName: fileName,
+    campaignId: result.campaignId,
+    imported: result.count,
+    skipped: result.skipped,
+    mode: result.mode,
+    diff: result.diff,
+  };
+}
+
+app.post('/api/upload', requireOperator, upload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const target = resolveUploadCampaign(req.body || {});
+  if (target.error) {
+    return res.status(target.status).json({ error: target.error });
+  }
+  const options = readUploadOptions(req.body || {});
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  let sheet;
+  try {
+    sheet = parseSpreadsheet(req.file.buffer, req.file.originalname);
+  } catch (err) {
+    console.error('Error reading spreadsheet:', err);
+    return res.status(500).json({ error: 'Failed to parse spreadsheet' });
+  }
+  if (sheet.rows.length === 0) {
+    return res
+      .status(400)
+      .json({ error: 'Spreadsheet is empty or unparseable' });
+  }
+
+  const mapping = proposeMapping(sheet.headers);
+  const result = importRows(
+    { ...sheet, fileName: req.file.originalname },
+    mapping,
+    target,
+    options
+  );
+  recordAudit(req, 'upload', uploadAuditDetails(req.file.originalname, result));
+  return res.json(result);
+});
+
+// ─── UPLOAD WIZARD ────────────────────────────────────────────────────────────
+// Two-step upload used by UploadForm:
+//
+//   1) POST /api/upload/preview (multipart “file”, optional campaignId and mode)
+//        → { uploadId, fileName, headers, fields, proposedMapping, templateId,
+//            sampleRows, report }
+//      Nothing is saved yet; the parsed rows wait in memory for 30 minutes.
+//   2) POST /api/upload/:uploadId/validate  body { mapping, campaignId?, mode? }
+//        → { mapping, report }            (re-run after the user changes the mapping)
+//   3) POST /api/upload/:uploadId/confirm   body { mapping, campaignId | campaignName,
+//                                                  mode?, retireMissing?, saveTemplateAs? }
+//        → same response as POST /api/upload
+//
+// report = { totalRows, importableRows, counts, rows: [{ row, bookingId, skipped, issues }] }
+// flags bad phones, missing/duplicate booking IDs, bookings that already exist
+// (merged rather than skipped when mode is 'merge' and they are in campaignId)
+// and rows that already have a VRN.
+
+const PENDING_UPLOAD_TTL_MS = 30 * 60 * 1000;
+const pendingUploads = new Map();
+
+function dropExpiredUploads() {
+  const cutoff = Date.now() - PENDING_UPLOAD_TTL_MS;
+  pendingUploads.forEach((pending, id) => {
+    if (pending.createdAt < cutoff) pendingUploads.delete(id);
+  });
+}
+
+// body carries the campaignId / mode the upload is meant for, if known yet
+function buildUploadReport(pending, mapping, body) {
+  const campaign = body.campaignId
+    ? storage.get('campaigns', body.campaignId)
+    : null;
+  return validateRows(pending.rows, mapping, {
+    existingIds: existingBookingIds(),
+    mergeIds: mergeableBookingIds(campaign, body.mode),
+    parsePhone: parsePhone,
+    validateVrn: validateVrn,
+  });
+}
+
+// A saved template fits if every header it maps exists in this file; the one
+// mapping the most fields wins.
+function findMatchingTemplate(headers) {
+  let best = null;
+  let bestCount = 0;
+  storage.list('mappingTemplates').forEach((tpl) => {
+    const mapped = Object.values(tpl.mapping).filter(Boolean);
+    if (
+      mapped.length > bestCount &&
+      mapped.every((header) => headers.includes(header))
+    ) {
+      best = tpl;
+      bestCount = mapped.length;
+    }
+  });
+  return best;
+}
+
+app.post(
+  '/api/upload/preview',
+  requireOperator,
+  upload.single('file'),
+  (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    let sheet;
+    try {
+      sheet = parseSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (err) {
+      console.error('Error reading spreadsheet:', err);
+      return res.status(500).json({ error: 'Failed to parse spreadsheet' });
+    }
+    if (sheet.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ error: 'Spreadsheet is empty or unparseable' });
+    }
+
+    dropExpiredUploads();
+    const uploadId = crypto.randomUUID();
+    const pending = {
+      fileName: req.file.originalname || '',
+      headers: sheet.headers,
+      rows: sheet.rows,
+      createdAt: Date.now(),
+    };
+    pendingUploads.set(uploadId, pending);
+
+    const template = findMatchingTemplate(sheet.headers);
+    const mapping = template
+      ? sanitiseMapping(template.mapping, sheet.headers)
+      : proposeMapping(sheet.headers);
+
+    return res.json({
+      uploadId: uploadId,
+      fileName: pending.fileName,
+      headers: sheet.headers,
+      fields: UPLOAD_FIELDS,
+      proposedMapping: mapping,
+      templateId: template ? template.id : null,
+      sampleRows: sheet.rows.slice(0, 5),
+      report: buildUploadReport(pending, mapping, req.body || {}),
+    });
+  }
+);
+
+// Looks up the pending upload and checks the mapping covers the required fields.
+function loadPendingUpload(req, res) {
+  const pending = pendingUploads.get(req.params.uploadId);
+  if (!pending) {
+    res
+      .status(404)
+      .json({ error: 'Upload expired or not found, please upload again' });
+    return null;
+  }
+  const mapping = sanitiseMapping((req.body || {}).mapping, pending.headers);
+  const missing = UPLOAD_FIELDS.filter((f) => f.required && !mapping[f.field]);
+  if (missing.length) {
+    res.status(400).json({
+      error: `Please choose a column for: ${missing
+        .map((f) => f.label)
+        .join(', ')}`,
+    });
+    return null;
+  }
+  return { pending, mapping };
+}
+
+app.post('/api/upload/:uploadId/validate', requireOperator, (req, res) => {
+  const loaded = loadPendingUpload(req, res);
+  if (!loaded) return;
+  return res.json({
+    mapping: loaded.mapping,
+    report: buildUploadReport(loaded.pending, loaded.mapping, req.body || {}),
+  });
+});
+
+app.post('/api/upload/:uploadId/confirm', requireOperator, (req, res) => {
+  const loaded = loadPendingUpload(req, res);
+  if (!loaded) return;
+
+  const body = req.body || {};
+  const target = resolveUploadCampaign(body);
+  if (target.error) {
+    return res.status(target.status).json({ error: target.error });
+  }
+  const options = readUploadOptions(body);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  const templateName = String(body.saveTemplateAs || '').trim();
+  if (templateName) {
+    saveMappingTemplate(templateName, loaded.mapping);
+    recordAudit(req, 'mappingTemplate.save', { name: templateName });
+  }
+
+  const result = importRows(loaded.pending, loaded.mapping, target, options);
+  pendingUploads.delete(req.params.uploadId);
+  recordAudit(
+    req,
+    'upload',
+    uploadAuditDetails(loaded.pending.fileName, result)
+  );
+  return res.json(result);
+});
+
+// ─── MAPPING TEMPLATES ────────────────────────────────────────────────────────
+// Saved column mappings (“mappingTemplates” collection): { id, name, mapping, createdAt }.
+// Saving under an existing name replaces that template.
+//   GET    /api/mappingTemplates
+//   DELETE /api/mappingTemplates/:id
+
+function saveMappingTemplate(name, mapping) {
+  const existing = storage
+    .list('mappingTemplates')
+    .find((t) => t.name.toLowerCase() === name.toLowerCase());
+  return storage.put('mappingTemplates', {
+    id: existing ? existing.id : crypto.randomUUID(),
+    name: name,
+    mapping: mapping,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+app.get('/api/mappingTemplates', requireViewer, (req, res) => {
+  return res.json(storage.list('mappingTemplates'));
+});
+
+app.delete('/api/mappingTemplates/:id', requireOperator, (req, res) => {
+  if (!storage.remove('mappingTemplates', req.params.id)) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  recordAudit(req, 'mappingTemplate.delete', { templateId: req.params.id });
+  return res.json({ ok: true });
+});
+
+// ─── GET /api/allRecords ─────────────────────────────────────────────────────
+// Returns records as JSON, so the React UI can render them. Pass ?campaignId=
+// for one campaign; otherwise every non-archived campaign is returned.
+
+app.get('/api/allRecords', requireViewer, (req, res) => {
+  return res.json(listCampaignRecords(req.query.campaignId));
+});
+
+// ─── GET /api/events ─────────────────────────────────────────────────────────
+// Server-Sent Events stream of record changes (lib/recordEvents.js), so the
+// table updates live while calls are placed and VRNs come in. Each change is
+// sent as “event: record” with the JSON event as data; pass ?campaignId= to
+// only get that campaign’s records. A comment line every 25s keeps proxies from
+// closing an idle stream. After a reconnect the client should reload
+// /api/allRecords, as events sent while it was away are not replayed.
+
+const EVENTS_HEARTBEAT_MS = 25 * 1000;
+
+app.get('/api/events', requireViewer, (req, res) => {
+  const campaignId = req.query.campaignId || '';
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps compression middleware (e.g. the CRA dev proxy) from buffering
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = recordEvents.subscribe((event) => {
+    if (campaignId && event.campaignId && event.campaignId !== campaignId) {
+      return;
+    }
+    res.write(
+      `id: ${event.id}\nevent: record\ndata: ${JSON.stringify(event)}\n\n`
+    );
+  });
+  const heartbeat = setInterval(
+    () => res.write(': ping\n\n'),
+    EVENTS_HEARTBEAT_MS
+  );
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// ─── CALL LOG ─────────────────────────────────────────────────────────────────
+// Append-only history of every call we place, keyed by Twilio CallSid (the
+// “calls” collection). Each status callback appends an event instead of
+// overwriting the previous one, so every attempt can be audited later:
+//   { id: CallSid, callSid, bookingId, bookingIds, campaignId, to, createdAt,
+//     status, duration, answeredBy, error, capturedBookingIds,
+//     events: [ { status, at, duration, answeredBy } ] }
+// capturedBookingIds lists the bookings whose VRN was saved during the call.
+// A call answered by a machine ends with status 'machine' instead of 'completed'
+// (machineAction says whether we hung up or left a voicemail).
+// Recorded calls also get recording and transcript (see CALL RECORDING &
+// TRANSCRIPTS).
+// record.lastCallStatus / lastCallTime still hold the latest value for the table.
+
+// One call can cover several bookings that share a phone number (rows).
+function logCallPlaced({ callSid, rows, status, error }) {
+  const createdAt = new Date().toISOString();
+  return storage.put('calls', {
+    // Calls Twilio rejected never get a CallSid, so give them a local id
+    id: callSid || `failed-${crypto.randomUUID()}`,
+    callSid: callSid || '',
+    bookingId: rows[0].bookingId,
+    bookingIds: rows.map((r) => r.bookingId),
+    campaignId: rows[0].campaignId,
+    to: rows[0].phoneNumber,
+    createdAt: createdAt,
+    status: status,
+    duration: null,
+    answeredBy: '',
+    error: error || '',
+    capturedBookingIds: [],
+    events: [{ status: status, at: createdAt }],
+  });
+}
+
+// Returns the updated call, or null if we never logged this CallSid.
+function logCallEvent(callSid, { status, duration, answeredBy }) {
+  return storage.update('calls', callSid, (call) => {
+    const event = { status: status, at: new Date().toISOString() };
+    if (duration !== undefined) event.duration = duration;
+    if (answeredBy) event.answeredBy = answeredBy;
+    call.events = [...(call.events || []), event];
+    if (answeredBy) call.answeredBy = answeredBy;
+    call.status =
+      status === 'completed' && isMachineAnswer(call.answeredBy)
+        ? MACHINE_OUTCOME
+        : status;
+    if (duration !== undefined) call.duration = duration;
+  });
+}
+
+// ─── GET /api/records/:bookingId/calls ───────────────────────────────────────
+// Every logged call for one booking, newest first.
+
+app.get('/api/records/:bookingId/calls', requireViewer, (req, res) => {
+  const bookingId = String(req.params.bookingId);
+  const calls = storage
+    .list('calls')
+    .filter((c) => getCallBookingIds(c).map(String).includes(bookingId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return res.json(calls);
+});
+
+// ─── GET /api/stats ───────────────────────────────────────────────────────────
+// How a campaign is going (see lib/stats.js for the response):
+//   GET /api/stats?campaignId=…&from=yyyy-mm-dd&to=yyyy-mm-dd
+// Without campaignId every non-archived campaign is included. from / to are
+// dates in the calling policy timezone and limit the calls and captures
+// counted; 400 { error, details } if they are not valid dates.
+
+app.get('/api/stats', requireViewer, (req, res) => {
+  const from = String(req.query.from || '');
+  const to = String(req.query.to || '');
+  const range = validateDateRange({ from, to });
+  if (!range.valid) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid date range', details: range.errors });
+  }
+
+  const records = listCampaignRecords(req.query.campaignId);
+  const campaignIds = new Set(records.map((r) => r.campaignId));
+  if (req.query.campaignId) {
+    campaignIds.add(req.query.campaignId);
+  }
+  const calls = storage
+    .list('calls')
+    .filter((c) => campaignIds.has(c.campaignId));
+
+  return res.json({
+    campaignId: req.query.campaignId || '',
+    ...computeStats({
+      records,
+      calls,
+      timezone: getPolicy().timezone,
+      from,
+      to,
+    }),
+  });
+});
+
+// ─── CALLING POLICY ───────────────────────────────────────────────────────────
+// Who may be called, and when, comes from the calling policy (see lib/policy.js),
+// stored as settings/callingPolicy. Until it is first saved the defaults apply:
+// 08:00–18:00 Europe/London every day except England & Wales bank holidays,
+// 3 attempts per booking per day, 10 per campaign, and a backoff per outcome.
+//
+//   GET /api/policy → the current policy
+//   PUT /api/policy → replace it (missing keys get the defaults); 400 { error, details }
+//
+// When a booking is skipped, the rule that stopped it is saved on the record
+// (skipRule, skipReason) and counted in the batch result. A booking whose last
+// call is still pending (queued, ringing, in-progress) isn’t called again until
+// that call ends, or DISPATCH_SLOT_TIMEOUT_MINUTES pass without a new status.
+
+const POLICY_ID = 'callingPolicy';
+const CALL_PENDING_TIMEOUT_MS =
+  (Number(process.env.DISPATCH_SLOT_TIMEOUT_MINUTES) || 15) * 60 * 1000;
+
+function getPolicy() {
+  const saved = storage.get('settings', POLICY_ID);
+  if (!saved) {
+    return DEFAULT_POLICY;
+  }
+  const { id, updatedAt, ...policy } = saved;
+  // Settings added since the policy was saved get their defaults
+  return { ...DEFAULT_POLICY, ...policy };
+}
+
+// null if calling is allowed right now, else { rule, message }
+function getWindowSkip() {
+  const policy = getPolicy();
+  return checkCallingWindow(policy, getPolicyClock(policy));
+}
+
+// Number of rows (in non-archived campaigns) that would get a call on the next run.
+function countEligibleRows() {
+  const policy = getPolicy();
+  const clock = getPolicyClock(policy);
+  const suppressed = getSuppressedNumbers();
+  return listCampaignRecords().filter(
+    (row) =>
+      !checkRow(policy, row, clock, CALL_PENDING_TIMEOUT_MS) &&
+      !checkSuppression(row, suppressed) &&
+      !checkDispatchQueued(row)
+  ).length;
+}
+
+app.get('/api/policy', requireViewer, (req, res) => {
+  return res.json(getPolicy());
+});
+
+app.put('/api/policy', requireOperator, (req, res) => {
+  const check = validatePolicy(req.body);
+  if (!check.valid) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid calling policy', details: check.errors });
+  }
+  storage.put('settings', {
+    id: POLICY_ID,
+    ...check.policy,
+    updatedAt: new Date().toISOString(),
+  });
+  recordAudit(req, 'policy.update', { policy: check.policy });
+  return res.json(check.policy);
+});
+
+// ─── DO-NOT-CALL LIST ─────────────────────────────────────────────────────────
+// Numbers that asked not to be contacted (the “suppressions” collection, see
+// lib/suppressions.js). Every batch checks it before the calling policy, so a
+// listed number is never called or texted: its bookings are skipped with rule
+// do_not_call.
+//
+//   GET    /api/suppressions               → the list, newest first
+//   POST   /api/suppressions               body { phoneNumber, reason } → the entry
+//   POST   /api/suppressions/import        multipart “file” (CSV/XLSX)
+//          → { added, alreadyListed, invalid: [{ row, value, reason }] }
+//   DELETE /api/suppressions/:phoneNumber  → { success: true } (calls resume)
+//
+// The AI assistant adds numbers itself through POST /api/optOut (see below).
+
+// Set of E.164 numbers on the list
+function getSuppressedNumbers() {
+  return new Set(storage.list('suppressions').map((s) => s.phoneNumber));
+}
+
+// Adds a number (or merges bookingIds into its entry). Returns
+// { added, suppression } – added is false if it was already listed.
+function addSuppression({
+  phoneNumber,
+  reason,
+  source,
+  bookingIds,
+  createdBy,
+}) {
+  const existing = storage.get('suppressions', phoneNumber);
+  if (existing) {
+    const merged = [
+      ...new Set([...existing.bookingIds, ...(bookingIds || [])]),
+    ];
+    const suppression =
+      merged.length === existing.bookingIds.length
+        ? existing
+        : storage.update('suppressions', phoneNumber, (s) => {
+            s.bookingIds = merged;
+          });
+    return { added: false, suppression };
+  }
+  const suppression = storage.put('suppressions', {
+    id: phoneNumber,
+    phoneNumber: phoneNumber,
+    reason: reason || '',
+    source: source,
+    bookingIds: bookingIds || [],
+    createdAt: new Date().toISOString(),
+    createdBy: createdBy || '',
+  });
+  return { added: true, suppression };
+}
+
+app.get('/api/suppressions', requireViewer, (req, res) => {
+  const list = storage
+    .list('suppressions')
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return res.json(list);
+});
+
+app.post('/api/suppressions', requireOperator, (req, res) => {
+  const body = req.body || {};
+  const phone = parsePhone(body.phoneNumber);
+  if (!phone.e164) {
+    return res.status(400).json({ error: phone.reason });
+  }
+  const result = addSuppression({
+    phoneNumber: phone.e164,
+    reason: String(body.reason || '').trim(),
+    source: 'manual',
+    createdBy: req.user.username,
+  });
+  if (result.added) {
+    recordAudit(req, 'suppression.add', { phoneNumber: phone.e164 });
+  }
+  return res.json(result.suppression);
+});
+
+app.post(
+  '/api/suppressions/import',
+  requireOperator,
+  upload.single('file'),
+  (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    let sheet;
+    try {
+      sheet = parseSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (err) {
+      console.error('Error reading do-not-call list:', err);
+      return res.status(500).json({ error: 'Failed to parse spreadsheet' });
+    }
+    if (sheet.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ error: 'Spreadsheet is empty or unparseable' });
+    }
+
+    const { entries, invalid } = readSuppressionSheet(sheet, parsePhone);
+    let added = 0;
+    entries.forEach((entry) => {
+      const result = addSuppression({
+        phoneNumber: entry.phoneNumber,
+        reason: entry.reason,
+        source: 'import',
+        createdBy: req.user.username,
+      });
+      if (result.added) added++;
+    });
+    recordAudit(req, 'suppression.import', {
+      fileName: req.file.originalname,
+      added: added,
+      invalid: invalid.length,
+    });
+    return res.json({
+      added: added,
+      alreadyListed: entries.length - added,
+      invalid: invalid,
+    });
+  }
+);
+
+app.delete('/api/suppressions/:phoneNumber', requireOperator, (req, res) => {
+  const phoneNumber =
+    parsePhone(req.params.phoneNumber).e164 || req.params.phoneNumber;
+  if (!storage.remove('suppressions', phoneNumber)) {
+    return res.status(404).json({ error: 'Number is not on the list' });
+  }
+  recordAudit(req, 'suppression.remove', { phoneNumber });
+  return res.json({ success: true });
+});
+
+// ─── OUTBOUND WEBHOOKS ────────────────────────────────────────────────────────
+// Other systems subscribe to events with a URL and get a signed JSON POST for
+// each one (see lib/webhooks.js for the payload, headers and signature):
+//
+//   vrn.captured       a VRN was saved, by any channel (data: { record })
+//   call.completed     a call ended, whatever the outcome (data: { call, records })
+//   record.exhausted   a booking used its last attempt of the campaign without
+//                      a VRN (data: { record, attempts })
+//   campaign.finished  nothing in the campaign is left to call: every booking
+//                      has a VRN or can’t be called again (data: { campaign, stats })
+//
+//   GET    /api/webhooks        → subscriptions (secrets hidden)
+//   POST   /api/webhooks        body { url, events, description?, secret?, enabled? }
+//          → the subscription with its secret (generated unless given)
+//   PUT    /api/webhooks/:id    same fields, all optional
+//   DELETE /api/webhooks/:id
+//   GET    /api/webhooks/deliveries?webhookId=&event=&status=&limit=100
+//          → delivery log, newest first
+//   POST   /api/webhooks/deliveries/:id/redeliver → sends it again now
+//
+// Failed deliveries are retried (.env): WEBHOOK_MAX_ATTEMPTS (default 5),
+// WEBHOOK_RETRY_DELAY_MS (first retry, doubled each time, default 30000) and
+// WEBHOOK_TIMEOUT_MS per attempt (default 10000).
+
+const webhooks = createWebhookDispatcher({
+  storage: storage,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  retryDelayMs: Number(process.env.WEBHOOK_RETRY_DELAY_MS) || 30000,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+});
+webhooks.resumePending();
+
+// The booking fields sent in webhook payloads
+function webhookRecord(r) {
+  return {
+    bookingId: r.bookingId,
+    campaignId: r.campaignId,
+    customerName: r.customerName,
+    phoneNumber: r.phoneNumber,
+    bookingDetails: r.bookingDetails,
+    bookingDate: r.bookingDate,
+    airport: r.airport,
+    vRegCaptured: r.vRegCaptured,
+    vRegCapturedAt: r.vRegCapturedAt,
+    vRegSource: r.vRegSource,
+    attemptCountTotal: r.attemptCountTotal,
+    lastCallStatus: r.lastCallStatus,
+  };
+}
+
+// Can this booking still be called in its campaign (now or later)?
+function isRecordOpen(policy, row, clock, suppressed) {
+  if (hasVrn(row) || row.retiredAt || checkSuppression(row, suppressed)) {
+    return false;
+  }
+  const check = checkRow(policy, row, clock, CALL_PENDING_TIMEOUT_MS);
+  return !(
+    check &&
+    ['uncallable_phone', 'max_attempts_per_campaign'].includes(check.rule)
+  );
+}
+
+// campaign.finished once per campaign; finishedAt is cleared again if new
+// bookings (or a removed VRN) reopen it
+function checkCampaignFinished(campaignId) {
+  const campaign = storage.get('campaigns', campaignId);
+  if (!campaign || campaign.archived) return;
+  const policy = getPolicy();
+  const clock = getPolicyClock(policy);
+  const suppressed = getSuppressedNumbers();
+  const records = storage
+    .list('records')
+    .filter((r) => r.campaignId === campaignId);
+  const finished =
+    records.length > 0 &&
+    !records.some(
+      (r) =>
+        CALL_PENDING.includes(r.lastCallStatus) ||
+        isRecordOpen(policy, r, clock, suppressed)
+    );
+  if (!finished) {
+    if (campaign.finishedAt) {
+      storage.update('campaigns', campaignId, (c) => {
+        c.finishedAt = '';
+      });
+    }
+    return;
+  }
+  if (campaign.finishedAt) return;
+  const saved = storage.update('campaigns', campaignId, (c) => {
+    c.finishedAt = new Date().toISOString();
+  });
+  webhooks.emit('campaign.finished', {
+    campaign: {
+      id: saved.id,
+      name: saved.name,
+      createdAt: saved.createdAt,
+      finishedAt: saved.finishedAt,
+    },
+    stats: getCampaignStats(campaignId),
+  });
+}
+
+function notifyVrnCaptured(record) {
+  webhooks.emit('vrn.captured', { record: webhookRecord(record) });
+  checkCampaignFinished(record.campaignId);
+}
+
+// A call’s final status arrived: call.completed, record.exhausted for bookings
+// that have now used every attempt, then campaign.finished
+function notifyCallEnded(call, records) {
+  webhooks.emit('call.completed', {
+    call: {
+      callSid: call.callSid,
+      campaignId: call.campaignId,
+      to: call.to,
+      status: call.status,
+      duration: call.duration,
+      answeredBy: call.answeredBy,
+      createdAt: call.createdAt,
+      bookingIds: call.bookingIds,
+      capturedBookingIds: call.capturedBookingIds || [],
+    },
+    records: records.map(webhookRecord),
+  });
+  const max = getPolicy().maxAttemptsPerCampaign;
+  records
+    .filter((r) => max && !hasVrn(r) && (r.attemptCountTotal || 0) >= max)
+    .forEach((r) =>
+      webhooks.emit('record.exhausted', {
+        record: webhookRecord(r),
+        attempts: r.attemptCountTotal,
+      })
+    );
+  new Set(records.map((r) => r.campaignId)).forEach(checkCampaignFinished);
+}
+
+app.get('/api/webhooks', requireOperator, (req, res) => {
+  const list = storage
+    .list('webhooks')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return res.json(list.map(publicWebhook));
+});
+
+app.post('/api/webhooks', requireOperator, (req, res) => {
+  const check = validateWebhook(req.body);
+  if (!check.valid) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid webhook', details: check.errors });
+  }
+  const now = new Date().toISOString();
+  const webhook = storage.put('webhooks', {
+    id: crypto.randomUUID(),
+    description: '',
+    enabled: true,
+    secret: generateSecret(),
+    ...check.webhook,
+    createdAt: now,
+    updatedAt: now,
+  });
+  recordAudit(req, 'webhook.create', {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+  });
+  return res.json({ ...publicWebhook(webhook), secret: webhook.secret });
+});
+
+app.put('/api/webhooks/:id', requireOperator, (req, res) => {
+  const existing = storage.get('webhooks', req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  const check = validateWebhook(req.body, existing);
+  if (!check.valid) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid webhook', details: check.errors });
+  }
+  const webhook = storage.update('webhooks', req.params.id, (w) => {
+    Object.assign(w, check.webhook);
+    w.updatedAt = new Date().toISOString();
+  });
+  recordAudit(req, 'webhook.update', {
+    id: webhook.id,
+    changes: Object.keys(check.webhook),
+  });
+  const shown = publicWebhook(webhook);
+  return res.json(
+    check.webhook.secret ? { ...shown, secret: webhook.secret } : shown
+  );
+});
+
+app.delete('/api/webhooks/:id', requireOperator, (req, res) => {
+  const existing = storage.get('webhooks', req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  storage.remove('webhooks', req.params.id);
+  recordAudit(req, 'webhook.delete', { id: existing.id, url: existing.url });
+  return res.json({ success: true });
+});
+
+app.get('/api/webhooks/deliveries', requireOperator, (req, res) => {
+  const { webhookId, event, status } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const deliveries = storage
+    .list('webhookDeliveries')
+    .filter(
+      (d) =>
+        (!webhookId || d.webhookId === webhookId) &&
+        (!event || d.event === event) &&
+        (!status || d.status === status)
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+  return res.json(deliveries);
+});
+
+app.post(
+  '/api/webhooks/deliveries/:id/redeliver',
+  requireOperator,
+  (req, res) => {
+    const delivery = webhooks.redeliver(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    recordAudit(req, 'webhook.redeliver', {
+      id: delivery.id,
+      event: delivery.event,
+    });
+    return res.json(delivery);
+  }
+);
+
+// ─── CALL DISPATCH QUEUE ──────────────────────────────────────────────────────
+// Batches don’t place calls themselves: processRecords() hands every call to the
+// dispatch queue (lib/dispatchQueue.js) and returns at once with a job id, so a
+// big campaign never holds up POST /api/process. The queue keeps within the
+// telephony account’s limits (.env):
+//
+//   DISPATCH_CONCURRENCY           calls in progress at once (default 5)
+//   DISPATCH_CALLS_PER_SECOND      calls started per second (default 1)
+//   DISPATCH_MAX_RETRIES           retries of transient API errors (default 3)
+//   DISPATCH_RETRY_DELAY_MS        first retry delay, doubled each time (default 2000)
+//   DISPATCH_SLOT_TIMEOUT_MINUTES  frees a call’s slot if its final status
+//                                  callback never arrives (default 15)
+//
+//   GET /api/process/jobs/:jobId → { id, campaignId, state: 'running' | 'done',
+//       createdAt, finishedAt, calls: { total, placed, failed, rejected,
+//       suppressed, retried },
+//       messages: { total, sent }, skipped, error }
+//   GET /api/dispatch/status     → { concurrency, callsPerSecond, waiting,
+//       retrying, inProgress }
+//
+// Records are only updated once the provider has answered:
+//   • placed   → lastCallStatus 'queued', one more attempt (today and in total)
+//   • failed   → lastCallStatus 'failed' (the API kept failing, or refused the
+//                call for another reason); no attempt is used up, the failed
+//                backoff applies
+//   • rejected → lastCallStatus 'rejected': the number itself can’t be called
+//                (invalid, unreachable…), so it gets a phoneUncallableReason
+//                and isn’t tried again until someone edits it
+//   • suppressed → not called after all: just before placing it, the number
+//                was on the do-not-call list (skipRule do_not_call) or every
+//                booking on the call already had a VRN. No attempt is used up.
+// Every other outcome is in the call log too. Jobs live in memory (the last
+// MAX_DISPATCH_JOBS); calls still waiting when the server stops are simply
+// planned again by the next batch.
+
+const MAX_DISPATCH_JOBS = 100;
+
+const dispatchQueue = createDispatchQueue({
+  concurrency: Number(process.env.DISPATCH_CONCURRENCY) || 5,
+  callsPerSecond: Number(process.env.DISPATCH_CALLS_PER_SECOND) || 1,
+  maxRetries:
+    process.env.DISPATCH_MAX_RETRIES !== undefined
+      ? Number(process.env.DISPATCH_MAX_RETRIES)
+      : 3,
+  retryDelayMs: Number(process.env.DISPATCH_RETRY_DELAY_MS) || 2000,
+  slotTimeoutMs: CALL_PENDING_TIMEOUT_MS,
+  classifyError: (err) => telephony.classifyError(err),
+});
+
+// jobId → job, oldest first
+const dispatchJobs = new Map();
+
+function createDispatchJob(campaignId, plan) {
+  const job = {
+    id: crypto.randomUUID(),
+    campaignId: campaignId || '',
+    state: 'running',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    calls: {
+      total: plan.byPhone.size,
+      placed: 0,
+      failed: 0,
+      rejected: 0,
+      suppressed: 0,
+      retried: 0,
+    },
+    messages: { total: plan.messageByPhone.size, sent: 0 },
+    skipped: plan.skipped,
+    error: '',
+  };
+  dispatchJobs.set(job.id, job);
+  if (dispatchJobs.size > MAX_DISPATCH_JOBS) {
+    dispatchJobs.delete(dispatchJobs.keys().next().value);
+  }
+  return job;
+}
+
+// Rule for a row whose number already has a call waiting in the queue, else null
+function checkDispatchQueued(row) {
+  if (row.phoneNumber && dispatchQueue.has(row.phoneNumber)) {
+    return {
+      rule: 'dispatch_queued',
+      message: 'A call to this number is waiting in the dispatch queue.',
+    };
+  }
+  return null;
+}
+
+// Saves what became of one queued call (see above) on its records
+function recordDispatchOutcome(job, rows, outcome) {
+  job.calls[outcome.status]++;
+  job.calls.retried += outcome.attempts - 1;
+  if (outcome.status === 'suppressed') {
+    // Not called after all: no attempt, no call log entry
+    if (outcome.rule !== 'vrn_captured') {
+      storage.putMany(
+        'records',
+        rows
+          .map((r) => storage.get('records', r.bookingId))
+          .filter(Boolean)
+          .map((r) => ({
+            ...r,
+            skipRule: outcome.rule,
+            skipReason: outcome.message,
+          }))
+      );
+    }
+    return;
+  }
+  if (outcome.status === 'placed') {
+    logCallPlaced({ callSid: outcome.callSid, rows, status: 'queued' });
+  } else {
+    console.error(
+      `Failed to place call to ${rows[0].phoneNumber} (${outcome.status}):`,
+      outcome.error
+    );
+    logCallPlaced({ rows, status: outcome.status, error: outcome.error });
+  }
+
+  // Calls can leave the queue well after the batch, so use today’s clock
+  const clock = getPolicyClock(getPolicy());
+  rows.forEach((row) => {
+    storage.update('records', row.bookingId, (r) => {
+      r.lastCallTime = clock.now.toISOString();
+      r.skipRule = '';
+      r.skipReason = '';
+      if (outcome.status === 'placed') {
+        // Resetting the daily count on a new day
+        r.lastCallStatus = 'queued';
+        r.attemptCountToday = attemptsToday(r, clock) + 1;
+        r.attemptCountTotal = (r.attemptCountTotal || 0) + 1;
+        r.lastAttemptDate = clock.todayStr;
+        return;
+      }
+      r.lastCallStatus = outcome.status;
+      if (outcome.status === 'rejected') {
+        r.phoneUncallableReason = `Rejected by the telephony provider: ${outcome.error}`;
+      }
+    });
+  });
+  // A rejected number may have been the campaign’s last open booking
+  if (outcome.status === 'rejected') {
+    checkCampaignFinished(rows[0].campaignId);
+  }
+}
+
+app.get('/api/process/jobs/:jobId', requireViewer, (req, res) => {
+  const job = dispatchJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  return res.json(job);
+});
+
+app.get('/api/dispatch/status', requireViewer, (req, res) => {
+  return res.json(dispatchQueue.status());
+});
+
+// ─── processRecords() ────────────────────────────────────────────────────────
+// The batch behind POST /api/process and the scheduler. We load the rows of one
+// campaign (or of every non-archived campaign), then for each row we check:
+//
+//   1)  The calling policy allows calls now (weekday window, bank holidays, timezone)
+//   2)  row.vRegCaptured is still empty, and the booking isn’t retired (row.retiredAt,
+//       see UPLOAD MERGE)
+//   3)  row.phoneNumber is a callable E.164 number (no row.phoneUncallableReason)
+//       that isn’t on the do-not-call list (see DO-NOT-CALL LIST)
+//   4)  attempts today (row.attemptCountToday, reset when lastAttemptDate ≠ today)
+//       < maxAttemptsPerDay, and row.attemptCountTotal < maxAttemptsPerCampaign
+//   5)  the backoff for the last call’s outcome (row.lastCallStatus) has passed
+//
+// A skipped row gets skipRule/skipReason (only written when they change); a
+// closed calling window skips the whole run with { success: false, rule }.
+//
+// Rows that pass are grouped by phone number, so a customer with several bookings gets
+// one call that covers all of them (numbers whose call is still in the dispatch queue
+// are skipped with rule dispatch_queued). For each number we hand the dispatch queue a
+// Twilio Voice call with inline TwiML that connects to your AI Assistant (via
+// <Connect><Assistant>…) and carries the bookingIds (see CALL ↔ BOOKING CORRELATION),
+// and return straight away with the batch’s job id (see CALL DISPATCH QUEUE for what
+// happens to each record once its call is placed or turned down).
+//
+// With the policy’s answeringMachine on, each call also asks for machine
+// detection (see ANSWERING MACHINE DETECTION below).
+//
+// Rows that hit maxAttemptsPerDay after a busy / no-answer call get one SMS or
+// WhatsApp message that day instead, if the policy’s messageFallback is on (see
+// MESSAGE FALLBACK below).
+//
+// planBatch() does the checks; processRecords(campaignId, { dryRun: true }) stops
+// there and returns its decisions without calling anyone or saving anything.
+
+// Runs the eligibility checks without changing anything. Returns { error } or
+//   { policy, clock, windowSkip, byPhone, messageByPhone, skips, skipped, decisions }
+// byPhone maps each number to call → its rows (messageByPhone: to text instead); skips lists { row, rule, message }
+// for rows that won’t be called (except ones whose VRN is already captured);
+// skipped counts them per rule. decisions has one entry per record (see DRY RUN).
+function planBatch(campaignId) {
+  if (campaignId) {
+    const campaign = storage.get('campaigns', campaignId);
+    if (!campaign) {
+      return { error: 'Campaign not found.' };
+    }
+    if (campaign.archived) {
+      return { error: 'Campaign is archived.' };
+    }
+  }
+  const arr = listCampaignRecords(campaignId);
+
+  const policy = getPolicy();
+  const clock = getPolicyClock(policy);
+  const windowSkip = checkCallingWindow(policy, clock);
+  const suppressed = getSuppressedNumbers();
+
+  // Group eligible rows by phone number (Map keeps upload order). While the
+  // calling window is closed, rows that would otherwise be called are skipped
+  // with the window’s rule.
+  const byPhone = new Map();
+  const skips = [];
+  const skipped = {};
+  arr.forEach((row) => {
+    const rowSkip = checkRow(policy, row, clock, CALL_PENDING_TIMEOUT_MS);
+    if (rowSkip && rowSkip.rule === 'vrn_captured') {
+      return; // done, not a skip
+    }
+    const skip =
+      checkSuppression(row, suppressed) ||
+      checkDispatchQueued(row) ||
+      rowSkip ||
+      windowSkip;
+    if (skip) {
+      skips.push({ row, ...skip });
+      skipped[skip.rule] = (skipped[skip.rule] || 0) + 1;
+      return;
+    }
+    if (!byPhone.has(row.phoneNumber)) byPhone.set(row.phoneNumber, []);
+    byPhone.get(row.phoneNumber).push(row);
+  });
+
+  const callFor = new Map();
+  byPhone.forEach((rows) => {
+    const bookingIds = rows.map((r) => r.bookingId);
+    bookingIds.forEach((id) => callFor.set(id, bookingIds));
+  });
+
+  // Out of calls for today → one fallback message per number instead
+  const messageByPhone = new Map();
+  skips
+    .filter(
+      (s) =>
+        s.rule === 'max_attempts_per_day' &&
+        checkMessageFallback(policy, s.row, clock)
+    )
+    .forEach(({ row }) => {
+      if (!messageByPhone.has(row.phoneNumber)) {
+        messageByPhone.set(row.phoneNumber, []);
+      }
+      messageByPhone.get(row.phoneNumber).push(row);
+    });
+  const messageFor = new Set(
+    [...messageByPhone.values()].flat().map((r) => r.bookingId)
+  );
+  const skipFor = new Map(skips.map((s) => [s.row.bookingId, s]));
+  const decisions = arr.map((row) => {
+    const skip = skipFor.get(row.bookingId);
+    const decision = {
+      bookingId: row.bookingId,
+      campaignId: row.campaignId,
+      customerName: row.customerName,
+      phoneNumber: row.phoneNumber,
+    };
+    if (callFor.has(row.bookingId)) {
+      return {
+        ...decision,
+        decision: 'call',
+        rule: '',
+        reason: '',
+        callBookingIds: callFor.get(row.bookingId),
+      };
+    }
+    return {
+      ...decision,
+      decision: 'skip',
+      rule: skip ? skip.rule : 'vrn_captured',
+      reason: skip ? skip.message : 'VRN already captured.',
+      fallback: messageFor.has(row.bookingId)
+        ? policy.messageFallback.channel
+        : '',
+    };
+  });
+
+  return {
+    policy,
+    clock,
+    windowSkip,
+    byPhone,
+    messageByPhone,
+    skips,
+    skipped,
+    decisions,
+  };
+}
+
+async function processRecords(campaignId, { dryRun = false } = {}) {
+  const plan = planBatch(campaignId);
+  if (plan.error) {
+    return { success: false, message: plan.error };
+  }
+
+  if (dryRun) {
+    return {
+      success: true,
+      dryRun: true,
+      windowSkip: plan.windowSkip,
+      callsPlanned: plan.byPhone.size,
+      messagesPlanned: plan.windowSkip ? 0 : plan.messageByPhone.size,
+      skipped: plan.skipped,
+      decisions: plan.decisions,
+    };
+  }
+
+  if (plan.windowSkip) {
+    return { success: false, ...plan.windowSkip };
+  }
+
+  const { byPhone, skipped } = plan;
+  const machineDetection = plan.policy.answeringMachine.enabled
+    ? {
+        action: plan.policy.answeringMachine.action,
+        callbackUrl: `${process.env.NGROK_URL || ''}/api/machineDetection`,
+      }
+    : undefined;
+  const recording = plan.policy.recording.enabled
+    ? { callbackUrl: `${process.env.NGROK_URL || ''}/api/recordingStatus` }
+    : undefined;
+
+  // Record why each skipped row wasn’t called (only when that changed), in
+  // one write
+  storage.putMany(
+    'records',
+    plan.skips
+      .filter(
+        ({ row, rule, message }) =>
+          row.skipRule !== rule || row.skipReason !== message
+      )
+      .map(({ row, rule, message }) => ({
+        ...row,
+        skipRule: rule,
+        skipReason: message,
+      }))
+  );
+
+  const job = createDispatchJob(campaignId, plan);
+  const outcomes = [];
+
+  for (const [phoneNumber, rows] of byPhone) {
+    const row = rows[0];
+
+    // Place the call via the telephony provider (Twilio Voice API by default),
+    // inline TwiML to AI Assistant
+    //    – You MUST set the “Assistant” SID in your .env as TWILIO_ASSISTANT_SID
+    //      (or on the campaign’s call template)
+    //    – TWILIO_FROM_NUMBER in your .env as a Twilio voice-capable number
+    //    – NGROK_URL (or your HTTPS domain) so Twilio can reach your /api/callStatus
+
+    const callTemplate = resolveCallTemplate(
+      storage.get('campaigns', row.campaignId)
+    );
+    const assistantSid = getAssistantSid(callTemplate);
+    const fromNumber = process.env.TWILIO_FROM_NUMBER || '';
+    const baseCallback = process.env.NGROK_URL || '';
+
+    if (!assistantSid || !fromNumber || !baseCallback) {
+      console.warn(
+        'Missing TWILIO_ASSISTANT_SID or TWILIO_FROM_NUMBER or NGROK_URL in .env'
+      );
+    }
+
+    // The call may wait in the queue for a while, so the do-not-call list and
+    // the VRNs are checked again just before it is placed; it only covers the
+    // bookings still missing a VRN.
+    let callRows = rows;
+    const place = () => {
+      const stop = checkSuppression(row, getSuppressedNumbers());
+      if (stop) {
+        return { suppressed: stop };
+      }
+      callRows = rows
+        .map((r) => storage.get('records', r.bookingId))
+        .filter((r) => r && !hasVrn(r));
+      if (callRows.length === 0) {
+        callRows = rows;
+        return {
+          suppressed: {
+            rule: 'vrn_captured',
+            message: 'VRN already captured.',
+          },
+        };
+      }
+      const bookingQuery = callRows
+        .map((r) => encodeURIComponent(r.bookingId))
+        .join(',');
+      return telephony.placeCall({
+        to: phoneNumber,
+        from: fromNumber,
+        // Inline TwiML from the campaign’s call template (greeting, voice, language)
+        twiml: buildAssistantTwiml(callTemplate, callRows, { assistantSid }),
+        statusCallbackUrl: `${baseCallback}/api/callStatus?bookingIds=${bookingQuery}`,
+        machineDetection: machineDetection,
+        recording: recording,
+      });
+    };
+
+    outcomes.push(
+      dispatchQueue
+        .enqueue({ key: phoneNumber, place })
+        .then((outcome) => recordDispatchOutcome(job, callRows, outcome))
+    );
+  }
+
+  // Fallback messages go out alongside the calls, one number at a time
+  const messages = (async () => {
+    for (const [phoneNumber, rows] of plan.messageByPhone) {
+      if (
+        await sendFallbackMessage(phoneNumber, rows, plan.policy, plan.clock)
+      ) {
+        job.messages.sent++;
+      }
+    }
+  })();
+
+  Promise.all([...outcomes, messages])
+    .catch((err) => {
+      console.error(`Dispatch job ${job.id} failed:`, err);
+      job.error = err.message;
+    })
+    .finally(() => {
+      job.state = 'done';
+      job.finishedAt = new Date().toISOString();
+    });
+
+  return {
+    success: true,
+    jobId: job.id,
+    callsQueued: job.calls.total,
+    messagesPlanned: job.messages.total,
+    skipped,
+  };
+}
+
+// ─── POST /api/process ────────────────────────────────────────────────────────
+// Runs one batch immediately (see processRecords() above). Body { campaignId }
+// limits it to one campaign. The background scheduler below calls the same
+// function on an interval for every non-archived campaign.
+//
+// It answers as soon as the calls are queued, with
+//   { success, jobId, callsQueued, messagesPlanned, skipped }
+// and GET /api/process/jobs/:jobId follows the calls as they are placed (see
+// CALL DISPATCH QUEUE).
+//
+// DRY RUN: body { dryRun: true } (or ?dryRun=true) runs the same checks but
+// places no calls and saves nothing. It returns
+//   { success, dryRun: true, windowSkip, callsPlanned, messagesPlanned, skipped,
+//     decisions }
+// with one decision per record:
+//   { bookingId, campaignId, customerName, phoneNumber,
+//     decision: 'call' | 'skip', rule, reason, callBookingIds?, fallback? }
+// callBookingIds lists every booking sharing that call; fallback is the channel
+// ('sms' / 'whatsapp') of the message a skipped record would get instead. While the calling
+// window is closed (windowSkip), the rows that would be called show its rule.
+
+app.post('/api/process', requireOperator, async (req, res) => {
+  const body = req.body || {};
+  const dryRun = body.dryRun === true || req.query.dryRun === 'true';
+  const result = await processRecords(body.campaignId, { dryRun });
+  if (!dryRun) {
+    recordAudit(req, 'process.run', {
+      campaignId: body.campaignId || '',
+      callsQueued: result.callsQueued,
+    });
+  }
+  return res.json(result);
+});
+
+// null unless a dispatch job is still placing calls, else { rule, message }
+function getDispatchRunningSkip() {
+  const running = [...dispatchJobs.values()].find(
+    (job) => job.state === 'running'
+  );
+  if (!running) return null;
+  return {
+    rule: 'dispatch_running',
+    message: `Batch ${running.id} is still placing its calls.`,
+  };
+}
+
+// ─── BACKGROUND SCHEDULER ─────────────────────────────────────────────────────
+// Runs processRecords() every SCHEDULER_INTERVAL_SECONDS (default 60) while the
+// calling policy allows calls. Set SCHEDULER_AUTOSTART=true to start it on boot.
+//
+//   POST /api/scheduler/start   → body { intervalSeconds? }
+//   POST /api/scheduler/pause
+//   POST /api/scheduler/resume
+//   GET  /api/scheduler/status  → { state, nextRunAt, queueDepth, lastResult,
+//                                   dispatch (as GET /api/dispatch/status), … }
+//
+// lastResult is processRecords()’ result, so its calls are still being placed
+// when the run ends: lastResult.jobId is the job to follow. While any dispatch
+// job (scheduled or from POST /api/process) is still running, the tick is
+// skipped with rule dispatch_running instead of planning a second batch.
+
+const scheduler = createScheduler({
+  intervalMs: (Number(process.env.SCHEDULER_INTERVAL_SECONDS) || 60) * 1000,
+  runBatch: () => processRecords(),
+  getWindowSkip: getWindowSkip,
+  getBusySkip: getDispatchRunningSkip,
+  getQueueDepth: countEligibleRows,
+});
+
+if (process.env.SCHEDULER_AUTOSTART === 'true') {
+  scheduler.start();
+}
+
+function schedulerAction(name, action) {
+  return (req, res) => {
+    try {
+      action(req.body || {});
+    } catch (err) {
+      return res.status(409).json({ error: err.message });
+    }
+    recordAudit(req, `scheduler.${name}`, req.body || {});
+    return res.json(schedulerStatus());
+  };
+}
+
+app.post(
+  '/api/scheduler/start',
+  requireOperator,
+  schedulerAction('start', (body) => {
+    const intervalSeconds = Number(body.intervalSeconds);
+    scheduler.start({
+      intervalMs: intervalSeconds > 0 ? intervalSeconds * 1000 : undefined,
+    });
+  })
+);
+app.post(
+  '/api/scheduler/pause',
+  requireOperator,
+  schedulerAction('pause', () => scheduler.pause())
 );
+app.post(
+  '/api/scheduler/resume',
+  requireOperator,
+  schedulerAction('resume', () => scheduler.resume())
+);
+
+function schedulerStatus() {
+  return { ...scheduler.status(), dispatch: dispatchQueue.status() };
+}
+
+app.get('/api/scheduler/status', requireViewer, (req, res) => {
+  return res.json(schedulerStatus());
+});
+
+// ─── CALL ↔ BOOKING CORRELATION ───────────────────────────────────────────────
+// One customer can have several bookings on the same phone number, so nothing
+// below looks a record up by phone alone if it can avoid it. Every call we place
+// carries its bookingIds three ways:
+//   • the call log entry (keyed by CallSid)          → used by /api/callStatus
+//   • ?bookingIds=B1,B2 on the statusCallback URL    → fallback for unknown CallSids
+//   • the assistant identity "booking:B1,B2"         → sent to the AI tools as X-Identity
+// The AI tools resolve bookings in this order:
+//   1) bookingId in the query/body (e.g. picked from the getBooking “bookings” list)
+//   2) X-Identity: booking:B1,B2
+//   3) CallSid (callSid/call_sid in query/body, or inside the X-Session-Id header) → call log
+//   4) phone (query/body or X-Identity: phone:+44…) → every booking on that number
+// With webhook auth on, the tools also need the ASSISTANT_TOOL_TOKEN and
+// /api/callStatus a valid provider signature (see lib/webhookAuth.js).
+
+function parseBookingIds(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((id) => String(id).trim()).filter(Boolean);
+}
+
+function getRecordsByIds(bookingIds) {
+  return bookingIds.map((id) => storage.get('records', id)).filter(Boolean);
+}
+
+function getCallBookingIds(call) {
+  return call.bookingIds || (call.bookingId ? [call.bookingId] : []);
+}
+
+function hasVrn(row) {
+  return Boolean(row.vRegCaptured && row.vRegCaptured.trim() !== '');
+}
+
+// The subset of a record the AI assistant is allowed to see
+function toBookingSummary(row) {
+  return {
+    bookingId: row.bookingId,
+    customerName: row.customerName,
+    bookingDetails: row.bookingDetails,
+    vRegCaptured: row.vRegCaptured,
+  };
+}
+
+// The CallSid a tool request belongs to (?callSid=, body, or X-Session-Id), or ''
+function getToolCallSid(req) {
+  const query = req.query || {};
+  const body = req.body || {};
+  const sessionMatch = (req.headers['x-session-id'] || '').match(
+    /CA[0-9a-f]{32}/i
+  );
+  return (
+    query.callSid ||
+    body.callSid ||
+    body.call_sid ||
+    (sessionMatch && sessionMatch[0]) ||
+    ''
+  );
+}
+
+// Returns the matching records, or null if the request identified nothing.
+function resolveToolBookings(req) {
+  const query = req.query || {};
+  const body = req.body || {};
+  const identity = (req.headers['x-identity'] || '').trim();
+
+  // 1) Explicit booking id
+  const explicitId = query.bookingId || body.bookingId || body.booking_id;
+  if (explicitId) {
+    return getRecordsByIds([explicitId]);
+  }
+
+  // 2) Identity set on the <Assistant> when we placed the call
+  if (identity.startsWith('booking:')) {
+    return getRecordsByIds(parseBookingIds(identity.replace(/^booking:/, '')));
+  }
+
+  // 3) The CallSid of the live call
+  const callSid = getToolCallSid(req);
+  if (callSid) {
+    const call = storage.get('calls', callSid);
+    if (call) {
+      return getRecordsByIds(getCallBookingIds(call));
+    }
+  }
+
+  // 4) Phone number (legacy): every booking on that number
+  let phone = query.phone || body.phone || body.phone_number;
+  if (!phone && identity.startsWith('phone:')) {
+    phone = identity.replace(/^phone:/, '').trim();
+  }
+  if (phone) {
+    phone = parsePhone(phone).e164 || phone;
+    return storage.list('records').filter((r) => r.phoneNumber === phone);
+  }
+
+  return null;
+}
+
+// ─── POST /api/callStatus ────────────────────────────────────────────────────
+// Twilio’s statusCallback will POST here whenever a call’s status changes:
+//   – queued, ringing, in-progress, completed, busy, no-answer, etc.
+// The body is read by the telephony provider (telephony.parseStatusCallback).
+// We append the transition (with CallDuration / AnsweredBy when Twilio sends
+// them) to that call’s entry in the call log, then update every booking on that
+// call: set row.lastCallStatus = CallStatus (or 'machine', see ANSWERING MACHINE
+// DETECTION), row.lastCallTime = now.
+// Bookings come from the call log (by CallSid), then ?bookingIds= on the
+// callback URL, and only as a last resort from the To number.
+
+app.post('/api/callStatus', webhookAuth.verifyCallback, (req, res) => {
+  const callback = telephony.parseStatusCallback(req.body || {});
+  const phone = callback.to;
+  const status = callback.status;
+
+  if (!callback.callSid && !phone) {
+    return res.sendStatus(400);
+  }
+
+  let bookingIds = [];
+  // 'machine' instead of 'completed' when an answering machine picked up
+  let outcome = status;
+  let logged = null;
+  if (callback.callSid) {
+    logged = logCallEvent(callback.callSid, {
+      status: status,
+      duration: callback.duration,
+      answeredBy: callback.answeredBy,
+    });
+    if (logged) {
+      bookingIds = getCallBookingIds(logged);
+      outcome = logged.status;
+    } else {
+      console.warn(`Status callback for unknown CallSid ${callback.callSid}`);
+    }
+  }
+  if (bookingIds.length === 0) {
+    bookingIds = parseBookingIds(req.query.bookingIds);
+  }
+  if (bookingIds.length === 0 && phone) {
+    const row = storage.list('records').find((r) => r.phoneNumber === phone);
+    if (row) {
+      bookingIds = [row.bookingId];
+    }
+  }
+
+  // The call is over → its dispatch queue slot is free
+  if (callback.callSid && status && !CALL_PENDING.includes(status)) {
+    dispatchQueue.release(callback.callSid);
+  }
+
+  const updated = bookingIds
+    .map((bookingId) =>
+      storage.update('records', bookingId, (r) => {
+        r.lastCallStatus = outcome || '';
+        r.lastCallTime = new Date().toISOString();
+      })
+    )
+    .filter(Boolean);
+
+  // Only the first final status of a call is announced (Twilio may repeat it)
+  if (logged && status && !CALL_PENDING.includes(status)) {
+    const finals = logged.events.filter(
+      (e) => !CALL_PENDING.includes(e.status)
+    );
+    if (finals.length === 1) {
+      notifyCallEnded(logged, updated);
+    }
+  }
+  // Always respond 200 to Twilio
+  return res.sendStatus(200);
+});
 
-// ─── DATA FILE SETUP ──────────────────────────────────────────────────────────
-// We keep all records in a simple JSON file called data.json. On startup, if it
-// doesn’t exist, create it as an empty array.
+// ─── ANSWERING MACHINE DETECTION ─────────────────────────────────────────────
+// Without it, a voicemail greeting gets the assistant talking to a machine and
+// the attempt looks like a real conversation. With the policy’s
+// answeringMachine enabled, every call asks the provider for asynchronous
+// detection: the assistant is connected straight away, and the result is
+// POSTed to /api/machineDetection a few seconds later. When a machine (or fax)
+// answered we replace the call’s TwiML:
+//
+//   action 'hangup'    → <Hangup/>
+//   action 'voicemail' → <Play> audioUrl, or <Say> the message
+//                        ({customerName}, {bookingId}, {bookingDetails}), then hang up
+//
+// The call then ends with outcome 'machine' (call log status and
+// record.lastCallStatus), which has its own backoffMinutes entry and can
+// trigger the text message fallback. Humans and 'unknown' results carry on.
 
-const DATA_FILE = path.join(__dirname, 'data.json');
+const MACHINE_OUTCOME = 'machine';
 
-function ensureDataFileExists() {
-  if (!fs.existsSync(DATA_FILE)) {
-    fs.writeFileSync(DATA_FILE, '[]', 'utf8');
-  }
+// Twilio AnsweredBy values: human, unknown, fax, machine_start,
+// machine_end_beep, machine_end_silence, machine_end_other
+function isMachineAnswer(answeredBy) {
+  return /^(machine|fax)/.test(answeredBy || '');
 }
-ensureDataFileExists();
 
-function readDataFile() {
-  try {
-    const raw = fs.readFileSync(DATA_FILE, 'utf8');
-    return JSON.parse(raw);
-  } catch (e) {
-    console.error('Failed to read data.json, resetting:', e);
-    return [];
+// TwiML that replaces the assistant once a machine answered
+function buildMachineTwiml(settings, rows) {
+  if (settings.action !== 'voicemail') {
+    return '<Response><Hangup/></Response>';
   }
+  const message = settings.audioUrl
+    ? `<Play>${escapeXml(settings.audioUrl)}</Play>`
+    : `<Say voice="Polly.Amy-Neural" language="en-GB">${escapeXml(
+        rows.length
+          ? fillPlaceholders(settings.message, rows)
+          : settings.message
+      )}</Say>`;
+  return `<Response>${message}<Hangup/></Response>`;
 }
 
-function writeDataFile(arr) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(arr, null, 2), 'utf8');
+app.post(
+  '/api/machineDetection',
+  webhookAuth.verifyCallback,
+  async (req, res) => {
+    const result = telephony.parseMachineDetection(req.body || {});
+    if (!result.callSid) {
+      return res.sendStatus(400);
+    }
+    const machine = isMachineAnswer(result.answeredBy);
+    const settings = getPolicy().answeringMachine;
+    const call = storage.update('calls', result.callSid, (c) => {
+      c.answeredBy = result.answeredBy;
+      if (machine) c.machineAction = settings.action;
+      c.events = [
+        ...(c.events || []),
+        {
+          status: machine ? 'machine-detected' : 'human-detected',
+          at: new Date().toISOString(),
+          answeredBy: result.answeredBy,
+        },
+      ];
+    });
+    if (!call) {
+      console.warn(`Machine detection for unknown CallSid ${result.callSid}`);
+      return res.sendStatus(200);
+    }
+    if (machine) {
+      const rows = getCallBookingIds(call)
+        .map((id) => storage.get('records', id))
+        .filter(Boolean);
+      try {
+        await telephony.updateCall(result.callSid, {
+          twiml: buildMachineTwiml(settings, rows),
+        });
+      } catch (err) {
+        console.error(
+          `Failed to ${settings.action} on call ${result.callSid}:`,
+          err.message
+        );
+      }
+    }
+    return res.sendStatus(200);
+  }
+);
+
+// ─── CALL RECORDING & TRANSCRIPTS ─────────────────────────────────────────────
+// With recording.enabled in the calling policy, the calls a batch places are
+// recorded so someone can hear why a call didn’t capture a VRN. The provider
+// POSTs the recording’s status changes to /api/recordingStatus, which keeps it
+// on the call log entry:
+//   call.recording = { sid, status, duration, updatedAt, deletedAt }
+// The assistant’s side of things arrives as a transcript: whatever collects the
+// conversation (a post-call webhook, or a tool the assistant calls at the end)
+// POSTs it to /api/callTranscript with the tool token, as text (one
+// “role: text” line per turn) or as [{ role, text }]. It is kept as
+//   call.transcript = { turns: [{ role, text }], receivedAt }
+//
+//   GET  /api/calls/:callSid/recording → the audio, for the review panel in the
+//        call history (404 once deleted)
+//   POST /api/recordings/purge         → deletes the recordings past the
+//        retention period now → { deleted }
+//
+// Recordings are deleted from the provider recording.retentionDays after the
+// call (0 = never); the same purge runs at start-up and every hour.
+// Transcripts are kept.
+
+const RECORDING_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Transcript text or turns → [{ role, text }], or null if it isn’t either
+function parseTranscript(input) {
+  if (typeof input === 'string') {
+    return input
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const match = line.match(/^(\w[\w ]{0,30}):\s*(.*)$/);
+        return match
+          ? { role: match[1].toLowerCase(), text: match[2] }
+          : { role: '', text: line };
+      });
+  }
+  if (Array.isArray(input)) {
+    return input.map((turn) => ({
+      role: String((turn && turn.role) || '').toLowerCase(),
+      text: String((turn && (turn.text || turn.content)) || ''),
+    }));
+  }
+  return null;
 }
 
-// ─── POST /api/upload ─────────────────────────────────────────────────────────
-// Upload a spreadsheet (.xlsx or .csv). We parse it in-memory, auto-detect columns,
-// normalize each row (bookingId, customerName, phoneNumber, bookingDetails, etc.), and
-// write the entire array into data.json (overwriting any previous content).
+app.post('/api/recordingStatus', webhookAuth.verifyCallback, (req, res) => {
+  const callback = telephony.parseRecordingCallback(req.body || {});
+  if (!callback.callSid || !callback.recordingSid) {
+    return res.sendStatus(400);
+  }
+  const logged = storage.update('calls', callback.callSid, (call) => {
+    call.recording = {
+      ...(call.recording || {}),
+      sid: callback.recordingSid,
+      status: callback.status,
+      duration:
+        callback.duration !== undefined
+          ? callback.duration
+          : (call.recording && call.recording.duration) || null,
+      updatedAt: new Date().toISOString(),
+      deletedAt: '',
+    };
+  });
+  if (!logged) {
+    console.warn(`Recording callback for unknown CallSid ${callback.callSid}`);
+  }
+  return res.sendStatus(200);
+});
 
-app.post('/api/upload', upload.single('file'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+app.post('/api/callTranscript', webhookAuth.requireToolToken, (req, res) => {
+  const callSid = getToolCallSid(req);
+  const turns = parseTranscript((req.body || {}).transcript);
+  if (!callSid || !turns) {
+    return res.status(400).json({ error: 'missing callSid or transcript' });
   }
+  const logged = storage.update('calls', callSid, (call) => {
+    call.transcript = { turns: turns, receivedAt: new Date().toISOString() };
+  });
+  if (!logged) {
+    return res.status(404).json({ error: 'Call not found' });
+  }
+  return res.json({ ok: true, turns: turns.length });
+});
 
-  let workbook;
+app.get('/api/calls/:callSid/recording', requireViewer, async (req, res) => {
+  const call = storage.get('calls', req.params.callSid);
+  const recording = call && call.recording;
+  if (!recording || recording.status !== 'completed' || recording.deletedAt) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
   try {
-    // Let XLSX infer CSV vs XLSX based on file extension:
-    const originalName = req.file.originalname || '';
-    if (originalName.match(/\.csv$/i)) {
-      workbook = XLSX.read(req.file.buffer, { type: 'buffer', raw: false });
-    } else {
-      workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
-    }
+    const audio = await telephony.fetchRecording(recording.sid);
+    res.setHeader('Content-Type', audio.contentType);
+    return res.send(audio.body);
   } catch (err) {
-    console.error('Error reading spreadsheet:', err);
-    return res.status(500).json({ error: 'Failed to parse spreadsheet' });
-  }
-
-  // Assume the first sheet contains data
-  const firstSheetName = workbook.SheetNames[0];
-  const worksheet = workbook.Sheets[firstSheetName];
-  const rawRows = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
-  // rawRows is an array of JS objects, e.g. [ { "Phone": "4475...", "Booking ID": "123", "Name": "Alice", ... }, ... ]
-
-  if (rawRows.length === 0) {
-    return res
-      .status(400)
-      .json({ error: 'Spreadsheet is empty or unparseable' });
+    console.error(`Error fetching recording ${recording.sid}:`, err.message);
+    if (err.status === 404) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    return res.status(502).json({ error: 'Could not fetch the recording' });
   }
+});
 
-  // Autodetect headers (case-insensitive) for important fields
-  const headers = Object.keys(rawRows[0]);
-
-  function findHeader(regex) {
-    return headers.find((h) => regex.test(h)) || null;
+// Deletes the recordings of calls older than the retention period. Returns how
+// many were deleted; failures are logged and tried again next time.
+async function purgeExpiredRecordings(now = Date.now()) {
+  const { retentionDays } = getPolicy().recording;
+  if (!retentionDays) return 0;
+  const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+  const expired = storage
+    .list('calls')
+    .filter(
+      (c) =>
+        c.recording &&
+        c.recording.sid &&
+        !c.recording.deletedAt &&
+        Date.parse(c.createdAt) < cutoff
+    );
+  let deleted = 0;
+  for (const call of expired) {
+    try {
+      await telephony.deleteRecording(call.recording.sid);
+    } catch (err) {
+      console.error(
+        `Error deleting recording ${call.recording.sid}:`,
+        err.message
+      );
+      continue;
+    }
+    storage.update('calls', call.id, (c) => {
+      c.recording = {
+        ...c.recording,
+        status: 'deleted',
+        deletedAt: new Date(now).toISOString(),
+      };
+    });
+    deleted++;
   }
-  const phoneHeader = findHeader(/phone|tel/i);
-  const idHeader = findHeader(/booking\s*id|id/i);
-  const nameHeader = findHeader(/customer\s*name|name/i);
-  const detailsHeader = findHeader(/booking\s*details|details/i);
-
-  // Get current date in yyyy-mm-dd (UK) for “lastAttemptDate” initial value
-  function getTodayString() {
-    const now = new Date();
-    const yyyy = now.getFullYear();
-    const mm = String(now.getMonth() + 1).padStart(2, '0');
-    const dd = String(now.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
+  if (deleted) {
+    console.log(
+      `Deleted ${deleted} recording(s) older than ${retentionDays} day(s)`
+    );
   }
-  const todayStr = getTodayString();
+  return deleted;
+}
 
-  // Normalize each raw row into our schema:
-  // { bookingId, customerName, phoneNumber, bookingDetails, vRegCaptured, attemptCountToday, lastAttemptDate, lastCallTime, lastCallStatus }
-  const normalized = rawRows.map((row, idx) => {
-    // Extract phone, strip to digits, prepend “+” if looks valid
-    const phoneRaw = phoneHeader ? String(row[phoneHeader]) : '';
-    const digits = phoneRaw.replace(/\D/g, '');
-    const phoneNumber = digits.length >= 5 ? '+' + digits : '';
+app.post('/api/recordings/purge', requireOperator, async (req, res) => {
+  const deleted = await purgeExpiredRecordings();
+  recordAudit(req, 'recordings.purge', { deleted });
+  return res.json({ deleted });
+});
 
-    return {
-      bookingId: idHeader ? String(row[idHeader]) : String(idx + 1),
-      customerName: nameHeader ? String(row[nameHeader]) : '',
-      phoneNumber: phoneNumber,
-      bookingDetails: detailsHeader ? String(row[detailsHeader]) : '',
-      vRegCaptured: '', // initially empty
-      attemptCountToday: 0, // reset on upload
-      lastAttemptDate: todayStr, // set to today so we don’t reset mid-day
-      lastCallTime: '', // blank until we place a call
-      lastCallStatus: '', // blank until Twilio callback
-    };
+function runRecordingPurge() {
+  purgeExpiredRecordings().catch((err) => {
+    console.error('Recording purge failed:', err);
   });
+}
+runRecordingPurge();
+setInterval(runRecordingPurge, RECORDING_PURGE_INTERVAL_MS).unref();
 
-  // Write the full array into data.json (overwriting any existing data):
-  writeDataFile(normalized);
+// ─── GET /api/getBooking ─────────────────────────────────────────────────────
+// Called by Twilio AI Assistant’s “Get booking details” tool. Bookings are
+// resolved as described above (bookingId → X-Identity booking: → CallSid → phone).
+// Returns { bookingId, customerName, bookingDetails, bookings: [...] } where the
+// top-level fields describe the first booking still missing a VRN and “bookings”
+// lists every booking on this call, so the assistant can collect a VRN for each.
+// Returns { error: 'not found' } if nothing matches.
+
+app.get('/api/getBooking', webhookAuth.requireToolToken, (req, res) => {
+  const rows = resolveToolBookings(req);
+
+  // If the request identified nothing at all, it’s a bad request
+  if (rows === null) {
+    return res.status(400).json({
+      error:
+        'Missing bookingId, callSid or phone (query or x-identity header).',
+    });
+  }
+  if (rows.length === 0) {
+    return res.status(404).json({ error: 'not found' });
+  }
 
-  return res.json({ success: true, count: normalized.length });
+  const current = rows.find((r) => !hasVrn(r)) || rows[0];
+  return res.json({
+    bookingId: current.bookingId,
+    customerName: current.customerName,
+    bookingDetails: current.bookingDetails,
+    bookings: rows.map(toBookingSummary),
+  });
 });
 
-// ─── GET /api/allRecords ─────────────────────────────────────────────────────
-// Returns the entire data.json array as JSON, so the React UI can render it.
+// ─── VRN VALIDATION & VEHICLE LOOKUP ─────────────────────────────────────────
+// Whatever the assistant heard goes through lib/vrn (spoken letters/digits →
+// characters, uppercase, no spaces) and must match a UK plate format. Invalid
+// values get a 422 the assistant can use to re-prompt the caller:
+//   { error: 'invalid_vrn', message, heard, normalised, expectedFormats }
+// Valid ones are looked up (lib/vehicleLookup) so the assistant can confirm the
+// make and colour with the caller.
+
+function sendInvalidVrn(res, heard, check) {
+  return res.status(422).json({
+    error: 'invalid_vrn',
+    message: `${check.reason} Ask the caller to repeat their registration, one character at a time.`,
+    heard: heard,
+    normalised: check.vrn,
+    expectedFormats: VRN_FORMATS,
+  });
+}
 
-app.get('/api/allRecords', (req, res) => {
-  const arr = readDataFile();
-  return res.json(arr);
-});
+// A failing lookup provider must never stop a VRN from being saved.
+async function lookupVehicle(vrn) {
+  try {
+    return await vehicleLookup.lookup(vrn);
+  } catch (err) {
+    console.error(`Vehicle lookup failed for ${vrn}:`, err.message);
+    return { found: false, error: 'lookup_failed' };
+  }
+}
 
-// ─── POST /api/process ────────────────────────────────────────────────────────
-// Called by the “Process & Call” button in your React UI. We load all rows from
-// data.json, then for each row we check:
-//
-//   1)  row.vRegCaptured is still empty
-//   2)  Current time in UK is between 08:00 and 18:00
-//   3)  If row.lastAttemptDate ≠ today, reset row.attemptCountToday = 0 & set lastAttemptDate = today
-//   4)  row.attemptCountToday < 3
-//   5)  If row.lastCallTime exists, ensure it was at least 1 minute ago
-//   6)  row.phoneNumber looks valid (e.g. /^\+\d{5,}$/)
-//
-// If all checks pass, we immediately create a Twilio Voice call with inline TwiML that
-// connects to your AI Assistant (via <Connect><Assistant>…). We then bump row.attemptCountToday,
-// update lastAttemptDate & lastCallTime & set lastCallStatus = 'queued'. Finally we write back
-// the updated array into data.json.
+// ─── POST /api/checkVReg ─────────────────────────────────────────────────────
+// Optional AI tool: validate + look up a VRN without saving it. Body { vReg }.
+// Returns { valid: true, vReg, format, vehicle } or the 422 above.
 
-app.post('/api/process', async (req, res) => {
-  const arr = readDataFile();
+app.post('/api/checkVReg', webhookAuth.requireToolToken, async (req, res) => {
+  const body = req.body || {};
+  const heard = body.vReg || body.v_reg;
+  if (!heard) {
+    return res.status(400).json({ error: 'missing vReg' });
+  }
+  const check = validateVrn(heard);
+  if (!check.valid) {
+    return sendInvalidVrn(res, heard, check);
+  }
+  return res.json({
+    valid: true,
+    vReg: check.vrn,
+    format: check.format,
+    vehicle: await lookupVehicle(check.vrn),
+  });
+});
 
-  // Get UK “today” and “hour”
-  const now = new Date();
-  const ukString = now.toLocaleString('en-GB', { timeZone: 'Europe/London' });
-  const ukDate = new Date(ukString);
-  const ukHour = ukDate.getHours();
+// ─── POST /api/saveVReg ──────────────────────────────────────────────────────
+// Called by your AI Assistant’s “SaveVReg” tool. Body { vReg } (or { v_reg }),
+// plus anything resolveToolBookings() understands, e.g.
+//   • { bookingId: "B123", vReg: "AB12XYZ" }
+//   • X-Identity "booking:B123,B456" + { bookingId: "B456", v_reg: "AB12XYZ" }
+//   • { phone: "+447570843709", vReg: "AB12XYZ" }   (legacy)
+// If that resolves to several bookings still missing a VRN, we answer 409 with
+// the list so the assistant can ask which booking the registration is for.
+// The VRN is normalised and validated first (422 invalid_vrn, see above).
+// Returns { ok: true, bookingId, vReg, format, vehicle: { found, make, colour },
+//           remaining: [bookings still missing a VRN] }.
+
+app.post('/api/saveVReg', webhookAuth.requireToolToken, async (req, res) => {
+  const body = req.body || {};
+  const heard = body.vReg || body.v_reg;
+  const rows = resolveToolBookings(req);
 
-  // Check business hours (08–18 UK)
-  if (ukHour < 8 || ukHour >= 23) {
-    return res.json({
-      success: false,
-      message: 'Outside UK business hours (08–18).',
-    });
+  if (rows === null || !heard) {
+    return res.status(400).json({ error: 'missing booking/phone or vReg' });
   }
 
-  function getTodayString() {
-    const d = ukDate;
-    const yyyy = d.getFullYear();
-    const mm = String(d.getMonth() + 1).padStart(2, '0');
-    const dd = String(d.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
+  const check = validateVrn(heard);
+  if (!check.valid) {
+    return sendInvalidVrn(res, heard, check);
   }
-  const todayStr = getTodayString();
-
-  let callsQueued = 0;
 
-  for (let i = 0; i < arr.length; i++) {
-    const row = arr[i];
+  if (rows.length === 0) {
+    return res.status(404).json({ error: 'not found' });
+  }
 
-    // 1) Skip if vReg is already captured
-    if (row.vRegCaptured && row.vRegCaptured.trim() !== '') {
-      continue;
-    }
+  // Pick the booking: the only one, or the only one still missing a VRN
+  const pending = rows.filter((r) => !hasVrn(r));
+  const target =
+    rows.length === 1 ? rows[0] : pending.length === 1 ? pending[0] : null;
+  if (!target) {
+    return res.status(409).json({
+      error: 'multiple_bookings',
+      message:
+        'Several bookings match this call. Ask which booking the registration is for and pass its bookingId.',
+      bookings: rows.map(toBookingSummary),
+    });
+  }
 
-    // 2) Reset attemptCountToday if lastAttemptDate != today
-    if (row.lastAttemptDate !== todayStr) {
-      row.attemptCountToday = 0;
-      row.lastAttemptDate = todayStr;
-    }
+  // Save the new registration number on that record only
+  const saved = await saveVrn(target.bookingId, check, 'voice');
+  // …and note on the call log that this call captured it (for GET /api/stats)
+  const callSid = getToolCallSid(req);
+  if (callSid) {
+    storage.update('calls', callSid, (call) => {
+      const captured = call.capturedBookingIds || [];
+      if (!captured.includes(target.bookingId)) {
+        call.capturedBookingIds = [...captured, target.bookingId];
+      }
+    });
+  }
 
-    // 3) Skip if attemptCountToday >= 3
-    if (row.attemptCountToday >= 3) {
-      continue;
-    }
+  return res.json({
+    ...saved,
+    remaining: pending
+      .filter((r) => r.bookingId !== target.bookingId)
+      .map(toBookingSummary),
+  });
+});
 
-    // 4) Skip if lastCallTime < 1 minute ago
-    if (row.lastCallTime) {
-      const lastTs = new Date(row.lastCallTime);
-      if (now - lastTs < 60 * 1000) {
-        continue;
-      }
-    }
+// The save path shared by every channel: stores a validated VRN (see
+// captureVrn) and looks the vehicle up. Returns { ok, bookingId, vReg, format,
+// vehicle }.
+async function saveVrn(bookingId, check, source) {
+  captureVrn(bookingId, check.vrn, source);
+  return {
+    ok: true,
+    bookingId: bookingId,
+    vReg: check.vrn,
+    format: check.format,
+    vehicle: await lookupVehicle(check.vrn),
+  };
+}
 
-    // 5) Phone must look like “+12345…”
-    if (!row.phoneNumber || !/^\+\d{5,}$/.test(row.phoneNumber)) {
-      continue;
-    }
+// ─── POST /api/optOut ─────────────────────────────────────────────────────────
+// AI tool for customers who ask not to be called again. Body { reason } plus
+// anything resolveToolBookings() understands (X-Identity, bookingId, phone…).
+// Puts the bookings’ numbers on the do-not-call list (source 'assistant') and
+// marks every record on those numbers optedOut. Returns { ok: true,
+// phoneNumbers, bookingIds }; 400 / 404 like /api/getBooking.
+
+app.post('/api/optOut', webhookAuth.requireToolToken, (req, res) => {
+  const rows = resolveToolBookings(req);
+  if (rows === null) {
+    return res.status(400).json({
+      error:
+        'Missing bookingId, callSid or phone (query or x-identity header).',
+    });
+  }
+  if (rows.length === 0) {
+    return res.status(404).json({ error: 'not found' });
+  }
 
-    // 6) Place the call via Twilio Voice API, inline TwiML to AI Assistant
-    //    – You MUST set the “Assistant” SID in your .env as TWILIO_ASSISTANT_SID
-    //    – TWILIO_FROM_NUMBER in your .env as a Twilio voice-capable number
-    //    – NGROK_URL (or your HTTPS domain) so Twilio can reach your /api/callStatus
+  const reason =
+    String((req.body || {}).reason || '').trim() ||
+    'Customer asked not to be called again';
+  const phoneNumbers = [
+    ...new Set(rows.map((r) => r.phoneNumber).filter(Boolean)),
+  ];
+  phoneNumbers.forEach((phoneNumber) => {
+    addSuppression({
+      phoneNumber: phoneNumber,
+      reason: reason,
+      source: 'assistant',
+      bookingIds: rows
+        .filter((r) => r.phoneNumber === phoneNumber)
+        .map((r) => r.bookingId),
+      createdBy: getToolCallSid(req),
+    });
+  });
 
-    const assistantSid = process.env.TWILIO_ASSISTANT_SID || '';
-    const fromNumber = process.env.TWILIO_FROM_NUMBER || '';
-    const baseCallback = process.env.NGROK_URL || '';
+  const optedOutAt = new Date().toISOString();
+  const bookingIds = storage
+    .list('records')
+    .filter((r) => phoneNumbers.includes(r.phoneNumber))
+    .map((r) => r.bookingId);
+  bookingIds.forEach((bookingId) => {
+    storage.update('records', bookingId, (r) => {
+      r.optedOut = true;
+      r.optedOutAt = r.optedOutAt || optedOutAt;
+    });
+  });
 
-    if (!assistantSid || !fromNumber || !baseCallback) {
-      console.warn(
-        'Missing TWILIO_ASSISTANT_SID or TWILIO_FROM_NUMBER or NGROK_URL in .env'
-      );
-    }
+  return res.json({ ok: true, phoneNumbers, bookingIds });
+});
 
-    // Build inline TwiML string. You can customize welcomeGreeting or voice as needed.
-    const twiml = `<Response>
-  <Connect>
-    <Assistant
-      id="${assistantSid}"
-      welcomeGreeting="Hi ${row.customerName}, I’m calling about your booking. I just need your car registration number."
-      voice="en-GB-KateNeural"
-    />
-  </Connect>
-</Response>`;
+// ─── SELF-SERVICE CAPTURE PAGE ────────────────────────────────────────────────
+// Customers who would rather type than talk get a link to /capture/<token>, a
+// page in the React app that needs no login. The token is signed and expires
+// (lib/captureLinks.js), and covers one booking:
+//
+//   GET  /api/records/:bookingId/captureLink → { url, expiresAt } (operators)
+//   GET  /api/capture/:token        → booking summary (as /api/getBooking)
+//   POST /api/capture/:token/check  body { vReg } → { valid, vReg, format, vehicle }
+//   POST /api/capture/:token        body { vReg } → saved like /api/saveVReg
+//
+// Bad tokens get 401 { error: 'invalid_link' }, expired ones 410
+// { error: 'expired_link' }; plates that aren’t UK registrations 422
+// invalid_vrn. A link saves one VRN: once the booking has one, further
+// submissions get 409 { error: 'already_captured' }. VRNs saved here get
+// vRegSource 'web'. Links are signed with
+// CAPTURE_LINK_SECRET and last CAPTURE_LINK_TTL_HOURS (default 72); the fallback
+// text message can include one with {captureLink}.
+
+let captureLinkSecret = process.env.CAPTURE_LINK_SECRET;
+if (!captureLinkSecret) {
+  captureLinkSecret = crypto.randomBytes(32).toString('hex');
+  console.warn(
+    'CAPTURE_LINK_SECRET is not set: self-service links stop working when the server restarts.'
+  );
+}
+const captureLinks = createCaptureLinks({
+  secret: captureLinkSecret,
+  ttlMs: (Number(process.env.CAPTURE_LINK_TTL_HOURS) || 72) * 60 * 60 * 1000,
+});
 
-    try {
-      await twilioClient.calls.create({
-        to: row.phoneNumber,
-        from: fromNumber,
-        twiml: twiml,
-        statusCallback: `${baseCallback}/api/callStatus`,
-        statusCallbackMethod: 'POST',
-        statusCallbackEvent: ['queued', 'busy', 'no-answer', 'completed'],
-      });
-    } catch (err) {
-      console.error(`Failed to queue call to ${row.phoneNumber}:`, err.message);
-      // Even on failure, we still mark an attempt so we don’t loop forever.
-    }
+// Where customers open the page: PUBLIC_APP_URL, else the ngrok URL. With
+// neither set the url is just the path, for the dashboard to complete.
+function captureLinkFor(bookingId) {
+  const base = process.env.PUBLIC_APP_URL || process.env.NGROK_URL || '';
+  const origin = !base || /^https?:\/\//.test(base) ? base : `https://${base}`;
+  const link = captureLinks.sign(bookingId);
+  return {
+    url: `${origin.replace(/\/$/, '')}/capture/${link.token}`,
+    expiresAt: link.expiresAt,
+  };
+}
 
-    // Immediately update that row’s fields:
-    row.lastCallStatus = 'queued';
-    row.attemptCountToday += 1;
-    row.lastAttemptDate = todayStr;
-    row.lastCallTime = now.toISOString();
-    callsQueued++;
+// Middleware: req.captureRecord for a valid token, or the 401/410 above
+function requireCaptureToken(req, res, next) {
+  const link = captureLinks.verify(req.params.token);
+  if (!link.valid) {
+    return link.reason === 'expired'
+      ? res.status(410).json({
+          error: 'expired_link',
+          message: 'This link has expired.',
+        })
+      : res.status(401).json({
+          error: 'invalid_link',
+          message: 'This link is not valid.',
+        });
+  }
+  const record = storage.get('records', link.bookingId);
+  if (!record) {
+    return res.status(404).json({ error: 'not found' });
   }
+  req.captureRecord = record;
+  req.captureExpiresAt = link.expiresAt;
+  return next();
+}
 
-  // Write updates back to data.json
-  writeDataFile(arr);
+function checkWebVrn(req, res) {
+  const heard = (req.body || {}).vReg;
+  if (!heard) {
+    res.status(400).json({ error: 'missing vReg' });
+    return null;
+  }
+  const check = validateVrn(heard);
+  if (!check.valid) {
+    // Same shape as sendInvalidVrn(), minus the hints for the AI assistant
+    res.status(422).json({
+      error: 'invalid_vrn',
+      message: check.reason,
+      heard: heard,
+      normalised: check.vrn,
+    });
+    return null;
+  }
+  return check;
+}
 
-  return res.json({ success: true, callsQueued });
+app.get('/api/records/:bookingId/captureLink', requireOperator, (req, res) => {
+  if (!storage.get('records', req.params.bookingId)) {
+    return res.status(404).json({ error: 'Record not found' });
+  }
+  recordAudit(req, 'captureLink.create', {
+    bookingId: req.params.bookingId,
+  });
+  return res.json(captureLinkFor(req.params.bookingId));
 });
 
-// ─── POST /api/callStatus ────────────────────────────────────────────────────
-// Twilio’s statusCallback will POST here whenever a call’s status changes:
-//   – queued, ringing, in-progress, completed, busy, no-answer, etc.
-// We examine payload.To (the phone number), payload.CallStatus, and update
-// that row in data.json: set row.lastCallStatus = CallStatus, row.lastCallTime = now.
-
-app.post('/api/callStatus', (req, res) => {
-  const payload = req.body || {};
-  const phone = payload.To;
-  const status = payload.CallStatus;
+app.get('/api/capture/:token', requireCaptureToken, (req, res) => {
+  return res.json({
+    ...toBookingSummary(req.captureRecord),
+    expiresAt: req.captureExpiresAt,
+  });
+});
 
-  if (!phone) {
-    return res.sendStatus(400);
-  }
+app.post('/api/capture/:token/check', requireCaptureToken, async (req, res) => {
+  const check = checkWebVrn(req, res);
+  if (!check) return;
+  return res.json({
+    valid: true,
+    vReg: check.vrn,
+    format: check.format,
+    vehicle: await lookupVehicle(check.vrn),
+  });
+});
 
-  const arr = readDataFile();
-  const idx = arr.findIndex((r) => r.phoneNumber === phone);
-  if (idx >= 0) {
-    arr[idx].lastCallStatus = status || '';
-    arr[idx].lastCallTime = new Date().toISOString();
-    writeDataFile(arr);
+app.post('/api/capture/:token', requireCaptureToken, async (req, res) => {
+  // A link only fills in a missing VRN; changes go through the operators
+  if (hasVrn(req.captureRecord)) {
+    return res.status(409).json({
+      error: 'already_captured',
+      message: 'We already have a registration for this booking.',
+    });
   }
-  // Always respond 200 to Twilio
-  return res.sendStatus(200);
+  const check = checkWebVrn(req, res);
+  if (!check) return;
+  return res.json(await saveVrn(req.captureRecord.bookingId, check, 'web'));
 });
 
-// ─── GET /api/getBooking ─────────────────────────────────────────────────────
-// Called by your AI Assistant’s “Get booking details” tool. It looks up the row
-// in data.json by phone (e.g. ?phone=+447570843709) and returns { customerName, bookingDetails }.
-
-// ─── GET /api/getBooking ─────────────────────────────────────────────────────
-// Called by Twilio AI Assistant’s “Get booking details” tool. It looks in two places:
-//   1) req.query.phone (if the tool passed ?phone=+4475…)
-//   2) req.headers['x-identity'] (if the tool only sent an x-identity header).
-// Returns { customerName, bookingDetails } or { error: 'not found' }.
+// ─── MESSAGE FALLBACK (SMS / WHATSAPP) ────────────────────────────────────────
+// Customers who didn’t pick up get a text instead of waiting for tomorrow’s
+// calls. When the policy’s messageFallback is enabled, a booking that has used
+// all of today’s attempts and whose last call ended busy / no-answer / machine (by
+// default) gets one message per day, through the telephony provider:
+//
+//   channel sms      → from TWILIO_MESSAGING_FROM (default TWILIO_FROM_NUMBER)
+//   channel whatsapp → from TWILIO_WHATSAPP_FROM (a WhatsApp-enabled sender)
+//
+// The text comes from messageFallback.template ({customerName}, {bookingId},
+// {bookingDetails}, {captureLink} – self-service links, see above). Customers with several bookings are asked to start their
+// reply with the booking reference.
+//
+//   POST /api/inboundMessage → the customer’s reply (set this as the number’s
+//                              incoming-message webhook); answered with TwiML
+//   POST /api/messageStatus  → delivery status of our messages
+//
+// Replies are read with findVrnInText(), which only takes what is written as a
+// plate. The plate isn’t saved straight away: it is kept as the record’s
+// vRegPending and read back to the customer, and only a YES reply saves it
+// (vRegSource 'sms' or 'whatsapp'); NO or another plate replaces it. Every message in
+// either direction is kept in the “messages” collection:
+//   { id, messageSid, direction: 'outbound' | 'inbound', channel, to, from,
+//     body, bookingIds, campaignId, createdAt, status, error }
+
+function getMessageFrom(channel) {
+  if (channel === 'whatsapp') {
+    return process.env.TWILIO_WHATSAPP_FROM || '';
+  }
+  return (
+    process.env.TWILIO_MESSAGING_FROM || process.env.TWILIO_FROM_NUMBER || ''
+  );
+}
 
-app.get('/api/getBooking', (req, res) => {
-  // 1) First try query-param “phone”
-  let phone = req.query.phone;
+// Fills the call template placeholders (lib/callTemplate.js) and {captureLink}
+// in for the bookings of one phone number; unknown ones are left as they are
+function fillPlaceholders(template, rows) {
+  return fillTemplate(template, {
+    ...templateValues(rows),
+    captureLink: rows.map((r) => captureLinkFor(r.bookingId).url).join(' '),
+  });
+}
 
-  // 2) If no ?phone=, check for X-Identity header (format: "phone:+447570843709")
-  if (!phone) {
-    const idH = (req.headers['x-identity'] || '').trim();
-    if (idH.startsWith('phone:')) {
-      phone = idH.replace(/^phone:/, '').trim();
-    }
+// The fallback text for one phone number covering `rows`
+function renderFallbackMessage(template, rows) {
+  let text = fillPlaceholders(template, rows);
+  if (rows.length > 1) {
+    text += ` Please start each reply with the booking reference, e.g. "${rows[0].bookingId} AB12 CDE".`;
   }
+  return text;
+}
 
-  // 3) If we still have no phone, it’s a bad request
-  if (!phone) {
-    return res
-      .status(400)
-      .json({ error: 'Missing phone (query or x-identity header).' });
+function logMessage(message) {
+  return storage.put('messages', {
+    id: message.messageSid || `${message.direction}-${crypto.randomUUID()}`,
+    createdAt: new Date().toISOString(),
+    error: '',
+    ...message,
+  });
+}
+
+// Sends today’s fallback message for one number. Returns true if it was sent.
+async function sendFallbackMessage(phoneNumber, rows, policy, clock) {
+  const { channel, template } = policy.messageFallback;
+  const from = getMessageFrom(channel);
+  if (!from) {
+    const variables =
+      channel === 'whatsapp'
+        ? 'TWILIO_WHATSAPP_FROM'
+        : 'TWILIO_MESSAGING_FROM or TWILIO_FROM_NUMBER';
+    console.warn(`No ${variables} in .env, fallback message not sent`);
+    return false;
   }
 
-  // 4) Look up the record in data.json
-  const arr = readDataFile();
-  const row = arr.find((r) => r.phoneNumber === phone);
-  if (!row) {
-    return res.status(404).json({ error: 'not found' });
+  const body = renderFallbackMessage(template, rows);
+  const bookingIds = rows.map((r) => r.bookingId);
+  const logged = {
+    direction: 'outbound',
+    channel: channel,
+    to: phoneNumber,
+    from: from,
+    body: body,
+    bookingIds: bookingIds,
+    campaignId: rows[0].campaignId,
+  };
+  let sent = false;
+  try {
+    const id = crypto.randomUUID();
+    const result = await telephony.sendMessage({
+      to: phoneNumber,
+      from: from,
+      body: body,
+      channel: channel,
+      statusCallbackUrl: `${
+        process.env.NGROK_URL || ''
+      }/api/messageStatus?id=${id}`,
+    });
+    logMessage({
+      ...logged,
+      id: id,
+      messageSid: result.messageSid,
+      status: 'queued',
+    });
+    sent = true;
+  } catch (err) {
+    console.error(`Failed to send ${channel} to ${phoneNumber}:`, err.message);
+    logMessage({ ...logged, status: 'failed', error: err.message });
   }
 
-  // 5) Return exactly the two fields
-  return res.json({
-    customerName: row.customerName,
-    bookingDetails: row.bookingDetails,
+  // Once a day, even if sending failed, like a call attempt
+  bookingIds.forEach((bookingId) => {
+    storage.update('records', bookingId, (r) => {
+      r.lastMessageAt = clock.now.toISOString();
+      r.lastMessageDate = clock.todayStr;
+    });
   });
-});
-
-// ─── POST /api/saveVReg ──────────────────────────────────────────────────────
-// Called by your AI Assistant’s “SaveVReg” tool. Expects JSON body { phone, vReg }.
-// We find that row in data.json, set vRegCaptured = vReg, and write back.
+  return sent;
+}
 
-/// ─── POST /api/saveVReg ──────────────────────────────────────────────────────
-// Called by your AI Assistant’s “SaveVReg” tool. It accepts either:
-//   • JSON body { phone: "+447570843709", vReg: "AB12XYZ" }
-//       (or) { phone_number: "+447570843709", v_reg: "AB12XYZ" }
-//   • Or else X-Identity header "phone:+447570843709" + JSON { v_reg: "AB12XYZ" }.
-// We look up that phone in data.json, set vRegCaptured = v_reg (or vReg), and return { ok: true }.
+// Saves a captured VRN on one record, with where it came from (vRegSource),
+// and tells the webhooks (see OUTBOUND WEBHOOKS)
+function captureVrn(bookingId, vrn, source) {
+  const saved = storage.update('records', bookingId, (r) => {
+    r.vRegCaptured = vrn;
+    r.vRegCapturedAt = new Date().toISOString();
+    r.vRegSource = source;
+    r.vRegPending = '';
+    r.vRegPendingAt = '';
+  });
+  if (saved) {
+    notifyVrnCaptured(saved);
+  }
+  return saved;
+}
 
-app.post('/api/saveVReg', (req, res) => {
-  const body = req.body || {};
+const YES_REPLY = /^(y|yes|yeah|yep|yup|correct|confirm|confirmed|ok|okay)$/i;
+const NO_REPLY = /^(n|no|nope|wrong|incorrect)$/i;
 
-  // 1) Try phone from body.phone or body.phone_number
-  let phone = body.phone || body.phone_number;
+// Works out what an inbound reply means. Returns the text to answer with.
+function handleInboundReply({ from, body, channel }) {
+  const pending = listCampaignRecords().filter(
+    (r) => r.phoneNumber === from && !hasVrn(r)
+  );
+  if (pending.length === 0) {
+    return 'Thank you. We don’t need anything else from you at the moment.';
+  }
 
-  // 2) If still no phone, check X-Identity header "phone:+447570843709"
-  if (!phone) {
-    const idHeader = (req.headers['x-identity'] || '').trim();
-    if (idHeader.startsWith('phone:')) {
-      phone = idHeader.replace(/^phone:/, '').trim();
+  // "B123 AB12 CDE" → booking B123; otherwise the only booking waiting for a VRN
+  const words = String(body).split(/\s+/).filter(Boolean);
+  const named = pending.find((r) =>
+    words.some((w) => w.toLowerCase() === String(r.bookingId).toLowerCase())
+  );
+  const text = named
+    ? words
+        .filter(
+          (w) => w.toLowerCase() !== String(named.bookingId).toLowerCase()
+        )
+        .join(' ')
+    : String(body);
+  const answer = text.trim().replace(/[.!]+$/, '');
+
+  // YES / NO answer a registration we read back earlier
+  if (YES_REPLY.test(answer) || NO_REPLY.test(answer)) {
+    const unconfirmed = pending.filter((r) => r.vRegPending);
+    const target = named || (unconfirmed.length === 1 ? unconfirmed[0] : null);
+    if (!target || !target.vRegPending) {
+      return unconfirmed.length
+        ? `Which booking are you answering for? Please start your reply with the booking reference: ${unconfirmed
+            .map((r) => r.bookingId)
+            .join(', ')}.`
+        : 'Please reply with your vehicle registration, e.g. AB12 CDE.';
+    }
+    if (NO_REPLY.test(answer)) {
+      storage.update('records', target.bookingId, (r) => {
+        r.vRegPending = '';
+        r.vRegPendingAt = '';
+      });
+      return `Sorry about that. Please reply with the correct registration for booking ${target.bookingId}, e.g. AB12 CDE.`;
     }
+    captureVrn(target.bookingId, target.vRegPending, channel);
+    const others = pending.filter((r) => r.bookingId !== target.bookingId);
+    return others.length
+      ? `Thanks, we’ve saved ${target.vRegPending} for booking ${
+          target.bookingId
+        }. Please also send the registration for booking ${others
+          .map((r) => r.bookingId)
+          .join(', ')}, starting with the booking reference.`
+      : `Thanks, we’ve saved ${target.vRegPending} for booking ${target.bookingId}.`;
   }
 
-  // 3) Try vReg from body.vReg or body.v_reg
-  const vReg = body.vReg || body.v_reg;
+  const target = named || (pending.length === 1 ? pending[0] : null);
+  if (!target) {
+    return `Which booking is this registration for? Please start your reply with the booking reference: ${pending
+      .map((r) => r.bookingId)
+      .join(', ')}.`;
+  }
 
-  // 4) Now we must have both phone and vReg
-  if (!phone || !vReg) {
-    return res.status(400).json({ error: 'missing phone or vReg' });
+  const check = findVrnInText(text);
+  if (!check.valid) {
+    return `Sorry, that doesn’t look like a UK registration. Please reply with just the registration for booking ${target.bookingId}, e.g. AB12 CDE.`;
   }
 
-  // 5) Look up the record by that exact phone (e.g. "+447570843709")
-  const arr = readDataFile();
-  const idx = arr.findIndex((r) => r.phoneNumber === phone);
-  if (idx < 0) {
-    return res.status(404).json({ error: 'not found' });
+  storage.update('records', target.bookingId, (r) => {
+    r.vRegPending = check.vrn;
+    r.vRegPendingAt = new Date().toISOString();
+  });
+  return `We read your registration for booking ${target.bookingId} as ${check.vrn}. Reply YES to confirm, or send the correct registration.`;
+}
+
+app.post('/api/inboundMessage', webhookAuth.verifyCallback, (req, res) => {
+  const inbound = telephony.parseInboundMessage(req.body || {});
+  const from = parsePhone(inbound.from).e164 || inbound.from;
+  if (!from) {
+    return res.sendStatus(400);
   }
 
-  // 6) Save the new registration number and write back to data.json
-  arr[idx].vRegCaptured = vReg;
-  writeDataFile(arr);
+  const answer = handleInboundReply({ ...inbound, from });
+  const rows = listCampaignRecords().filter((r) => r.phoneNumber === from);
+  const bookingIds = rows.map((r) => r.bookingId);
+  const campaignId = rows.length ? rows[0].campaignId : '';
+  logMessage({
+    messageSid: inbound.messageSid,
+    direction: 'inbound',
+    channel: inbound.channel,
+    to: '',
+    from: from,
+    body: inbound.body,
+    bookingIds: bookingIds,
+    campaignId: campaignId,
+    status: 'received',
+  });
+  logMessage({
+    direction: 'outbound',
+    channel: inbound.channel,
+    to: from,
+    from: '',
+    body: answer,
+    bookingIds: bookingIds,
+    campaignId: campaignId,
+    status: 'reply',
+  });
 
-  return res.json({ ok: true });
+  res.type('text/xml');
+  return res.send(
+    `<Response><Message>${escapeXml(answer)}</Message></Response>`
+  );
 });
 
-// ─── PATCH /api/updateRecord/:bookingId ───────────────────────────────────────
-// Called by React when a cell is edited. Looks for row.bookingId == :bookingId,
-// applies any fields in req.body, writes back to data.json, and returns the updated row.
+app.post('/api/messageStatus', webhookAuth.verifyCallback, (req, res) => {
+  const update = telephony.parseMessageStatus(req.body || {});
+  const id = req.query.id || update.messageSid;
+  if (id) {
+    storage.update('messages', id, (m) => {
+      m.status = update.status || m.status;
+      if (update.error) m.error = update.error;
+    });
+  }
+  return res.sendStatus(200);
+});
 
-app.patch('/api/updateRecord/:bookingId', (req, res) => {
+// ─── PATCH /api/updateRecord/:bookingId ───────────────────────────────────────
+// Called by React when an edited cell is saved (on Enter or leaving the cell, not
+// per keystroke). Looks for row.bookingId == :bookingId, applies any fields in
+// req.body, saves that record, and returns the updated row. Only fields whose
+// value changed go into the record.update audit entry (none → no entry).
+// Editing phoneRaw or phoneNumber re-parses the number (phoneType, phoneUncallableReason);
+// a VRN typed in is normalised and validated like saveVReg’s (422 invalid_vrn,
+// an empty value clears it) and gets vRegSource 'manual'; only a VRN that
+// changed is stamped and sent to the vrn.captured webhooks. bookingId is the
+// record’s key and can’t be edited here, so it is ignored like any unknown field.
+
+app.patch('/api/updateRecord/:bookingId', requireOperator, (req, res) => {
   const bookingIdParam = req.params.bookingId;
-  const updates = req.body || {};
-  const arr = readDataFile();
-  const idx = arr.findIndex(
-    (r) => String(r.bookingId) === String(bookingIdParam)
-  );
-  if (idx < 0) {
-    return res.status(404).json({ error: 'Record not found' });
+  const updates = { ...(req.body || {}) };
+
+  if (updates.vRegCaptured) {
+    const check = validateVrn(updates.vRegCaptured);
+    if (!check.valid) {
+      return res.status(422).json({
+        error: 'invalid_vrn',
+        message: check.reason,
+        heard: updates.vRegCaptured,
+        normalised: check.vrn,
+      });
+    }
+    updates.vRegCaptured = check.vrn;
   }
 
-  // Apply each update key/value to that row object
-  Object.keys(updates).forEach((key) => {
-    if (arr[idx].hasOwnProperty(key)) {
-      arr[idx][key] = updates[key];
+  // Apply each update key/value to that row object; `changes` keeps the ones
+  // that actually differ, for the VRN and phone handling and the audit log
+  const changes = {};
+  const updated = storage.update('records', bookingIdParam, (row) => {
+    Object.keys(updates).forEach((key) => {
+      if (
+        key !== 'bookingId' &&
+        row.hasOwnProperty(key) &&
+        row[key] !== updates[key]
+      ) {
+        row[key] = updates[key];
+        changes[key] = updates[key];
+      }
+    });
+    // A VRN typed into the table (already validated above)
+    if ('vRegCaptured' in changes) {
+      row.vRegCapturedAt = changes.vRegCaptured ? new Date().toISOString() : '';
+      row.vRegSource = changes.vRegCaptured ? 'manual' : '';
+    }
+    // An edited phone number is parsed again, like on upload
+    if ('phoneRaw' in changes || 'phoneNumber' in changes) {
+      Object.assign(
+        row,
+        phoneFields(
+          'phoneRaw' in changes ? changes.phoneRaw : changes.phoneNumber
+        )
+      );
     }
   });
+  if (!updated) {
+    return res.status(404).json({ error: 'Record not found' });
+  }
+  if ('vRegCaptured' in changes) {
+    if (updated.vRegCaptured) {
+      notifyVrnCaptured(updated);
+    } else {
+      checkCampaignFinished(updated.campaignId);
+    }
+  }
 
-  writeDataFile(arr);
-  return res.json({ ok: true, updated: arr[idx] });
+  if (Object.keys(changes).length > 0) {
+    recordAudit(req, 'record.update', {
+      bookingId: bookingIdParam,
+      changes: changes,
+    });
+  }
+  return res.json({ ok: true, updated });
 });
 
 // ─── GET /api/download ─────────────────────────────────────────────────────────
-// Reads data.json, converts it to a CSV string, and sends it back with
-// Content-Disposition: attachment so the browser downloads it.
+// Sends the records of ?campaignId= (or of every non-archived campaign) back as
+// a spreadsheet in the columns they were uploaded with, plus the captured VRN,
+// capture time, channel and last call outcome (see lib/export.js for the
+// options). Content-Disposition: attachment makes the browser download it.
+//   ?format=csv|xlsx  ?columns=vrn,capturedAt,channel,lastOutcome,attempts
+//   ?filter=all|captured|pending  ?layout=original|records
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+app.get('/api/download', requireOperator, (req, res) => {
+  const campaign = req.query.campaignId
+    ? storage.get('campaigns', req.query.campaignId)
+    : null;
+  const check = validateExportOptions(
+    req.query,
+    (campaign && campaign.sheetFormat) || 'csv'
+  );
+  if (!check.valid) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid export options', details: check.errors });
+  }
+  const options = check.options;
 
-app.get('/api/download', (req, res) => {
-  const arr = readDataFile();
-  if (!Array.isArray(arr) || arr.length === 0) {
+  const records = listCampaignRecords(req.query.campaignId);
+  if (records.length === 0) {
     return res.status(400).send('No data to download');
   }
-
-  // Compute CSV headers from the keys of the first object
-  const keys = Object.keys(arr[0]);
-  const headerLine = keys.join(',');
-
-  // Convert each row into a CSV line (escaping quotes)
-  const lines = arr.map((row) =>
-    keys
-      .map((k) => {
-        let cell =
-          row[k] === null || row[k] === undefined ? '' : String(row[k]);
-        // Escape double quotes
-        cell = cell.replace(/"/g, '""');
-        // Wrap cell in double quotes if it contains comma or newline
-        if (cell.includes(',') || cell.includes('\n')) {
-          cell = `"${cell}"`;
-        }
-        return cell;
-      })
-      .join(',')
-  );
-
-  const csv = [headerLine, ...lines].join('\n');
-
-  // Send CSV with headers so browser treats it as a download
-  res.setHeader('Content-Type', 'text/csv');
+  const campaignIds = new Set(records.map((r) => r.campaignId));
+  const campaigns = storage
+    .list('campaigns')
+    .filter((c) => campaignIds.has(c.id));
+
+  const table = buildExportTable(records, campaigns, options);
+  const file = writeSpreadsheet(table.headers, table.rows, options.format);
+
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[options.format]);
+  const fileBase = campaign
+    ? campaign.name.replace(/[^A-Za-z0-9_-]+/g, '_')
+    : 'data';
   res.setHeader(
     'Content-Disposition',
-    'attachment; filename="data_export.csv"'
+    `attachment; filename="${fileBase}_export.${options.format}"`
   );
-  return res.send(csv);
+  recordAudit(req, 'export', {
+    campaignId: req.query.campaignId || '',
+    records: table.rows.length,
+    ...options,
+  });
+  return res.send(file);
 });
 
 // ─── SERVE REACT FRONTEND ────────────────────────────────────────────────────
@@ -474,7 +3345,13 @@ app.get('*', (req, res) => {
 });
 
 // ─── START THE SERVER ────────────────────────────────────────────────────────
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
-  console.log(`Server started on http://localhost:${PORT}`);
-});
+// Only when run directly (node server.js); the test suite requires this file
+// and listens on a port of its own.
+if (require.main === module) {
+  const PORT = process.env.PORT || 4000;
+  app.listen(PORT, () => {
+    console.log(`Server started on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { app, storage, telephony, scheduler };
@@ -0,0 +1,127 @@
+// test/answeringMachine.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Answering machine detection: calls ask for it when the policy says so, a
+// machine gets hung up on (or a voicemail), and the call ends with outcome
+// 'machine', which has its own backoff.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const ALICE = '+447911123456';
+const BOB = '+447400123456';
+
+const SHEET = [
+  'Booking Ref,Mobile,Name,Details',
+  'V1,07911 123456,Alice & Co,Gatwick parking',
+  'V2,07400 123456,Bob,Heathrow hotel',
+].join('\n');
+
+const MACHINE_SCRIPT = [
+  'ringing',
+  'in-progress',
+  { machine: 'machine_end_beep' },
+  { status: 'completed', duration: 20 },
+];
+
+let ctx;
+let telephony;
+let api;
+
+async function getRecord(bookingId) {
+  const { body } = await api('GET', '/api/allRecords');
+  return body.find((r) => r.bookingId === bookingId);
+}
+
+test.before(async () => {
+  ctx = await startServer();
+  ({ telephony, api } = ctx);
+  await ctx.openAllDay();
+
+  const form = new FormData();
+  form.append('file', new Blob([SHEET]), 'bookings.csv');
+  form.append('campaignName', 'Machines');
+  await api('POST', '/api/upload', form);
+});
+
+test.after(() => ctx.close());
+
+test('hangs up on a machine and records the machine outcome', async () => {
+  await ctx.setPolicy({
+    answeringMachine: { enabled: true, action: 'hangup' },
+  });
+  telephony.script(ALICE, MACHINE_SCRIPT);
+  telephony.script(BOB, [
+    'ringing',
+    'in-progress',
+    { machine: 'human' },
+    { status: 'completed', duration: 60 },
+  ]);
+  await ctx.processBatch();
+  await telephony.settled();
+
+  const alice = telephony.calls.find((c) => c.to === ALICE);
+  assert.equal(alice.machineDetection.action, 'hangup');
+  assert.match(alice.machineDetection.callbackUrl, /\/api\/machineDetection$/);
+  assert.equal(alice.updates.length, 1);
+  assert.equal(alice.updates[0].twiml, '<Response><Hangup/></Response>');
+
+  const bob = telephony.calls.find((c) => c.to === BOB);
+  assert.equal(bob.updates.length, 0);
+
+  assert.equal((await getRecord('V1')).lastCallStatus, 'machine');
+  assert.equal((await getRecord('V2')).lastCallStatus, 'completed');
+
+  const { body: calls } = await api('GET', '/api/records/V1/calls');
+  assert.equal(calls[0].status, 'machine');
+  assert.equal(calls[0].answeredBy, 'machine_end_beep');
+  assert.equal(calls[0].machineAction, 'hangup');
+
+  // 'machine' has its own backoff (60 minutes after the first attempt)
+  const preview = await api('POST', '/api/process', { dryRun: true });
+  const v1 = preview.body.decisions.find((d) => d.bookingId === 'V1');
+  assert.equal(v1.rule, 'backoff');
+  assert.match(v1.reason, /Last call machine/);
+
+  const { body: stats } = await api('GET', '/api/stats');
+  assert.equal(stats.calls.outcomes.machine, 1);
+  assert.equal(stats.calls.answered, 1);
+});
+
+test('leaves a voicemail read out from the policy message', async () => {
+  await ctx.setPolicy({
+    answeringMachine: {
+      enabled: true,
+      action: 'voicemail',
+      message: 'Hello {customerName}, about booking {bookingId}.',
+      audioUrl: '',
+    },
+    backoffMinutes: { default: [0], machine: [0] },
+  });
+  telephony.script(ALICE, MACHINE_SCRIPT);
+  await ctx.processBatch();
+  await telephony.settled();
+
+  const call = telephony.calls.filter((c) => c.to === ALICE).pop();
+  assert.equal(call.machineDetection.action, 'voicemail');
+  assert.match(
+    call.updates[0].twiml,
+    /<Say [^>]*>Hello Alice &amp; Co, about booking V1\.<\/Say><Hangup\/>/
+  );
+});
+
+test('rejects a voicemail policy with nothing to leave', async () => {
+  const { body: current } = await api('GET', '/api/policy');
+  const res = await api('PUT', '/api/policy', {
+    ...current,
+    answeringMachine: {
+      enabled: true,
+      action: 'voicemail',
+      message: '',
+      audioUrl: '',
+    },
+  });
+  assert.equal(res.status, 400);
+  assert.ok(res.body.details.some((d) => /answeringMachine/.test(d)));
+});
@@ -0,0 +1,115 @@
+// test/auth.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Operator login (lib/auth): signed-out requests are refused, viewers can only
+// read, operators can change things, and every change lands in the audit log.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OPERATOR, startServer } = require('./helpers');
+const { createUser } = require('../lib/auth/users');
+
+let ctx;
+let api;
+const originalWarn = console.warn;
+
+test.before(async () => {
+  console.warn = () => {};
+  ctx = await startServer();
+  ({ api } = ctx);
+  createUser(ctx.storage, {
+    username: 'viewer',
+    password: 'viewer-password',
+    role: 'viewer',
+  });
+});
+
+test.after(() => {
+  console.warn = originalWarn;
+  ctx.close();
+});
+
+test('dashboard APIs need a signed-in user', async () => {
+  const anonymous = ctx.createClient();
+  assert.equal((await anonymous('GET', '/api/allRecords')).status, 401);
+  assert.equal((await anonymous('GET', '/api/auth/me')).status, 401);
+  assert.equal(
+    (await anonymous('POST', '/api/campaigns', { name: 'Nope' })).status,
+    401
+  );
+
+  const wrong = await anonymous('POST', '/api/auth/login', {
+    username: OPERATOR.username,
+    password: 'not-the-password',
+  });
+  assert.equal(wrong.status, 401);
+});
+
+test('viewers can read but not change anything', async () => {
+  const viewer = ctx.createClient();
+  const user = await viewer.login('VIEWER', 'viewer-password');
+  assert.deepEqual(
+    { username: user.username, role: user.role },
+    { username: 'viewer', role: 'viewer' }
+  );
+
+  assert.equal((await viewer('GET', '/api/allRecords')).status, 200);
+  assert.equal((await viewer('GET', '/api/campaigns')).status, 200);
+  assert.equal((await viewer('GET', '/api/scheduler/status')).status, 200);
+
+  const create = await viewer('POST', '/api/campaigns', { name: 'Nope' });
+  assert.equal(create.status, 403);
+  assert.equal((await viewer('POST', '/api/process', {})).status, 403);
+  assert.equal((await viewer('GET', '/api/download')).status, 403);
+  assert.equal((await viewer('GET', '/api/audit')).status, 403);
+
+  await viewer('POST', '/api/auth/logout');
+  assert.equal((await viewer('GET', '/api/allRecords')).status, 401);
+});
+
+test('operator changes are recorded in the audit log', async () => {
+  const created = await api('POST', '/api/campaigns', { name: 'Audited' });
+  assert.equal(created.status, 200);
+  const archived = await api(
+    'POST',
+    `/api/campaigns/${created.body.id}/archive`
+  );
+  assert.equal(archived.status, 200);
+
+  const { status, body: entries } = await api('GET', '/api/audit');
+  assert.equal(status, 200);
+  const actions = entries.map((e) => e.action);
+  assert.ok(actions.includes('campaign.create'));
+  assert.ok(actions.includes('campaign.archive'));
+  const entry = entries.find((e) => e.action === 'campaign.create');
+  assert.equal(entry.username, OPERATOR.username);
+  assert.deepEqual(entry.details, {
+    campaignId: created.body.id,
+    name: 'Audited',
+  });
+});
+
+test('a record edit is audited once, with only the fields that changed', async () => {
+  const form = new FormData();
+  form.append(
+    'file',
+    new Blob([
+      'Booking Ref,Mobile,Name,Details\nA1,07911 123456,Alice,Gatwick',
+    ]),
+    'bookings.csv'
+  );
+  form.append('campaignName', 'Edits');
+  assert.equal((await api('POST', '/api/upload', form)).status, 200);
+
+  const edit = { bookingDetails: 'Luton', customerName: 'Alice' };
+  assert.equal((await api('PATCH', '/api/updateRecord/A1', edit)).status, 200);
+  assert.equal((await api('PATCH', '/api/updateRecord/A1', edit)).status, 200);
+
+  const { body: entries } = await api('GET', '/api/audit');
+  const updates = entries.filter((e) => e.action === 'record.update');
+  assert.equal(updates.length, 1);
+  assert.deepEqual(updates[0].details, {
+    bookingId: 'A1',
+    changes: { bookingDetails: 'Luton' },
+  });
+});
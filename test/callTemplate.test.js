@@ -0,0 +1,125 @@
+// test/callTemplate.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Per-campaign call templates: the greeting, voice, language and assistant SID
+// in the TwiML come from the campaign, placeholders from the records, and every
+// value is XML-escaped.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { startServer } = require('./helpers');
+
+const SHEET = [
+  'Booking Ref,Mobile,Name,Arrival Date,Airport',
+  "T1,07911 123456,O'Brien & <Sons>,2026-11-02,Gatwick",
+].join('\n');
+
+let ctx;
+let telephony;
+let api;
+let campaignId;
+
+test.before(async () => {
+  ctx = await startServer();
+  ({ telephony, api } = ctx);
+  await ctx.openAllDay();
+
+  const form = new FormData();
+  form.append('file', new Blob([SHEET]), 'bookings.csv');
+  form.append('campaignName', 'Templates');
+  const upload = await api('POST', '/api/upload', form);
+  campaignId = upload.body.campaignId;
+});
+
+test.after(() => ctx.close());
+
+test('escapes the default greeting', async () => {
+  const preview = await api(
+    'POST',
+    `/api/campaigns/${campaignId}/callTemplate/preview`,
+    {}
+  );
+  assert.equal(preview.status, 200);
+  assert.equal(preview.body.sample.bookingId, 'T1');
+  assert.match(preview.body.greeting, /^Hi O'Brien & <Sons>, I’m calling/);
+  assert.match(
+    preview.body.twiml,
+    /welcomeGreeting="Hi O&apos;Brien &amp; &lt;Sons&gt;, I’m calling about your booking\./
+  );
+  assert.match(preview.body.twiml, /voice="en-GB-KateNeural"/);
+  assert.match(preview.body.twiml, /id="UAtest"/);
+});
+
+test('places calls with the campaign’s template', async () => {
+  const saved = await api('PUT', `/api/campaigns/${campaignId}/callTemplate`, {
+    greeting: 'Hello {customerName}, about {airport} on {bookingDate}.',
+    voice: 'en-US-JennyNeural',
+    language: 'en-US',
+    assistantSid: 'aia_asst_campaign',
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.callTemplate.language, 'en-US');
+
+  await ctx.processBatch({ campaignId });
+  const call = telephony.calls[telephony.calls.length - 1];
+  assert.match(
+    call.twiml,
+    /welcomeGreeting="Hello O&apos;Brien &amp; &lt;Sons&gt;, about Gatwick on 2026-11-02\."/
+  );
+  assert.match(call.twiml, /voice="en-US-JennyNeural"/);
+  assert.match(call.twiml, /language="en-US"/);
+  assert.match(call.twiml, /id="aia_asst_campaign"/);
+  assert.equal(call.identity, 'booking:T1');
+});
+
+test('rejects unknown placeholders', async () => {
+  const res = await api('PUT', `/api/campaigns/${campaignId}/callTemplate`, {
+    greeting: 'Hi {firstName}',
+  });
+  assert.equal(res.status, 400);
+  assert.match(res.body.details[0], /Unknown placeholder \{firstName\}/);
+});
+
+test('reads dates from an .xlsx upload as dates, not serial numbers', async () => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['Booking Ref', 'Mobile', 'Name', 'Arrival Date'],
+    ['T2', '07911 654321', 'Dana', ''],
+    ['T3', '07911 654322', 'Eve', ''],
+  ]);
+  // As Excel saves them: a serial day number with a date format (46328 is
+  // 2 November 2026), in the default short date and in a format of its own
+  sheet.D2 = { t: 'n', v: 46328, z: 'm/d/yy' };
+  sheet.D3 = { t: 'n', v: 46329, z: 'dd/mm/yyyy' };
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Bookings');
+  const form = new FormData();
+  form.append(
+    'file',
+    new Blob([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })]),
+    'bookings.xlsx'
+  );
+  form.append('campaignName', 'Dates');
+  const upload = await api('POST', '/api/upload', form);
+  assert.equal(upload.status, 200);
+
+  const previewFor = (bookingId) =>
+    api(
+      'POST',
+      `/api/campaigns/${upload.body.campaignId}/callTemplate/preview`,
+      {
+        callTemplate: {
+          greeting: 'Hi {customerName}, arriving {bookingDate}.',
+        },
+        bookingId,
+      }
+    );
+  assert.equal(
+    (await previewFor('T2')).body.greeting,
+    'Hi Dana, arriving 2026-11-02.'
+  );
+  assert.equal(
+    (await previewFor('T3')).body.greeting,
+    'Hi Eve, arriving 03/11/2026.'
+  );
+});
@@ -0,0 +1,259 @@
+// test/campaignFlow.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// End-to-end campaign flow against the fake telephony provider
+// (lib/telephony/fakeProvider.js): upload a sheet → run batches → scripted
+// status callbacks and saveVReg tool calls → records, call log and the calling
+// policy’s skip rules. Uses a throw-away DATA_DIR; run with `npm test`.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { validateVrn } = require('../lib/vrn');
+
+const CUSTOMER_A = '+447911123456'; // two bookings, one call
+const CUSTOMER_B = '+441614960000';
+
+const SHEET = [
+  'Booking Ref,Mobile,Name,Details',
+  'B1,07911 123456,Alice,Gatwick parking',
+  'B2,07911 123456,Alice,Heathrow parking',
+  'B3,0161 496 0000,Bob,Manchester parking',
+  'B4,09061234567,Carol,Stansted parking',
+].join('\n');
+
+let ctx;
+let telephony;
+let api;
+
+async function getRecord(bookingId) {
+  const { body } = await api('GET', '/api/allRecords');
+  return body.find((r) => r.bookingId === bookingId);
+}
+
+test.before(async () => {
+  ctx = await startServer();
+  ({ telephony, api } = ctx);
+  await ctx.openAllDay();
+});
+
+test.after(() => ctx.close());
+
+test('uploads a sheet into a new campaign with E.164 phone numbers', async () => {
+  const form = new FormData();
+  form.append('file', new Blob([SHEET]), 'bookings.csv');
+  form.append('campaignName', 'October');
+  const res = await api('POST', '/api/upload', form);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, 4);
+  const b1 = await getRecord('B1');
+  assert.equal(b1.phoneNumber, CUSTOMER_A);
+  assert.equal(b1.phoneRaw, '07911 123456');
+  assert.equal(b1.phoneType, 'mobile');
+  const b4 = await getRecord('B4');
+  assert.equal(b4.phoneUncallableReason, 'Premium-rate number');
+});
+
+test('a dry run decides per record without calling or saving', async () => {
+  const res = await api('POST', '/api/process', { dryRun: true });
+
+  assert.equal(res.body.dryRun, true);
+  assert.equal(res.body.callsPlanned, 2);
+  const byId = Object.fromEntries(
+    res.body.decisions.map((d) => [d.bookingId, d])
+  );
+  assert.equal(byId.B1.decision, 'call');
+  assert.deepEqual(byId.B1.callBookingIds, ['B1', 'B2']);
+  assert.equal(byId.B4.decision, 'skip');
+  assert.equal(byId.B4.rule, 'uncallable_phone');
+  assert.equal(telephony.calls.length, 0);
+  assert.equal((await getRecord('B3')).attemptCountTotal, 0);
+});
+
+test('places one call per number and applies scripted callbacks', async () => {
+  telephony.script(CUSTOMER_A, [
+    'ringing',
+    'in-progress',
+    { saveVReg: 'ab12 cde', bookingId: 'B1' },
+    { saveVReg: 'X-ray Yankee two one zed zed zed', bookingId: 'B2' },
+    { status: 'completed', duration: 95, answeredBy: 'human' },
+  ]);
+  telephony.script(CUSTOMER_B, ['ringing', 'busy']);
+
+  const res = await ctx.processBatch();
+  await telephony.settled();
+
+  assert.equal(res.body.callsQueued, 2);
+  assert.equal(telephony.calls.length, 2);
+  const [callA] = telephony.calls;
+  assert.equal(callA.to, CUSTOMER_A);
+  assert.equal(callA.identity, 'booking:B1,B2');
+
+  const saved = callA.events.find((e) => e.tool === 'saveVReg');
+  assert.equal(saved.response.status, 200);
+  assert.equal(saved.response.body.vehicle.make, 'FORD');
+  assert.equal((await getRecord('B1')).vRegCaptured, 'AB12CDE');
+  assert.equal((await getRecord('B2')).vRegCaptured, 'XY21ZZZ');
+
+  const b3 = await getRecord('B3');
+  assert.equal(b3.lastCallStatus, 'busy');
+  assert.equal(b3.attemptCountToday, 1);
+  assert.equal(b3.attemptCountTotal, 1);
+
+  const history = await api('GET', '/api/records/B1/calls');
+  assert.deepEqual(
+    history.body[0].events.map((e) => e.status),
+    ['queued', 'ringing', 'in-progress', 'completed']
+  );
+  assert.equal(history.body[0].duration, 95);
+  assert.equal(history.body[0].answeredBy, 'human');
+});
+
+test('backs off after a busy call and records the rule on the record', async () => {
+  const res = await ctx.processBatch();
+
+  assert.equal(res.body.callsQueued, 0);
+  assert.deepEqual(res.body.skipped, { uncallable_phone: 1, backoff: 1 });
+  const b3 = await getRecord('B3');
+  assert.equal(b3.skipRule, 'backoff');
+  assert.match(b3.skipReason, /^Last call busy – retry after /);
+  assert.equal(telephony.calls.length, 2);
+});
+
+test('a number the provider rejects is not called again', async () => {
+  await ctx.setPolicy({
+    backoffMinutes: { default: [0], busy: [0] },
+    maxAttemptsPerCampaign: 2,
+  });
+  telephony.failNext(CUSTOMER_B, 'Number unreachable', 'permanent');
+
+  const res = await ctx.processBatch();
+
+  assert.equal(res.body.callsQueued, 1);
+  assert.deepEqual(res.job.calls, {
+    total: 1,
+    placed: 0,
+    failed: 0,
+    rejected: 1,
+    suppressed: 0,
+    retried: 0,
+  });
+  const b3 = await getRecord('B3');
+  assert.equal(b3.lastCallStatus, 'rejected');
+  assert.equal(b3.attemptCountTotal, 1);
+  assert.equal(
+    b3.phoneUncallableReason,
+    'Rejected by the telephony provider: Number unreachable'
+  );
+  const history = await api('GET', '/api/records/B3/calls');
+  assert.equal(history.body[0].status, 'rejected');
+  assert.equal(history.body[0].error, 'Number unreachable');
+
+  const next = await ctx.processBatch();
+  assert.equal(next.body.skipped.uncallable_phone, 2);
+  assert.equal(telephony.calls.length, 2);
+});
+
+test('reports campaign statistics, filtered by date', async () => {
+  const { body: stats } = await api('GET', '/api/stats');
+
+  assert.deepEqual(stats.records, {
+    total: 4,
+    captured: 2,
+    pending: 2,
+    captureRate: 0.5,
+  });
+  // The rejected call never rang
+  assert.equal(stats.calls.placed, 2);
+  assert.equal(stats.calls.answered, 1);
+  assert.deepEqual(stats.calls.outcomes, {
+    completed: 1,
+    busy: 1,
+    'no-answer': 0,
+    failed: 0,
+    machine: 0,
+    rejected: 1,
+    other: 0,
+  });
+  assert.equal(stats.captures.attemptsPerCapture, 1);
+  assert.deepEqual(stats.captures.byAttempts, { 1: 2 });
+  assert.equal(
+    stats.hourly.reduce((sum, h) => sum + h.successful, 0),
+    1
+  );
+
+  const tomorrow = new Date(Date.now() + 36 * 3600 * 1000)
+    .toISOString()
+    .slice(0, 10);
+  const { body: later } = await api('GET', `/api/stats?from=${tomorrow}`);
+  assert.equal(later.calls.placed, 0);
+  assert.equal(later.captures.inRange, 0);
+  assert.equal(later.records.total, 4);
+
+  const bad = await api('GET', '/api/stats?from=yesterday');
+  assert.equal(bad.status, 400);
+});
+
+test('saveVReg rejects a plate that is not a UK registration', async () => {
+  const [callA] = telephony.calls;
+  const res = await telephony.saveVReg(callA.callSid, 'hello world', {
+    bookingId: 'B1',
+  });
+
+  assert.equal(res.status, 422);
+  assert.equal(res.body.error, 'invalid_vrn');
+  assert.equal((await getRecord('B1')).vRegCaptured, 'AB12CDE');
+});
+
+test('rejects an invalid calling policy', async () => {
+  const res = await api('PUT', '/api/policy', {
+    timezone: 'Nowhere/Special',
+    maxAttemptsPerDay: 0,
+  });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.details, [
+    'Unknown timezone "Nowhere/Special"',
+    'maxAttemptsPerDay must be at least 1',
+  ]);
+});
+
+test('editing a record cannot change its booking ID', async () => {
+  const res = await api('PATCH', '/api/updateRecord/B4', {
+    bookingId: 'B9',
+    bookingDetails: 'Luton parking',
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.updated.bookingId, 'B4');
+  assert.equal((await getRecord('B4')).bookingDetails, 'Luton parking');
+  assert.equal(await getRecord('B9'), undefined);
+});
+
+test('a VRN typed into the table is normalised and validated', async () => {
+  const bad = await api('PATCH', '/api/updateRecord/B3', {
+    vRegCaptured: 'AB12 C',
+  });
+  assert.equal(bad.status, 422);
+  assert.equal(bad.body.error, 'invalid_vrn');
+  assert.equal((await getRecord('B3')).vRegCaptured, '');
+
+  const res = await api('PATCH', '/api/updateRecord/B3', {
+    vRegCaptured: 'a b one oh c d e',
+  });
+  assert.equal(res.status, 200);
+  const record = await getRecord('B3');
+  assert.equal(record.vRegCaptured, 'AB10CDE');
+  assert.equal(record.vRegSource, 'manual');
+});
+
+test('validateVrn reads words that sound like digits either way', () => {
+  const read = (heard) => validateVrn(heard).vrn;
+  assert.equal(read('A B one oh C D E'), 'AB10CDE');
+  assert.equal(read('oh bee one two see dee e'), 'OB12CDE');
+  assert.equal(read('A B won to C D E'), 'AB12CDE');
+  assert.equal(read('A for two B C D'), 'A42BCD');
+  assert.equal(read('TO 12 ABC'), 'TO12ABC');
+  assert.equal(validateVrn('A B one oh C').valid, false);
+});
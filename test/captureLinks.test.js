@@ -0,0 +1,124 @@
+// test/captureLinks.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Self-service VRN page: operators create a signed link per booking, and the
+// customer reads the booking and saves the VRN through /api/capture/:token
+// without signing in.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { createCaptureLinks } = require('../lib/captureLinks');
+
+const SECRET = 'test-capture-secret';
+
+const SHEET = [
+  'Booking Ref,Mobile,Name,Details',
+  'W1,07911 123456,Alice,Gatwick parking',
+].join('\n');
+
+let ctx;
+let api;
+// Not signed in, like the customer
+let anonymous;
+
+async function createLink(bookingId) {
+  const res = await api('GET', `/api/records/${bookingId}/captureLink`);
+  assert.equal(res.status, 200);
+  return res.body.url.split('/capture/')[1];
+}
+
+test.before(async () => {
+  ctx = await startServer({ CAPTURE_LINK_SECRET: SECRET });
+  ({ api } = ctx);
+  anonymous = ctx.createClient();
+
+  const form = new FormData();
+  form.append('file', new Blob([SHEET]), 'bookings.csv');
+  form.append('campaignName', 'Web');
+  await api('POST', '/api/upload', form);
+});
+
+test.after(() => ctx.close());
+
+test('shows the booking and saves the VRN from a signed link', async () => {
+  const token = await createLink('W1');
+
+  const booking = await anonymous('GET', `/api/capture/${token}`);
+  assert.equal(booking.status, 200);
+  assert.equal(booking.body.bookingId, 'W1');
+  assert.equal(booking.body.customerName, 'Alice');
+  assert.equal(booking.body.bookingDetails, 'Gatwick parking');
+  assert.ok(booking.body.expiresAt);
+  assert.equal(booking.body.phone, undefined);
+
+  const invalid = await anonymous('POST', `/api/capture/${token}/check`, {
+    vReg: 'not a plate',
+  });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.body.error, 'invalid_vrn');
+
+  const check = await anonymous('POST', `/api/capture/${token}/check`, {
+    vReg: 'ab12 cde',
+  });
+  assert.equal(check.status, 200);
+  assert.equal(check.body.vReg, 'AB12CDE');
+
+  const saved = await anonymous('POST', `/api/capture/${token}`, {
+    vReg: 'ab12 cde',
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.vReg, 'AB12CDE');
+
+  const { body: records } = await api('GET', '/api/allRecords');
+  const record = records.find((r) => r.bookingId === 'W1');
+  assert.equal(record.vRegCaptured, 'AB12CDE');
+  assert.equal(record.vRegSource, 'web');
+
+  const { body: audit } = await api('GET', '/api/audit');
+  assert.ok(audit.some((e) => e.action === 'captureLink.create'));
+});
+
+test('a link cannot change a VRN once one is saved', async () => {
+  const token = await createLink('W1');
+  const again = await anonymous('POST', `/api/capture/${token}`, {
+    vReg: 'XY21 ZZZ',
+  });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, 'already_captured');
+
+  const { body: records } = await api('GET', '/api/allRecords');
+  assert.equal(
+    records.find((r) => r.bookingId === 'W1').vRegCaptured,
+    'AB12CDE'
+  );
+});
+
+test('rejects tampered and expired links', async () => {
+  const token = await createLink('W1');
+  const [payload, signature] = token.split('.');
+  const forged = Buffer.from(
+    JSON.stringify({ b: 'W1', exp: Date.now() + 1e9 })
+  ).toString('base64url');
+
+  const tampered = await anonymous(
+    'GET',
+    `/api/capture/${forged}.${signature}`
+  );
+  assert.equal(tampered.status, 401);
+  assert.equal(tampered.body.error, 'invalid_link');
+  assert.equal((await anonymous('GET', `/api/capture/${payload}`)).status, 401);
+
+  const links = createCaptureLinks({ secret: SECRET, ttlMs: 60 * 1000 });
+  const old = links.sign('W1', Date.now() - 2 * 60 * 1000);
+  const expired = await anonymous('POST', `/api/capture/${old.token}`, {
+    vReg: 'AB12CDE',
+  });
+  assert.equal(expired.status, 410);
+  assert.equal(expired.body.error, 'expired_link');
+});
+
+test('only operators can create links', async () => {
+  const res = await anonymous('GET', '/api/records/W1/captureLink');
+  assert.equal(res.status, 401);
+});
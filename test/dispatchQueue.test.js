@@ -0,0 +1,212 @@
+// test/dispatchQueue.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// The call dispatch queue: POST /api/process returns before the calls are
+// placed, calls stay within the concurrency and calls-per-second limits,
+// transient API errors are retried, and failed calls don’t use up an attempt.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { createDispatchQueue } = require('../lib/dispatchQueue');
+
+const ALICE = '+447911123456';
+const BOB = '+447400123456';
+
+const SHEET = [
+  'Booking Ref,Mobile,Name,Details',
+  'D1,07911 123456,Alice,Gatwick parking',
+  'D2,07400 123456,Bob,Heathrow hotel',
+].join('\n');
+
+let ctx;
+let telephony;
+let api;
+
+async function getRecord(bookingId) {
+  const { body } = await api('GET', '/api/allRecords');
+  return body.find((r) => r.bookingId === bookingId);
+}
+
+function queueFor(options) {
+  return createDispatchQueue({
+    concurrency: 1,
+    callsPerSecond: 1000,
+    maxRetries: 0,
+    retryDelayMs: 1,
+    slotTimeoutMs: 60000,
+    classifyError: () => 'error',
+    ...options,
+  });
+}
+
+test.before(async () => {
+  ctx = await startServer({ DISPATCH_RETRY_DELAY_MS: '200' });
+  ({ telephony, api } = ctx);
+  await ctx.openAllDay();
+
+  const form = new FormData();
+  form.append('file', new Blob([SHEET]), 'bookings.csv');
+  form.append('campaignName', 'Dispatch');
+  await api('POST', '/api/upload', form);
+});
+
+test.after(() => ctx.close());
+
+test('keeps calls in progress within the concurrency limit', async () => {
+  const queue = queueFor({ concurrency: 2 });
+  let next = 0;
+  const place = async () => ({ callSid: `CA${++next}` });
+
+  const first = await Promise.all([
+    queue.enqueue({ key: 'a', place }),
+    queue.enqueue({ key: 'b', place }),
+  ]);
+  assert.deepEqual(
+    first.map((o) => o.callSid),
+    ['CA1', 'CA2']
+  );
+  const third = queue.enqueue({ key: 'c', place });
+  assert.equal(queue.has('c'), true);
+  assert.equal(queue.status().waiting, 1);
+  assert.equal(queue.status().inProgress, 2);
+
+  assert.equal(queue.release('CA1'), true);
+  assert.deepEqual(await third, {
+    status: 'placed',
+    callSid: 'CA3',
+    attempts: 1,
+  });
+  assert.equal(queue.has('c'), false);
+  assert.equal(queue.release('CA1'), false);
+});
+
+test('starts no more calls per second than allowed', async () => {
+  const queue = queueFor({ concurrency: 10, callsPerSecond: 20 });
+  const startedAt = [];
+  let next = 0;
+  const place = async () => {
+    startedAt.push(Date.now());
+    return { callSid: `CA${++next}` };
+  };
+
+  await Promise.all(
+    ['a', 'b', 'c'].map((key) => queue.enqueue({ key, place }))
+  );
+  assert.ok(startedAt[1] - startedAt[0] >= 45);
+  assert.ok(startedAt[2] - startedAt[1] >= 45);
+});
+
+test('retries transient errors and answers before the call is placed', async () => {
+  telephony.failNext(ALICE, 'Too many requests', 'transient');
+  telephony.failNext(ALICE, 'Service unavailable', 'transient');
+  telephony.script(BOB, ['ringing', { status: 'completed', duration: 20 }]);
+
+  const res = await api('POST', '/api/process', {});
+  assert.equal(res.status, 200);
+  assert.equal(res.body.callsQueued, 2);
+  const running = await api('GET', `/api/process/jobs/${res.body.jobId}`);
+  assert.equal(running.body.state, 'running');
+
+  // Alice’s call is still waiting to be retried, so the next batch leaves it
+  const preview = await api('POST', '/api/process', { dryRun: true });
+  const d1 = preview.body.decisions.find((d) => d.bookingId === 'D1');
+  assert.equal(d1.rule, 'dispatch_queued');
+
+  const done = await ctx.waitForJob(res.body.jobId);
+  await telephony.settled();
+  assert.deepEqual(done.calls, {
+    total: 2,
+    placed: 2,
+    failed: 0,
+    rejected: 0,
+    suppressed: 0,
+    retried: 2,
+  });
+  assert.deepEqual(
+    telephony.calls.map((c) => c.to),
+    [BOB, ALICE]
+  );
+  const d1Record = await getRecord('D1');
+  assert.equal(d1Record.lastCallStatus, 'queued');
+  assert.equal(d1Record.attemptCountTotal, 1);
+});
+
+test('a call the API refuses is failed without using up an attempt', async () => {
+  await ctx.setPolicy({ backoffMinutes: { default: [0], failed: [60] } });
+  telephony.failNext(BOB, 'Authentication failed');
+
+  const res = await ctx.processBatch();
+  assert.equal(res.job.calls.failed, 1);
+  assert.equal(res.job.calls.retried, 0);
+
+  const d2 = await getRecord('D2');
+  assert.equal(d2.lastCallStatus, 'failed');
+  assert.equal(d2.attemptCountTotal, 1);
+  const history = await api('GET', '/api/records/D2/calls');
+  assert.equal(history.body[0].status, 'failed');
+  assert.equal(history.body[0].error, 'Authentication failed');
+
+  const preview = await api('POST', '/api/process', { dryRun: true });
+  const decision = preview.body.decisions.find((d) => d.bookingId === 'D2');
+  assert.equal(decision.rule, 'backoff');
+  assert.match(decision.reason, /^Last call failed/);
+
+  // Only the two calls that went out count as placed
+  const { body: stats } = await api('GET', '/api/stats');
+  assert.equal(stats.calls.outcomes.failed, 1);
+  assert.equal(stats.calls.placed, 2);
+  assert.equal(stats.calls.answerRate, 0.5);
+});
+
+test('a booking whose last call is still in progress is not called again', async () => {
+  // Backoff is 0 (above), but the customer may still be talking to the assistant
+  const minutesAgo = (m) => new Date(Date.now() - m * 60 * 1000).toISOString();
+  ctx.storage.update('records', 'D1', (r) => {
+    r.lastCallStatus = 'in-progress';
+    r.lastCallTime = minutesAgo(2);
+  });
+  const callsBefore = telephony.calls.length;
+
+  await ctx.processBatch();
+  assert.equal(telephony.calls.length, callsBefore);
+  const d1 = await getRecord('D1');
+  assert.equal(d1.skipRule, 'call_pending');
+  assert.match(d1.skipReason, /^Last call still in-progress/);
+
+  // No final status within DISPATCH_SLOT_TIMEOUT_MINUTES → the call is stale
+  ctx.storage.update('records', 'D1', (r) => {
+    r.lastCallTime = minutesAgo(20);
+  });
+  const preview = await api('POST', '/api/process', { dryRun: true });
+  const decision = preview.body.decisions.find((d) => d.bookingId === 'D1');
+  assert.equal(decision.decision, 'call');
+});
+
+test('the scheduler skips its run while a batch is still placing calls', async () => {
+  telephony.failNext(ALICE, 'Too many requests', 'transient');
+  telephony.failNext(ALICE, 'Service unavailable', 'transient');
+  const callsBefore = telephony.calls.length;
+  const res = await api('POST', '/api/process', {});
+  assert.equal(res.body.callsQueued, 1);
+
+  await api('POST', '/api/scheduler/start', {});
+  let status;
+  do {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    ({ body: status } = await api('GET', '/api/scheduler/status'));
+  } while (!status.lastRunAt);
+  await api('POST', '/api/scheduler/pause', {});
+  assert.equal(status.lastResult.rule, 'dispatch_running');
+
+  await ctx.waitForJob(res.body.jobId);
+  await telephony.settled();
+  assert.equal(telephony.calls.length, callsBefore + 1);
+});
+
+test('polling an unknown job is a 404', async () => {
+  const res = await api('GET', '/api/process/jobs/nope');
+  assert.equal(res.status, 404);
+  const status = await api('GET', '/api/scheduler/status');
+  assert.equal(status.body.dispatch.concurrency, 5);
+});
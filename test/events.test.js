@@ -0,0 +1,82 @@
+// test/events.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Live dashboard updates: GET /api/events pushes record changes made by
+// uploads, status callbacks and saveVReg (lib/recordEvents.js).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const CUSTOMER = '+447911123456';
+
+let ctx;
+let api;
+
+async function upload(campaignName, csv) {
+  const form = new FormData();
+  form.append('file', new Blob([csv]), 'bookings.csv');
+  form.append('campaignName', campaignName);
+  const res = await api('POST', '/api/upload', form);
+  assert.equal(res.status, 200);
+  return res.body.campaignId;
+}
+
+test.before(async () => {
+  ctx = await startServer();
+  ({ api } = ctx);
+  await ctx.openAllDay();
+});
+
+test.after(() => ctx.close());
+
+test('signed-out users cannot open the stream', async () => {
+  const anonymous = ctx.createClient();
+  await assert.rejects(anonymous.events('/api/events'), /401/);
+});
+
+test('streams call status changes and captured VRNs as they happen', async () => {
+  const stream = await api.events('/api/events');
+  try {
+    await upload('Live', 'Booking Ref,Mobile,Name\nL1,07911 123456,Alice');
+    const created = await stream.waitFor((e) => e.data.bookingId === 'L1');
+    assert.equal(created.event, 'record');
+    assert.equal(created.data.action, 'upsert');
+    assert.equal(created.data.record.phoneNumber, CUSTOMER);
+
+    ctx.telephony.script(CUSTOMER, [
+      'in-progress',
+      { saveVReg: 'AB12 CDE', bookingId: 'L1' },
+    ]);
+    await ctx.processBatch();
+    await ctx.telephony.settled();
+
+    const calling = await stream.waitFor(
+      (e) => e.data.record && e.data.record.lastCallStatus === 'in-progress'
+    );
+    assert.ok(calling.data.changed.includes('lastCallStatus'));
+    const captured = await stream.waitFor(
+      (e) => e.data.changed && e.data.changed.includes('vRegCaptured')
+    );
+    assert.equal(captured.data.record.vRegCaptured, 'AB12CDE');
+    assert.ok(Number(captured.id) > Number(calling.id));
+  } finally {
+    stream.close();
+  }
+});
+
+test('?campaignId= only streams that campaign’s records', async () => {
+  const campaign = await api('POST', '/api/campaigns', { name: 'Watched' });
+  const stream = await api.events(`/api/events?campaignId=${campaign.body.id}`);
+  try {
+    await upload('Other', 'Booking Ref,Mobile,Name\nO1,07911 654321,Bob');
+    await upload('Watched', 'Booking Ref,Mobile,Name\nW1,07911 111222,Carol');
+    await stream.waitFor((e) => e.data.bookingId === 'W1');
+    assert.deepEqual(
+      stream.events.map((e) => e.data.bookingId),
+      ['W1']
+    );
+  } finally {
+    stream.close();
+  }
+});
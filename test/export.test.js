@@ -0,0 +1,200 @@
+// test/export.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/download gives the uploaded sheet back in its own columns and
+// format, with the captured VRNs written back and the chosen columns added.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { startServer } = require('./helpers');
+
+const ALICE = '+447911123456';
+
+const SHEET = [
+  'Booking Ref,Mobile,Name,Vehicle Reg,Notes',
+  'E1,07911 123456,Alice,,Gate 3',
+  'E2,07400 123456,Bob,,"Late, arrives 23:00"',
+].join('\n');
+
+let ctx;
+let telephony;
+let api;
+let csvCampaignId;
+let xlsxCampaignId;
+
+function uploadForm(buffer, fileName, campaignName) {
+  const form = new FormData();
+  form.append('file', new Blob([buffer]), fileName);
+  form.append('campaignName', campaignName);
+  return form;
+}
+
+function readSheet(buffer, options) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', ...options });
+  return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], {
+    header: 1,
+    defval: '',
+  });
+}
+
+test.before(async () => {
+  ctx = await startServer();
+  ({ telephony, api } = ctx);
+  await ctx.openAllDay();
+
+  const upload = await api(
+    'POST',
+    '/api/upload',
+    uploadForm(SHEET, 'bookings.csv', 'Export CSV')
+  );
+  csvCampaignId = upload.body.campaignId;
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([
+      ['Ref', 'Lead Name', 'Mobile', 'Arrival Date'],
+      ['X1', 'Carol', '07700 900123', '2026-11-02'],
+    ]),
+    'Bookings'
+  );
+  const xlsxUpload = await api(
+    'POST',
+    '/api/upload',
+    uploadForm(
+      XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+      'bookings.xlsx',
+      'Export XLSX'
+    )
+  );
+  xlsxCampaignId = xlsxUpload.body.campaignId;
+
+  telephony.script(ALICE, [
+    'ringing',
+    { saveVReg: 'AB12 CDE' },
+    { status: 'completed', duration: 30 },
+  ]);
+  await ctx.processBatch({ campaignId: csvCampaignId });
+});
+
+test.after(() => ctx.close());
+
+test('exports the original columns with the VRN written back', async () => {
+  const res = await api.download(
+    `/api/download?campaignId=${csvCampaignId}&columns=capturedAt,lastOutcome`
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'text/csv; charset=utf-8');
+  assert.match(
+    res.headers.get('content-disposition'),
+    /filename="Export_CSV_export\.csv"/
+  );
+
+  const rows = readSheet(res.buffer, { raw: true });
+  assert.deepEqual(rows[0], [
+    'Booking Ref',
+    'Mobile',
+    'Name',
+    'Vehicle Reg',
+    'Notes',
+    'VRN captured at',
+    'Last call outcome',
+  ]);
+  assert.deepEqual(rows[1].slice(0, 5), [
+    'E1',
+    '07911 123456',
+    'Alice',
+    'AB12CDE',
+    'Gate 3',
+  ]);
+  assert.ok(rows[1][5]);
+  assert.equal(rows[1][6], 'completed');
+  assert.deepEqual(rows[2].slice(0, 5), [
+    'E2',
+    '07400 123456',
+    'Bob',
+    '',
+    'Late, arrives 23:00',
+  ]);
+});
+
+test('filters to captured bookings only', async () => {
+  const res = await api.download(
+    `/api/download?campaignId=${csvCampaignId}&filter=captured&columns=`
+  );
+  const rows = readSheet(res.buffer, { raw: true });
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].length, 5);
+  assert.equal(rows[1][0], 'E1');
+});
+
+test('a sheet uploaded as .xlsx comes back as .xlsx with a VRN column', async () => {
+  const res = await api.download(
+    `/api/download?campaignId=${xlsxCampaignId}&columns=vrn,channel`
+  );
+  assert.equal(res.status, 200);
+  assert.match(
+    res.headers.get('content-disposition'),
+    /filename="Export_XLSX_export\.xlsx"/
+  );
+  assert.deepEqual(readSheet(res.buffer), [
+    ['Ref', 'Lead Name', 'Mobile', 'Arrival Date', 'VRN', 'VRN channel'],
+    ['X1', 'Carol', '07700 900123', '2026-11-02', '', ''],
+  ]);
+});
+
+test('date cells from an .xlsx come back as the dates shown in it', async () => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['Ref', 'Mobile', 'Arrival Date', 'Return', 'Nights'],
+    ['D1', '07911 777001', '', '', 3],
+  ]);
+  // Excel’s default short date and a format of the sheet’s own
+  sheet.C2 = { t: 'n', v: 46328, z: 'm/d/yy' };
+  sheet.D2 = { t: 'n', v: 46331, z: 'dd/mm/yyyy' };
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Bookings');
+  const upload = await api(
+    'POST',
+    '/api/upload',
+    uploadForm(
+      XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+      'dates.xlsx',
+      'Export dates'
+    )
+  );
+  assert.equal(upload.status, 200);
+
+  const xlsx = await api.download(
+    `/api/download?campaignId=${upload.body.campaignId}`
+  );
+  // The uploaded columns, before the added VRN ones
+  const uploaded = (rows) => rows.map((row) => row.slice(0, 5));
+  assert.deepEqual(uploaded(readSheet(xlsx.buffer)), [
+    ['Ref', 'Mobile', 'Arrival Date', 'Return', 'Nights'],
+    ['D1', '07911 777001', '2026-11-02', '05/11/2026', 3],
+  ]);
+
+  const csv = await api.download(
+    `/api/download?campaignId=${upload.body.campaignId}&format=csv`
+  );
+  assert.deepEqual(uploaded(readSheet(csv.buffer, { raw: true }))[1], [
+    'D1',
+    '07911 777001',
+    '2026-11-02',
+    '05/11/2026',
+    '3',
+  ]);
+});
+
+test('rejects unknown export options', async () => {
+  const res = await api(
+    'GET',
+    `/api/download?campaignId=${csvCampaignId}&format=pdf&columns=vrn,colour`
+  );
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.details, [
+    'format must be one of: csv, xlsx',
+    'Unknown column "colour" (use vrn, capturedAt, channel, lastOutcome, attempts)',
+  ]);
+});
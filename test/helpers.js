@@ -0,0 +1,226 @@
+// test/helpers.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Boots server.js for a test file: a throw-away DATA_DIR, the fake telephony
+// provider and no scheduler. Each test file runs in its own process, so call
+// startServer() once per file (the env is read when server.js is required).
+// Storage is JSON unless TEST_STORAGE_DRIVER=sqlite is set, which runs the
+// whole suite against the SQLite adapter.
+//
+// An operator (OPERATOR below) is created on boot and `api` is signed in as
+// them; createClient() gives a separate, signed-out cookie jar. The dispatch
+// queue places calls without the real rate limit and retries after 10ms, as
+// do outbound webhooks.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ALL_DAY = [{ start: '00:00', end: '24:00' }];
+const JOB_TIMEOUT_MS = 5000;
+const OPERATOR = { username: 'operator', password: 'operator-password' };
+
+async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vrn-collector-test-'));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    STORAGE_DRIVER: process.env.TEST_STORAGE_DRIVER || 'json',
+    TELEPHONY_PROVIDER: 'fake',
+    VEHICLE_LOOKUP_PROVIDER: 'mock',
+    SCHEDULER_AUTOSTART: 'false',
+    TWILIO_FROM_NUMBER: '+441632960000',
+    TWILIO_ASSISTANT_SID: 'UAtest',
+    DISPATCH_CALLS_PER_SECOND: '1000',
+    DISPATCH_RETRY_DELAY_MS: '10',
+    WEBHOOK_RETRY_DELAY_MS: '10',
+    SESSION_SECRET: 'test-session-secret',
+    ADMIN_USERNAME: OPERATOR.username,
+    ADMIN_PASSWORD: OPERATOR.password,
+    ...env,
+  });
+
+  const { app, telephony, storage } = require('../server');
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.NGROK_URL = baseUrl;
+
+  // JSON request helper with its own session cookie → api(method, path,
+  // body?, headers?) resolving to { status, body }, plus api.login(username,
+  // password), api.download(path) for files and api.events(path) for
+  // Server-Sent Events streams.
+  function createClient() {
+    let cookie = '';
+
+    async function api(method, urlPath, body, headers = {}) {
+      const options = { method, headers: { ...headers } };
+      if (cookie) {
+        options.headers.Cookie = cookie;
+      }
+      if (body instanceof FormData) {
+        options.body = body;
+      } else if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+      }
+      const res = await fetch(`${baseUrl}${urlPath}`, options);
+      const setCookie = res.headers.get('set-cookie');
+      if (setCookie) {
+        cookie = setCookie.split(';')[0];
+      }
+      const text = await res.text();
+      let data = text;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (err) {
+        // plain-text response
+      }
+      return { status: res.status, body: data };
+    }
+
+    // GET of a file → { status, headers, buffer }
+    api.download = async (urlPath) => {
+      const res = await fetch(`${baseUrl}${urlPath}`, {
+        headers: cookie ? { Cookie: cookie } : {},
+      });
+      const buffer = Buffer.from(await res.arrayBuffer());
+      return { status: res.status, headers: res.headers, buffer };
+    };
+
+    api.login = async (username, password) => {
+      const res = await api('POST', '/api/auth/login', { username, password });
+      if (res.status !== 200) {
+        throw new Error(`Login as ${username} failed: ${res.status}`);
+      }
+      return res.body.user;
+    };
+
+    // Opens an SSE stream → { events, waitFor(predicate), close() }. Every
+    // parsed event ({ event, id, data }) is kept in `events`; waitFor resolves
+    // with the first one (already received or still to come) that matches.
+    api.events = async (urlPath) => {
+      const controller = new AbortController();
+      const res = await fetch(`${baseUrl}${urlPath}`, {
+        headers: cookie ? { Cookie: cookie } : {},
+        signal: controller.signal,
+      });
+      if (res.status !== 200) {
+        throw new Error(`GET ${urlPath} failed: ${res.status}`);
+      }
+      const events = [];
+      const waiters = [];
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      function received(event) {
+        events.push(event);
+        waiters
+          .filter((w) => w.predicate(event))
+          .forEach((w) => {
+            waiters.splice(waiters.indexOf(w), 1);
+            w.resolve(event);
+          });
+      }
+
+      (async () => {
+        for await (const chunk of res.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          let end;
+          while ((end = buffer.indexOf('\n\n')) >= 0) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const event = {};
+            block.split('\n').forEach((line) => {
+              const m = line.match(/^(event|id|data): ?(.*)$/);
+              if (m) event[m[1]] = m[2];
+            });
+            if (event.data !== undefined) {
+              event.data = JSON.parse(event.data);
+              received(event);
+            }
+          }
+        }
+      })().catch(() => {
+        // aborted by close()
+      });
+
+      return {
+        events,
+        waitFor(predicate) {
+          const found = events.find(predicate);
+          if (found) return Promise.resolve(found);
+          return new Promise((resolve) => waiters.push({ predicate, resolve }));
+        },
+        close: () => controller.abort(),
+      };
+    };
+
+    return api;
+  }
+
+  const api = createClient();
+  await api.login(OPERATOR.username, OPERATOR.password);
+
+  // Saves the current calling policy with `changes` applied
+  async function setPolicy(changes) {
+    const { body: current } = await api('GET', '/api/policy');
+    const res = await api('PUT', '/api/policy', { ...current, ...changes });
+    if (res.status !== 200) {
+      throw new Error(`PUT /api/policy failed: ${JSON.stringify(res.body)}`);
+    }
+  }
+
+  // Calling policy open every day, all day, so tests don’t depend on the clock
+  function openAllDay() {
+    const callingWindows = {};
+    ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'].forEach((day) => {
+      callingWindows[day] = ALL_DAY;
+    });
+    return setPolicy({ callingWindows, bankHolidays: [] });
+  }
+
+  // Polls GET /api/process/jobs/:jobId until the job is done → the job
+  async function waitForJob(jobId) {
+    const deadline = Date.now() + JOB_TIMEOUT_MS;
+    for (;;) {
+      const { body: job } = await api('GET', `/api/process/jobs/${jobId}`);
+      if (job.state === 'done') return job;
+      if (Date.now() > deadline) {
+        throw new Error(`Dispatch job ${jobId} still ${job.state}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  // POST /api/process, then waits for its dispatch job and for the scripts of
+  // the calls it placed → { status, body, job }
+  async function processBatch(body = {}) {
+    const res = await api('POST', '/api/process', body);
+    const job =
+      res.body && res.body.jobId ? await waitForJob(res.body.jobId) : null;
+    await telephony.settled();
+    return { ...res, job };
+  }
+
+  function close() {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return {
+    app,
+    telephony,
+    storage,
+    baseUrl,
+    api,
+    createClient,
+    setPolicy,
+    openAllDay,
+    waitForJob,
+    processBatch,
+    close,
+  };
+}
+
+module.exports = { OPERATOR, startServer };
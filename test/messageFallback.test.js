@@ -0,0 +1,155 @@
+// test/messageFallback.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// SMS / WhatsApp fallback: once today’s calls went unanswered the batch texts
+// the customer, and their reply is read as a VRN (lib/vrn.js findVrnInText),
+// read back, and saved with the channel as vRegSource once they confirm it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { findVrnInText } = require('../lib/vrn');
+
+const ALICE = '+447911123456'; // two bookings
+const BOB = '+447400123456';
+
+const SHEET = [
+  'Booking Ref,Mobile,Name,Details',
+  'M1,07911 123456,Alice,Gatwick parking',
+  'M2,07911 123456,Alice,Luton parking',
+  'M3,07400 123456,Bob,Heathrow hotel',
+].join('\n');
+
+let ctx;
+let telephony;
+let api;
+
+async function getRecord(bookingId) {
+  const { body } = await api('GET', '/api/allRecords');
+  return body.find((r) => r.bookingId === bookingId);
+}
+
+test.before(async () => {
+  ctx = await startServer();
+  ({ telephony, api } = ctx);
+  await ctx.openAllDay();
+  await ctx.setPolicy({
+    maxAttemptsPerDay: 1,
+    messageFallback: {
+      enabled: true,
+      channel: 'sms',
+      outcomes: ['busy', 'no-answer'],
+      template:
+        'Hi {customerName}, please reply with the registration for {bookingId}.',
+    },
+  });
+
+  const form = new FormData();
+  form.append('file', new Blob([SHEET]), 'bookings.csv');
+  form.append('campaignName', 'Texts');
+  await api('POST', '/api/upload', form);
+
+  telephony.script(ALICE, ['ringing', 'no-answer']);
+  telephony.script(BOB, ['ringing', 'busy']);
+  await ctx.processBatch();
+  await telephony.settled();
+});
+
+test.after(() => ctx.close());
+
+test('texts each number once after today’s calls went unanswered', async () => {
+  const preview = await api('POST', '/api/process', { dryRun: true });
+  assert.equal(preview.body.messagesPlanned, 2);
+  const m3 = preview.body.decisions.find((d) => d.bookingId === 'M3');
+  assert.equal(m3.rule, 'max_attempts_per_day');
+  assert.equal(m3.fallback, 'sms');
+
+  const res = await ctx.processBatch();
+  assert.equal(res.body.callsQueued, 0);
+  assert.equal(res.body.messagesPlanned, 2);
+  assert.equal(res.job.messages.sent, 2);
+  assert.equal(telephony.messages.length, 2);
+  const [toAlice, toBob] = telephony.messages;
+  assert.equal(toAlice.to, ALICE);
+  assert.match(
+    toAlice.body,
+    /^Hi Alice, please reply with the registration for M1, M2\. Please start each reply with the booking reference/
+  );
+  assert.equal(
+    toBob.body,
+    'Hi Bob, please reply with the registration for M3.'
+  );
+  assert.equal((await getRecord('M3')).lastMessageDate.length, 10);
+
+  const again = await ctx.processBatch();
+  assert.equal(again.body.messagesPlanned, 0);
+  assert.equal(telephony.messages.length, 2);
+});
+
+test('a plate read from a reply is saved once the customer confirms it', async () => {
+  const unclear = await telephony.reply(BOB, 'not sure, will check');
+  assert.equal(unclear.status, 200);
+  assert.match(unclear.body, /doesn’t look like a UK registration/);
+  const notAPlate = await telephony.reply(BOB, 'Please call me at 5');
+  assert.match(notAPlate.body, /doesn’t look like a UK registration/);
+  assert.equal((await getRecord('M3')).vRegPending, '');
+
+  const read = await telephony.reply(BOB, 'It’s ab12 cdf thanks');
+  assert.match(
+    read.body,
+    /We read your registration for booking M3 as AB12CDF\. Reply YES to confirm/
+  );
+  let m3 = await getRecord('M3');
+  assert.equal(m3.vRegCaptured, '');
+  assert.equal(m3.vRegPending, 'AB12CDF');
+
+  const wrong = await telephony.reply(BOB, 'No');
+  assert.match(wrong.body, /correct registration for booking M3/);
+  assert.equal((await getRecord('M3')).vRegPending, '');
+
+  await telephony.reply(BOB, 'Sorry, AB12 CDE');
+  const res = await telephony.reply(BOB, 'yes');
+  assert.match(
+    res.body,
+    /<Message>Thanks, we’ve saved AB12CDE for booking M3\.<\/Message>/
+  );
+  m3 = await getRecord('M3');
+  assert.equal(m3.vRegCaptured, 'AB12CDE');
+  assert.equal(m3.vRegSource, 'sms');
+  assert.equal(m3.vRegPending, '');
+});
+
+test('customers with several bookings reply with the booking reference', async () => {
+  const ambiguous = await telephony.reply(ALICE, 'XY21 ZZZ');
+  assert.match(
+    ambiguous.body,
+    /Which booking is this registration for\?.*M1, M2/
+  );
+  assert.equal((await getRecord('M1')).vRegCaptured, '');
+
+  await telephony.reply(ALICE, 'm2 XY21 ZZZ');
+  const first = await telephony.reply(ALICE, 'Yes');
+  assert.match(
+    first.body,
+    /saved XY21ZZZ for booking M2\. Please also send the registration for booking M1/
+  );
+
+  // Only M1 is left, so the reference is no longer needed
+  await telephony.reply(ALICE, 'BD51 SMR');
+  await telephony.reply(ALICE, 'Correct.');
+  assert.equal((await getRecord('M1')).vRegCaptured, 'BD51SMR');
+  assert.equal((await getRecord('M2')).vRegSource, 'sms');
+});
+
+test('findVrnInText only takes what is written as a plate', () => {
+  const found = (text) => findVrnInText(text).vrn;
+  assert.equal(found('Thank you AB12 CDE'), 'AB12CDE');
+  assert.equal(found('my car is ABC 123D'), 'ABC123D');
+  assert.equal(found('A123 BCD'), 'A123BCD');
+  // Northern Ireland and dateless plates only on their own
+  assert.equal(found('ABZ 1234'), 'ABZ1234');
+  assert.equal(found('Please call me at 5'), '');
+  assert.equal(found('Stop texting me after 9pm'), '');
+  assert.equal(found('I sold the car in 2019'), '');
+  assert.equal(found('see you tomorrow'), '');
+});
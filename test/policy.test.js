@@ -0,0 +1,266 @@
+// test/policy.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// lib/policy.js on its own: validating a policy, the clock in the policy
+// timezone (including the Europe/London clock changes), the calling window and
+// bank holidays, the daily and per-campaign caps and which backoff step
+// applies after the n-th attempt.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_POLICY,
+  validatePolicy,
+  getPolicyClock,
+  checkCallingWindow,
+  checkRow,
+} = require('../lib/policy');
+
+const MINUTE_MS = 60 * 1000;
+
+function policyWith(changes = {}) {
+  const check = validatePolicy({ ...DEFAULT_POLICY, ...changes });
+  assert.equal(check.valid, true, JSON.stringify(check.errors));
+  return check.policy;
+}
+
+// Calling-window decision at an instant given in UTC
+function windowAt(policy, iso) {
+  return checkCallingWindow(policy, getPolicyClock(policy, new Date(iso)));
+}
+
+// A callable booking with `fields` on top
+function booking(fields = {}) {
+  return { bookingId: 'P1', phoneNumber: '+447911123456', ...fields };
+}
+
+test('validatePolicy fills in defaults and tidies the input', () => {
+  assert.deepEqual(validatePolicy(null), {
+    valid: true,
+    policy: policyWith(),
+  });
+
+  const { policy } = validatePolicy({
+    bankHolidays: [' 2026-12-28', '2026-12-25', '2026-12-25'],
+    maxAttemptsPerDay: '2',
+    backoffMinutes: { default: 5, busy: ['10', 20] },
+  });
+  assert.deepEqual(policy.bankHolidays, ['2026-12-25', '2026-12-28']);
+  assert.equal(policy.maxAttemptsPerDay, 2);
+  assert.deepEqual(policy.backoffMinutes, { default: [5], busy: [10, 20] });
+  assert.deepEqual(policy.callingWindows.mon, [
+    { start: '08:00', end: '18:00' },
+  ]);
+});
+
+test('validatePolicy rejects malformed input', () => {
+  const check = validatePolicy({
+    timezone: 'Mars/Olympus',
+    callingWindows: {
+      mon: 'all day',
+      tue: [{ start: '8am', end: '18:00' }],
+      wed: [{ start: '18:00', end: '08:00' }],
+      thu: [{ start: '09:00', end: '24:00' }],
+    },
+    bankHolidays: ['25/12/2026'],
+    maxAttemptsPerDay: 0,
+    maxAttemptsPerCampaign: -1,
+    backoffMinutes: { busy: ['soon'] },
+    messageFallback: { enabled: true, channel: 'fax', template: ' ' },
+    answeringMachine: { action: 'shout', audioUrl: 'ftp://example.com/a.mp3' },
+    recording: { retentionDays: 1.5 },
+  });
+
+  assert.equal(check.valid, false);
+  assert.deepEqual(check.errors, [
+    'Unknown timezone "Mars/Olympus"',
+    'callingWindows.mon must be a list of { start, end }',
+    'callingWindows.tue: times must be HH:MM',
+    'callingWindows.wed: 18:00–08:00 ends before it starts',
+    'Bank holiday "25/12/2026" is not yyyy-mm-dd',
+    'maxAttemptsPerCampaign must be a whole number ≥ 0',
+    'maxAttemptsPerDay must be at least 1',
+    'backoffMinutes.busy must be a list of minutes ≥ 0',
+    'backoffMinutes.default is required',
+    'messageFallback.channel must be one of sms, whatsapp',
+    'messageFallback.template is required',
+    'answeringMachine.action must be one of hangup, voicemail',
+    'answeringMachine.audioUrl must be an http(s) URL',
+    'recording.retentionDays must be a whole number of days ≥ 0',
+  ]);
+  assert.deepEqual(validatePolicy({ bankHolidays: '2026-12-25' }).errors, [
+    'bankHolidays must be a list of yyyy-mm-dd dates',
+  ]);
+});
+
+test('getPolicyClock gives the local date, weekday and time', () => {
+  const policy = policyWith();
+  // 23:30 UTC on Sunday 30 August is 00:30 BST on Monday 31 August
+  const clock = getPolicyClock(policy, new Date('2026-08-30T23:30:00Z'));
+  assert.equal(clock.todayStr, '2026-08-31');
+  assert.equal(clock.weekday, 'mon');
+  assert.equal(clock.minutes, 30);
+
+  const utc = policyWith({ timezone: 'UTC' });
+  const utcClock = getPolicyClock(utc, new Date('2026-08-30T23:30:00Z'));
+  assert.equal(utcClock.todayStr, '2026-08-30');
+  assert.equal(utcClock.weekday, 'sun');
+  assert.equal(utcClock.minutes, 23 * 60 + 30);
+});
+
+test('the calling window includes its start and excludes its end', () => {
+  const policy = policyWith();
+  // Monday 19 October 2026, BST (UTC+1)
+  assert.equal(windowAt(policy, '2026-10-19T06:59:00Z').rule, 'calling_window');
+  assert.equal(windowAt(policy, '2026-10-19T07:00:00Z'), null);
+  assert.equal(windowAt(policy, '2026-10-19T16:59:00Z'), null);
+  assert.deepEqual(windowAt(policy, '2026-10-19T17:00:00Z'), {
+    rule: 'calling_window',
+    message: 'Outside calling hours (08:00–18:00 Europe/London).',
+  });
+
+  const split = policyWith({
+    callingWindows: {
+      ...DEFAULT_POLICY.callingWindows,
+      mon: [
+        { start: '09:00', end: '12:00' },
+        { start: '14:00', end: '24:00' },
+      ],
+      sun: [],
+    },
+  });
+  assert.equal(windowAt(split, '2026-10-19T11:30:00Z').rule, 'calling_window');
+  assert.equal(windowAt(split, '2026-10-19T22:59:00Z'), null);
+  assert.deepEqual(windowAt(split, '2026-10-18T12:00:00Z'), {
+    rule: 'calling_window',
+    message: 'No calling on sun (Europe/London).',
+  });
+});
+
+test('the calling window follows Europe/London across the clock changes', () => {
+  const policy = policyWith();
+  // Clocks go forward at 01:00 UTC on Sunday 29 March 2026: 08:00 local is
+  // 08:00 UTC on the Saturday and 07:00 UTC on the Sunday
+  assert.equal(windowAt(policy, '2026-03-28T07:30:00Z').rule, 'calling_window');
+  assert.equal(windowAt(policy, '2026-03-29T07:30:00Z'), null);
+  assert.equal(windowAt(policy, '2026-03-28T17:30:00Z'), null);
+  assert.equal(windowAt(policy, '2026-03-29T17:30:00Z').rule, 'calling_window');
+
+  // … and back at 01:00 UTC on Sunday 25 October 2026
+  assert.equal(windowAt(policy, '2026-10-24T07:30:00Z'), null);
+  assert.equal(windowAt(policy, '2026-10-25T07:30:00Z').rule, 'calling_window');
+  assert.equal(windowAt(policy, '2026-10-25T08:00:00Z'), null);
+  assert.equal(windowAt(policy, '2026-10-25T17:30:00Z'), null);
+});
+
+test('bank holidays block the whole local day unless turned off', () => {
+  const policy = policyWith();
+  assert.deepEqual(windowAt(policy, '2026-12-25T12:00:00Z'), {
+    rule: 'bank_holiday',
+    message: '2026-12-25 is a bank holiday.',
+  });
+  // 07:30 UTC is 08:30 BST on bank holiday Monday 31 August
+  assert.equal(windowAt(policy, '2026-08-31T07:30:00Z').rule, 'bank_holiday');
+  assert.equal(windowAt(policy, '2026-12-24T12:00:00Z'), null);
+
+  const open = policyWith({ skipBankHolidays: false });
+  assert.equal(windowAt(open, '2026-12-25T12:00:00Z'), null);
+});
+
+test('the daily cap counts only today’s attempts', () => {
+  const policy = policyWith({ maxAttemptsPerDay: 2 });
+  const clock = getPolicyClock(policy, new Date('2026-10-19T10:00:00Z'));
+
+  assert.deepEqual(
+    checkRow(
+      policy,
+      booking({ lastAttemptDate: '2026-10-19', attemptCountToday: 2 }),
+      clock
+    ),
+    { rule: 'max_attempts_per_day', message: 'Already called 2 time(s) today.' }
+  );
+  assert.equal(
+    checkRow(
+      policy,
+      booking({ lastAttemptDate: '2026-10-19', attemptCountToday: 1 }),
+      clock
+    ),
+    null
+  );
+  assert.equal(
+    checkRow(
+      policy,
+      booking({ lastAttemptDate: '2026-10-18', attemptCountToday: 2 }),
+      clock
+    ),
+    null
+  );
+});
+
+test('the per-campaign cap applies unless it is 0', () => {
+  const clockAt = (policy) =>
+    getPolicyClock(policy, new Date('2026-10-19T10:00:00Z'));
+  const capped = policyWith({ maxAttemptsPerCampaign: 4 });
+  assert.deepEqual(
+    checkRow(capped, booking({ attemptCountTotal: 4 }), clockAt(capped)),
+    {
+      rule: 'max_attempts_per_campaign',
+      message: 'Already called 4 time(s) in this campaign.',
+    }
+  );
+  assert.equal(
+    checkRow(capped, booking({ attemptCountTotal: 3 }), clockAt(capped)),
+    null
+  );
+
+  const unlimited = policyWith({ maxAttemptsPerCampaign: 0 });
+  assert.equal(
+    checkRow(unlimited, booking({ attemptCountTotal: 50 }), clockAt(unlimited)),
+    null
+  );
+});
+
+test('the n-th backoff step follows the n-th attempt and the last repeats', () => {
+  const policy = policyWith({
+    maxAttemptsPerCampaign: 0,
+    backoffMinutes: { default: [1], busy: [5, 15, 30] },
+  });
+  const lastCallTime = '2026-10-19T10:00:00.000Z';
+  const start = new Date(lastCallTime).getTime();
+
+  // Minutes to wait after a busy call that was the booking’s n-th attempt
+  function waitAfter(attempt, lastCallStatus = 'busy') {
+    const row = booking({
+      lastCallStatus,
+      lastCallTime,
+      attemptCountTotal: attempt,
+    });
+    for (let minutes = 0; minutes <= 60; minutes++) {
+      const clock = getPolicyClock(
+        policy,
+        new Date(start + minutes * MINUTE_MS)
+      );
+      if (checkRow(policy, row, clock) === null) return minutes;
+    }
+    return Infinity;
+  }
+
+  assert.equal(waitAfter(1), 5);
+  assert.equal(waitAfter(2), 15);
+  assert.equal(waitAfter(3), 30);
+  assert.equal(waitAfter(4), 30);
+  assert.equal(waitAfter(12), 30);
+  // Outcomes without their own steps use the default ones
+  assert.equal(waitAfter(2, 'no-answer'), 1);
+
+  const row = booking({
+    lastCallStatus: 'busy',
+    lastCallTime,
+    attemptCountTotal: 2,
+  });
+  const clock = getPolicyClock(policy, new Date(start + 14 * MINUTE_MS));
+  assert.deepEqual(checkRow(policy, row, clock), {
+    rule: 'backoff',
+    message: 'Last call busy – retry after 2026-10-19T10:15:00.000Z.',
+  });
+});
@@ -0,0 +1,129 @@
+// test/recording.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Call recording for quality review: recorded calls keep their recording
+// status and transcript on the call log, the audio can be played back, and
+// recordings are deleted once past the retention period.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const ALICE = '+447911123456';
+const BOB = '+447400123456';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SHEET = [
+  'Booking Ref,Mobile,Name,Details',
+  'R1,07911 123456,Alice,Gatwick parking',
+  'R2,07400 123456,Bob,Heathrow hotel',
+].join('\n');
+
+let ctx;
+let telephony;
+let api;
+
+async function getCalls(bookingId) {
+  const { body } = await api('GET', `/api/records/${bookingId}/calls`);
+  return body;
+}
+
+test.before(async () => {
+  ctx = await startServer();
+  ({ telephony, api } = ctx);
+  await ctx.openAllDay();
+
+  const form = new FormData();
+  form.append('file', new Blob([SHEET]), 'bookings.csv');
+  form.append('campaignName', 'Recording');
+  await api('POST', '/api/upload', form);
+});
+
+test.after(() => ctx.close());
+
+test('calls are not recorded by default', async () => {
+  telephony.script(ALICE, ['ringing', 'no-answer']);
+  telephony.script(BOB, ['ringing', 'busy']);
+  await ctx.processBatch();
+  const placed = telephony.calls.find((c) => c.to === BOB);
+  assert.equal(placed.recording, null);
+  const [call] = await getCalls('R2');
+  assert.equal(call.recording, undefined);
+});
+
+test('keeps the recording and transcript of a recorded call', async () => {
+  // Alice didn’t answer the first call (above), so don’t wait to call again
+  await ctx.setPolicy({
+    recording: { enabled: true, retentionDays: 7 },
+    backoffMinutes: { default: [0] },
+  });
+
+  telephony.script(ALICE, [
+    'ringing',
+    'in-progress',
+    {
+      transcript:
+        'Assistant: Hello Alice, what is your registration?\nCustomer: I am not sure',
+    },
+    { status: 'completed', duration: 25 },
+    { recording: 'completed', duration: 24 },
+  ]);
+  await ctx.processBatch();
+
+  const placed = telephony.calls.filter((c) => c.to === ALICE).pop();
+  assert.match(placed.recording.callbackUrl, /\/api\/recordingStatus$/);
+
+  const [call] = await getCalls('R1');
+  assert.equal(call.recording.sid, placed.recordingSid);
+  assert.equal(call.recording.status, 'completed');
+  assert.equal(call.recording.duration, 24);
+  assert.deepEqual(call.transcript.turns, [
+    { role: 'assistant', text: 'Hello Alice, what is your registration?' },
+    { role: 'customer', text: 'I am not sure' },
+  ]);
+
+  const audio = await api.download(`/api/calls/${call.callSid}/recording`);
+  assert.equal(audio.status, 200);
+  assert.equal(audio.headers.get('content-type'), 'audio/mpeg');
+  assert.equal(audio.buffer.toString(), `fake audio of ${call.callSid}`);
+});
+
+test('rejects a transcript for an unknown call', async () => {
+  const res = await api('POST', '/api/callTranscript', {
+    callSid: 'CA00000000000000000000000000000000',
+    transcript: [{ role: 'assistant', text: 'Hello' }],
+  });
+  assert.equal(res.status, 404);
+});
+
+test('deletes recordings past the retention period', async () => {
+  const [call] = await getCalls('R1');
+
+  // Within the 7 days nothing goes
+  let res = await api('POST', '/api/recordings/purge');
+  assert.deepEqual(res.body, { deleted: 0 });
+
+  ctx.storage.update('calls', call.id, (c) => {
+    c.createdAt = new Date(Date.now() - 8 * DAY_MS).toISOString();
+  });
+  res = await api('POST', '/api/recordings/purge');
+  assert.deepEqual(res.body, { deleted: 1 });
+  assert.equal(telephony.recordings.has(call.recording.sid), false);
+
+  const purged = (await getCalls('R1')).find((c) => c.id === call.id);
+  assert.equal(purged.recording.status, 'deleted');
+  assert.ok(purged.recording.deletedAt);
+  assert.ok(purged.transcript);
+  const audio = await api('GET', `/api/calls/${call.callSid}/recording`);
+  assert.equal(audio.status, 404);
+});
+
+test('rejects a negative retention period', async () => {
+  const { body: current } = await api('GET', '/api/policy');
+  const res = await api('PUT', '/api/policy', {
+    ...current,
+    recording: { enabled: true, retentionDays: -1 },
+  });
+  assert.equal(res.status, 400);
+  assert.ok(res.body.details.some((d) => /recording\.retentionDays/.test(d)));
+});
@@ -0,0 +1,201 @@
+// test/scheduler.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// lib/scheduler.js on its own, driven by mocked timers and clock: start, pause
+// and resume, when the next run is due, skipped ticks and the queue depth in
+// the status.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler } = require('../lib/scheduler');
+
+const INTERVAL_MS = 60 * 1000;
+const START = new Date('2026-10-19T09:00:00.000Z');
+
+// Lets the scheduler’s async tick finish after a timer fired
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// A scheduler whose batches are counted in `runs`; `world` holds the window
+// skip, busy skip and queue depth it reports
+function setup(world = {}) {
+  const runs = [];
+  const scheduler = createScheduler({
+    intervalMs: INTERVAL_MS,
+    runBatch: async () => {
+      runs.push(new Date().toISOString());
+      return { success: true, run: runs.length };
+    },
+    getWindowSkip: () => world.windowSkip || null,
+    getBusySkip: () => world.busySkip || null,
+    getQueueDepth: () => world.queueDepth || 0,
+  });
+  return { scheduler, runs, world };
+}
+
+// Moves the mocked clock on and lets any tick that fired finish
+async function advance(t, ms) {
+  t.mock.timers.tick(ms);
+  await flush();
+}
+
+test.beforeEach((t) => {
+  t.mock.timers.enable({
+    apis: ['setTimeout', 'Date'],
+    now: START.getTime(),
+  });
+});
+
+test('runs straight away on start, then every interval', async (t) => {
+  const { scheduler, runs } = setup();
+  assert.equal(scheduler.status().state, 'stopped');
+  assert.equal(scheduler.status().nextRunAt, null);
+
+  scheduler.start();
+  assert.equal(scheduler.status().state, 'running');
+  assert.equal(scheduler.status().nextRunAt, START.toISOString());
+
+  await advance(t, 0);
+  assert.deepEqual(runs, [START.toISOString()]);
+  const status = scheduler.status();
+  assert.equal(status.lastRunAt, START.toISOString());
+  assert.deepEqual(status.lastResult, { success: true, run: 1 });
+  assert.equal(
+    status.nextRunAt,
+    new Date(START.getTime() + INTERVAL_MS).toISOString()
+  );
+
+  await advance(t, INTERVAL_MS - 1);
+  assert.equal(runs.length, 1);
+  await advance(t, 1);
+  assert.equal(runs.length, 2);
+});
+
+test('start takes a different interval', async (t) => {
+  const { scheduler, runs } = setup();
+  scheduler.start({ intervalMs: 5000 });
+  await advance(t, 0);
+  assert.equal(scheduler.status().intervalSeconds, 5);
+  await advance(t, 5000);
+  assert.equal(runs.length, 2);
+});
+
+test('a paused scheduler does not tick until it is resumed', async (t) => {
+  const { scheduler, runs } = setup();
+  scheduler.start();
+  await advance(t, 0);
+
+  scheduler.pause();
+  assert.equal(scheduler.status().state, 'paused');
+  assert.equal(scheduler.status().nextRunAt, null);
+  await advance(t, 10 * INTERVAL_MS);
+  assert.equal(runs.length, 1);
+
+  // Resuming runs at once and works out the next run from then
+  const resumedAt = new Date(Date.now()).toISOString();
+  scheduler.resume();
+  assert.equal(scheduler.status().state, 'running');
+  assert.equal(scheduler.status().nextRunAt, resumedAt);
+  await advance(t, 0);
+  assert.deepEqual(runs.slice(1), [resumedAt]);
+  assert.equal(
+    scheduler.status().nextRunAt,
+    new Date(Date.now() + INTERVAL_MS).toISOString()
+  );
+});
+
+test('pausing while a batch runs stops the next tick', async (t) => {
+  let finish;
+  const scheduler = createScheduler({
+    intervalMs: INTERVAL_MS,
+    runBatch: () =>
+      new Promise((resolve) => {
+        finish = resolve;
+      }),
+    getWindowSkip: () => null,
+    getQueueDepth: () => 0,
+  });
+  scheduler.start();
+  await advance(t, 0);
+  assert.equal(scheduler.status().inProgress, true);
+
+  scheduler.pause();
+  finish({ success: true });
+  await flush();
+  assert.equal(scheduler.status().inProgress, false);
+  assert.equal(scheduler.status().state, 'paused');
+  assert.equal(scheduler.status().nextRunAt, null);
+});
+
+test('rejects transitions from the wrong state', () => {
+  const { scheduler } = setup();
+  assert.throws(() => scheduler.pause(), /Cannot pause a stopped scheduler/);
+  assert.throws(() => scheduler.resume(), /Cannot resume a stopped/);
+  scheduler.start();
+  assert.throws(() => scheduler.start(), /already running/);
+  assert.throws(() => scheduler.resume(), /Cannot resume a running/);
+  scheduler.pause();
+  assert.throws(() => scheduler.start(), /already paused/);
+  assert.throws(() => scheduler.pause(), /Cannot pause a paused/);
+});
+
+test('skipped ticks keep the rule as the last result and run next time', async (t) => {
+  const { scheduler, runs, world } = setup({
+    windowSkip: { rule: 'calling_window', message: 'Outside calling hours' },
+  });
+  scheduler.start();
+  await advance(t, 0);
+  assert.equal(runs.length, 0);
+  assert.deepEqual(scheduler.status().lastResult, {
+    success: false,
+    rule: 'calling_window',
+    message: 'Outside calling hours',
+  });
+  assert.equal(scheduler.status().withinCallingWindow, false);
+
+  world.windowSkip = null;
+  world.busySkip = { rule: 'dispatch_running', message: 'Still dialling' };
+  await advance(t, INTERVAL_MS);
+  assert.equal(runs.length, 0);
+  assert.equal(scheduler.status().lastResult.rule, 'dispatch_running');
+  assert.equal(scheduler.status().withinCallingWindow, true);
+
+  world.busySkip = null;
+  await advance(t, INTERVAL_MS);
+  assert.equal(runs.length, 1);
+});
+
+test('a failed batch is reported and the scheduler carries on', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  let fail = true;
+  const scheduler = createScheduler({
+    intervalMs: INTERVAL_MS,
+    runBatch: async () => {
+      if (fail) throw new Error('storage offline');
+      return { success: true };
+    },
+    getWindowSkip: () => null,
+    getQueueDepth: () => 0,
+  });
+  scheduler.start();
+  await advance(t, 0);
+  assert.deepEqual(scheduler.status().lastResult, {
+    success: false,
+    message: 'storage offline',
+  });
+
+  fail = false;
+  await advance(t, INTERVAL_MS);
+  assert.deepEqual(scheduler.status().lastResult, { success: true });
+});
+
+test('status reports the current queue depth', async (t) => {
+  const { scheduler, world } = setup({ queueDepth: 12 });
+  assert.equal(scheduler.status().queueDepth, 12);
+  scheduler.start();
+  await advance(t, 0);
+  world.queueDepth = 3;
+  assert.equal(scheduler.status().queueDepth, 3);
+  scheduler.pause();
+  world.queueDepth = 0;
+  assert.equal(scheduler.status().queueDepth, 0);
+});
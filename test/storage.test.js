@@ -0,0 +1,176 @@
+// test/storage.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// The JSON and SQLite storage adapters (lib/storage) run the same cases, so
+// both keep the interface documented in lib/storage/index.js, and
+// scripts/migrate-json-to-sqlite.js copies JSON data into SQLite.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+const MIGRATE_SCRIPT = path.join(
+  __dirname,
+  '..',
+  'scripts',
+  'migrate-json-to-sqlite.js'
+);
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'vrn-collector-storage-'));
+}
+
+['json', 'sqlite'].forEach((driver) => {
+  test.describe(`${driver} storage`, () => {
+    let dataDir;
+    let storage;
+
+    test.beforeEach(() => {
+      dataDir = tempDir();
+      storage = createStorage({ driver, dataDir });
+    });
+
+    test.afterEach(() => {
+      storage.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('puts, gets and lists documents in insertion order', () => {
+      storage.put('records', { bookingId: 'B1', name: 'Alice' });
+      storage.put('records', { bookingId: 'B2', name: 'Bob' });
+      storage.put('records', { bookingId: 'B1', name: 'Alice Smith' });
+
+      assert.deepEqual(storage.get('records', 'B1'), {
+        bookingId: 'B1',
+        name: 'Alice Smith',
+      });
+      assert.equal(storage.get('records', 'B3'), null);
+      assert.deepEqual(
+        storage.list('records').map((r) => r.name),
+        ['Alice Smith', 'Bob']
+      );
+    });
+
+    test('keys records by bookingId and everything else by id', () => {
+      storage.put('campaigns', { id: 'c1', name: 'Summer' });
+      storage.put('records', { bookingId: 42, campaignId: 'c1' });
+
+      assert.equal(storage.get('campaigns', 'c1').name, 'Summer');
+      assert.equal(storage.get('records', '42').campaignId, 'c1');
+      assert.deepEqual(storage.collections().sort(), ['campaigns', 'records']);
+    });
+
+    test('putMany inserts new documents and overwrites existing ones', () => {
+      storage.put('records', { bookingId: 'B1', name: 'Alice' });
+      storage.putMany('records', [
+        { bookingId: 'B2', name: 'Bob' },
+        { bookingId: 'B1', name: 'Alice Smith' },
+      ]);
+
+      assert.deepEqual(
+        storage.list('records').map((r) => `${r.bookingId}:${r.name}`),
+        ['B1:Alice Smith', 'B2:Bob']
+      );
+    });
+
+    test('update changes a document in place or by returning a new one', () => {
+      storage.put('records', { bookingId: 'B1', attempts: 1 });
+
+      const bumped = storage.update('records', 'B1', (r) => {
+        r.attempts += 1;
+      });
+      assert.equal(bumped.attempts, 2);
+      storage.update('records', 'B1', () => ({ bookingId: 'B1', note: 'x' }));
+      assert.deepEqual(storage.get('records', 'B1'), {
+        bookingId: 'B1',
+        note: 'x',
+      });
+      assert.equal(
+        storage.update('records', 'B9', () => {}),
+        null
+      );
+    });
+
+    test('update rejects a change to the key field and saves nothing', () => {
+      storage.put('records', { bookingId: 'B1', name: 'Alice' });
+
+      assert.throws(
+        () =>
+          storage.update('records', 'B1', (r) => {
+            r.bookingId = 'B2';
+            r.name = 'Bob';
+          }),
+        /Cannot change bookingId of records "B1"/
+      );
+      assert.deepEqual(storage.list('records'), [
+        { bookingId: 'B1', name: 'Alice' },
+      ]);
+      assert.throws(
+        () => storage.update('records', 'B1', () => ({ name: 'Alice' })),
+        /Cannot change bookingId/
+      );
+      assert.equal(storage.get('records', 'B1').name, 'Alice');
+    });
+
+    test('removes documents and replaces whole collections', () => {
+      storage.putMany('audit', [{ id: 'a1' }, { id: 'a2' }]);
+
+      assert.equal(storage.remove('audit', 'a1'), true);
+      assert.equal(storage.remove('audit', 'a1'), false);
+      assert.deepEqual(storage.list('audit'), [{ id: 'a2' }]);
+
+      storage.replaceAll('audit', [{ id: 'a3' }, { id: 'a4' }]);
+      assert.deepEqual(
+        storage.list('audit').map((a) => a.id),
+        ['a3', 'a4']
+      );
+    });
+
+    test('keeps its data when opened again', () => {
+      storage.put('records', { bookingId: 'B1', vRegCaptured: 'AB12CDE' });
+      storage.close();
+
+      storage = createStorage({ driver, dataDir });
+      assert.equal(storage.get('records', 'B1').vRegCaptured, 'AB12CDE');
+    });
+  });
+});
+
+test('migrate-json-to-sqlite copies every collection and can run again', () => {
+  const dataDir = tempDir();
+  const json = createStorage({ driver: 'json', dataDir });
+  json.putMany('records', [
+    { bookingId: 'B1', vRegCaptured: 'AB12CDE' },
+    { bookingId: 'B2', vRegCaptured: '' },
+  ]);
+  json.put('campaigns', { id: 'c1', name: 'Summer' });
+
+  const env = { ...process.env, DATA_DIR: dataDir };
+  delete env.SQLITE_FILE;
+  const run = () =>
+    execFileSync(process.execPath, [MIGRATE_SCRIPT], { env, encoding: 'utf8' });
+
+  const output = run();
+  assert.match(output, /Imported 2 document\(s\) into "records"/);
+  assert.match(output, /Imported 1 document\(s\) into "campaigns"/);
+
+  // A second run upserts by key instead of duplicating
+  json.put('records', { bookingId: 'B2', vRegCaptured: 'CD34EFG' });
+  run();
+
+  const sqlite = createStorage({ driver: 'sqlite', dataDir });
+  try {
+    assert.deepEqual(sqlite.list('records'), [
+      { bookingId: 'B1', vRegCaptured: 'AB12CDE' },
+      { bookingId: 'B2', vRegCaptured: 'CD34EFG' },
+    ]);
+    assert.deepEqual(sqlite.list('campaigns'), [{ id: 'c1', name: 'Summer' }]);
+  } finally {
+    sqlite.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
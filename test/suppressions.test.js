@@ -0,0 +1,144 @@
+// test/suppressions.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// The do-not-call list: listed numbers are skipped with rule do_not_call, the
+// list can be imported from a CSV, the assistant adds customers who opt out,
+// and removing a number lets calls resume.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const ALICE = '+447911123456';
+const BOB = '+447400123456';
+
+const SHEET = [
+  'Booking Ref,Mobile,Name,Details',
+  'S1,07911 123456,Alice,Gatwick parking',
+  'S2,07400 123456,Bob,Heathrow hotel',
+].join('\n');
+
+let ctx;
+let telephony;
+let api;
+
+async function getRecord(bookingId) {
+  const { body } = await api('GET', '/api/allRecords');
+  return body.find((r) => r.bookingId === bookingId);
+}
+
+async function decisionFor(bookingId) {
+  const preview = await api('POST', '/api/process', { dryRun: true });
+  return preview.body.decisions.find((d) => d.bookingId === bookingId);
+}
+
+test.before(async () => {
+  // Time to list a number while its call waits to be retried
+  ctx = await startServer({ DISPATCH_RETRY_DELAY_MS: '200' });
+  ({ telephony, api } = ctx);
+  await ctx.openAllDay();
+
+  const form = new FormData();
+  form.append('file', new Blob([SHEET]), 'bookings.csv');
+  form.append('campaignName', 'Suppressions');
+  await api('POST', '/api/upload', form);
+});
+
+test.after(() => ctx.close());
+
+test('never calls a listed number', async () => {
+  const added = await api('POST', '/api/suppressions', {
+    phoneNumber: '07911 123456',
+    reason: 'Complained by email',
+  });
+  assert.equal(added.status, 200);
+  assert.equal(added.body.phoneNumber, ALICE);
+  assert.equal(added.body.source, 'manual');
+
+  const s1 = await decisionFor('S1');
+  assert.equal(s1.rule, 'do_not_call');
+
+  await ctx.processBatch();
+  assert.deepEqual(
+    telephony.calls.map((c) => c.to),
+    [BOB]
+  );
+});
+
+test('imports a CSV, skipping duplicates and invalid numbers', async () => {
+  const csv = [
+    'Phone,Reason',
+    '07911 123456,Already there',
+    'not a number,Typo',
+    '07700 900123,Moved abroad',
+    '07700 900123,Listed twice',
+  ].join('\n');
+  const form = new FormData();
+  form.append('file', new Blob([csv]), 'dnc.csv');
+  const res = await api('POST', '/api/suppressions/import', form);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.added, 1);
+  assert.equal(res.body.alreadyListed, 1);
+  assert.equal(res.body.invalid.length, 1);
+  assert.equal(res.body.invalid[0].row, 3);
+
+  const { body: list } = await api('GET', '/api/suppressions');
+  const imported = list.find((s) => s.phoneNumber === '+447700900123');
+  assert.equal(imported.reason, 'Moved abroad');
+  assert.equal(imported.source, 'import');
+});
+
+test('lists customers who opt out on a call', async () => {
+  const call = telephony.calls.find((c) => c.to === BOB);
+  const res = await telephony.toolCall(call.callSid, 'optOut', {
+    reason: 'Booked elsewhere',
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.bookingIds, ['S2']);
+
+  const s2 = await getRecord('S2');
+  assert.equal(s2.optedOut, true);
+  assert.ok(s2.optedOutAt);
+
+  const { body: list } = await api('GET', '/api/suppressions');
+  const bob = list.find((s) => s.phoneNumber === BOB);
+  assert.equal(bob.source, 'assistant');
+  assert.equal(bob.reason, 'Booked elsewhere');
+  assert.equal(bob.createdBy, call.callSid);
+  assert.equal((await decisionFor('S2')).rule, 'do_not_call');
+});
+
+test('calls resume once a number is removed', async () => {
+  const res = await api(
+    'DELETE',
+    `/api/suppressions/${encodeURIComponent(ALICE)}`
+  );
+  assert.equal(res.status, 200);
+  assert.notEqual((await decisionFor('S1')).rule, 'do_not_call');
+
+  const again = await api(
+    'DELETE',
+    `/api/suppressions/${encodeURIComponent(ALICE)}`
+  );
+  assert.equal(again.status, 404);
+});
+
+test('a number listed while its call waits in the queue is not called', async () => {
+  telephony.failNext(ALICE, 'Too many requests', 'transient');
+  const callsBefore = telephony.calls.length;
+  const res = await api('POST', '/api/process', {});
+  assert.equal(res.body.callsQueued, 1);
+
+  await api('POST', '/api/suppressions', {
+    phoneNumber: ALICE,
+    reason: 'Asked by phone',
+  });
+  const job = await ctx.waitForJob(res.body.jobId);
+  assert.equal(job.calls.suppressed, 1);
+  assert.equal(job.calls.placed, 0);
+  assert.equal(telephony.calls.length, callsBefore);
+
+  const s1 = await getRecord('S1');
+  assert.equal(s1.skipRule, 'do_not_call');
+  assert.equal(s1.attemptCountTotal, 0);
+});
@@ -0,0 +1,182 @@
+// test/uploadMerge.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Re-uploading an updated sheet with mode 'merge': new bookings are added,
+// changed contact details updated, captured VRNs and attempts kept, and
+// bookings missing from the file retired when asked.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const ALICE = '+447911123456';
+const BOB = '+447400123456';
+
+const MORNING = [
+  'Booking Ref,Mobile,Name,Details',
+  'U1,07911 123456,Alice,Gatwick parking',
+  'U2,07400 123456,Bob,Heathrow hotel',
+  'U3,07700 900123,Carol,Luton parking',
+].join('\n');
+
+const AFTERNOON = [
+  'Booking Ref,Mobile,Name,Details',
+  'U1,07911 123456,Alice,Gatwick parking',
+  'U2,07400 654321,Robert,Heathrow hotel',
+  'U4,07700 900456,Dan,Stansted parking',
+].join('\n');
+
+let ctx;
+let telephony;
+let api;
+let campaignId;
+
+async function getRecord(bookingId) {
+  const { body } = await api('GET', '/api/allRecords');
+  return body.find((r) => r.bookingId === bookingId);
+}
+
+function uploadForm(sheet, fields) {
+  const form = new FormData();
+  form.append('file', new Blob([sheet]), 'bookings.csv');
+  Object.keys(fields).forEach((key) => form.append(key, fields[key]));
+  return form;
+}
+
+test.before(async () => {
+  ctx = await startServer();
+  ({ telephony, api } = ctx);
+  await ctx.openAllDay();
+
+  const upload = await api(
+    'POST',
+    '/api/upload',
+    uploadForm(MORNING, { campaignName: 'Merge' })
+  );
+  campaignId = upload.body.campaignId;
+
+  telephony.script(ALICE, [
+    'ringing',
+    { saveVReg: 'AB12 CDE' },
+    { status: 'completed', duration: 30 },
+  ]);
+  telephony.script(BOB, ['ringing', 'busy']);
+  await ctx.processBatch();
+});
+
+test.after(() => ctx.close());
+
+test('adding a sheet again skips the bookings it already has', async () => {
+  const res = await api(
+    'POST',
+    '/api/upload',
+    uploadForm(AFTERNOON, { campaignId })
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.mode, 'add');
+  assert.equal(res.body.count, 1);
+  assert.equal(res.body.skipped, 2);
+  assert.equal((await getRecord('U2')).customerName, 'Bob');
+});
+
+test('merges an updated sheet and retires missing bookings', async () => {
+  const preview = await api(
+    'POST',
+    '/api/upload/preview',
+    uploadForm(AFTERNOON, { campaignId, mode: 'merge' })
+  );
+  assert.equal(preview.body.report.counts.merged, 3);
+  assert.equal(preview.body.report.counts.alreadyImported, 0);
+
+  const res = await api(
+    'POST',
+    `/api/upload/${preview.body.uploadId}/confirm`,
+    {
+      mapping: preview.body.proposedMapping,
+      campaignId,
+      mode: 'merge',
+      retireMissing: true,
+    }
+  );
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.diff, {
+    added: 0,
+    updated: 1,
+    unchanged: 2,
+    removed: 1,
+  });
+  assert.deepEqual(res.body.changes, [
+    { bookingId: 'U2', fields: ['customerName', 'phoneNumber'] },
+  ]);
+
+  const u1 = await getRecord('U1');
+  assert.equal(u1.vRegCaptured, 'AB12CDE');
+  const u2 = await getRecord('U2');
+  assert.equal(u2.customerName, 'Robert');
+  assert.equal(u2.phoneNumber, '+447400654321');
+  assert.equal(u2.lastCallStatus, 'busy');
+  assert.equal(u2.attemptCountTotal, 1);
+
+  const u3 = await getRecord('U3');
+  assert.ok(u3.retiredAt);
+  const dryRun = await api('POST', '/api/process', { dryRun: true });
+  const decision = dryRun.body.decisions.find((d) => d.bookingId === 'U3');
+  assert.equal(decision.rule, 'retired');
+});
+
+test('a later sheet brings a retired booking back', async () => {
+  const res = await api(
+    'POST',
+    '/api/upload',
+    uploadForm(MORNING, { campaignId, mode: 'merge' })
+  );
+  assert.equal(res.body.diff.removed, 0);
+  assert.deepEqual(res.body.changes.find((c) => c.bookingId === 'U3').fields, [
+    'retiredAt',
+  ]);
+  assert.equal((await getRecord('U3')).retiredAt, '');
+  // U4 isn’t in this file, but nothing is retired without retireMissing
+  assert.equal((await getRecord('U4')).retiredAt, '');
+});
+
+test('rejects retireMissing without merge', async () => {
+  const res = await api(
+    'POST',
+    '/api/upload',
+    uploadForm(MORNING, { campaignId, retireMissing: 'true' })
+  );
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /retireMissing needs mode "merge"/);
+});
+
+test('a VRN column value that isn’t a plate is imported as no VRN', async () => {
+  const sheet = [
+    'Booking Ref,Mobile,Name,Vehicle Reg',
+    'V1,07911 200001,Erin,TBC',
+    'V2,07911 200002,Frank,N/A',
+    'V3,07911 200003,Grace,ab12 cde',
+  ].join('\n');
+  const preview = await api(
+    'POST',
+    '/api/upload/preview',
+    uploadForm(sheet, { campaignName: 'Sheet VRNs' })
+  );
+  assert.equal(preview.body.report.counts.hasVrn, 1);
+  assert.equal(preview.body.report.counts.invalidVrn, 2);
+  const v1 = preview.body.report.rows.find((r) => r.bookingId === 'V1');
+  assert.deepEqual(
+    v1.issues.map((i) => i.code),
+    ['invalid_vrn']
+  );
+
+  const res = await api(
+    'POST',
+    `/api/upload/${preview.body.uploadId}/confirm`,
+    { mapping: preview.body.proposedMapping, campaignName: 'Sheet VRNs' }
+  );
+  assert.equal(res.body.count, 3);
+  const stored = await getRecord('V1');
+  assert.equal(stored.vRegCaptured, '');
+  assert.equal(stored.vRegSource, '');
+  assert.equal((await getRecord('V3')).vRegCaptured, 'AB12CDE');
+});
@@ -0,0 +1,134 @@
+// test/webhookAuth.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Webhook authentication (lib/webhookAuth.js) with WEBHOOK_AUTH=true: signed
+// status callbacks, the AI tool token, and Twilio’s signature check itself.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Twilio = require('twilio');
+const { startServer } = require('./helpers');
+const { createTwilioProvider } = require('../lib/telephony/twilioProvider');
+
+const TOOL_TOKEN = 'test-tool-token';
+const CUSTOMER = '+447911123456';
+
+let ctx;
+let telephony;
+let api;
+const warnings = [];
+const originalWarn = console.warn;
+
+test.before(async () => {
+  console.warn = (msg) => warnings.push(msg);
+  ctx = await startServer({
+    WEBHOOK_AUTH: 'true',
+    ASSISTANT_TOOL_TOKEN: TOOL_TOKEN,
+  });
+  ({ telephony, api } = ctx);
+  await ctx.openAllDay();
+
+  const form = new FormData();
+  form.append(
+    'file',
+    new Blob(['Booking Ref,Mobile,Name\nB1,07911 123456,Alice']),
+    'bookings.csv'
+  );
+  form.append('campaignName', 'Auth');
+  await api('POST', '/api/upload', form);
+});
+
+test.after(() => {
+  console.warn = originalWarn;
+  ctx.close();
+});
+
+test('tool routes reject requests without the token and log them', async () => {
+  const missing = await api('GET', '/api/getBooking?bookingId=B1');
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.error, 'Missing tool token');
+
+  const wrong = await api(
+    'POST',
+    '/api/saveVReg',
+    {
+      bookingId: 'B1',
+      vReg: 'AB12CDE',
+    },
+    { Authorization: 'Bearer nope' }
+  );
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.error, 'Invalid tool token');
+
+  assert.ok(
+    warnings.some((w) =>
+      /^\[auth\] Rejected POST \/api\/saveVReg from .*: Invalid tool token$/.test(
+        w
+      )
+    )
+  );
+});
+
+test('tool routes accept a bearer token or the X-Tool-Secret header', async () => {
+  const bearer = await api('GET', '/api/getBooking?bookingId=B1', undefined, {
+    Authorization: `Bearer ${TOOL_TOKEN}`,
+  });
+  assert.equal(bearer.status, 200);
+  assert.equal(bearer.body.customerName, 'Alice');
+
+  const secret = await api(
+    'POST',
+    '/api/checkVReg',
+    { vReg: 'AB12CDE' },
+    {
+      'X-Tool-Secret': TOOL_TOKEN,
+    }
+  );
+  assert.equal(secret.status, 200);
+});
+
+test('status callbacks must be signed by the provider', async () => {
+  telephony.script(CUSTOMER, ['ringing', { saveVReg: 'AB12CDE' }, 'completed']);
+  await ctx.processBatch();
+  await telephony.settled();
+
+  const [call] = telephony.calls;
+  assert.deepEqual(
+    call.events.map((e) => e.response.status),
+    [200, 200, 200]
+  );
+
+  const forged = await api('POST', '/api/callStatus', {
+    callSid: call.callSid,
+    status: 'busy',
+  });
+  assert.equal(forged.status, 403);
+  const { body: records } = await api('GET', '/api/allRecords');
+  assert.equal(records[0].lastCallStatus, 'completed');
+  assert.equal(records[0].vRegCaptured, 'AB12CDE');
+});
+
+test('the Twilio provider checks X-Twilio-Signature against the public URL', () => {
+  const authToken = 'twilio-auth-token';
+  const provider = createTwilioProvider({
+    accountSid: 'AC' + '0'.repeat(32),
+    authToken,
+  });
+  const url = 'https://example.ngrok.io/api/callStatus?bookingIds=B1';
+  const body = { CallSid: 'CA' + '1'.repeat(32), CallStatus: 'completed' };
+  const signature = Twilio.getExpectedTwilioSignature(authToken, url, body);
+
+  const req = (headers) => ({ headers, body });
+  assert.equal(
+    provider.verifyCallback(req({ 'x-twilio-signature': signature }), url),
+    true
+  );
+  assert.equal(
+    provider.verifyCallback(
+      req({ 'x-twilio-signature': signature }),
+      'https://attacker.example/api/callStatus?bookingIds=B1'
+    ),
+    false
+  );
+  assert.equal(provider.verifyCallback(req({}), url), false);
+});
@@ -0,0 +1,242 @@
+// test/webhooks.test.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Outbound webhooks: subscriptions get signed JSON POSTs for captured VRNs,
+// ended calls, exhausted bookings and finished campaigns; failed deliveries are
+// retried, logged, and can be sent again.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer } = require('./helpers');
+const { signPayload } = require('../lib/webhooks');
+
+const ALICE = '+447911123456';
+const BOB = '+447400123456';
+const SECRET = 'test-webhook-secret-1234';
+const WAIT_MS = 5000;
+
+const SHEET = [
+  'Booking Ref,Mobile,Name,Details',
+  'W1,07911 123456,Alice,Gatwick parking',
+  'W2,07400 123456,Bob,Heathrow hotel',
+].join('\n');
+
+let ctx;
+let telephony;
+let api;
+let receiver;
+let receiverUrl;
+const received = []; // { headers, body, json }
+let failuresLeft = 0;
+
+// A local endpoint that records every POST; it answers 500 while
+// failuresLeft > 0
+function startReceiver() {
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body, json: JSON.parse(body) });
+        if (failuresLeft > 0) {
+          failuresLeft--;
+          res.writeHead(500);
+        } else {
+          res.writeHead(204);
+        }
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// Polls the delivery log until `predicate` holds for it
+async function waitForDeliveries(predicate) {
+  const deadline = Date.now() + WAIT_MS;
+  for (;;) {
+    const { body } = await api('GET', '/api/webhooks/deliveries');
+    if (predicate(body)) return body;
+    if (Date.now() > deadline) {
+      throw new Error(`Deliveries never matched: ${JSON.stringify(body)}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+test.before(async () => {
+  ctx = await startServer({ WEBHOOK_MAX_ATTEMPTS: '3' });
+  ({ telephony, api } = ctx);
+  await ctx.openAllDay();
+  await ctx.setPolicy({ maxAttemptsPerCampaign: 1 });
+
+  receiver = await startReceiver();
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+  const form = new FormData();
+  form.append('file', new Blob([SHEET]), 'bookings.csv');
+  form.append('campaignName', 'Webhooks');
+  await api('POST', '/api/upload', form);
+});
+
+test.after(() => {
+  receiver.close();
+  return ctx.close();
+});
+
+test('rejects invalid subscriptions', async () => {
+  const res = await api('POST', '/api/webhooks', {
+    url: 'ftp://example.com',
+    events: ['vrn.captured', 'vrn.lost'],
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.details, [
+    'url must be an http(s) URL',
+    'Unknown event "vrn.lost"',
+  ]);
+});
+
+test('sends signed events for a batch of calls', async () => {
+  const created = await api('POST', '/api/webhooks', {
+    url: receiverUrl,
+    events: [
+      'vrn.captured',
+      'call.completed',
+      'record.exhausted',
+      'campaign.finished',
+    ],
+    secret: SECRET,
+  });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.secret, SECRET);
+  const list = await api('GET', '/api/webhooks');
+  assert.equal(list.body[0].secret, undefined);
+  assert.equal(list.body[0].secretHint, '…1234');
+
+  telephony.script(ALICE, [
+    'ringing',
+    { saveVReg: 'AB12 CDE' },
+    { status: 'completed', duration: 30 },
+  ]);
+  telephony.script(BOB, ['ringing', 'busy']);
+  await ctx.processBatch();
+
+  await waitForDeliveries(
+    (log) => log.length === 5 && log.every((d) => d.status === 'delivered')
+  );
+  const byEvent = {};
+  received.forEach((r) => {
+    byEvent[r.json.event] = [...(byEvent[r.json.event] || []), r];
+  });
+
+  const [captured] = byEvent['vrn.captured'];
+  assert.equal(captured.json.data.record.bookingId, 'W1');
+  assert.equal(captured.json.data.record.vRegCaptured, 'AB12CDE');
+  assert.equal(captured.json.data.record.vRegSource, 'voice');
+  assert.equal(captured.headers['x-webhook-event'], 'vrn.captured');
+  assert.equal(captured.headers['x-webhook-id'], captured.json.id);
+  const timestamp = captured.headers['x-webhook-timestamp'];
+  assert.equal(
+    captured.headers['x-webhook-signature'],
+    `sha256=${signPayload(SECRET, timestamp, captured.body)}`
+  );
+
+  assert.deepEqual(
+    byEvent['call.completed'].map((r) => r.json.data.call.status).sort(),
+    ['busy', 'completed']
+  );
+  const [exhausted] = byEvent['record.exhausted'];
+  assert.equal(exhausted.json.data.record.bookingId, 'W2');
+  assert.equal(exhausted.json.data.attempts, 1);
+  const [finished] = byEvent['campaign.finished'];
+  assert.equal(finished.json.data.campaign.name, 'Webhooks');
+  assert.equal(finished.json.data.stats.captured, 1);
+});
+
+test('retries failed deliveries and can send one again', async () => {
+  received.length = 0;
+  failuresLeft = 3;
+  const res = await api('PATCH', '/api/updateRecord/W2', {
+    vRegCaptured: 'CD34EFG',
+  });
+  assert.equal(res.status, 200);
+
+  const log = await waitForDeliveries((deliveries) =>
+    deliveries.some((d) => d.event === 'vrn.captured' && d.status === 'failed')
+  );
+  const failed = log.find((d) => d.event === 'vrn.captured');
+  assert.equal(failed.attempts, 3);
+  assert.deepEqual(
+    failed.responses.map((r) => r.statusCode),
+    [500, 500, 500]
+  );
+  assert.equal(received.length, 3);
+  // Every retry carries the same event id
+  assert.equal(new Set(received.map((r) => r.json.id)).size, 1);
+
+  const again = await api(
+    'POST',
+    `/api/webhooks/deliveries/${failed.id}/redeliver`
+  );
+  assert.equal(again.status, 200);
+  const done = await waitForDeliveries((deliveries) =>
+    deliveries.some((d) => d.id === failed.id && d.status === 'delivered')
+  );
+  assert.equal(done.find((d) => d.id === failed.id).attempts, 1);
+
+  const filtered = await api(
+    'GET',
+    '/api/webhooks/deliveries?event=record.exhausted'
+  );
+  assert.equal(filtered.body.length, 1);
+});
+
+test('a VRN typed into the table is only sent once it is a valid plate', async () => {
+  // vrn.captured deliveries for W1 in the delivery log
+  const capturesOf = (log) =>
+    log.filter(
+      (d) =>
+        d.event === 'vrn.captured' && d.payload.data.record.bookingId === 'W1'
+    );
+  const sentBefore = capturesOf(
+    (await api('GET', '/api/webhooks/deliveries')).body
+  ).length;
+
+  for (const partial of ['E', 'EF', 'EF56 G', 'EF56 GH']) {
+    const res = await api('PATCH', '/api/updateRecord/W1', {
+      vRegCaptured: partial,
+    });
+    assert.equal(res.status, 422, partial);
+  }
+  const saved = await api('PATCH', '/api/updateRecord/W1', {
+    vRegCaptured: 'ef56 ghj',
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.updated.vRegSource, 'manual');
+  // Saving the same plate again changes nothing and sends nothing
+  const again = await api('PATCH', '/api/updateRecord/W1', {
+    vRegCaptured: 'EF56GHJ',
+  });
+  assert.equal(
+    again.body.updated.vRegCapturedAt,
+    saved.body.updated.vRegCapturedAt
+  );
+
+  const log = await waitForDeliveries((deliveries) =>
+    deliveries.some(
+      (d) =>
+        d.event === 'vrn.captured' &&
+        d.payload.data.record.vRegCaptured === 'EF56GHJ' &&
+        d.status === 'delivered'
+    )
+  );
+  const sent = capturesOf(log);
+  assert.equal(sent.length, sentBefore + 1);
+  assert.deepEqual(sent.map((d) => d.payload.data.record.vRegCaptured).sort(), [
+    'AB12CDE',
+    'EF56GHJ',
+  ]);
+});